@@ -0,0 +1,254 @@
+const { ArchenemyGameSession } = require("../lib/game-modes/archenemy");
+const { restoreGameSession } = require("../lib/game-modes");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings } = require("../lib/shared/validators");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new ArchenemyGameSession(
+    "TEST",
+    {
+      playerCount: 4,
+      villainTime: 90000,
+      heroTime: 60000,
+      clockMode: "none",
+      ...overrides,
+    },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Archenemy Mode", () => {
+  let now;
+  let session;
+  let broadcasts;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("setup", () => {
+    test("should make player 1 the villain on the villain life total", () => {
+      session = new ArchenemyGameSession("TEST");
+
+      expect(session.mode).toBe("archenemy");
+      expect(session.players).toHaveLength(4);
+      expect(session.villainId).toBe(1);
+      expect(session.getVillain().life).toBe(CONSTANTS.DEFAULT_VILLAIN_LIFE);
+      expect(session.getHeroes().every(h => h.life === CONSTANTS.DEFAULT_HERO_LIFE)).toBe(true);
+    });
+
+    test("should give each side its own starting time", () => {
+      ({ session } = createSession());
+
+      expect(session.getVillain().timeRemaining).toBe(90000);
+      expect(session.getHeroes().map(h => h.timeRemaining)).toEqual([60000, 60000, 60000]);
+    });
+
+    test("validateSettings should check archenemy settings", () => {
+      expect(validateSettings({ villainLife: 40, heroLife: 20, villainTime: 60000 })).toBe(true);
+      expect(validateSettings({ villainLife: 0 })).toBe(false);
+      expect(validateSettings({ heroTime: -1 })).toBe(false);
+    });
+  });
+
+  describe("setVillain", () => {
+    test("should swap starting values when the villain changes", () => {
+      ({ session } = createSession());
+
+      expect(session.setVillain(3)).toBe(true);
+
+      expect(session.villainId).toBe(3);
+      expect(session.players[2].life).toBe(CONSTANTS.DEFAULT_VILLAIN_LIFE);
+      expect(session.players[2].timeRemaining).toBe(90000);
+      expect(session.players[0].life).toBe(CONSTANTS.DEFAULT_HERO_LIFE);
+      expect(session.players[0].timeRemaining).toBe(60000);
+    });
+
+    test("should reject unknown players, no-op changes and running games", () => {
+      ({ session } = createSession());
+
+      expect(session.setVillain(9)).toBe(false);
+      expect(session.setVillain(1)).toBe(false);
+      session.start();
+      expect(session.setVillain(2)).toBe(false);
+    });
+
+    test("a random starting player becomes the villain and goes first", () => {
+      ({ session } = createSession());
+
+      session.setStartingPlayer(4);
+      session.start();
+
+      expect(session.villainId).toBe(4);
+      expect(session.activePlayer).toBe(4);
+    });
+
+    test("should keep the villain across a reset", () => {
+      ({ session } = createSession());
+      session.setVillain(2);
+      session.start();
+
+      session.reset();
+
+      expect(session.villainId).toBe(2);
+      expect(session.players[1].life).toBe(CONSTANTS.DEFAULT_VILLAIN_LIFE);
+    });
+  });
+
+  describe("turns", () => {
+    test("should alternate between the villain and the heroes", () => {
+      ({ session } = createSession());
+      session.start();
+
+      expect(session.activePlayer).toBe(1);
+      session.passTurn();
+      expect(session.activePlayer).toBe(2);
+      expect(session.isHeroTurn()).toBe(true);
+      session.passTurn();
+      expect(session.activePlayer).toBe(1);
+      expect(session.roundNumber).toBe(2);
+    });
+
+    test("should run every hero clock together on the heroes' turn", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(5000);
+      session.passTurn();
+
+      advance(3000);
+
+      expect(session.getVillain().timeRemaining).toBe(85000);
+      expect(session.getHeroes().map(h => h.timeRemaining)).toEqual([57000, 57000, 57000]);
+    });
+
+    test("should only run the interrupting player's clock during an interrupt", () => {
+      ({ session } = createSession());
+      session.start();
+      session.passTurn();
+
+      session.interrupt(1);
+      advance(2000);
+
+      expect(session.getVillain().timeRemaining).toBe(88000);
+      expect(session.getHeroes().map(h => h.timeRemaining)).toEqual([60000, 60000, 60000]);
+    });
+
+    test("should share Fischer bonus time with every hero", () => {
+      ({ session } = createSession({ clockMode: "fischer", bonusTime: 5000 }));
+      session.start();
+
+      session.passTurn();
+
+      expect(session.getHeroes().map(h => h.timeRemaining)).toEqual([65000, 65000, 65000]);
+      expect(session.getVillain().timeRemaining).toBe(90000);
+    });
+
+    test("should let any hero pass the heroes' turn", () => {
+      ({ session } = createSession());
+      session.claimPlayer(1, "villain");
+      session.claimPlayer(3, "hero-3");
+      session.start();
+
+      expect(session.canPassTurn("hero-3")).toBe(false);
+      expect(session.canPassTurn("villain")).toBe(true);
+      session.passTurn();
+      expect(session.canPassTurn("hero-3")).toBe(true);
+      expect(session.canPassTurn("villain")).toBe(false);
+    });
+
+    test("should hand the heroes' turn to the next hero when the lead is eliminated", () => {
+      ({ session } = createSession());
+      session.start();
+      session.passTurn();
+
+      session.eliminate(2);
+
+      expect(session.activePlayer).toBe(3);
+      expect(session.turnNumber).toBe(2);
+    });
+  });
+
+  describe("winning", () => {
+    test("should end with a heroes win when the villain is eliminated", () => {
+      ({ session } = createSession());
+      const onGameComplete = jest.spyOn(session, "onGameComplete");
+      session.start();
+
+      session.updatePlayer(1, { life: 0 });
+      session.eliminate(1);
+
+      expect(session.status).toBe("finished");
+      expect(session.winningSide).toBe("heroes");
+      expect(onGameComplete).toHaveBeenCalledWith(
+        expect.objectContaining({ winnerName: "Heroes", winningSide: "heroes" })
+      );
+    });
+
+    test("should end with a villain win once every hero is eliminated", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+
+      session.eliminate(2);
+      session.eliminate(3);
+      expect(session.status).toBe("running");
+      session.eliminate(4);
+
+      expect(session.status).toBe("finished");
+      expect(session.winner).toBe(1);
+      expect(session.winningSide).toBe("villain");
+      const complete = broadcasts.find(b => b.type === "gameComplete");
+      expect(complete.data.winningSide).toBe("villain");
+    });
+
+    test("revive should restore the side's starting values", () => {
+      ({ session } = createSession());
+      session.start();
+      session.updatePlayer(1, { life: 0, time: 0 });
+      session.eliminate(1);
+
+      session.revivePlayer(1);
+
+      expect(session.getVillain().life).toBe(CONSTANTS.DEFAULT_VILLAIN_LIFE);
+      expect(session.getVillain().timeRemaining).toBe(90000);
+      expect(session.winningSide).toBeNull();
+    });
+  });
+
+  describe("persistence", () => {
+    test("should restore the villain through getModeState/restoreModeState", () => {
+      ({ session } = createSession());
+      session.setVillain(3);
+      session.start();
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored).toBeInstanceOf(ArchenemyGameSession);
+      expect(restored.villainId).toBe(3);
+      expect(restored.getVillain().timeRemaining).toBe(90000);
+      restored.cleanup();
+    });
+
+    test("should include the villain in getState", () => {
+      ({ session } = createSession());
+
+      const state = session.getState();
+
+      expect(state.villainId).toBe(1);
+      expect(state.winningSide).toBeNull();
+    });
+  });
+});
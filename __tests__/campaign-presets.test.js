@@ -0,0 +1,224 @@
+/**
+ * Custom Campaign Preset Tests
+ *
+ * Tests for declarative preset validation, normalization, custom campaign
+ * sessions and preset storage.
+ */
+
+const fs = require("fs");
+const {
+  CampaignGameSession,
+  CampaignState,
+  normalizeCampaignPreset,
+} = require("../lib/game-modes/campaign");
+const { restoreGameSession } = require("../lib/game-modes");
+const { DEFAULT_SCORING } = require("../lib/shared/scoring-rules");
+const { SessionStorage, MemoryStorage } = require("../lib/storage");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateCampaignPreset, validateSettings } = require("../lib/shared/validators");
+
+function createPreset(overrides = {}) {
+  return {
+    name: "Friday League",
+    description: "Three quick rounds",
+    rounds: 3,
+    timePerRound: 8 * 60 * 1000,
+    timeDecreasePerRound: 60 * 1000,
+    minTime: 7 * 60 * 1000,
+    startingLife: 15,
+    startingHandSize: 6,
+    handSizeIncrement: 1,
+    winCondition: "total_points",
+    winTarget: null,
+    battleMultipliers: { 1: 1, 2: 2, 3: 3 },
+    playerMultipliers: { 0: 0, 1: 1, 2: 1.5 },
+    levelThresholds: [5, 20],
+    ...overrides,
+  };
+}
+
+function createCustomSession(overrides = {}, playerCount = 3) {
+  return new CampaignGameSession("CUSTOM", {
+    campaignPreset: "ABC123",
+    customCampaignPreset: normalizeCampaignPreset(createPreset(overrides)),
+    playerCount,
+  });
+}
+
+describe("validateCampaignPreset", () => {
+  test("should accept a complete preset and a minimal one", () => {
+    expect(validateCampaignPreset(createPreset())).toBe(true);
+    expect(
+      validateCampaignPreset({
+        name: "Quick",
+        rounds: 3,
+        timePerRound: 300000,
+        winCondition: "best_of",
+        winTarget: 2,
+      })
+    ).toBe(true);
+  });
+
+  test("should reject missing or out-of-range basics", () => {
+    expect(validateCampaignPreset(null)).toBe(false);
+    expect(validateCampaignPreset([])).toBe(false);
+    expect(validateCampaignPreset(createPreset({ name: " " }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ rounds: 0 }))).toBe(false);
+    expect(
+      validateCampaignPreset(createPreset({ rounds: CONSTANTS.MAX_CAMPAIGN_ROUNDS + 1 }))
+    ).toBe(false);
+    expect(validateCampaignPreset(createPreset({ startingLife: 0 }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ description: 42 }))).toBe(false);
+  });
+
+  test("should check the time curve", () => {
+    expect(validateCampaignPreset(createPreset({ timePerRound: 0 }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ timeDecreasePerRound: -1 }))).toBe(false);
+    // The floor can't be above the starting time
+    expect(validateCampaignPreset(createPreset({ minTime: 9 * 60 * 1000 }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ bonusTime: CONSTANTS.MAX_BONUS_TIME + 1 }))).toBe(
+      false
+    );
+  });
+
+  test("should require a win target only for best_of and first_to", () => {
+    expect(validateCampaignPreset(createPreset({ winCondition: "most_kills" }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ winCondition: "first_to" }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ winCondition: "first_to", winTarget: 4 }))).toBe(
+      false
+    );
+    expect(validateCampaignPreset(createPreset({ winCondition: "first_to", winTarget: 2 }))).toBe(
+      true
+    );
+    expect(validateCampaignPreset(createPreset({ winTarget: 2 }))).toBe(false);
+  });
+
+  test("should check multiplier tables and level thresholds", () => {
+    expect(validateCampaignPreset(createPreset({ battleMultipliers: { 4: 2 } }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ battleMultipliers: {} }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ playerMultipliers: { 1: -1 } }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ playerMultipliers: { x: 1 } }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ levelThresholds: [10, 5] }))).toBe(false);
+    expect(validateCampaignPreset(createPreset({ levelThresholds: "10" }))).toBe(false);
+  });
+
+  test("validateSettings should not accept a preset config from the client", () => {
+    expect(validateSettings({ campaignPreset: "ABC123" })).toBe(true);
+    expect(validateSettings({ campaignPreset: 7 })).toBe(false);
+    expect(validateSettings({ customCampaignPreset: createPreset() })).toBe(false);
+  });
+});
+
+describe("normalizeCampaignPreset", () => {
+  test("should drop unknown fields and fill in the time curve defaults", () => {
+    const config = normalizeCampaignPreset({
+      name: "Quick",
+      rounds: 4,
+      timePerRound: 600000,
+      timeDecreasePerRound: 60000,
+      winCondition: "total_time",
+      scoringFormula: "() => 1",
+    });
+
+    expect(config.scoringFormula).toBeUndefined();
+    expect(config.description).toBe("");
+    expect(config.minTime).toBe(420000);
+    expect(config.winTarget).toBeNull();
+  });
+});
+
+describe("Custom campaign sessions", () => {
+  test("should use the preset's name, time curve and starting values", () => {
+    const session = createCustomSession();
+
+    expect(session.getModeName()).toBe("Campaign - Friday League");
+    expect(session.campaign.preset).toBe("ABC123");
+    expect(session.campaign.maxRounds).toBe(3);
+    expect(session.settings.initialTime).toBe(8 * 60 * 1000);
+    expect(session.players.every(p => p.life === 15)).toBe(true);
+    expect(session.getState().campaign.handSize).toBe(6);
+    expect(session.settings.customCampaignPreset).toBeUndefined();
+  });
+
+  test("should stop the time curve at the minimum", () => {
+    const campaign = new CampaignState("ABC123", 2, normalizeCampaignPreset(createPreset()));
+
+    campaign.currentRound = 3;
+
+    expect(campaign.getCurrentRoundTime()).toBe(7 * 60 * 1000);
+  });
+
+  test("should score damage with the preset's multiplier tables", () => {
+    const campaign = new CampaignState("ABC123", 3, normalizeCampaignPreset(createPreset()));
+    campaign.currentRound = 2;
+    campaign.recordDamage(1, 2, 4);
+    campaign.recordDamage(1, 3, 2);
+
+    // 6 damage x 1.5 (two opponents) x 2 (round 2)
+    expect(campaign.calculatePoints(1)).toBe(18);
+    expect(campaign.calculateLevel(18)).toBe(2);
+  });
+
+  test("should count missing tables as 1x and cap the player table at its highest entry", () => {
+    const campaign = new CampaignState(
+      "ABC123",
+      4,
+      normalizeCampaignPreset(
+        createPreset({ battleMultipliers: undefined, playerMultipliers: { 1: 2 } })
+      )
+    );
+    campaign.recordDamage(1, 2, 1);
+    campaign.recordDamage(1, 3, 1);
+    campaign.recordDamage(1, 4, 1);
+
+    expect(campaign.calculatePoints(1)).toBe(6);
+  });
+
+  test("should keep the custom config through persistence", () => {
+    const session = createCustomSession();
+    session.start();
+
+    const restored = restoreGameSession(session.toJSON());
+
+    expect(restored.campaign.config.name).toBe("Friday League");
+    expect(restored.campaign.config.scoring).toEqual(DEFAULT_SCORING);
+    expect(restored.campaign.getCurrentRoundTime()).toBe(8 * 60 * 1000);
+    restored.cleanup();
+    session.cleanup();
+  });
+});
+
+describe("Campaign preset storage", () => {
+  const testDbPath = "./data/test-campaign-presets.db";
+  const record = { id: "ABC123", preset: createPreset(), createdBy: "client-1", createdAt: 1000 };
+
+  afterEach(() => {
+    for (const suffix of ["", "-wal", "-shm"]) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  });
+
+  test("MemoryStorage should save, load and list presets", () => {
+    const storage = new MemoryStorage().initialize();
+
+    storage.saveCampaignPreset("ABC123", record);
+
+    expect(storage.loadCampaignPreset("ABC123")).toEqual(record);
+    expect(storage.loadCampaignPreset("NOPE")).toBeNull();
+    expect(storage.loadAllCampaignPresets()).toEqual([record]);
+  });
+
+  test("SessionStorage should save, load and list presets oldest first", () => {
+    const storage = new SessionStorage(testDbPath).initialize();
+    const newer = { ...record, id: "DEF456", createdAt: 2000 };
+
+    storage.saveCampaignPreset("DEF456", newer);
+    storage.saveCampaignPreset("ABC123", record);
+
+    expect(storage.loadCampaignPreset("ABC123")).toEqual(record);
+    expect(storage.loadAllCampaignPresets().map(r => r.id)).toEqual(["ABC123", "DEF456"]);
+    storage.close();
+  });
+});
@@ -6,6 +6,9 @@ const {
   findNextActivePlayer,
   getTimeWarningLevel,
   parseWarningThresholds,
+  getRadialSeatPositions,
+  getSeating,
+  getPlayersFromSeat,
 } = require("../lib/client-utils");
 
 describe("formatTime", () => {
@@ -238,3 +241,52 @@ describe("CONSTANTS", () => {
     expect(CONSTANTS.MINUTE_MS).toBe(60000);
   });
 });
+
+describe("getRadialSeatPositions", () => {
+  test("should seat two players across the table facing each other", () => {
+    expect(getRadialSeatPositions(2)).toEqual([
+      { x: 50, y: 86, rotation: 0 },
+      { x: 50, y: 14, rotation: 180 },
+    ]);
+  });
+
+  test("should go clockwise from the bottom", () => {
+    const [bottom, left, top, right] = getRadialSeatPositions(4);
+
+    expect(left).toEqual({ x: 14, y: 50, rotation: 90 });
+    expect(top.rotation).toBe(180);
+    expect(right).toEqual({ x: 86, y: 50, rotation: 270 });
+    expect(bottom.y).toBeGreaterThan(top.y);
+  });
+
+  test("should return a seat for every player", () => {
+    expect(getRadialSeatPositions(8)).toHaveLength(8);
+    expect(getRadialSeatPositions(0)).toEqual([]);
+  });
+});
+
+describe("seating", () => {
+  const players = [1, 2, 3, 4].map(id => ({ id }));
+  const ids = list => list.map(p => p.id);
+
+  test("should follow the seat map", () => {
+    expect(ids(getSeating(players, [3, 1, 4, 2]))).toEqual([3, 1, 4, 2]);
+  });
+
+  test("should keep player order without a usable seat map", () => {
+    expect(ids(getSeating(players, null))).toEqual([1, 2, 3, 4]);
+    expect(ids(getSeating(players, [1, 2, 3]))).toEqual([1, 2, 3, 4]);
+    expect(ids(getSeating(players, [1, 1, 2, 3]))).toEqual([1, 2, 3, 4]);
+  });
+
+  test("should start with whoever plays after the viewer", () => {
+    expect(ids(getPlayersFromSeat(players, [3, 1, 4, 2], "clockwise", 1))).toEqual([4, 2, 3]);
+    expect(ids(getPlayersFromSeat(players, [3, 1, 4, 2], "counterclockwise", 1))).toEqual([
+      3, 2, 4,
+    ]);
+  });
+
+  test("should start from seat 1 without a viewer", () => {
+    expect(ids(getPlayersFromSeat(players, null, "counterclockwise", null))).toEqual([1, 4, 3, 2]);
+  });
+});
@@ -0,0 +1,184 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings, validateClockMode } = require("../lib/shared/validators");
+
+/**
+ * Helper to create a started session with a given clock mode.
+ * Date.now is mocked so tick() elapsed time is deterministic.
+ */
+function createSession(overrides = {}) {
+  const session = new CasualGameSession("TEST", {
+    playerCount: 3,
+    initialTime: 60000,
+    bonusTime: 10000,
+    ...overrides,
+  });
+  return session;
+}
+
+describe("Clock Modes", () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function advance(session, ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("defaults and validation", () => {
+    test("should default to fischer", () => {
+      const session = createSession();
+      expect(session.settings.clockMode).toBe(CONSTANTS.CLOCK_MODES.FISCHER);
+    });
+
+    test("validateClockMode accepts known modes only", () => {
+      Object.values(CONSTANTS.CLOCK_MODES).forEach(mode => {
+        expect(validateClockMode(mode)).toBe(true);
+      });
+      expect(validateClockMode("hourglass")).toBe(false);
+      expect(validateClockMode(undefined)).toBe(false);
+    });
+
+    test("validateSettings rejects unknown clock mode", () => {
+      expect(validateSettings({ clockMode: "delay" })).toBe(true);
+      expect(validateSettings({ clockMode: "bogus" })).toBe(false);
+    });
+  });
+
+  describe("fischer", () => {
+    test("should add bonus time to the incoming player", () => {
+      const session = createSession({ clockMode: "fischer" });
+      session.start();
+      session.passTurn();
+
+      expect(session.players[1].timeRemaining).toBe(70000);
+      session.cleanup();
+    });
+  });
+
+  describe("none", () => {
+    test("should not add any time on turn change", () => {
+      const session = createSession({ clockMode: "none" });
+      session.start();
+      advance(session, 5000);
+      session.passTurn();
+
+      expect(session.players[0].timeRemaining).toBe(55000);
+      expect(session.players[1].timeRemaining).toBe(60000);
+      session.cleanup();
+    });
+  });
+
+  describe("delay", () => {
+    test("should hold the countdown until the delay has elapsed", () => {
+      const session = createSession({ clockMode: "delay" });
+      session.start();
+
+      advance(session, 6000);
+      expect(session.players[0].timeRemaining).toBe(60000);
+      expect(session.delayRemaining).toBe(4000);
+
+      advance(session, 6000);
+      expect(session.players[0].timeRemaining).toBe(58000);
+      expect(session.delayRemaining).toBe(0);
+      session.cleanup();
+    });
+
+    test("should give the next player a fresh delay without adding time", () => {
+      const session = createSession({ clockMode: "delay" });
+      session.start();
+      advance(session, 12000);
+      session.passTurn();
+
+      expect(session.players[1].timeRemaining).toBe(60000);
+      expect(session.delayRemaining).toBe(10000);
+
+      advance(session, 3000);
+      expect(session.players[1].timeRemaining).toBe(60000);
+      session.cleanup();
+    });
+
+    test("should not hold interrupting player's clock", () => {
+      const session = createSession({ clockMode: "delay" });
+      session.start();
+      session.interrupt(2);
+
+      advance(session, 3000);
+      expect(session.players[1].timeRemaining).toBe(57000);
+      expect(session.delayRemaining).toBe(10000);
+      session.cleanup();
+    });
+  });
+
+  describe("bronstein", () => {
+    test("should refund only the time actually used", () => {
+      const session = createSession({ clockMode: "bronstein" });
+      session.start();
+      advance(session, 4000);
+      session.passTurn();
+
+      expect(session.players[0].timeRemaining).toBe(60000);
+      expect(session.players[1].timeRemaining).toBe(60000);
+      session.cleanup();
+    });
+
+    test("should cap the refund at bonus time", () => {
+      const session = createSession({ clockMode: "bronstein" });
+      session.start();
+      advance(session, 25000);
+      session.passTurn();
+
+      expect(session.players[0].timeRemaining).toBe(45000);
+      session.cleanup();
+    });
+
+    test("should not refund an eliminated player", () => {
+      const session = createSession({ clockMode: "bronstein" });
+      session.start();
+      advance(session, 4000);
+      session.eliminate(1);
+      session.passTurn();
+
+      expect(session.players[0].timeRemaining).toBe(56000);
+      session.cleanup();
+    });
+  });
+
+  describe("serialization", () => {
+    test("should persist clock mode and per-turn clock state", () => {
+      const session = createSession({ clockMode: "delay" });
+      session.start();
+      advance(session, 2500);
+      session.pause();
+
+      const restored = CasualGameSession.fromState(session.toJSON());
+      expect(restored.settings.clockMode).toBe("delay");
+      expect(restored.delayRemaining).toBe(7500);
+
+      const bronstein = createSession({ clockMode: "bronstein" });
+      bronstein.start();
+      bronstein.pause();
+      const restoredBronstein = CasualGameSession.fromState(bronstein.toJSON());
+      expect(restoredBronstein.turnStartTime).toBe(60000);
+      session.cleanup();
+      bronstein.cleanup();
+    });
+
+    test("reset should clear per-turn clock state", () => {
+      const session = createSession({ clockMode: "delay" });
+      session.start();
+      session.reset();
+
+      expect(session.delayRemaining).toBe(0);
+      expect(session.turnStartTime).toBeNull();
+    });
+  });
+});
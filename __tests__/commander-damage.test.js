@@ -0,0 +1,143 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new CasualGameSession(
+    "TEST",
+    { playerCount: 3, initialTime: 60000, ...overrides },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Commander Damage", () => {
+  test("players should start with an empty commander damage map", () => {
+    const { session } = createSession();
+
+    session.players.forEach(p => expect(p.commanderDamage).toEqual({}));
+  });
+
+  test("should track damage per source and slot", () => {
+    const { session } = createSession();
+
+    session.updateCommanderDamage(1, 2, 0, 4);
+    session.updateCommanderDamage(1, 3, 1, 6);
+
+    expect(session.players[0].commanderDamage).toEqual({ 2: [4, 0], 3: [0, 6] });
+  });
+
+  test("should apply the change in damage to life", () => {
+    const { session } = createSession();
+    const spy = jest.spyOn(session, "onPlayerLifeChanged");
+
+    session.updateCommanderDamage(1, 2, 0, 7);
+    expect(session.players[0].life).toBe(13);
+    expect(spy).toHaveBeenCalledWith(1, 20, 13);
+
+    // Correcting the damage down restores life
+    session.updateCommanderDamage(1, 2, 0, 5);
+    expect(session.players[0].life).toBe(15);
+  });
+
+  test("should clamp damage to the counter range", () => {
+    const { session } = createSession();
+
+    session.updateCommanderDamage(1, 2, 0, -5);
+    expect(session.players[0].commanderDamage).toEqual({});
+
+    session.updateCommanderDamage(1, 2, 0, 5000);
+    expect(session.players[0].commanderDamage[2][0]).toBe(CONSTANTS.MAX_COUNTER);
+  });
+
+  test("should ignore unknown players", () => {
+    const { session } = createSession();
+
+    session.updateCommanderDamage(1, 9, 0, 5);
+    session.updateCommanderDamage(9, 1, 0, 5);
+
+    expect(session.players[0].commanderDamage).toEqual({});
+  });
+
+  test("should eliminate at 21 from a single commander even with life remaining", () => {
+    const { session } = createSession();
+    session.players[0].life = 40;
+    session.start();
+
+    session.updateCommanderDamage(1, 2, 0, CONSTANTS.COMMANDER_DAMAGE_LETHAL);
+
+    expect(session.players[0].life).toBe(19);
+    expect(session.players[0].isEliminated).toBe(true);
+    expect(session.activePlayer).toBe(2);
+    session.cleanup();
+  });
+
+  test("should not combine commander and partner damage", () => {
+    const { session } = createSession();
+    session.players[0].life = 40;
+
+    session.updateCommanderDamage(1, 2, 0, 15);
+    session.updateCommanderDamage(1, 2, 1, 15);
+
+    expect(session.players[0].isEliminated).toBe(false);
+  });
+
+  test("should declare a winner when lethal damage leaves one player", () => {
+    const { session, broadcasts } = createSession({ playerCount: 2 });
+    session.players[0].life = 40;
+
+    session.updateCommanderDamage(1, 2, 0, 21);
+
+    expect(session.status).toBe("finished");
+    expect(session.winner).toBe(2);
+    expect(broadcasts.some(b => b.type === "gameComplete")).toBe(true);
+  });
+
+  test("should remove eliminated target during resolution", () => {
+    const { session } = createSession();
+    session.start();
+    session.startTargetSelection();
+    session.toggleTarget(2);
+    session.toggleTarget(3);
+    session.confirmTargets();
+    session.players[1].life = 40;
+
+    session.updateCommanderDamage(2, 1, 0, 21);
+
+    expect(session.players[1].isEliminated).toBe(true);
+    expect(session.awaitingPriority).toEqual([3]);
+    session.cleanup();
+  });
+
+  test("revive should clear commander damage", () => {
+    const { session } = createSession();
+    session.players[0].life = 40;
+    session.updateCommanderDamage(1, 2, 0, 21);
+
+    session.revivePlayer(1);
+
+    expect(session.players[0].isEliminated).toBe(false);
+    expect(session.players[0].commanderDamage).toEqual({});
+  });
+
+  test("should be included in public state as a copy", () => {
+    const { session } = createSession();
+    session.updateCommanderDamage(1, 2, 0, 3);
+
+    const state = session.getState();
+    state.players[0].commanderDamage[2][0] = 99;
+
+    expect(session.players[0].commanderDamage[2][0]).toBe(3);
+  });
+
+  test("should persist through toJSON/fromState", () => {
+    const { session } = createSession();
+    session.updateCommanderDamage(1, 2, 0, 3);
+    session.updateCommanderDamage(1, 3, 1, 8);
+
+    const restored = CasualGameSession.fromState(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.players[0].commanderDamage).toEqual({ 2: [3, 0], 3: [0, 8] });
+    expect(restored.players[1].commanderDamage).toEqual({});
+  });
+});
@@ -0,0 +1,186 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+const {
+  validateSettings,
+  validateCounterIds,
+  validateCustomCounters,
+} = require("../lib/shared/validators");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new CasualGameSession(
+    "TEST",
+    { playerCount: 3, initialTime: 60000, ...overrides },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Counter Registry", () => {
+  describe("registry", () => {
+    test("should define built-in counter types with bounds", () => {
+      ["drunk", "generic", "poison", "energy", "experience", "rad"].forEach(id => {
+        const def = CONSTANTS.COUNTER_TYPES[id];
+        expect(def.id).toBe(id);
+        expect(def.min).toBeLessThanOrEqual(def.max);
+      });
+    });
+
+    test("poison should be lethal at 10", () => {
+      expect(CONSTANTS.COUNTER_TYPES.poison.lethal).toBe(10);
+    });
+  });
+
+  describe("validation", () => {
+    test("validateCounterIds should accept known unique IDs", () => {
+      expect(validateCounterIds(["poison", "energy"])).toBe(true);
+      expect(validateCounterIds([])).toBe(true);
+      expect(validateCounterIds(["poison", "poison"])).toBe(false);
+      expect(validateCounterIds(["storm"])).toBe(false);
+      expect(validateCounterIds("poison")).toBe(false);
+    });
+
+    test("validateCustomCounters should check name, icon and bounds", () => {
+      expect(validateCustomCounters([{ name: "Storm", icon: "S", min: 0, max: 50 }])).toBe(true);
+      expect(validateCustomCounters([{ name: "", min: 0, max: 5 }])).toBe(false);
+      expect(validateCustomCounters([{ name: "Storm", min: 5, max: 0 }])).toBe(false);
+      expect(validateCustomCounters([{ name: "Storm", min: 0.5, max: 5 }])).toBe(false);
+      expect(validateCustomCounters([{ name: "Storm", icon: "x".repeat(20), min: 0, max: 5 }])).toBe(
+        false
+      );
+      expect(
+        validateCustomCounters([
+          { name: "Storm", min: 0, max: 5 },
+          { name: "storm", min: 0, max: 5 },
+        ])
+      ).toBe(false);
+    });
+
+    test("validateCustomCounters should limit the number of counters", () => {
+      const counters = Array.from({ length: CONSTANTS.MAX_CUSTOM_COUNTERS + 1 }, (_, i) => ({
+        name: `C${i}`,
+        min: 0,
+        max: 5,
+      }));
+      expect(validateCustomCounters(counters)).toBe(false);
+    });
+
+    test("validateSettings should validate counter settings", () => {
+      expect(validateSettings({ counters: ["poison"] })).toBe(true);
+      expect(validateSettings({ counters: ["nope"] })).toBe(false);
+      expect(validateSettings({ customCounters: [{ name: "A", min: 0, max: 1 }] })).toBe(true);
+      expect(validateSettings({ customCounters: [{ name: "A" }] })).toBe(false);
+    });
+  });
+
+  describe("session", () => {
+    test("should enable drunk and generic counters by default", () => {
+      const { session } = createSession();
+
+      expect(session.getCounterDefinitions().map(d => d.id)).toEqual(["drunk", "generic"]);
+    });
+
+    test("should include enabled built-ins followed by custom counters", () => {
+      const { session } = createSession({
+        counters: ["poison", "energy"],
+        customCounters: [{ name: "Storm", icon: "S", min: 0, max: 50 }],
+      });
+
+      const defs = session.getCounterDefinitions();
+      expect(defs.map(d => d.id)).toEqual(["poison", "energy", "custom:storm"]);
+      expect(defs[2]).toMatchObject({ name: "Storm", icon: "S", min: 0, max: 50, custom: true });
+    });
+
+    test("should store registry counters in player.counters", () => {
+      const { session } = createSession({ counters: ["energy"] });
+
+      session.updatePlayer(1, { counters: { energy: 4 } });
+
+      expect(session.players[0].counters.energy).toBe(4);
+    });
+
+    test("should clamp counters to their definition bounds", () => {
+      const { session } = createSession({
+        customCounters: [{ name: "Storm", min: -5, max: 10 }],
+      });
+
+      session.updatePlayer(1, { counters: { "custom:storm": 50 } });
+      expect(session.players[0].counters["custom:storm"]).toBe(10);
+
+      session.updatePlayer(1, { counters: { "custom:storm": -50 } });
+      expect(session.players[0].counters["custom:storm"]).toBe(-5);
+    });
+
+    test("should route field-backed counters to their player field", () => {
+      const { session } = createSession();
+
+      session.updatePlayer(1, { counters: { drunk: 3, generic: 2000 } });
+
+      expect(session.players[0].drunkCounter).toBe(3);
+      expect(session.players[0].genericCounter).toBe(CONSTANTS.COUNTER_TYPES.generic.max);
+    });
+
+    test("should ignore unknown counters and non-numeric values", () => {
+      const { session } = createSession();
+
+      session.updatePlayer(1, { counters: { storm: 3, drunk: "lots" } });
+
+      expect(session.players[0].counters).toEqual({});
+      expect(session.players[0].drunkCounter).toBe(0);
+    });
+
+    test("should eliminate at 10 poison", () => {
+      const { session } = createSession({ counters: ["poison"] });
+      session.start();
+
+      session.updatePlayer(1, { counters: { poison: 9 } });
+      expect(session.players[0].isEliminated).toBe(false);
+
+      session.updatePlayer(1, { counters: { poison: 10 } });
+      expect(session.players[0].isEliminated).toBe(true);
+      expect(session.activePlayer).toBe(2);
+      session.cleanup();
+    });
+
+    test("revive should clear lethal poison", () => {
+      const { session } = createSession({ counters: ["poison"] });
+      session.updatePlayer(1, { counters: { poison: 10, energy: 2 } });
+
+      session.revivePlayer(1);
+
+      expect(session.players[0].isEliminated).toBe(false);
+      expect(session.players[0].counters).toEqual({ poison: 0, energy: 2 });
+    });
+
+    test("setCustomCounters should replace the lobby's custom counters", () => {
+      const { session } = createSession({ customCounters: [{ name: "A", min: 0, max: 1 }] });
+
+      session.setCustomCounters([{ name: "B", min: 0, max: 3 }]);
+
+      expect(session.settings.customCounters.map(c => c.id)).toEqual(["custom:b"]);
+    });
+
+    test("getState should expose counter definitions and player counters", () => {
+      const { session } = createSession({ counters: ["rad"] });
+      session.updatePlayer(2, { counters: { rad: 7 } });
+
+      const state = session.getState();
+
+      expect(state.counterDefinitions.map(d => d.id)).toEqual(["rad"]);
+      expect(state.players[1].counters).toEqual({ rad: 7 });
+    });
+
+    test("should persist counters and counter settings", () => {
+      const { session } = createSession({
+        counters: ["poison"],
+        customCounters: [{ name: "Storm", icon: "S", min: 0, max: 50 }],
+      });
+      session.updatePlayer(1, { counters: { poison: 3, "custom:storm": 12 } });
+
+      const restored = CasualGameSession.fromState(JSON.parse(JSON.stringify(session.toJSON())));
+
+      expect(restored.players[0].counters).toEqual({ poison: 3, "custom:storm": 12 });
+      expect(restored.getCounterDefinitions()).toEqual(session.getCounterDefinitions());
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { restoreGameSession } = require("../lib/game-modes");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+function createSession(overrides = {}) {
+  const session = new CasualGameSession("TEST", { playerCount: 3, ...overrides });
+  session.start();
+  return session;
+}
+
+describe("Global Designations", () => {
+  let session;
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+  });
+
+  describe("monarch and initiative", () => {
+    test("should start with nobody holding a designation", () => {
+      session = new CasualGameSession("TEST");
+
+      expect(session.monarch).toBeNull();
+      expect(session.initiative).toBeNull();
+      expect(session.dayNight).toBeNull();
+      expect(session.getState()).toMatchObject({
+        monarch: null,
+        initiative: null,
+        dungeonRooms: {},
+        dayNight: null,
+        spellsCastThisTurn: 0,
+      });
+    });
+
+    test("should move the monarch between players and remove it", () => {
+      session = createSession();
+
+      expect(session.transferDesignation("monarch", 2)).toBe(true);
+      expect(session.transferDesignation("monarch", 2)).toBe(false);
+      expect(session.transferDesignation("monarch", 3)).toBe(true);
+      expect(session.monarch).toBe(3);
+
+      expect(session.transferDesignation("monarch", null)).toBe(true);
+      expect(session.monarch).toBeNull();
+    });
+
+    test("should reject unknown designations and eliminated players", () => {
+      session = createSession();
+      session.eliminate(3);
+
+      expect(session.transferDesignation("ring", 1)).toBe(false);
+      expect(session.transferDesignation("monarch", 3)).toBe(false);
+      expect(session.transferDesignation("monarch", 9)).toBe(false);
+    });
+
+    test("taking the initiative should venture into the Undercity", () => {
+      session = createSession();
+
+      session.transferDesignation("initiative", 2);
+      session.transferDesignation("initiative", 1);
+      session.transferDesignation("initiative", 2);
+
+      expect(session.dungeonRooms[2]).toBe(2);
+      expect(session.dungeonRooms[1]).toBe(1);
+    });
+
+    test("the initiative holder should venture at the start of their turn", () => {
+      session = createSession();
+      session.transferDesignation("initiative", 2);
+
+      session.passTurn();
+      expect(session.dungeonRooms[2]).toBe(2);
+      session.passTurn();
+      expect(session.dungeonRooms[2]).toBe(2);
+    });
+
+    test("should start the Undercity over after its last room", () => {
+      session = createSession();
+      session.transferDesignation("initiative", 1);
+      for (let i = 1; i < CONSTANTS.UNDERCITY_ROOMS.length; i++) {
+        session.ventureIntoUndercity(1);
+      }
+      expect(session.dungeonRooms[1]).toBe(CONSTANTS.UNDERCITY_ROOMS.length);
+
+      expect(session.ventureIntoUndercity(1)).toBe(1);
+    });
+
+    test("should pass designations to the active player when the holder is eliminated", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 2);
+      session.transferDesignation("initiative", 2);
+
+      session.eliminate(2);
+
+      expect(session.monarch).toBe(1);
+      expect(session.initiative).toBe(1);
+      expect(session.dungeonRooms[1]).toBe(1);
+    });
+
+    test("should pass to the next player when the holder is eliminated on their turn", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 1);
+
+      session.eliminate(1);
+
+      expect(session.activePlayer).toBe(2);
+      expect(session.monarch).toBe(2);
+    });
+
+    test("should pass on when the holder dies to commander damage", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 2);
+      session.transferDesignation("initiative", 2);
+
+      session.updateCommanderDamage(2, 3, 0, 21);
+
+      expect(session.players[1].isEliminated).toBe(true);
+      expect(session.monarch).toBe(1);
+      expect(session.initiative).toBe(1);
+    });
+
+    test("should pass on when the holder dies to a timeout", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 1);
+      session.handleTimeout(session.players[0]);
+
+      session.resolveTimeoutChoice(1, "die");
+
+      expect(session.activePlayer).toBe(2);
+      expect(session.monarch).toBe(2);
+    });
+
+    test("should pass on when the holder is kicked", () => {
+      session = createSession();
+      session.claimPlayer(3, "client3");
+      session.transferDesignation("monarch", 3);
+
+      session.kickPlayer(3);
+
+      expect(session.monarch).toBe(1);
+    });
+  });
+
+  describe("day and night", () => {
+    test("day should become night after a turn with no spells", () => {
+      session = createSession();
+      session.setDayNight("day");
+
+      session.passTurn();
+
+      expect(session.dayNight).toBe("night");
+    });
+
+    test("day should stay day once the active player casts a spell", () => {
+      session = createSession();
+      session.setDayNight("day");
+      session.setSpellsCast(1);
+
+      session.passTurn();
+
+      expect(session.dayNight).toBe("day");
+      expect(session.spellsCastThisTurn).toBe(0);
+    });
+
+    test("night should become day after a turn with two or more spells", () => {
+      session = createSession();
+      session.setDayNight("night");
+      session.setSpellsCast(1);
+      session.passTurn();
+      expect(session.dayNight).toBe("night");
+
+      session.setSpellsCast(2);
+      session.passTurn();
+
+      expect(session.dayNight).toBe("day");
+    });
+
+    test("should not flip before it has become day or night", () => {
+      session = createSession();
+
+      session.passTurn();
+
+      expect(session.dayNight).toBeNull();
+    });
+
+    test("should reject invalid states and spell counts", () => {
+      session = createSession();
+
+      expect(session.setDayNight("dusk")).toBe(false);
+      expect(session.setSpellsCast(-1)).toBe(false);
+      expect(session.setSpellsCast(1.5)).toBe(false);
+      expect(session.setSpellsCast(CONSTANTS.MAX_SPELLS_PER_TURN + 1)).toBe(false);
+    });
+  });
+
+  describe("undo and persistence", () => {
+    test("undoing a pass should restore day/night and the spell count", () => {
+      session = createSession();
+      session.setOwner("owner");
+      session.setDayNight("day");
+      session.transferDesignation("initiative", 2);
+
+      session.recordAction("passTurn", "owner", () => session.passTurn());
+      expect(session.dayNight).toBe("night");
+      expect(session.dungeonRooms[2]).toBe(2);
+
+      session.undo("owner");
+
+      expect(session.dayNight).toBe("day");
+      expect(session.dungeonRooms[2]).toBe(1);
+    });
+
+    test("reset should clear every designation", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 1);
+      session.transferDesignation("initiative", 2);
+      session.setDayNight("night");
+
+      session.reset();
+
+      expect(session.monarch).toBeNull();
+      expect(session.initiative).toBeNull();
+      expect(session.dungeonRooms).toEqual({});
+      expect(session.dayNight).toBeNull();
+    });
+
+    test("should survive persistence", () => {
+      session = createSession();
+      session.transferDesignation("monarch", 3);
+      session.transferDesignation("initiative", 2);
+      session.setDayNight("day");
+      session.setSpellsCast(1);
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored.monarch).toBe(3);
+      expect(restored.initiative).toBe(2);
+      expect(restored.dungeonRooms[2]).toBe(1);
+      expect(restored.dayNight).toBe("day");
+      expect(restored.spellsCastThisTurn).toBe(1);
+      restored.cleanup();
+    });
+  });
+});
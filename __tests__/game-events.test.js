@@ -0,0 +1,121 @@
+const fs = require("fs");
+const { SessionStorage, MemoryStorage } = require("../lib/storage");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { CasualGameSession } = require("../lib/game-modes/casual");
+
+describe("Game Event Log", () => {
+  const testDbPath = "./data/test-game-events.db";
+
+  afterAll(() => {
+    for (const suffix of ["", "-wal", "-shm"]) {
+      try {
+        if (fs.existsSync(testDbPath + suffix)) {
+          fs.unlinkSync(testDbPath + suffix);
+        }
+      } catch (e) {
+        // Ignore cleanup errors
+      }
+    }
+  });
+
+  describe("SessionStorage", () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new SessionStorage(testDbPath).initialize();
+      storage.db.exec("DELETE FROM game_events; DELETE FROM sessions;");
+    });
+
+    afterEach(() => {
+      storage.close();
+    });
+
+    test("should append and load events in order per game", () => {
+      storage.appendEvent("GAME01", { type: "create", timestamp: 1, data: {} });
+      storage.appendEvent("GAME02", { type: "create", timestamp: 2, data: {} });
+      storage.appendEvent("GAME01", { type: "start", timestamp: 3, data: {} });
+
+      expect(storage.loadEvents("GAME01")).toEqual([
+        { type: "create", timestamp: 1, data: {} },
+        { type: "start", timestamp: 3, data: {} },
+      ]);
+    });
+
+    test("should keep only the newest events of each game", () => {
+      const maxEvents = CONSTANTS.MAX_GAME_EVENTS;
+      CONSTANTS.MAX_GAME_EVENTS = 2;
+      try {
+        storage.appendEvent("GAME02", { type: "create", timestamp: 1 });
+        for (const type of ["create", "start", "passTurn"]) {
+          storage.appendEvent("GAME01", { type, timestamp: 2 });
+        }
+      } finally {
+        CONSTANTS.MAX_GAME_EVENTS = maxEvents;
+      }
+
+      expect(storage.loadEvents("GAME01").map(e => e.type)).toEqual(["start", "passTurn"]);
+      expect(storage.loadEvents("GAME02")).toHaveLength(1);
+    });
+
+    test("should delete a game's events with the session", () => {
+      storage.save("GAME01", { id: "GAME01" });
+      storage.appendEvent("GAME01", { type: "create", timestamp: 1 });
+
+      storage.delete("GAME01");
+
+      expect(storage.loadEvents("GAME01")).toEqual([]);
+    });
+
+    test("cleanup should drop old orphaned events but keep recent ones", () => {
+      const now = Date.now();
+      storage.appendEvent("OLD", { type: "create", timestamp: now - 10000 });
+      storage.appendEvent("NEW", { type: "create", timestamp: now });
+      storage.save("KEPT", { id: "KEPT" });
+      storage.appendEvent("KEPT", { type: "create", timestamp: now - 10000 });
+
+      storage.cleanup(5000);
+
+      expect(storage.loadEvents("OLD")).toEqual([]);
+      expect(storage.loadEvents("NEW")).toHaveLength(1);
+      expect(storage.loadEvents("KEPT")).toHaveLength(1);
+    });
+  });
+
+  describe("MemoryStorage", () => {
+    test("should keep only the newest events of each game", () => {
+      const storage = new MemoryStorage().initialize();
+      const maxEvents = CONSTANTS.MAX_GAME_EVENTS;
+      CONSTANTS.MAX_GAME_EVENTS = 2;
+      try {
+        for (const type of ["create", "start", "passTurn"]) {
+          storage.appendEvent("GAME01", { type, timestamp: 1 });
+        }
+      } finally {
+        CONSTANTS.MAX_GAME_EVENTS = maxEvents;
+      }
+
+      expect(storage.loadEvents("GAME01").map(e => e.type)).toEqual(["start", "passTurn"]);
+    });
+  });
+
+  describe("getReplaySnapshot", () => {
+    test("should capture turn state and public player fields", () => {
+      const session = new CasualGameSession("TEST", { playerCount: 2 });
+      session.claimPlayer(1, "client-1");
+      session.start();
+      session.updatePlayer(2, { life: 12, counters: { poison: 2 } });
+
+      const snapshot = session.getReplaySnapshot();
+
+      expect(snapshot.status).toBe("running");
+      expect(snapshot.activePlayer).toBe(1);
+      expect(snapshot.players[0]).toEqual(expect.objectContaining({ id: 1, claimed: true }));
+      expect(snapshot.players[1]).toEqual(
+        expect.objectContaining({ life: 12, counters: { poison: 2 }, claimed: false })
+      );
+      expect(snapshot.players[0]).not.toHaveProperty("claimedBy");
+      expect(snapshot.players[0]).not.toHaveProperty("reconnectToken");
+      session.cleanup();
+    });
+  });
+});
@@ -430,6 +430,51 @@ describe("GameSession", () => {
     });
   });
 
+  describe("ready check", () => {
+    test("should need every seat claimed and ready when required", () => {
+      session.settings.requireReady = true;
+      session.players.forEach(p => session.claimPlayer(p.id, `client${p.id}`));
+      expect(session.canStartGame()).toBe(false);
+
+      session.players.forEach(p => session.setReady(p.id, true));
+
+      expect(session.canStartGame()).toBe(true);
+      expect(session.getState().players.every(p => p.ready)).toBe(true);
+    });
+
+    test("should clear ready when the seat is given up", () => {
+      session.claimPlayer(1, "client1");
+      session.setReady(1, true);
+
+      session.handleClientDisconnect("client1");
+
+      expect(session.players[0].ready).toBe(false);
+    });
+
+    test("should survive persistence", () => {
+      session.claimPlayer(2, "client2");
+      session.setReady(2, true);
+
+      const restored = GameSession.fromState(JSON.parse(JSON.stringify(session.toJSON())));
+
+      expect(restored.players[1].ready).toBe(true);
+      restored.cleanup();
+    });
+
+    test("should stop the countdown when the game is reset", () => {
+      jest.useFakeTimers();
+      const onStart = jest.fn();
+      session.beginStartCountdown(onStart);
+
+      session.reset();
+      jest.runAllTimers();
+
+      expect(onStart).not.toHaveBeenCalled();
+      expect(session.getState().startCountdownRemaining).toBeNull();
+      jest.useRealTimers();
+    });
+  });
+
   describe("start", () => {
     test("should change status to running", () => {
       session.start();
@@ -9,6 +9,9 @@ const {
   CasualGameSession,
   CampaignGameSession,
   CampaignState,
+  TeamsGameSession,
+  RoundGameSession,
+  ArchenemyGameSession,
   GAME_MODES,
   CAMPAIGN_PRESETS,
   createGameSession,
@@ -32,12 +35,33 @@ describe("Game Modes Registry", () => {
       expect(GAME_MODES.campaign.name).toBe("Campaign");
       expect(GAME_MODES.campaign.SessionClass).toBe(CampaignGameSession);
     });
+
+    test("should have teams mode registered", () => {
+      expect(GAME_MODES.teams).toBeDefined();
+      expect(GAME_MODES.teams.id).toBe("teams");
+      expect(GAME_MODES.teams.SessionClass).toBe(TeamsGameSession);
+    });
+
+    test("should have round mode registered", () => {
+      expect(GAME_MODES.round).toBeDefined();
+      expect(GAME_MODES.round.id).toBe("round");
+      expect(GAME_MODES.round.SessionClass).toBe(RoundGameSession);
+    });
+
+    test("should have archenemy mode registered", () => {
+      expect(GAME_MODES.archenemy).toBeDefined();
+      expect(GAME_MODES.archenemy.id).toBe("archenemy");
+      expect(GAME_MODES.archenemy.SessionClass).toBe(ArchenemyGameSession);
+    });
   });
 
   describe("isValidMode", () => {
     test("should return true for valid modes", () => {
       expect(isValidMode("casual")).toBe(true);
       expect(isValidMode("campaign")).toBe(true);
+      expect(isValidMode("teams")).toBe(true);
+      expect(isValidMode("round")).toBe(true);
+      expect(isValidMode("archenemy")).toBe(true);
     });
 
     test("should return false for invalid modes", () => {
@@ -381,6 +405,16 @@ describe("CampaignState", () => {
       state.currentRound = 5;
       expect(state.advanceRound()).toBe(false);
     });
+
+    test("should complete the campaign after the last round", () => {
+      const state = new CampaignState("standard", 2);
+      state.currentRound = state.maxRounds;
+      state.playerStats[2].wins = 1;
+
+      expect(state.advanceRound()).toBe(false);
+      expect(state.campaignStatus).toBe("completed");
+      expect(state.winner).toBe(2);
+    });
   });
 
   describe("checkCampaignComplete", () => {
@@ -701,6 +735,110 @@ describe("BaseGameSession interrupt system", () => {
       session.passPriority(1);
       expect(broadcasts.some(b => b.type === "state")).toBe(true);
     });
+
+    test("should drop the label of the entry it removes", () => {
+      session.interrupt(1, "Counterspell");
+      session.interrupt(2, "Lightning Bolt");
+      session.interrupt(1, "Negate");
+      session.passPriority(1);
+      expect(session.getStack().map(e => e.label)).toEqual(["Counterspell", "Lightning Bolt"]);
+    });
+  });
+
+  describe("stack", () => {
+    test("should list labelled interrupts bottom first", () => {
+      session.interrupt(2, "Counterspell");
+      session.interrupt(3);
+
+      expect(session.getStack()).toEqual([
+        { playerId: 2, label: "Counterspell", targets: null },
+        { playerId: 3, label: null, targets: null },
+      ]);
+      expect(session.getState().stack).toEqual(session.getStack());
+    });
+
+    test("should resolve the top entry and broadcast what resolved", () => {
+      session.interrupt(2, "Counterspell");
+      session.interrupt(3, "Negate");
+      broadcasts = [];
+
+      const resolved = session.resolveTopOfStack();
+
+      expect(resolved).toEqual({ playerId: 3, label: "Negate", targets: null });
+      expect(session.interruptingPlayers).toEqual([2]);
+      expect(broadcasts).toContainEqual({
+        type: "stackResolved",
+        data: {
+          playerId: 3,
+          playerName: "Player 3",
+          label: "Negate",
+          targets: null,
+          remaining: 1,
+        },
+      });
+    });
+
+    test("should return null when resolving an empty stack", () => {
+      expect(session.resolveTopOfStack()).toBeNull();
+    });
+
+    test("should let the owner, the top player or the turn player resolve", () => {
+      session.setOwner("owner");
+      session.claimPlayer(1, "p1");
+      session.claimPlayer(2, "p2");
+      session.claimPlayer(3, "p3");
+      session.start();
+      expect(session.canResolveStack("owner")).toBe(false);
+
+      session.interrupt(2);
+
+      expect(session.canResolveStack("owner")).toBe(true);
+      expect(session.canResolveStack("p1")).toBe(true);
+      expect(session.canResolveStack("p2")).toBe(true);
+      expect(session.canResolveStack("p3")).toBe(false);
+    });
+
+    test("confirmTargets should attach targets to the top entry when asked", () => {
+      session.start();
+      session.interrupt(1, "Lightning Bolt");
+      session.startTargetSelection();
+      session.toggleTarget(3);
+
+      session.confirmTargets(true);
+
+      expect(session.getStack()[0]).toEqual({ playerId: 1, label: "Lightning Bolt", targets: [3] });
+    });
+
+    test("confirmTargets should leave the stack alone by default", () => {
+      session.start();
+      session.interrupt(1, "Lightning Bolt");
+      session.startTargetSelection();
+      session.toggleTarget(3);
+
+      session.confirmTargets();
+
+      expect(session.getStack()[0].targets).toBeNull();
+    });
+
+    test("undo should bring back a resolved entry with its label", () => {
+      session.setOwner("owner");
+      session.start();
+      session.interrupt(2, "Counterspell");
+
+      session.recordAction("resolveStack", "owner", () => session.resolveTopOfStack());
+      session.undo("owner");
+
+      expect(session.getStack()).toEqual([{ playerId: 2, label: "Counterspell", targets: null }]);
+    });
+
+    test("should keep labels through persistence", () => {
+      session.interrupt(2, "Counterspell");
+
+      const restored = CasualGameSession.fromState(session.toJSON());
+
+      expect(restored.getStack()).toEqual([{ playerId: 2, label: "Counterspell", targets: null }]);
+      restored.cleanup();
+    });
   });
 
   describe("tick with interrupting players", () => {
@@ -4,7 +4,12 @@
  * Unit tests for WebSocket message handlers.
  */
 
-const { CasualGameSession } = require("../lib/game-modes");
+const {
+  CasualGameSession,
+  TeamsGameSession,
+  ArchenemyGameSession,
+  CampaignGameSession,
+} = require("../lib/game-modes");
 const { CONSTANTS } = require("../lib/shared/constants");
 
 // Mock dependencies
@@ -20,8 +25,10 @@ jest.mock("../lib/logger", () => ({
 jest.mock("../lib/metrics", () => ({
   recordError: jest.fn(),
   recordAuthDenied: jest.fn(),
+  recordMessageReceived: jest.fn(),
   recordMessageSent: jest.fn(),
   recordNewSession: jest.fn(),
+  recordStorageOperation: jest.fn(),
 }));
 
 jest.mock("../lib/lock", () => ({
@@ -32,6 +39,7 @@ jest.mock("../lib/lock", () => ({
 const mockServerState = {
   gameSessions: new Map(),
   gameViewers: new Map(),
+  tournaments: new Map(),
   storage: null,
   isAsyncStorageMode: false,
   isRedisPrimaryMode: false,
@@ -62,6 +70,9 @@ const mockServerState = {
     return 0;
   }),
   getViewerCount: jest.fn(gameId => mockServerState.gameViewers.get(gameId)?.size || 0),
+  getTournament: jest.fn(id => mockServerState.tournaments.get(id)),
+  setTournament: jest.fn((id, tournament) => mockServerState.tournaments.set(id, tournament)),
+  getTournamentIds: jest.fn(() => new Set(mockServerState.tournaments.keys())),
 };
 
 jest.mock("../lib/server/state", () => ({
@@ -71,13 +82,16 @@ jest.mock("../lib/server/state", () => ({
 jest.mock("../lib/server/websocket", () => ({
   safeSend: jest.fn(),
   broadcastToGame: jest.fn(() => Promise.resolve()),
+  broadcastToTournament: jest.fn(),
   subscribeToGameChannel: jest.fn(() => Promise.resolve()),
+  redactForSpectators: jest.fn((type, data) => ({ ...data, redacted: true })),
 }));
 
 jest.mock("../lib/server/persistence", () => ({
   ensureGameLoaded: jest.fn(),
   persistGameImmediately: jest.fn(() => Promise.resolve()),
   syncGameToRedis: jest.fn(() => Promise.resolve()),
+  appendGameEvent: jest.fn(() => Promise.resolve()),
   getSessionForHandler: jest.fn(),
 }));
 
@@ -91,23 +105,62 @@ const {
 } = require("../lib/server/message-handlers/claim");
 const {
   start: handleStart,
+  cancelStart: handleCancelStart,
   pause: handlePause,
   reset: handleReset,
   switch: handleSwitch,
   endGame: handleEndGame,
   interrupt: handleInterrupt,
   passPriority: handlePassPriority,
+  resolveStack: handleResolveStack,
   renameGame: handleRenameGame,
+  setPhase: handleSetPhase,
+  advancePhase: handleAdvancePhase,
+  rollPlanarDie: handleRollPlanarDie,
+  setPlane: handleSetPlane,
+  transferDesignation: handleTransferDesignation,
+  venture: handleVenture,
+  setDayNight: handleSetDayNight,
+  setSpellsCast: handleSetSpellsCast,
+  randomStartPlayer: handleRandomStartPlayer,
+  rollDice: handleRollDice,
+  rollPlayOrder: handleRollPlayOrder,
+  undo: handleUndo,
+  redo: handleRedo,
 } = require("../lib/server/message-handlers/game-control");
 const {
   updatePlayer: handleUpdatePlayer,
+  updateCommanderDamage: handleUpdateCommanderDamage,
   addPenalty: handleAddPenalty,
   eliminate: handleEliminate,
+  assignTeam: handleAssignTeam,
+  setVillain: handleSetVillain,
+  setReady: handleSetReady,
+  mulligan: handleMulligan,
+  keepHand: handleKeepHand,
   updateSettings: handleUpdateSettings,
 } = require("../lib/server/message-handlers/player");
-
-const { safeSend } = require("../lib/server/websocket");
-const { ensureGameLoaded, getSessionForHandler } = require("../lib/server/persistence");
+const {
+  createTournament: handleCreateTournament,
+  joinTournament: handleJoinTournament,
+  dropTournament: handleDropTournament,
+  startTournamentRound: handleStartTournamentRound,
+  reportTournamentResult: handleReportTournamentResult,
+} = require("../lib/server/message-handlers/tournament");
+const {
+  createCampaignPreset: handleCreateCampaignPreset,
+  listCampaignPresets: handleListCampaignPresets,
+} = require("../lib/server/message-handlers/campaign-preset");
+const { createProfile: handleCreateProfile } = require("../lib/server/message-handlers/profile");
+const { processMessage } = require("../lib/server/message-handlers");
+const { MemoryStorage } = require("../lib/storage");
+
+const { safeSend, broadcastToGame, broadcastToTournament } = require("../lib/server/websocket");
+const {
+  ensureGameLoaded,
+  getSessionForHandler,
+  appendGameEvent,
+} = require("../lib/server/persistence");
 const metrics = require("../lib/metrics");
 
 describe("Message Handlers", () => {
@@ -119,6 +172,7 @@ describe("Message Handlers", () => {
 
     // Reset mock serverState
     mockServerState.gameSessions.clear();
+    mockServerState.tournaments.clear();
     mockServerState.storage = null;
     mockServerState.isAsyncStorageMode = false;
     mockServerState.isRedisPrimaryMode = false;
@@ -245,6 +299,148 @@ describe("Message Handlers", () => {
 
       expect(session.ownerId).toBe("client-123");
     });
+
+    test("should join a spectator read-only without taking a seat", async () => {
+      session.ownerId = null;
+      session.claimPlayer(1, "client-123");
+
+      await handleJoin(mockWs, { gameId: "TEST01", asSpectator: true });
+
+      expect(mockWs.isSpectator).toBe(true);
+      expect(session.ownerId).toBeNull();
+      expect(session.players[0].claimedBy).toBeNull();
+      expect(session.getState().spectatorCount).toBe(1);
+    });
+
+    test("should only send spectators redacted state when players are hidden", async () => {
+      session.settings.hideFromSpectators = true;
+
+      await handleJoin(mockWs, { gameId: "TEST01", asSpectator: true });
+      expect(safeSend).toHaveBeenLastCalledWith(mockWs, expect.stringContaining('"redacted":true'));
+
+      await handleJoin(mockWs, { gameId: "TEST01" });
+      expect(mockWs.isSpectator).toBe(false);
+      expect(session.getState().spectatorCount).toBe(0);
+      expect(safeSend).toHaveBeenLastCalledWith(
+        mockWs,
+        expect.not.stringContaining('"redacted":true')
+      );
+    });
+
+    test("should stop counting a spectator that joins another game", async () => {
+      const other = new CasualGameSession("TEST02", { playerCount: 2 });
+      ensureGameLoaded.mockResolvedValueOnce(other);
+      await handleJoin(mockWs, { gameId: "TEST01", asSpectator: true });
+
+      await handleJoin(mockWs, { gameId: "TEST02", asSpectator: true });
+
+      expect(session.getState().spectatorCount).toBe(0);
+      other.cleanup();
+    });
+  });
+
+  describe("spectators", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      mockWs.isSpectator = true;
+      session.addSpectator("client-123");
+    });
+
+    test.each(["start", "pause", "switch", "claim", "updatePlayer", "undo"])(
+      "should refuse %s from a spectator",
+      async type => {
+        await processMessage(mockWs, { type, data: { playerId: 1 } });
+
+        expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Spectators can't"));
+        expect(metrics.recordAuthDenied).toHaveBeenCalledWith(type);
+        expect(session.status).toBe("waiting");
+        expect(session.players[0].claimedBy).toBeNull();
+      }
+    );
+
+    test("should still let a spectator join as a player", async () => {
+      await processMessage(mockWs, { type: "join", data: { gameId: "TEST01" } });
+
+      expect(mockWs.isSpectator).toBe(false);
+      expect(metrics.recordAuthDenied).not.toHaveBeenCalled();
+    });
+
+    test("should stop counting a spectator that disconnects", () => {
+      session.handleClientDisconnect("client-123");
+
+      expect(session.getState().spectatorCount).toBe(0);
+    });
+
+    test("should let a table display pass the turn once the owner allows it", async () => {
+      const token = session.getDisplayToken();
+      session.start();
+
+      await processMessage(mockWs, { type: "displayPassTurn", data: { token } });
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("displayPassTurn");
+      expect(session.activePlayer).toBe(1);
+
+      session.settings.displayTapToPass = true;
+      await processMessage(mockWs, { type: "displayPassTurn", data: { token } });
+
+      expect(session.activePlayer).toBe(2);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "passTurn", "client-123");
+    });
+
+    test.each([
+      ["no token", undefined],
+      ["a wrong token", "not-the-token"],
+    ])("should not let a display with %s pass the turn", async (_, token) => {
+      session.getDisplayToken();
+      session.settings.displayTapToPass = true;
+      session.start();
+
+      await processMessage(mockWs, { type: "displayPassTurn", data: { token } });
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("game owner"));
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("displayPassTurn");
+      expect(session.activePlayer).toBe(1);
+    });
+
+    test("should not let a display pass the turn before the owner hands out a token", async () => {
+      session.settings.displayTapToPass = true;
+      session.start();
+
+      await processMessage(mockWs, { type: "displayPassTurn", data: { token: null } });
+
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("displayPassTurn");
+      expect(session.activePlayer).toBe(1);
+    });
+
+    test("should only hand the display token to the owner", async () => {
+      mockWs.isSpectator = false;
+      session.ownerId = "client-456";
+      await processMessage(mockWs, { type: "getDisplayToken" });
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Only the game owner"));
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("getDisplayToken");
+      expect(session.displayToken).toBeNull();
+
+      session.ownerId = "client-123";
+      await processMessage(mockWs, { type: "getDisplayToken" });
+
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        JSON.stringify({ type: "displayToken", data: { token: session.displayToken } })
+      );
+      expect(session.displayToken).toMatch(/^[0-9a-f]{64}$/);
+      expect(session.getState()).not.toHaveProperty("displayToken");
+    });
+
+    test("should not let a table display pass the turn over an open stack", async () => {
+      const token = session.getDisplayToken();
+      session.settings.displayTapToPass = true;
+      session.start();
+      session.interrupt(3);
+
+      await processMessage(mockWs, { type: "displayPassTurn", data: { token } });
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Tap to pass"));
+      expect(session.interruptingPlayers).toEqual([3]);
+    });
   });
 
   describe("handleClaim", () => {
@@ -410,6 +606,7 @@ describe("Message Handlers", () => {
   describe("handleStart", () => {
     beforeEach(() => {
       mockWs.gameId = "TEST01";
+      session.settings.startCountdown = 0;
     });
 
     test("should start game when authorized", async () => {
@@ -418,6 +615,32 @@ describe("Message Handlers", () => {
       expect(session.status).toBe("running");
     });
 
+    test("should append a start event to the game log", async () => {
+      await handleStart(mockWs, {});
+
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "start", "client-123");
+    });
+
+    test("should not log another start once the game is running", async () => {
+      await handleStart(mockWs, {});
+      appendGameEvent.mockClear();
+
+      await handleStart(mockWs, {});
+
+      expect(session.status).toBe("running");
+      expect(appendGameEvent).not.toHaveBeenCalled();
+    });
+
+    test("should not log a start while the start countdown runs", async () => {
+      session.settings.startCountdown = 5;
+      await handleStart(mockWs, {});
+      await handleStart(mockWs, {});
+
+      expect(session.startCountdownTimer).not.toBeNull();
+      expect(appendGameEvent).not.toHaveBeenCalled();
+      session.cancelStartCountdown();
+    });
+
     test("should reject unauthorized start", async () => {
       mockWs.clientId = "unauthorized-client";
 
@@ -428,6 +651,7 @@ describe("Message Handlers", () => {
         mockWs,
         expect.stringContaining("Not authorized")
       );
+      expect(appendGameEvent).not.toHaveBeenCalled();
       expect(metrics.recordAuthDenied).toHaveBeenCalledWith("start");
     });
 
@@ -438,6 +662,247 @@ describe("Message Handlers", () => {
 
       // Should not throw
     });
+
+    test("should refuse to start until every seat is claimed and ready", async () => {
+      session.settings.requireReady = true;
+      session.claimPlayer(1, "client-123");
+      session.setReady(1, true);
+
+      await handleStart(mockWs, {});
+
+      expect(session.status).toBe("waiting");
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Every seat must be claimed and ready")
+      );
+    });
+
+    describe("countdown", () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        session.settings.startCountdown = 3000;
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test("should count down before starting", async () => {
+        await handleStart(mockWs, {});
+
+        expect(session.status).toBe("waiting");
+        expect(session.getState().startCountdownRemaining).toBe(3000);
+        expect(appendGameEvent).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(3000);
+
+        expect(session.status).toBe("running");
+        expect(session.getState().startCountdownRemaining).toBeNull();
+        expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "start", "client-123");
+      });
+
+      test("should stop when cancelled", async () => {
+        await handleStart(mockWs, {});
+        await handleCancelStart(mockWs, {});
+
+        await jest.advanceTimersByTimeAsync(3000);
+
+        expect(session.status).toBe("waiting");
+      });
+
+      test("should stop when a required player stops being ready", async () => {
+        session.settings.requireReady = true;
+        session.players.forEach(p => {
+          session.claimPlayer(p.id, `client-${p.id}`);
+          session.setReady(p.id, true);
+        });
+        await handleStart(mockWs, {});
+
+        session.setReady(2, false);
+        await jest.advanceTimersByTimeAsync(3000);
+
+        expect(session.status).toBe("waiting");
+      });
+    });
+
+    describe("pregame", () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        session.settings.pregame = true;
+        session.settings.pregameTimeLimit = 30000;
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test("should log the pregame rather than a start", async () => {
+        await handleStart(mockWs, {});
+
+        expect(session.status).toBe("pregame");
+        expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "pregame", "client-123");
+        expect(appendGameEvent).not.toHaveBeenCalledWith(
+          "TEST01",
+          session,
+          "start",
+          expect.anything()
+        );
+      });
+
+      test("should start under the lock and log it when the time limit runs out", async () => {
+        const { withGameLock } = require("../lib/lock");
+        await handleStart(mockWs, {});
+        withGameLock.mockClear();
+
+        await jest.advanceTimersByTimeAsync(30000);
+
+        expect(session.status).toBe("running");
+        expect(withGameLock).toHaveBeenCalledWith("TEST01", expect.any(Function));
+        expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "start", null);
+      });
+    });
+
+    test("should journal and log a pass forced by the turn time limit", async () => {
+      const { withGameLock } = require("../lib/lock");
+      session.settings.turnTimeLimit = 60000;
+      await handleStart(mockWs, {});
+      session.turnTimeRemaining = 0;
+      withGameLock.mockClear();
+
+      await session.turnLimitExpiredFn(session.activePlayer);
+
+      expect(withGameLock).toHaveBeenCalledWith("TEST01", expect.any(Function));
+      expect(session.activePlayer).toBe(2);
+      expect(session.actionHistory.map(a => a.type)).toEqual(["passTurn"]);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "passTurn", null, {
+        reason: "turnLimit",
+      });
+    });
+  });
+
+  describe("handleSetReady", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+    });
+
+    test("should ready the sender's seat", async () => {
+      session.claimPlayer(2, "client-123");
+
+      await handleSetReady(mockWs, { ready: true });
+
+      expect(session.players[1].ready).toBe(true);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "setReady", "client-123", {
+        playerId: 2,
+        ready: true,
+      });
+    });
+
+    test("should need a claimed seat", async () => {
+      await handleSetReady(mockWs, { ready: true });
+
+      expect(session.players.some(p => p.ready)).toBe(false);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("setReady");
+    });
+
+    test("should only work in the lobby", async () => {
+      session.claimPlayer(1, "client-123");
+      session.start();
+
+      await handleSetReady(mockWs, { ready: true });
+
+      expect(session.players[0].ready).toBe(false);
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Ready check is only before the game starts")
+      );
+    });
+  });
+
+  describe("handleMulligan and handleKeepHand", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      mockWs.clientId = "client-456";
+      session.settings.pregame = true;
+      session.players.forEach(p =>
+        session.claimPlayer(p.id, p.id === 2 ? "client-456" : `client-${p.id}`)
+      );
+      session.start();
+    });
+
+    test("should record a mulligan on the sender's seat", async () => {
+      await handleMulligan(mockWs, { playerId: 2 });
+
+      expect(session.players[1].mulligans).toBe(1);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "mulligan", "client-456", {
+        playerId: 2,
+        mulligans: 1,
+      });
+    });
+
+    test("should refuse another player's seat", async () => {
+      await handleMulligan(mockWs, { playerId: 1 });
+      await handleKeepHand(mockWs, { playerId: 1 });
+
+      expect(session.players[0].mulligans).toBe(0);
+      expect(session.players[0].keptHand).toBe(false);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("mulligan");
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("keepHand");
+    });
+
+    test("should keep with the cards put on the bottom", async () => {
+      session.takeMulligan(2);
+
+      await handleKeepHand(mockWs, { playerId: 2, bottomed: 1 });
+
+      expect(session.players[1].keptHand).toBe(true);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "keepHand", "client-456", {
+        playerId: 2,
+        mulligans: 1,
+        bottomed: 1,
+      });
+    });
+
+    test("should reject invalid bottomed cards", async () => {
+      await handleKeepHand(mockWs, { playerId: 2, bottomed: -1 });
+
+      expect(session.players[1].keptHand).toBe(false);
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_bottomed");
+    });
+
+    test("should require one bottomed card per mulligan", async () => {
+      session.takeMulligan(2);
+      session.takeMulligan(2);
+
+      await handleKeepHand(mockWs, { playerId: 2, bottomed: 1 });
+
+      expect(session.players[1].keptHand).toBe(false);
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Put one card on the bottom for each mulligan")
+      );
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_bottomed");
+    });
+
+    test("should start the game on the last keep and log the start", async () => {
+      mockWs.clientId = "client-123";
+      [1, 2, 3].forEach(id => session.keepHand(id));
+
+      await handleKeepHand(mockWs, { playerId: 4 });
+
+      expect(session.status).toBe("running");
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "start", "client-123");
+    });
+
+    test("should only work in the pregame", async () => {
+      session.reset();
+
+      await handleMulligan(mockWs, { playerId: 2 });
+
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Mulligans are only during the pregame")
+      );
+    });
   });
 
   describe("handlePause", () => {
@@ -538,6 +1003,42 @@ describe("Message Handlers", () => {
     });
   });
 
+  describe("rolls and random picks", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.claimPlayer(1, "client-123");
+      session.claimPlayer(2, "client-456");
+    });
+
+    test("should broadcast the random starting player to the game", async () => {
+      await handleRandomStartPlayer(mockWs, {});
+
+      expect(broadcastToGame).toHaveBeenCalledWith("TEST01", "randomPlayerSelected", {
+        playerId: session.activePlayer,
+        playerName: expect.any(String),
+      });
+    });
+
+    test("should broadcast a dice roll with the roller's seat", async () => {
+      await handleRollDice(mockWs, { sides: 20 });
+
+      expect(broadcastToGame).toHaveBeenCalledWith(
+        "TEST01",
+        "diceRolled",
+        expect.objectContaining({ playerId: 1, playerName: "Player 1", sides: 20 })
+      );
+    });
+
+    test("should broadcast the play order rolls to the game", async () => {
+      await handleRollPlayOrder(mockWs, {});
+
+      expect(broadcastToGame).toHaveBeenCalledWith("TEST01", "playOrderRolled", {
+        rolls: expect.arrayContaining([expect.objectContaining({ playerId: 2 })]),
+        newOrder: expect.any(Array),
+      });
+    });
+  });
+
   describe("handleInterrupt", () => {
     beforeEach(() => {
       mockWs.gameId = "TEST01";
@@ -711,6 +1212,332 @@ describe("Message Handlers", () => {
     });
   });
 
+  describe("handleUpdateCommanderDamage", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.claimPlayer(1, "client-123");
+    });
+
+    test("should record commander damage and reduce life", async () => {
+      await handleUpdateCommanderDamage(mockWs, { playerId: 1, sourceId: 2, damage: 5 });
+
+      expect(session.players[0].commanderDamage[2]).toEqual([5, 0]);
+      expect(session.players[0].life).toBe(15);
+    });
+
+    test("should record partner damage in the second slot", async () => {
+      await handleUpdateCommanderDamage(mockWs, { playerId: 1, sourceId: 2, slot: 1, damage: 3 });
+
+      expect(session.players[0].commanderDamage[2]).toEqual([0, 3]);
+    });
+
+    test("should reject invalid slot", async () => {
+      await handleUpdateCommanderDamage(mockWs, { playerId: 1, sourceId: 2, slot: 2, damage: 3 });
+
+      expect(session.players[0].commanderDamage).toEqual({});
+    });
+
+    test("should reject invalid source ID", async () => {
+      await handleUpdateCommanderDamage(mockWs, { playerId: 1, sourceId: 0, damage: 3 });
+
+      expect(session.players[0].commanderDamage).toEqual({});
+    });
+
+    test("should reject unauthorized update", async () => {
+      session.claimPlayer(2, "other-client");
+      mockWs.clientId = "third-client";
+
+      await handleUpdateCommanderDamage(mockWs, { playerId: 2, sourceId: 1, damage: 5 });
+
+      expect(session.players[1].commanderDamage).toEqual({});
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("updateCommanderDamage");
+    });
+  });
+
+  describe("handleUndo / handleRedo", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.claimPlayer(1, "client-123");
+      session.claimPlayer(2, "other-client");
+    });
+
+    test("should undo and redo a journaled player update", async () => {
+      await handleUpdatePlayer(mockWs, { playerId: 1, life: 12 });
+      expect(session.players[0].life).toBe(12);
+
+      await handleUndo(mockWs, {});
+      expect(session.players[0].life).toBe(20);
+
+      await handleRedo(mockWs, {});
+      expect(session.players[0].life).toBe(12);
+    });
+
+    test("should let the acting player undo their own action", async () => {
+      mockWs.clientId = "other-client";
+      await handleUpdatePlayer(mockWs, { playerId: 2, life: 15 });
+
+      await handleUndo(mockWs, {});
+
+      expect(session.players[1].life).toBe(20);
+    });
+
+    test("should reject undo from a player who did not act", async () => {
+      await handleUpdatePlayer(mockWs, { playerId: 1, life: 12 });
+      mockWs.clientId = "other-client";
+
+      await handleUndo(mockWs, {});
+
+      expect(session.players[0].life).toBe(12);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("undo");
+    });
+
+    test("should reject undo with an empty journal", async () => {
+      await handleUndo(mockWs, {});
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Not authorized"));
+    });
+  });
+
+  describe("handleSetPhase / handleAdvancePhase", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.settings.phaseTracking = true;
+      session.claimPlayer(1, "player-1");
+      session.claimPlayer(2, "player-2");
+      session.start();
+    });
+
+    afterEach(() => {
+      session.cleanup();
+    });
+
+    test("should let the active player advance and set the phase", async () => {
+      mockWs.clientId = "player-1";
+
+      await handleAdvancePhase(mockWs, {});
+      expect(session.currentPhase).toBe("upkeep");
+
+      await handleSetPhase(mockWs, { phase: "combat" });
+      expect(session.currentPhase).toBe("combat");
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "setPhase", "player-1", {
+        phase: "combat",
+      });
+    });
+
+    test("should reject phase changes from a player whose turn it isn't", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleSetPhase(mockWs, { phase: "combat" });
+
+      expect(session.currentPhase).toBe("untap");
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("setPhase");
+    });
+
+    test("should reject unknown phases", async () => {
+      await handleSetPhase(mockWs, { phase: "cleanup" });
+
+      expect(session.currentPhase).toBe("untap");
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Invalid phase"));
+    });
+  });
+
+  describe("handleRollPlanarDie / handleSetPlane", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.settings.planechase = true;
+      session.claimPlayer(1, "player-1");
+      session.claimPlayer(2, "player-2");
+      session.start();
+    });
+
+    test("should let the player holding the turn roll the planar die", async () => {
+      mockWs.clientId = "player-1";
+
+      await handleRollPlanarDie(mockWs, {});
+      await handleRollPlanarDie(mockWs, {});
+
+      expect(session.planarRollsThisTurn).toBe(2);
+      expect(appendGameEvent).toHaveBeenLastCalledWith(
+        "TEST01",
+        session,
+        "rollPlanarDie",
+        "player-1",
+        expect.objectContaining({ cost: 1 })
+      );
+    });
+
+    test("should reject rolls from a player whose turn it isn't", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleRollPlanarDie(mockWs, {});
+
+      expect(session.planarRollsThisTurn).toBe(0);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("rollPlanarDie");
+    });
+
+    test("should reject rolls when Planechase is off", async () => {
+      session.settings.planechase = false;
+      mockWs.clientId = "player-1";
+
+      await handleRollPlanarDie(mockWs, {});
+
+      expect(session.planarRollsThisTurn).toBe(0);
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_planar_roll");
+    });
+
+    test("should let any player record the plane, trimmed and capped", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleSetPlane(mockWs, { name: "  Tazeem  " });
+      expect(session.currentPlane).toBe("Tazeem");
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "setPlane", "player-2", {
+        name: "Tazeem",
+      });
+
+      await handleSetPlane(mockWs, { name: "x".repeat(200) });
+      expect(session.currentPlane).toHaveLength(CONSTANTS.MAX_PLANE_NAME_LENGTH);
+
+      await handleSetPlane(mockWs, { name: "" });
+      expect(session.currentPlane).toBeNull();
+    });
+
+    test("should reject plane changes from spectators", async () => {
+      mockWs.clientId = "spectator";
+
+      await handleSetPlane(mockWs, { name: "Tazeem" });
+
+      expect(session.currentPlane).toBeNull();
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("setPlane");
+    });
+  });
+
+  describe("handleInterrupt labels / handleResolveStack", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.claimPlayer(1, "player-1");
+      session.claimPlayer(2, "player-2");
+      session.start();
+    });
+
+    test("should put a trimmed, capped label on the interrupt", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleInterrupt(mockWs, { label: "  Counterspell  " });
+      await handleInterrupt(mockWs, { label: "x".repeat(80) });
+
+      const stack = session.getStack();
+      expect(stack[0].label).toBe("Counterspell");
+      expect(stack[1].label).toHaveLength(CONSTANTS.MAX_STACK_LABEL_LENGTH);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "interrupt", "player-2", {
+        label: "Counterspell",
+      });
+    });
+
+    test("should reject non-string labels", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleInterrupt(mockWs, { label: 42 });
+
+      expect(session.interruptingPlayers).toEqual([]);
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_interrupt_label");
+    });
+
+    test("should let the turn player resolve the top of the stack", async () => {
+      session.interrupt(2, "Counterspell");
+      mockWs.clientId = "player-1";
+
+      await handleResolveStack(mockWs, {});
+
+      expect(session.interruptingPlayers).toEqual([]);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "resolveStack", "player-1", {
+        playerId: 2,
+        label: "Counterspell",
+        targets: null,
+      });
+    });
+
+    test("should reject resolving from a player not involved", async () => {
+      session.interrupt(2, "Counterspell");
+      mockWs.clientId = "player-3";
+
+      await handleResolveStack(mockWs, {});
+
+      expect(session.interruptingPlayers).toEqual([2]);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("resolveStack");
+    });
+  });
+
+  describe("designation handlers", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session.claimPlayer(1, "player-1");
+      session.claimPlayer(2, "player-2");
+      session.start();
+    });
+
+    test("should let any player transfer the monarch and the initiative", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleTransferDesignation(mockWs, { designation: "monarch", playerId: 2 });
+      await handleTransferDesignation(mockWs, { designation: "initiative", playerId: 1 });
+
+      expect(session.monarch).toBe(2);
+      expect(session.initiative).toBe(1);
+      expect(session.dungeonRooms[1]).toBe(1);
+      expect(appendGameEvent).toHaveBeenCalledWith(
+        "TEST01",
+        session,
+        "transferDesignation",
+        "player-2",
+        { designation: "monarch", playerId: 2 }
+      );
+    });
+
+    test("should reject unknown designations and non-players", async () => {
+      await handleTransferDesignation(mockWs, { designation: "ring", playerId: 1 });
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_designation");
+
+      mockWs.clientId = "spectator";
+      await handleTransferDesignation(mockWs, { designation: "monarch", playerId: 1 });
+      expect(session.monarch).toBeNull();
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("transferDesignation");
+    });
+
+    test("should only let the initiative holder venture", async () => {
+      session.transferDesignation("initiative", 1);
+
+      mockWs.clientId = "player-2";
+      await handleVenture(mockWs, {});
+      expect(session.dungeonRooms[1]).toBe(1);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("venture");
+
+      mockWs.clientId = "player-1";
+      await handleVenture(mockWs, {});
+      expect(session.dungeonRooms[1]).toBe(2);
+    });
+
+    test("should set day/night and the active player's spell count", async () => {
+      mockWs.clientId = "player-1";
+
+      await handleSetDayNight(mockWs, { state: "day" });
+      await handleSetSpellsCast(mockWs, { count: 2 });
+
+      expect(session.dayNight).toBe("day");
+      expect(session.spellsCastThisTurn).toBe(2);
+    });
+
+    test("should only let the player holding the turn enter spells", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleSetSpellsCast(mockWs, { count: 1 });
+      await handleSetDayNight(mockWs, { state: "dusk" });
+
+      expect(session.spellsCastThisTurn).toBe(0);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("setSpellsCast");
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_day_night");
+    });
+  });
+
   describe("handleAddPenalty", () => {
     beforeEach(() => {
       mockWs.gameId = "TEST01";
@@ -747,6 +1574,78 @@ describe("Message Handlers", () => {
     });
   });
 
+  describe("handleAssignTeam", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session = new TeamsGameSession("TEST01", { playerCount: 4 });
+      session.setOwner("client-123");
+    });
+
+    test("should move a player to another team", async () => {
+      await handleAssignTeam(mockWs, { playerId: 2, teamId: 2 });
+
+      expect(session.getPlayerTeam(2).id).toBe(2);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "assignTeam", "client-123", {
+        playerId: 2,
+        teamId: 2,
+      });
+    });
+
+    test("should reject changes to another player's claimed slot", async () => {
+      session.claimPlayer(2, "player-2");
+      mockWs.clientId = "player-3";
+
+      await handleAssignTeam(mockWs, { playerId: 2, teamId: 2 });
+
+      expect(session.getPlayerTeam(2).id).toBe(1);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("assignTeam");
+    });
+
+    test("should reject team assignment outside teams mode", async () => {
+      session = new CasualGameSession("TEST01", { playerCount: 4 });
+
+      await handleAssignTeam(mockWs, { playerId: 2, teamId: 2 });
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Invalid team"));
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_team");
+    });
+  });
+
+  describe("handleSetVillain", () => {
+    beforeEach(() => {
+      mockWs.gameId = "TEST01";
+      session = new ArchenemyGameSession("TEST01", { playerCount: 4 });
+      session.setOwner("client-123");
+    });
+
+    test("should let the owner choose the villain", async () => {
+      await handleSetVillain(mockWs, { playerId: 3 });
+
+      expect(session.villainId).toBe(3);
+      expect(appendGameEvent).toHaveBeenCalledWith("TEST01", session, "setVillain", "client-123", {
+        playerId: 3,
+      });
+    });
+
+    test("should reject non-owners", async () => {
+      mockWs.clientId = "player-2";
+
+      await handleSetVillain(mockWs, { playerId: 3 });
+
+      expect(session.villainId).toBe(1);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("setVillain");
+    });
+
+    test("should reject villains outside archenemy mode", async () => {
+      session = new CasualGameSession("TEST01", { playerCount: 4 });
+
+      await handleSetVillain(mockWs, { playerId: 3 });
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Invalid villain"));
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_villain");
+    });
+  });
+
   describe("handleUpdateSettings", () => {
     beforeEach(() => {
       mockWs.gameId = "TEST01";
@@ -771,6 +1670,45 @@ describe("Message Handlers", () => {
       );
     });
 
+    test.each(["hideFromSpectators", "displayTapToPass", "requireReady"])(
+      "should only let the owner change %s",
+      async key => {
+        session.ownerId = "client-456";
+        await handleUpdateSettings(mockWs, { [key]: true });
+
+        expect(safeSend).toHaveBeenCalledWith(
+          mockWs,
+          expect.stringContaining("Only the game owner")
+        );
+        expect(metrics.recordAuthDenied).toHaveBeenCalledWith("updateSettings");
+        expect(session.settings[key]).toBeFalsy();
+
+        session.ownerId = "client-123";
+        await handleUpdateSettings(mockWs, { [key]: true });
+
+        expect(session.settings[key]).toBe(true);
+      }
+    );
+
+    test("should update enabled and custom counters", async () => {
+      await handleUpdateSettings(mockWs, {
+        counters: ["poison"],
+        customCounters: [{ name: "R&D", min: 0, max: 20 }],
+      });
+
+      expect(session.settings.counters).toEqual(["poison"]);
+      expect(session.settings.customCounters[0].name).toBe("R&D");
+      // Same id as a counter created with the game, so values carry over
+      expect(session.getCounterDefinitions().map(d => d.id)).toContain("custom:r&d");
+    });
+
+    test("should reject invalid counters", async () => {
+      await handleUpdateSettings(mockWs, { counters: ["not-a-counter"] });
+
+      expect(session.settings.counters).toEqual(CONSTANTS.DEFAULT_COUNTERS);
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Invalid counters"));
+    });
+
     test("should reject non-array warning thresholds", async () => {
       const originalThresholds = [...session.settings.warningThresholds];
 
@@ -778,6 +1716,318 @@ describe("Message Handlers", () => {
 
       expect(session.settings.warningThresholds).toEqual(originalThresholds);
     });
+
+    test("should update and clamp turn time limit settings", async () => {
+      await handleUpdateSettings(mockWs, {
+        turnTimeLimit: CONSTANTS.MAX_TURN_TIME_LIMIT + 60000,
+        turnLimitPolicy: "timeout",
+      });
+
+      expect(session.settings.turnTimeLimit).toBe(CONSTANTS.MAX_TURN_TIME_LIMIT);
+      expect(session.settings.turnLimitPolicy).toBe("timeout");
+    });
+
+    test("should reject a turn time limit that isn't a number", async () => {
+      await handleUpdateSettings(mockWs, { turnTimeLimit: NaN });
+      await handleUpdateSettings(mockWs, { turnTimeLimit: "60000" });
+
+      expect(session.settings.turnTimeLimit).toBe(0);
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Invalid turn time limit settings")
+      );
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_turn_limit");
+    });
+
+    test("should reject an unknown turn limit policy", async () => {
+      await handleUpdateSettings(mockWs, { turnLimitPolicy: "eliminate" });
+
+      expect(session.settings.turnLimitPolicy).toBe("passTurn");
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Invalid turn time limit settings")
+      );
+    });
+
+    test("should update the targeting priority mode and reject unknown modes", async () => {
+      await handleUpdateSettings(mockWs, { targetingPriorityMode: "apnap" });
+      expect(session.settings.targetingPriorityMode).toBe("apnap");
+
+      await handleUpdateSettings(mockWs, { targetingPriorityMode: "random" });
+
+      expect(session.settings.targetingPriorityMode).toBe("apnap");
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Invalid targeting priority mode")
+      );
+    });
+
+    test("should update seating before the game starts", async () => {
+      await handleUpdateSettings(mockWs, {
+        seatMap: [4, 2, 1, 3],
+        turnDirection: "counterclockwise",
+      });
+
+      expect(session.settings.seatMap).toEqual([4, 2, 1, 3]);
+      expect(session.getTurnOrder().map(p => p.id)).toEqual([4, 3, 1, 2]);
+    });
+
+    test("should reject a seat map that doesn't seat every player once", async () => {
+      await handleUpdateSettings(mockWs, { seatMap: [1, 2, 3] });
+
+      expect(session.settings.seatMap).toBeNull();
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Invalid seating"));
+    });
+
+    test("should not change seating once the game has started", async () => {
+      session.start();
+
+      await handleUpdateSettings(mockWs, { turnDirection: "counterclockwise", bonusTime: 0 });
+
+      expect(session.settings.turnDirection).toBe("clockwise");
+      expect(session.settings.bonusTime).not.toBe(0);
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Seating can only change before the game starts")
+      );
+    });
+  });
+
+  describe("campaign preset handlers", () => {
+    const preset = {
+      name: "Gauntlet",
+      rounds: 3,
+      timePerRound: 600000,
+      bonusTime: 0,
+      startingLife: 20,
+      startingHandSize: 7,
+      handSizeIncrement: 0,
+      winCondition: "first_to",
+      winTarget: 2,
+    };
+
+    beforeEach(() => {
+      mockServerState.storage = new MemoryStorage().initialize();
+    });
+
+    test("createCampaignPreset should store the preset and reply with its ID", async () => {
+      await handleCreateCampaignPreset(mockWs, { preset });
+
+      const sent = JSON.parse(safeSend.mock.calls[0][1]);
+      expect(sent.type).toBe("campaignPresetCreated");
+      expect(sent.data.preset.name).toBe("Gauntlet");
+      const record = mockServerState.storage.loadCampaignPreset(sent.data.id);
+      expect(record.createdBy).toBe("client-123");
+    });
+
+    test("createCampaignPreset should reject an invalid preset", async () => {
+      await handleCreateCampaignPreset(mockWs, { preset: { ...preset, rounds: 0 } });
+
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Invalid campaign preset")
+      );
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_campaign_preset");
+      expect(mockServerState.storage.loadAllCampaignPresets()).toHaveLength(0);
+    });
+
+    test("listCampaignPresets should send every stored preset", async () => {
+      await handleCreateCampaignPreset(mockWs, { preset });
+      safeSend.mockClear();
+
+      await handleListCampaignPresets(mockWs);
+
+      const sent = JSON.parse(safeSend.mock.calls[0][1]);
+      expect(sent.type).toBe("campaignPresets");
+      expect(sent.data.presets).toHaveLength(1);
+      expect(sent.data.presets[0].preset.rounds).toBe(3);
+    });
+
+    test("create should start a campaign from a custom preset", async () => {
+      await handleCreateCampaignPreset(mockWs, { preset });
+      const { id } = JSON.parse(safeSend.mock.calls[0][1]).data;
+
+      await handleCreate(mockWs, { settings: { mode: "campaign", campaignPreset: id } });
+
+      const created = mockServerState.setSession.mock.calls[0][1];
+      expect(created.campaign.config.name).toBe("Gauntlet");
+      expect(created.settings.customCampaignPreset).toBeUndefined();
+      created.cleanup();
+    });
+
+    test("create should reject an unknown campaign preset", async () => {
+      await handleCreate(mockWs, { settings: { mode: "campaign", campaignPreset: "NOPE01" } });
+
+      expect(mockServerState.setSession).not.toHaveBeenCalled();
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Campaign preset not found")
+      );
+      expect(metrics.recordError).toHaveBeenCalledWith("campaign_preset_not_found");
+    });
+  });
+
+  describe("profile handlers", () => {
+    beforeEach(() => {
+      mockServerState.storage = new MemoryStorage().initialize();
+    });
+
+    test("createProfile should reply with the profile and its token", async () => {
+      await handleCreateProfile(mockWs, { name: "  Ana " });
+
+      const sent = JSON.parse(safeSend.mock.calls[0][1]);
+      expect(sent.type).toBe("profileCreated");
+      expect(sent.data.profile.name).toBe("Ana");
+      expect(sent.data.token.startsWith(`${sent.data.profile.id}.`)).toBe(true);
+    });
+
+    test("createProfile should reject a blank name", async () => {
+      await handleCreateProfile(mockWs, { name: "   " });
+
+      expect(safeSend).toHaveBeenCalledWith(
+        mockWs,
+        expect.stringContaining("Invalid profile name")
+      );
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_profile_name");
+      expect(mockServerState.storage.loadAllProfiles()).toHaveLength(0);
+    });
+
+    test("claiming a campaign seat with a profile token should link the seat", async () => {
+      await handleCreateProfile(mockWs, { name: "Ana" });
+      const { profile, token } = JSON.parse(safeSend.mock.calls[0][1]).data;
+      session.cleanup();
+      session = new CampaignGameSession("TEST01", { campaignPreset: "wastelands", playerCount: 2 });
+      mockWs.gameId = "TEST01";
+
+      await handleClaim(mockWs, { playerId: 2, profileToken: token });
+      await handleClaim(mockWs, { playerId: 1, profileToken: "NOPE01.bad" });
+
+      expect(session.playerProfiles).toEqual({ 2: profile.id });
+    });
+  });
+
+  describe("tournament handlers", () => {
+    async function createTournamentWithPlayers(count, settings = {}) {
+      await handleCreateTournament(mockWs, { settings: { name: "Friday", ...settings } });
+      const tournament = mockServerState.tournaments.get(mockWs.tournamentId);
+      for (let i = 1; i <= count; i++) {
+        tournament.register(`Player ${i}`, `player-${i}`);
+      }
+      return tournament;
+    }
+
+    test("createTournament should create and follow a tournament", async () => {
+      const tournament = await createTournamentWithPlayers(0);
+
+      expect(tournament.name).toBe("Friday");
+      expect(tournament.isOwner("client-123")).toBe(true);
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("tournamentState"));
+    });
+
+    test("createTournament should reject invalid settings", async () => {
+      await handleCreateTournament(mockWs, { settings: { bestOf: 4 } });
+
+      expect(mockServerState.tournaments.size).toBe(0);
+      expect(metrics.recordError).toHaveBeenCalledWith("invalid_tournament_settings");
+    });
+
+    test("joinTournament with a name should register and broadcast", async () => {
+      const tournament = await createTournamentWithPlayers(0);
+      const playerWs = { clientId: "player-9", tournamentId: null };
+
+      await handleJoinTournament(playerWs, { tournamentId: tournament.id, name: "  Ana  " });
+
+      expect(playerWs.tournamentId).toBe(tournament.id);
+      expect(tournament.findParticipantByClient("player-9").name).toBe("Ana");
+      expect(broadcastToTournament).toHaveBeenCalledWith(
+        tournament.id,
+        "tournamentState",
+        expect.objectContaining({ id: tournament.id })
+      );
+    });
+
+    test("joinTournament should report unknown tournaments", async () => {
+      await handleJoinTournament(mockWs, { tournamentId: "NOPE" });
+
+      expect(safeSend).toHaveBeenCalledWith(mockWs, expect.stringContaining("Tournament not found"));
+    });
+
+    test("dropTournament should only let players drop themselves", async () => {
+      const tournament = await createTournamentWithPlayers(2);
+      const playerWs = { clientId: "player-1", tournamentId: tournament.id };
+
+      await handleDropTournament(playerWs, { participantId: 2 });
+      expect(tournament.participants).toHaveLength(2);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("dropTournament");
+
+      await handleDropTournament(playerWs, {});
+      expect(tournament.participants.map(p => p.id)).toEqual([2]);
+    });
+
+    test("startTournamentRound should be limited to the organizer", async () => {
+      const tournament = await createTournamentWithPlayers(2);
+
+      await handleStartTournamentRound({ clientId: "player-1", tournamentId: tournament.id });
+
+      expect(tournament.rounds).toHaveLength(0);
+      expect(metrics.recordAuthDenied).toHaveBeenCalledWith("startTournamentRound");
+    });
+
+    test("startTournamentRound should open a game session per table", async () => {
+      const tournament = await createTournamentWithPlayers(4);
+
+      await handleStartTournamentRound(mockWs);
+
+      const round = tournament.getCurrentRound();
+      expect(mockServerState.setSession).toHaveBeenCalledTimes(2);
+      round.tables.forEach(table => {
+        const [gameId, tableSession] = mockServerState.setSession.mock.calls.find(
+          ([id]) => id === table.gameId
+        );
+        expect(gameId).toBe(table.gameId);
+        expect(tableSession.settings.tournament).toEqual({
+          id: tournament.id,
+          round: 1,
+          table: table.table,
+        });
+        expect(tableSession.players.map(p => p.name)).toEqual(
+          table.participantIds.map(id => `Player ${id}`)
+        );
+        expect(tableSession.ownerId).toBe("client-123");
+        tableSession.cleanup();
+      });
+    });
+
+    test("finishing a table's game should record the match result", async () => {
+      const tournament = await createTournamentWithPlayers(2);
+      await handleStartTournamentRound(mockWs);
+      const table = tournament.getTable(1, 1);
+      const [, tableSession] = mockServerState.setSession.mock.calls[0];
+
+      tableSession.start();
+      tableSession.eliminate(1);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(table.result).toEqual({ winnerId: table.participantIds[1] });
+      expect(tournament.status).toBe("finished");
+      tableSession.cleanup();
+    });
+
+    test("reportTournamentResult should let the organizer record a game", async () => {
+      const tournament = await createTournamentWithPlayers(2);
+      await handleStartTournamentRound(mockWs);
+      mockServerState.setSession.mock.calls[0][1].cleanup();
+      const winnerId = tournament.getTable(1, 1).participantIds[0];
+
+      await handleReportTournamentResult(
+        { clientId: "player-1", tournamentId: tournament.id },
+        { round: 1, table: 1, winnerId }
+      );
+      expect(tournament.getTable(1, 1).result).toBeNull();
+
+      await handleReportTournamentResult(mockWs, { round: 1, table: 1, winnerId });
+      expect(tournament.getTable(1, 1).result).toEqual({ winnerId });
+    });
   });
 });
 
@@ -51,6 +51,8 @@ const {
   persistSessions,
   persistGameImmediately,
   syncGameToRedis,
+  appendGameEvent,
+  loadGameEvents,
   ensureGameLoaded,
   loadSessions,
 } = require("../lib/server/persistence");
@@ -279,6 +281,54 @@ describe("Persistence", () => {
     });
   });
 
+  describe("appendGameEvent", () => {
+    test("should do nothing without storage", async () => {
+      await expect(
+        appendGameEvent("TEST01", session, "start", "client-1")
+      ).resolves.toBeUndefined();
+    });
+
+    test("should append a timestamped event with actor and replay snapshot", async () => {
+      const appendEvent = jest.fn();
+      mockServerState.storage = { appendEvent };
+      session.claimPlayer(2, "client-2");
+      session.players[1].life = 14;
+
+      await appendGameEvent("TEST01", session, "updatePlayer", "client-2", { life: 14 });
+
+      const [gameId, event] = appendEvent.mock.calls[0];
+      expect(gameId).toBe("TEST01");
+      expect(event).toEqual(
+        expect.objectContaining({ type: "updatePlayer", actorPlayerId: 2, data: { life: 14 } })
+      );
+      expect(typeof event.timestamp).toBe("number");
+      expect(event.snapshot.players[1].life).toBe(14);
+      expect(metrics.recordStorageOperation).toHaveBeenCalledWith("append_event", "success");
+    });
+
+    test("should await async storage and record errors", async () => {
+      mockServerState.isAsyncStorageMode = true;
+      mockServerState.storage = { appendEvent: jest.fn().mockRejectedValue(new Error("down")) };
+
+      await appendGameEvent("TEST01", session, "start", null);
+
+      expect(metrics.recordStorageOperation).toHaveBeenCalledWith("append_event", "error");
+    });
+  });
+
+  describe("loadGameEvents", () => {
+    test("should return an empty log without storage", async () => {
+      expect(await loadGameEvents("TEST01")).toEqual([]);
+    });
+
+    test("should load events from async storage", async () => {
+      mockServerState.isAsyncStorageMode = true;
+      mockServerState.storage = { loadEvents: jest.fn().mockResolvedValue([{ type: "start" }]) };
+
+      expect(await loadGameEvents("TEST01")).toEqual([{ type: "start" }]);
+    });
+  });
+
   describe("ensureGameLoaded", () => {
     test("should return session from local cache if available", async () => {
       const result = await ensureGameLoaded("TEST01");
@@ -332,6 +382,21 @@ describe("Persistence", () => {
       expect(result.id).toBe("LOADED02");
     });
 
+    test("should hook a restored session's time limits to the server", async () => {
+      const session = new CasualGameSession("LOADED03", { playerCount: 2, pregame: true });
+      session.start();
+      const savedState = JSON.parse(JSON.stringify(session.toJSON()));
+      session.cleanup();
+      mockServerState.storage = { load: jest.fn(() => savedState) };
+
+      const result = await ensureGameLoaded("LOADED03");
+
+      expect(result.status).toBe("pregame");
+      expect(result.pregameExpiredFn).toEqual(expect.any(Function));
+      expect(result.turnLimitExpiredFn).toEqual(expect.any(Function));
+      result.cleanup();
+    });
+
     test("should return null if not found in storage", async () => {
       const mockStorage = {
         load: jest.fn(() => null),
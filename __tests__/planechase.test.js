@@ -0,0 +1,173 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { restoreGameSession } = require("../lib/game-modes");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings } = require("../lib/shared/validators");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new CasualGameSession(
+    "TEST",
+    { playerCount: 3, planechase: true, ...overrides },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Planechase", () => {
+  let session;
+  let broadcasts;
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  describe("setup", () => {
+    test("should be off by default with no plane", () => {
+      session = new CasualGameSession("TEST");
+
+      expect(session.settings.planechase).toBe(false);
+      expect(session.currentPlane).toBeNull();
+      expect(session.planarRollsThisTurn).toBe(0);
+    });
+
+    test("validateSettings should check the planechase flag", () => {
+      expect(validateSettings({ planechase: true })).toBe(true);
+      expect(validateSettings({ planechase: "yes" })).toBe(false);
+    });
+
+    test("the planar die should have one chaos, one planeswalk and four blank faces", () => {
+      const faces = CONSTANTS.PLANAR_DIE_FACES;
+
+      expect(faces).toHaveLength(6);
+      expect(faces.filter(f => f === "chaos")).toHaveLength(1);
+      expect(faces.filter(f => f === "planeswalk")).toHaveLength(1);
+      expect(faces.filter(f => f === "blank")).toHaveLength(4);
+    });
+  });
+
+  describe("rollPlanarDie", () => {
+    test("should charge N-1 mana for the Nth roll in a turn", () => {
+      ({ session } = createSession());
+      session.start();
+
+      const costs = [1, 2, 3].map(() => session.rollPlanarDie(1).cost);
+
+      expect(costs).toEqual([0, 1, 2]);
+      expect(session.planarRollsThisTurn).toBe(3);
+      expect(session.getPlanarRollCost()).toBe(3);
+    });
+
+    test("should broadcast a planarDieRolled event with the face and cost", () => {
+      ({ session, broadcasts } = createSession());
+      jest.spyOn(Math, "random").mockReturnValue(0); // First face: chaos
+      session.start();
+      session.setCurrentPlane("Tazeem");
+
+      const roll = session.rollPlanarDie(1);
+
+      expect(roll).toEqual({ playerId: 1, face: "chaos", cost: 0, rollNumber: 1 });
+      expect(broadcasts).toContainEqual({
+        type: "planarDieRolled",
+        data: {
+          playerId: 1,
+          playerName: "Player 1",
+          face: "chaos",
+          cost: 0,
+          rollNumber: 1,
+          nextCost: 1,
+          currentPlane: "Tazeem",
+        },
+      });
+    });
+
+    test("should reset the roll count when the turn passes", () => {
+      ({ session } = createSession());
+      session.start();
+      session.rollPlanarDie(1);
+      session.rollPlanarDie(1);
+
+      session.passTurn();
+
+      expect(session.planarRollsThisTurn).toBe(0);
+      expect(session.rollPlanarDie(2).cost).toBe(0);
+    });
+
+    test("should reset the roll count on a switch or when the active player is eliminated", () => {
+      ({ session } = createSession());
+      session.start();
+      session.rollPlanarDie(1);
+
+      session.switchPlayer(2);
+      expect(session.planarRollsThisTurn).toBe(0);
+
+      session.rollPlanarDie(2);
+      session.eliminate(2);
+      expect(session.activePlayer).toBe(3);
+      expect(session.planarRollsThisTurn).toBe(0);
+    });
+
+    test("should not roll when Planechase is off or the game isn't running", () => {
+      ({ session } = createSession());
+
+      expect(session.rollPlanarDie(1)).toBeNull();
+      session.start();
+      session.settings.planechase = false;
+      expect(session.rollPlanarDie(1)).toBeNull();
+      expect(session.planarRollsThisTurn).toBe(0);
+    });
+
+    test("undoing a pass should bring back the turn's roll count", () => {
+      ({ session } = createSession());
+      session.setOwner("owner");
+      session.start();
+      session.rollPlanarDie(1);
+
+      session.recordAction("passTurn", "owner", () => session.passTurn());
+      session.undo("owner");
+
+      expect(session.activePlayer).toBe(1);
+      expect(session.planarRollsThisTurn).toBe(1);
+    });
+  });
+
+  describe("current plane", () => {
+    test("should record and clear the current plane", () => {
+      ({ session } = createSession());
+
+      expect(session.setCurrentPlane("Tazeem")).toBe(true);
+      expect(session.setCurrentPlane("Tazeem")).toBe(false);
+      expect(session.getState().currentPlane).toBe("Tazeem");
+
+      expect(session.setCurrentPlane("")).toBe(true);
+      expect(session.currentPlane).toBeNull();
+    });
+
+    test("reset should clear the plane and the roll count", () => {
+      ({ session } = createSession());
+      session.start();
+      session.setCurrentPlane("Tazeem");
+      session.rollPlanarDie(1);
+
+      session.reset();
+
+      expect(session.currentPlane).toBeNull();
+      expect(session.planarRollsThisTurn).toBe(0);
+    });
+
+    test("should survive persistence", () => {
+      ({ session } = createSession());
+      session.start();
+      session.setCurrentPlane("Tazeem");
+      session.rollPlanarDie(1);
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored.currentPlane).toBe("Tazeem");
+      expect(restored.planarRollsThisTurn).toBe(1);
+      expect(restored.settings.planechase).toBe(true);
+      restored.cleanup();
+    });
+  });
+});
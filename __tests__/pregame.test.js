@@ -0,0 +1,197 @@
+/**
+ * Pregame Tests
+ *
+ * Tests for the mulligan phase between the lobby and the first turn.
+ */
+
+const { CasualGameSession, CampaignGameSession, restoreGameSession } = require("../lib/game-modes");
+const { validateSettings } = require("../lib/shared/validators");
+
+describe("pregame", () => {
+  let session;
+
+  beforeEach(() => {
+    session = new CasualGameSession("MULL01", { playerCount: 3, pregame: true });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+    jest.useRealTimers();
+  });
+
+  test("should hold the clocks until every player keeps", () => {
+    session.start();
+
+    expect(session.status).toBe("pregame");
+    expect(session.interval).toBeNull();
+    expect(session.gameStartedAt).toBeNull();
+
+    session.takeMulligan(1);
+    session.keepHand(1);
+    session.keepHand(2, 0);
+    expect(session.status).toBe("pregame");
+
+    session.keepHand(3);
+
+    expect(session.status).toBe("running");
+    expect(session.gameStartedAt).not.toBeNull();
+    expect(session.players.map(p => [p.mulligans, p.bottomedCards])).toEqual([
+      [1, 1],
+      [0, 0],
+      [0, 0],
+    ]);
+  });
+
+  test("should refuse mulligans after keeping or past an empty hand", () => {
+    session.start();
+    for (let i = 0; i < 7; i++) session.takeMulligan(1);
+
+    expect(session.takeMulligan(1)).toBe(false);
+    expect(session.players[0].mulligans).toBe(7);
+
+    session.keepHand(2);
+    expect(session.takeMulligan(2)).toBe(false);
+    expect(session.keepHand(2)).toBe(false);
+    expect(session.keepHand(3, 8)).toBe(false);
+  });
+
+  test("should require one bottomed card per mulligan", () => {
+    session.start();
+    session.takeMulligan(1);
+    session.takeMulligan(1);
+
+    expect(session.keepHand(1, 1)).toBe(false);
+    expect(session.keepHand(1, 3)).toBe(false);
+    expect(session.keepHand(2, 1)).toBe(false);
+    expect(session.players[0].keptHand).toBe(false);
+
+    expect(session.keepHand(1, 2)).toBe(true);
+    expect(session.players[0].bottomedCards).toBe(2);
+  });
+
+  test("should only run in the pregame", () => {
+    expect(session.takeMulligan(1)).toBe(false);
+    expect(session.keepHand(1)).toBe(false);
+  });
+
+  test("should keep undecided hands when started by force", () => {
+    session.start();
+    session.takeMulligan(2);
+    session.takeMulligan(2);
+
+    session.start();
+
+    expect(session.status).toBe("running");
+    expect(session.players.every(p => p.keptHand)).toBe(true);
+    expect(session.players[1].bottomedCards).toBe(2);
+  });
+
+  test("should start once the time limit runs out", () => {
+    jest.useFakeTimers();
+    session.settings.pregameTimeLimit = 30000;
+    session.start();
+    session.keepHand(1);
+
+    expect(session.getState().pregameTimeRemaining).toBe(30000);
+    jest.advanceTimersByTime(30000);
+
+    expect(session.status).toBe("running");
+    expect(session.getState().pregameTimeRemaining).toBeNull();
+  });
+
+  test("should hand the time limit to the server's hook when there is one", () => {
+    jest.useFakeTimers();
+    session.settings.pregameTimeLimit = 30000;
+    session.pregameExpiredFn = jest.fn();
+    session.start();
+
+    jest.advanceTimersByTime(30000);
+
+    expect(session.pregameExpiredFn).toHaveBeenCalledTimes(1);
+    expect(session.status).toBe("pregame");
+  });
+
+  test("should skip eliminated players", () => {
+    session.eliminate(3);
+    session.start();
+
+    session.keepHand(1);
+    session.keepHand(2);
+
+    expect(session.status).toBe("running");
+  });
+
+  test("should put mulligans in the turn stats", () => {
+    session.start();
+    session.takeMulligan(3);
+    session.keepHand(1);
+    session.keepHand(2);
+    session.keepHand(3);
+
+    const stats = session.getTurnStats().players;
+
+    expect(stats.map(p => p.mulligans)).toEqual([0, 0, 1]);
+    expect(stats[2].bottomedCards).toBe(1);
+  });
+
+  test("should clear mulligans on reset and start without a pregame", () => {
+    session.start();
+    session.takeMulligan(1);
+    session.reset();
+
+    expect(session.status).toBe("waiting");
+    expect(session.players[0].mulligans).toBe(0);
+
+    session.settings.pregame = false;
+    session.start();
+    expect(session.status).toBe("running");
+  });
+
+  test("should survive persistence", () => {
+    jest.useFakeTimers();
+    session.settings.pregameTimeLimit = 60000;
+    session.start();
+    session.takeMulligan(1);
+    session.keepHand(2);
+
+    const restored = restoreGameSession(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.status).toBe("pregame");
+    expect(restored.players[0].mulligans).toBe(1);
+    expect(restored.players[1].keptHand).toBe(true);
+    jest.advanceTimersByTime(60000);
+    expect(restored.status).toBe("running");
+    restored.cleanup();
+  });
+});
+
+describe("pregame hand size", () => {
+  test("should follow the campaign preset's hand size for the round", () => {
+    const campaign = new CampaignGameSession("MULL02", {
+      campaignPreset: "wastelands",
+      playerCount: 2,
+    });
+
+    expect(campaign.getStartingHandSize()).toBe(5);
+    campaign.campaign.currentRound = 3;
+    expect(campaign.getState().handSize).toBe(7);
+    expect(campaign.getState().campaign.handSize).toBe(7);
+    campaign.cleanup();
+  });
+
+  test("should default to seven cards", () => {
+    const session = new CasualGameSession("MULL03", { playerCount: 2 });
+
+    expect(session.getState().handSize).toBe(7);
+    session.cleanup();
+  });
+});
+
+describe("pregame settings", () => {
+  test("should validate the pregame settings", () => {
+    expect(validateSettings({ pregame: true, pregameTimeLimit: 120000 })).toBe(true);
+    expect(validateSettings({ pregame: "yes" })).toBe(false);
+    expect(validateSettings({ pregameTimeLimit: -1 })).toBe(false);
+    expect(validateSettings({ pregameTimeLimit: 11 * 60 * 1000 })).toBe(false);
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * Player Profile Tests
+ *
+ * Tests for profile tokens, recording campaign results to profiles,
+ * the leaderboard and profile storage.
+ */
+
+const fs = require("fs");
+const { CampaignGameSession } = require("../lib/game-modes/campaign");
+const { CasualGameSession, TeamsGameSession, restoreGameSession } = require("../lib/game-modes");
+const { SessionStorage, MemoryStorage } = require("../lib/storage");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+jest.mock("../lib/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.mock("../lib/metrics", () => ({
+  recordStorageOperation: jest.fn(),
+}));
+
+const mockServerState = {
+  storage: null,
+  isAsyncStorageMode: false,
+};
+
+jest.mock("../lib/server/state", () => ({
+  serverState: mockServerState,
+}));
+
+const {
+  createProfile,
+  getProfileByToken,
+  applyCampaignResult,
+  recordCampaignResults,
+  recordGameRatings,
+  attachProfileHooks,
+  getLeaderboard,
+  getRatings,
+} = require("../lib/server/profiles");
+
+function createCampaign() {
+  const session = new CampaignGameSession("CAMP01", {
+    campaignPreset: "wastelands",
+    playerCount: 2,
+  });
+  attachProfileHooks(session);
+  return session;
+}
+
+/**
+ * Play every round of a two-player campaign, player 1 dealing the damage
+ */
+function playCampaign(session) {
+  for (let round = 1; round <= session.campaign.maxRounds; round++) {
+    session.start();
+    session.updatePlayer(2, { life: 0 });
+  }
+}
+
+function flushPromises() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe("Player profiles", () => {
+  beforeEach(() => {
+    mockServerState.storage = new MemoryStorage().initialize();
+  });
+
+  describe("tokens", () => {
+    test("createProfile should return a token that finds the profile again", async () => {
+      const { profile, token } = await createProfile("Ana");
+
+      expect(profile.name).toBe("Ana");
+      expect(profile.secretHash).toBeUndefined();
+      expect(token.startsWith(`${profile.id}.`)).toBe(true);
+
+      const found = await getProfileByToken(token);
+      expect(found.id).toBe(profile.id);
+    });
+
+    test("should only store a hash of the secret", async () => {
+      const { profile, token } = await createProfile("Ana");
+      const stored = mockServerState.storage.loadProfile(profile.id);
+
+      expect(JSON.stringify(stored)).not.toContain(token.split(".")[1]);
+    });
+
+    test("getProfileByToken should reject wrong secrets and malformed tokens", async () => {
+      const { profile } = await createProfile("Ana");
+
+      expect(await getProfileByToken(`${profile.id}.${"0".repeat(64)}`)).toBeNull();
+      expect(await getProfileByToken(profile.id)).toBeNull();
+      expect(await getProfileByToken("NOPE01.abc")).toBeNull();
+      expect(await getProfileByToken(42)).toBeNull();
+    });
+
+    test("createProfile should stop at the profile limit", async () => {
+      for (let i = 0; i < CONSTANTS.MAX_PLAYER_PROFILES; i++) {
+        mockServerState.storage.saveProfile(`P${i}`, { id: `P${i}` });
+      }
+
+      expect(await createProfile("Late")).toBeNull();
+    });
+  });
+
+  describe("campaign results", () => {
+    test("a completed campaign should be recorded to each linked profile", async () => {
+      const ana = await createProfile("Ana");
+      const ben = await createProfile("Ben");
+      const session = createCampaign();
+      session.linkProfile(1, ana.profile.id);
+      session.linkProfile(2, ben.profile.id);
+
+      playCampaign(session);
+      await flushPromises();
+
+      const winner = mockServerState.storage.loadProfile(ana.profile.id);
+      expect(winner.stats).toMatchObject({
+        campaigns: 1,
+        campaignWins: 1,
+        rounds: 3,
+        roundWins: 3,
+        eliminations: 3,
+      });
+      expect(winner.stats.points).toBe(session.campaign.playerStats[1].accumulatedPoints);
+      expect(winner.history[0]).toMatchObject({ gameId: "CAMP01", name: "The Wastelands" });
+
+      const loser = mockServerState.storage.loadProfile(ben.profile.id);
+      expect(loser.stats).toMatchObject({ campaigns: 1, campaignWins: 0, roundWins: 0 });
+      session.cleanup();
+    });
+
+    test("rounds before the campaign ends should not be recorded", async () => {
+      const ana = await createProfile("Ana");
+      const session = createCampaign();
+      session.linkProfile(1, ana.profile.id);
+
+      session.start();
+      session.updatePlayer(2, { life: 0 });
+      await flushPromises();
+
+      expect(mockServerState.storage.loadProfile(ana.profile.id).stats.campaigns).toBe(0);
+      session.cleanup();
+    });
+
+    test("recording the same campaign twice should only count it once", async () => {
+      const ana = await createProfile("Ana");
+      const session = createCampaign();
+      session.linkProfile(1, ana.profile.id);
+      playCampaign(session);
+      await flushPromises();
+
+      await recordCampaignResults(session);
+
+      expect(mockServerState.storage.loadProfile(ana.profile.id).stats.campaigns).toBe(1);
+      session.cleanup();
+    });
+
+    test("applyCampaignResult should keep the newest history entries", () => {
+      const profile = {
+        stats: { campaigns: 0, campaignWins: 0, rounds: 0, roundWins: 0, points: 0 },
+        history: [],
+      };
+      profile.stats.eliminations = 0;
+      profile.stats.bestLevel = 1;
+
+      for (let i = 0; i <= CONSTANTS.MAX_PROFILE_HISTORY; i++) {
+        applyCampaignResult(profile, {
+          campaignKey: `G${i}`,
+          won: false,
+          rounds: 1,
+          roundWins: 0,
+          points: 1,
+          eliminations: 0,
+          level: i === 3 ? 4 : 1,
+        });
+      }
+
+      expect(profile.history).toHaveLength(CONSTANTS.MAX_PROFILE_HISTORY);
+      expect(profile.history[0].campaignKey).toBe(`G${CONSTANTS.MAX_PROFILE_HISTORY}`);
+      expect(profile.stats.campaigns).toBe(CONSTANTS.MAX_PROFILE_HISTORY + 1);
+      expect(profile.stats.bestLevel).toBe(4);
+    });
+
+    test("profile links should survive persistence", () => {
+      const session = createCampaign();
+      session.linkProfile(2, "PROF01");
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored.playerProfiles).toEqual({ 2: "PROF01" });
+      expect(restored.getState().playerProfiles).toEqual({ 2: "PROF01" });
+      restored.cleanup();
+      session.cleanup();
+    });
+  });
+
+  describe("ratings", () => {
+    async function playRatedGame(names, finishOrder) {
+      const session = new CasualGameSession("RATE01", { playerCount: names.length });
+      const broadcastFn = jest.fn();
+      session.broadcastFn = broadcastFn;
+      attachProfileHooks(session);
+      const profiles = [];
+      for (const [i, name] of names.entries()) {
+        const { profile } = await createProfile(name);
+        session.linkProfile(i + 1, profile.id);
+        profiles.push(profile);
+      }
+
+      session.start();
+      finishOrder.forEach(id => session.eliminate(id));
+      await flushPromises();
+      return { session, broadcastFn, profiles };
+    }
+
+    test("a finished game should rate the linked profiles by finishing place", async () => {
+      const { session, broadcastFn, profiles } = await playRatedGame(["Ana", "Ben", "Cal"], [2, 3]);
+
+      const ratings = profiles.map(p => mockServerState.storage.loadProfile(p.id).rating);
+      expect(ratings[0]).toBeGreaterThan(CONSTANTS.DEFAULT_RATING);
+      expect(ratings[2]).toBeGreaterThan(ratings[1]);
+      expect(ratings.reduce((a, b) => a + b, 0)).toBe(3 * CONSTANTS.DEFAULT_RATING);
+
+      const ana = mockServerState.storage.loadProfile(profiles[0].id);
+      expect(ana.stats.ratedGames).toBe(1);
+      expect(ana.ratingHistory[0]).toMatchObject({ gameId: "RATE01", rank: 1, players: 3 });
+
+      const [, { changes }] = broadcastFn.mock.calls.find(([type]) => type === "ratingsUpdated");
+      expect(changes.find(c => c.playerId === 2)).toMatchObject({
+        name: "Ben",
+        rank: 3,
+        before: CONSTANTS.DEFAULT_RATING,
+        after: ratings[1],
+      });
+      session.cleanup();
+    });
+
+    test("should only rate a game once", async () => {
+      const { session, profiles } = await playRatedGame(["Ana", "Ben"], [2]);
+      const rating = mockServerState.storage.loadProfile(profiles[0].id).rating;
+
+      expect(await recordGameRatings(session, { winnerId: 1 })).toBeNull();
+      expect(mockServerState.storage.loadProfile(profiles[0].id).rating).toBe(rating);
+      session.cleanup();
+    });
+
+    test("should need at least two profiles", async () => {
+      const session = new CasualGameSession("RATE01", { playerCount: 2 });
+      const { profile } = await createProfile("Ana");
+      session.linkProfile(1, profile.id);
+      session.start();
+      session.eliminate(2);
+
+      expect(await recordGameRatings(session, { winnerId: 1 })).toBeNull();
+      session.cleanup();
+    });
+
+    test("tournament tables and team games should not be hooked", () => {
+      const table = new CasualGameSession("TABLE1", {
+        playerCount: 2,
+        tournament: { id: "TOURN1", round: 1, table: 1 },
+      });
+      const teams = new TeamsGameSession("TEAMS1", { playerCount: 4 });
+
+      attachProfileHooks(table);
+      attachProfileHooks(teams);
+
+      expect(table.completeFn).toBeNull();
+      expect(teams.completeFn).toBeNull();
+      table.cleanup();
+      teams.cleanup();
+    });
+
+    test("getRatings should rank rated profiles by rating", async () => {
+      const { session } = await playRatedGame(["Ana", "Ben", "Cal"], [1, 3]);
+      await createProfile("Dee");
+
+      const ratings = await getRatings();
+
+      expect(ratings.map(p => [p.rank, p.name])).toEqual([
+        [1, "Ben"],
+        [2, "Cal"],
+        [3, "Ana"],
+      ]);
+      expect(ratings[0].secretHash).toBeUndefined();
+      session.cleanup();
+    });
+  });
+
+  describe("getLeaderboard", () => {
+    test("should rank by campaign wins, then points, and skip unplayed profiles", async () => {
+      const result = (key, won, points) => ({
+        campaignKey: key,
+        won,
+        rounds: 3,
+        roundWins: 1,
+        points,
+        eliminations: 0,
+        level: 1,
+      });
+      const profiles = {};
+      for (const name of ["Ana", "Ben", "Cal", "Dee"]) {
+        const { profile } = await createProfile(name);
+        profiles[name] = mockServerState.storage.loadProfile(profile.id);
+      }
+      applyCampaignResult(profiles.Ana, result("A", false, 90));
+      applyCampaignResult(profiles.Ben, result("B", true, 10));
+      applyCampaignResult(profiles.Cal, result("C", false, 40));
+      for (const profile of Object.values(profiles)) {
+        mockServerState.storage.saveProfile(profile.id, profile);
+      }
+
+      const leaderboard = await getLeaderboard();
+
+      expect(leaderboard.map(p => [p.rank, p.name])).toEqual([
+        [1, "Ben"],
+        [2, "Ana"],
+        [3, "Cal"],
+      ]);
+      expect(leaderboard[0].secretHash).toBeUndefined();
+      expect(await getLeaderboard(1)).toHaveLength(1);
+    });
+  });
+});
+
+describe("Profile storage", () => {
+  const testDbPath = "./data/test-profiles.db";
+  const profile = { id: "PROF01", name: "Ana", stats: { campaigns: 2 }, history: [] };
+
+  afterEach(() => {
+    for (const suffix of ["", "-wal", "-shm"]) {
+      if (fs.existsSync(testDbPath + suffix)) {
+        fs.unlinkSync(testDbPath + suffix);
+      }
+    }
+  });
+
+  test("SessionStorage should save, update and load profiles", () => {
+    const storage = new SessionStorage(testDbPath).initialize();
+
+    storage.saveProfile(profile.id, profile);
+    storage.saveProfile(profile.id, { ...profile, name: "Ana B" });
+
+    expect(storage.loadProfile("PROF01").name).toBe("Ana B");
+    expect(storage.loadProfile("NOPE01")).toBeNull();
+    expect(storage.loadAllProfiles()).toHaveLength(1);
+    storage.close();
+  });
+
+  test("MemoryStorage should return copies of profiles", () => {
+    const storage = new MemoryStorage().initialize();
+
+    storage.saveProfile(profile.id, profile);
+    storage.loadProfile(profile.id).name = "Changed";
+
+    expect(storage.loadProfile(profile.id).name).toBe("Ana");
+    expect(storage.loadAllProfiles()).toEqual([profile]);
+  });
+});
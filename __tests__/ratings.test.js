@@ -0,0 +1,138 @@
+/**
+ * Rating Tests
+ *
+ * Tests for multiplayer Elo and the finishing order games record for it.
+ */
+
+const { CasualGameSession, restoreGameSession } = require("../lib/game-modes");
+const {
+  getFinishingRanks,
+  expectedScore,
+  calculateRatingChanges,
+} = require("../lib/server/ratings");
+
+describe("getFinishingRanks", () => {
+  test("should place the winner first and the first player out last", () => {
+    expect(getFinishingRanks([1, 2, 3, 4], [3, 2, 4], 1)).toEqual({ 1: 1, 4: 2, 2: 3, 3: 4 });
+  });
+
+  test("should share first place between the survivors of a draw", () => {
+    expect(getFinishingRanks([1, 2, 3], [2], null)).toEqual({ 1: 1, 3: 1, 2: 3 });
+  });
+
+  test("should ignore seats that aren't in the game", () => {
+    expect(getFinishingRanks([1, 2], [5, 2], 1)).toEqual({ 1: 1, 2: 2 });
+  });
+});
+
+describe("calculateRatingChanges", () => {
+  test("should favour the higher rated player", () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5);
+    expect(expectedScore(1900, 1500)).toBeCloseTo(0.909, 3);
+  });
+
+  test("should move equal ratings by finishing place", () => {
+    const deltas = calculateRatingChanges(
+      [
+        { id: "A", rating: 1500, rank: 1 },
+        { id: "B", rating: 1500, rank: 2 },
+        { id: "C", rating: 1500, rank: 3 },
+        { id: "D", rating: 1500, rank: 4 },
+      ],
+      32
+    );
+
+    expect(deltas).toEqual({ A: 16, B: 5, C: -5, D: -16 });
+  });
+
+  test("should reward an upset more than an expected win", () => {
+    const upset = calculateRatingChanges([
+      { id: "low", rating: 1400, rank: 1 },
+      { id: "high", rating: 1600, rank: 2 },
+    ]);
+    const expected = calculateRatingChanges([
+      { id: "low", rating: 1400, rank: 2 },
+      { id: "high", rating: 1600, rank: 1 },
+    ]);
+
+    expect(upset.low).toBeGreaterThan(expected.high);
+    expect(upset.low).toBe(-upset.high);
+  });
+
+  test("should leave equal players in a draw where they were", () => {
+    expect(
+      calculateRatingChanges([
+        { id: "A", rating: 1500, rank: 1 },
+        { id: "B", rating: 1500, rank: 1 },
+      ])
+    ).toEqual({ A: 0, B: 0 });
+    expect(calculateRatingChanges([{ id: "A", rating: 1500, rank: 1 }])).toEqual({});
+  });
+});
+
+describe("finish order", () => {
+  let session;
+
+  beforeEach(() => {
+    session = new CasualGameSession("ORDER1", { playerCount: 4 });
+    session.start();
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  test("should record players in the order they go out", () => {
+    session.eliminate(3);
+    session.updatePlayer(1, { life: 0 });
+
+    expect(session.finishOrder).toEqual([3, 1]);
+  });
+
+  test("should forget a revived player", () => {
+    session.eliminate(3);
+    session.eliminate(2);
+
+    session.revivePlayer(3);
+
+    expect(session.finishOrder).toEqual([2]);
+  });
+
+  test("should follow undo", () => {
+    session.setOwner("owner");
+    session.recordAction("updatePlayer", "owner", () => session.updatePlayer(2, { life: 0 }));
+    expect(session.finishOrder).toEqual([2]);
+
+    session.undo("owner");
+
+    expect(session.finishOrder).toEqual([]);
+  });
+
+  test("should be announced with the result and cleared for the next game", () => {
+    const broadcastFn = jest.fn();
+    session.broadcastFn = broadcastFn;
+    const startedAt = session.gameStartedAt;
+
+    [4, 2, 1].forEach(id => session.eliminate(id));
+
+    expect(broadcastFn).toHaveBeenCalledWith(
+      "gameComplete",
+      expect.objectContaining({ winnerId: 3, finishOrder: [4, 2, 1] })
+    );
+    expect(startedAt).not.toBeNull();
+
+    session.reset();
+    expect(session.finishOrder).toEqual([]);
+    expect(session.gameStartedAt).toBeNull();
+  });
+
+  test("should survive persistence", () => {
+    session.eliminate(2);
+
+    const restored = restoreGameSession(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.finishOrder).toEqual([2]);
+    expect(restored.gameStartedAt).toBe(session.gameStartedAt);
+    restored.cleanup();
+  });
+});
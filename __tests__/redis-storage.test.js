@@ -11,6 +11,10 @@ jest.mock("ioredis", () => {
     set: jest.fn().mockResolvedValue("OK"),
     get: jest.fn().mockResolvedValue(null),
     del: jest.fn().mockResolvedValue(1),
+    rpush: jest.fn().mockResolvedValue(1),
+    ltrim: jest.fn().mockResolvedValue("OK"),
+    lrange: jest.fn().mockResolvedValue([]),
+    expire: jest.fn().mockResolvedValue(1),
     keys: jest.fn().mockResolvedValue([]),
     // SCAN returns [cursor, keys] - cursor "0" means done
     scan: jest.fn().mockResolvedValue(["0", []]),
@@ -38,6 +42,7 @@ jest.mock("../lib/logger", () => ({
 }));
 
 const { RedisStorage, KEYS } = require("../lib/redis-storage");
+const { CONSTANTS } = require("../lib/shared/constants");
 
 describe("RedisStorage", () => {
   let storage;
@@ -219,6 +224,50 @@ describe("RedisStorage", () => {
       await storage.delete("TEST01");
       expect(storage.redis.del).toHaveBeenCalledWith("session:TEST01");
     });
+
+    test("should delete the session's event log", async () => {
+      await storage.delete("TEST01");
+      expect(storage.redis.del).toHaveBeenCalledWith("events:TEST01");
+    });
+  });
+
+  describe("event log", () => {
+    beforeEach(() => {
+      storage.initialize();
+    });
+
+    test("should push events onto a capped list that expires with the session", async () => {
+      await storage.appendEvent("TEST01", { type: "start", timestamp: 1 });
+
+      expect(storage.redis.rpush).toHaveBeenCalledWith(
+        "events:TEST01",
+        JSON.stringify({ type: "start", timestamp: 1 })
+      );
+      expect(storage.redis.ltrim).toHaveBeenCalledWith(
+        "events:TEST01",
+        -CONSTANTS.MAX_GAME_EVENTS,
+        -1
+      );
+      expect(storage.redis.expire).toHaveBeenCalledWith("events:TEST01", storage.options.ttl);
+    });
+
+    test("should load events in list order", async () => {
+      storage.redis.lrange.mockResolvedValueOnce([
+        JSON.stringify({ type: "start" }),
+        JSON.stringify({ type: "passTurn" }),
+      ]);
+
+      const events = await storage.loadEvents("TEST01");
+
+      expect(storage.redis.lrange).toHaveBeenCalledWith("events:TEST01", 0, -1);
+      expect(events.map(e => e.type)).toEqual(["start", "passTurn"]);
+    });
+
+    test("should return an empty log on Redis errors", async () => {
+      storage.redis.lrange.mockRejectedValueOnce(new Error("boom"));
+
+      expect(await storage.loadEvents("TEST01")).toEqual([]);
+    });
   });
 
   describe("count", () => {
@@ -0,0 +1,245 @@
+const { RoundGameSession } = require("../lib/game-modes/round");
+const { restoreGameSession } = require("../lib/game-modes");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings } = require("../lib/shared/validators");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new RoundGameSession(
+    "TEST",
+    {
+      playerCount: 3,
+      initialTime: 60000,
+      roundTime: 10000,
+      extraTurns: 2,
+      warningThresholds: [5000],
+      ...overrides,
+    },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Round Mode", () => {
+  let now;
+  let session;
+  let broadcasts;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("setup", () => {
+    test("should default to a 50 minute round with 5 extra turns", () => {
+      session = new RoundGameSession("TEST");
+
+      expect(session.mode).toBe("round");
+      expect(session.settings.roundTime).toBe(CONSTANTS.DEFAULT_ROUND_TIME);
+      expect(session.settings.extraTurns).toBe(CONSTANTS.DEFAULT_EXTRA_TURNS);
+      expect(session.roundTimeRemaining).toBe(CONSTANTS.DEFAULT_ROUND_TIME);
+      expect(session.extraTurnsRemaining).toBeNull();
+    });
+
+    test("validateSettings should check round settings", () => {
+      expect(validateSettings({ roundTime: 3000000, extraTurns: 5 })).toBe(true);
+      expect(validateSettings({ extraTurns: 0 })).toBe(true);
+      expect(validateSettings({ roundTime: 0 })).toBe(false);
+      expect(validateSettings({ extraTurns: -1 })).toBe(false);
+      expect(validateSettings({ extraTurns: CONSTANTS.MAX_EXTRA_TURNS + 1 })).toBe(false);
+    });
+  });
+
+  describe("round clock", () => {
+    test("should run the shared clock without draining player banks", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+
+      advance(3000);
+
+      expect(session.roundTimeRemaining).toBe(7000);
+      expect(session.players.every(p => p.timeRemaining === 60000)).toBe(true);
+      const tick = broadcasts.filter(b => b.type === "tick").pop();
+      expect(tick.data.roundTimeRemaining).toBe(7000);
+    });
+
+    test("should keep running through interrupts and turn changes", () => {
+      ({ session } = createSession());
+      session.start();
+
+      session.interrupt(2);
+      advance(2000);
+      session.passPriority(2);
+      session.passTurn();
+      advance(2000);
+
+      expect(session.roundTimeRemaining).toBe(6000);
+      expect(session.players[1].timeRemaining).toBe(60000);
+    });
+
+    test("should warn as the round clock crosses a threshold", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+
+      advance(6000);
+
+      const warnings = broadcasts.filter(b => b.type === "warning");
+      expect(warnings).toEqual([
+        { type: "warning", data: { playerId: null, threshold: 5000, scope: "round" } },
+      ]);
+    });
+
+    test("should not count down while paused", () => {
+      ({ session } = createSession());
+      session.start();
+      session.pause();
+
+      advance(5000);
+
+      expect(session.roundTimeRemaining).toBe(10000);
+    });
+  });
+
+  describe("extra turns", () => {
+    test("should call time when the round clock runs out", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+
+      advance(12000);
+
+      expect(session.roundTimeRemaining).toBe(0);
+      expect(session.isTimeCalled()).toBe(true);
+      expect(session.extraTurnsRemaining).toBe(3);
+      expect(session.status).toBe("running");
+      expect(broadcasts).toContainEqual({
+        type: "timeCalled",
+        data: { activePlayer: 1, extraTurns: 2 },
+      });
+    });
+
+    test("should finish turn 0 and the extra turns, then end in a draw", () => {
+      ({ session, broadcasts } = createSession());
+      const onGameComplete = jest.spyOn(session, "onGameComplete");
+      session.start();
+      advance(10000);
+
+      session.passTurn(); // Turn 0 ends
+      expect(session.activePlayer).toBe(2);
+      expect(session.extraTurnsRemaining).toBe(2);
+      session.passTurn();
+      expect(session.activePlayer).toBe(3);
+      expect(session.status).toBe("running");
+
+      session.passTurn();
+
+      expect(session.status).toBe("finished");
+      expect(session.winner).toBeNull();
+      expect(session.isDraw).toBe(true);
+      expect(onGameComplete).toHaveBeenCalledWith(
+        expect.objectContaining({ winnerId: null, draw: true, reason: "time" })
+      );
+      const complete = broadcasts.find(b => b.type === "gameComplete");
+      expect(complete.data.draw).toBe(true);
+    });
+
+    test("should end after turn 0 when there are no extra turns", () => {
+      ({ session } = createSession({ extraTurns: 0 }));
+      session.start();
+      advance(10000);
+
+      session.passTurn();
+
+      expect(session.status).toBe("finished");
+      expect(session.isDraw).toBe(true);
+    });
+
+    test("should still let a player win during the extra turns", () => {
+      ({ session } = createSession({ playerCount: 2 }));
+      session.start();
+      advance(10000);
+
+      session.eliminate(2);
+
+      expect(session.status).toBe("finished");
+      expect(session.winner).toBe(1);
+      expect(session.isDraw).toBe(false);
+    });
+
+    test("should not count extra turns before time is called", () => {
+      ({ session } = createSession());
+      session.start();
+
+      session.passTurn();
+      session.passTurn();
+      session.passTurn();
+
+      expect(session.extraTurnsRemaining).toBeNull();
+      expect(session.status).toBe("running");
+    });
+
+    test("undo should give back an extra turn", () => {
+      ({ session } = createSession());
+      session.setOwner("owner");
+      session.start();
+      advance(10000);
+
+      session.recordAction("passTurn", "owner", () => session.passTurn());
+      expect(session.extraTurnsRemaining).toBe(2);
+
+      session.undo("owner");
+
+      expect(session.activePlayer).toBe(1);
+      expect(session.extraTurnsRemaining).toBe(3);
+    });
+
+    test("reset should restart the round clock", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(10000);
+      session.passTurn();
+
+      session.reset();
+
+      expect(session.roundTimeRemaining).toBe(10000);
+      expect(session.extraTurnsRemaining).toBeNull();
+    });
+  });
+
+  describe("persistence", () => {
+    test("should restore the round clock through getModeState/restoreModeState", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(10000);
+      session.passTurn();
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored).toBeInstanceOf(RoundGameSession);
+      expect(restored.roundTimeRemaining).toBe(0);
+      expect(restored.extraTurnsRemaining).toBe(2);
+      expect(restored.settings.extraTurns).toBe(2);
+      restored.cleanup();
+    });
+
+    test("should include the round clock in getState", () => {
+      ({ session } = createSession());
+
+      const state = session.getState();
+
+      expect(state.roundTimeRemaining).toBe(10000);
+      expect(state.extraTurnsRemaining).toBeNull();
+      expect(state.isDraw).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Campaign Scoring Rules Tests
+ *
+ * Tests for the scoring rule language, its validation and how campaigns
+ * score eliminations and placements with it.
+ */
+
+const { CampaignGameSession, CampaignState } = require("../lib/game-modes/campaign");
+const { restoreGameSession } = require("../lib/game-modes");
+const {
+  compileScoringRule,
+  isValidScoringRule,
+  scoreRound,
+} = require("../lib/shared/scoring-rules");
+const { validateCampaignPreset, validateScoring } = require("../lib/shared/validators");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+const vars = {
+  damage: 7,
+  targets: 2,
+  eliminations: 1,
+  round: 2,
+  players: 4,
+  placement: 1,
+  roundMult: 1.5,
+  targetMult: 2,
+  placementBonus: 5,
+};
+
+function createCustomCampaign(scoring, playerCount = 3) {
+  return new CampaignState("CUSTOM", playerCount, {
+    name: "Rules",
+    rounds: 3,
+    timePerRound: 600000,
+    timeDecreasePerRound: 0,
+    minTime: 600000,
+    winCondition: "total_points",
+    winTarget: null,
+    scoring,
+  });
+}
+
+describe("scoring rule language", () => {
+  test("should respect precedence, parentheses and unary minus", () => {
+    expect(scoreRound({ rules: ["2 + 3 * 4"] }, vars)).toBe(14);
+    expect(scoreRound({ rules: ["(2 + 3) * 4"] }, vars)).toBe(20);
+    expect(scoreRound({ rules: ["-damage + 10"] }, vars)).toBe(3);
+    expect(scoreRound({ rules: ["10 - 4 - 3"] }, vars)).toBe(3);
+  });
+
+  test("should read variables and call functions", () => {
+    expect(scoreRound({ rules: ["floor(damage * targetMult * roundMult)"] }, vars)).toBe(21);
+    expect(scoreRound({ rules: ["max(damage, 10, targets)", "min(placement, 3)"] }, vars)).toBe(11);
+    expect(scoreRound({ rules: ["eliminations * 3 + placementBonus"] }, vars)).toBe(8);
+  });
+
+  test("should sum every rule and round the total down", () => {
+    expect(scoreRound({ rules: ["damage / 2", "0.25"] }, vars)).toBe(3);
+  });
+
+  test("should score results that aren't finite as 0", () => {
+    expect(scoreRound({ rules: ["damage / 0", "1"] }, vars)).toBe(1);
+  });
+
+  test("should reject unknown names, stray tokens and wrong arity", () => {
+    expect(isValidScoringRule("damage * 2")).toBe(true);
+    expect(isValidScoringRule("constructor")).toBe(false);
+    expect(isValidScoringRule("process.exit(1)")).toBe(false);
+    expect(isValidScoringRule("floor(damage, 2)")).toBe(false);
+    expect(isValidScoringRule("max(damage)")).toBe(false);
+    expect(isValidScoringRule("damage *")).toBe(false);
+    expect(isValidScoringRule("(damage")).toBe(false);
+    expect(isValidScoringRule("damage 2")).toBe(false);
+    expect(isValidScoringRule("damage ** 2")).toBe(false);
+    expect(isValidScoringRule("")).toBe(false);
+    expect(isValidScoringRule("1".repeat(CONSTANTS.MAX_SCORING_RULE_LENGTH + 1))).toBe(false);
+  });
+
+  test("should reuse the parsed tree for the same rule", () => {
+    expect(compileScoringRule("damage + 1")).toBe(compileScoringRule("damage + 1"));
+  });
+});
+
+describe("validateScoring", () => {
+  test("should check rules and placement bonuses", () => {
+    expect(validateScoring({ rules: ["damage"], placementBonuses: { 1: 5, 2: -1 } })).toBe(true);
+    expect(validateScoring({ rules: [] })).toBe(false);
+    expect(validateScoring({ rules: ["damage +"] })).toBe(false);
+    expect(validateScoring({ rules: Array(CONSTANTS.MAX_SCORING_RULES + 1).fill("1") })).toBe(
+      false
+    );
+    expect(validateScoring({ rules: ["1"], placementBonuses: { 0: 5 } })).toBe(false);
+    expect(validateScoring({ rules: ["1"], placementBonuses: { 1: 1.5 } })).toBe(false);
+    expect(validateScoring({ rules: ["1"], placementBonuses: [5] })).toBe(false);
+  });
+
+  test("validateCampaignPreset should check the scoring definition", () => {
+    const preset = {
+      name: "Rules",
+      rounds: 3,
+      timePerRound: 600000,
+      winCondition: "total_points",
+    };
+
+    expect(validateCampaignPreset({ ...preset, scoring: { rules: ["damage"] } })).toBe(true);
+    expect(validateCampaignPreset({ ...preset, scoring: { rules: ["eval(1)"] } })).toBe(false);
+  });
+});
+
+describe("campaign scoring", () => {
+  test("should score the round with the preset's rules", () => {
+    const campaign = createCustomCampaign({ rules: ["damage * 2", "targets"] });
+    campaign.recordDamage(1, 2, 3);
+    campaign.recordDamage(1, 3, 1);
+
+    expect(campaign.calculatePoints(1)).toBe(10);
+    expect(campaign.calculatePoints(2)).toBe(0);
+  });
+
+  test("should place eliminated players from the bottom and the winner first", () => {
+    const campaign = createCustomCampaign({ rules: ["0"] }, 4);
+    campaign.recordElimination(3, 1);
+    campaign.recordElimination(2, 1);
+
+    expect(campaign.getPlacement(3)).toBe(4);
+    expect(campaign.getPlacement(2)).toBe(3);
+    expect(campaign.getPlacement(1)).toBe(0);
+
+    campaign.roundWinner = 1;
+    expect(campaign.getPlacement(1)).toBe(1);
+  });
+
+  test("should credit eliminations and placement bonuses when the round ends", () => {
+    const session = new CampaignGameSession("RULES", {
+      campaignPreset: "CUSTOM",
+      customCampaignPreset: {
+        name: "Rules",
+        rounds: 3,
+        timePerRound: 600000,
+        timeDecreasePerRound: 0,
+        minTime: 600000,
+        startingLife: 5,
+        winCondition: "total_points",
+        winTarget: null,
+        scoring: {
+          rules: ["eliminations * 3", "placementBonus"],
+          placementBonuses: { 1: 10, 2: 4 },
+        },
+      },
+      playerCount: 3,
+    });
+    session.start();
+
+    session.updatePlayer(3, { life: 0 }); // Player 1 eliminates player 3
+    expect(session.campaign.getEliminationCount(1)).toBe(1);
+    session.passTurn();
+    session.updatePlayer(1, { life: 0 }); // Player 2 eliminates player 1 and wins
+
+    const { playerStats } = session.campaign;
+    expect(playerStats[1]).toMatchObject({ eliminations: 1, accumulatedPoints: 7 });
+    expect(playerStats[2]).toMatchObject({ eliminations: 1, accumulatedPoints: 13 });
+    expect(playerStats[3]).toMatchObject({ eliminations: 0, accumulatedPoints: 0 });
+    expect(session.campaign.eliminationOrder).toEqual([]);
+    session.cleanup();
+  });
+
+  test("should forget an elimination when the player is revived", () => {
+    const session = new CampaignGameSession("RULES", {
+      campaignPreset: "wastelands",
+      playerCount: 3,
+    });
+    session.start();
+    session.updatePlayer(2, { life: 0 });
+
+    session.revivePlayer(2);
+
+    expect(session.campaign.eliminationOrder).toEqual([]);
+    session.cleanup();
+  });
+
+  test("should keep the elimination order through persistence", () => {
+    const session = new CampaignGameSession("RULES", {
+      campaignPreset: "wastelands",
+      playerCount: 3,
+    });
+    session.start();
+    session.updatePlayer(2, { life: 0 });
+
+    const restored = restoreGameSession(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.campaign.eliminationOrder).toEqual([{ playerId: 2, by: 1 }]);
+    expect(restored.campaign.config.scoring.rules).toHaveLength(1);
+    restored.cleanup();
+    session.cleanup();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Seating Tests
+ *
+ * Tests for the seat map and turn direction, and the turn order they set.
+ */
+
+const { CasualGameSession, TeamsGameSession, restoreGameSession } = require("../lib/game-modes");
+const { validateSeatMap, validateSettings } = require("../lib/shared/validators");
+
+describe("seating", () => {
+  let session;
+
+  const turnOrder = () => session.getTurnOrder().map(p => p.id);
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  test("should seat players in ID order without a seat map", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 4 });
+
+    expect(turnOrder()).toEqual([1, 2, 3, 4]);
+    expect(session.settings.turnDirection).toBe("clockwise");
+  });
+
+  test("should pass turns around the seat map", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 4, seatMap: [3, 1, 4, 2] });
+    session.start();
+
+    expect(session.activePlayer).toBe(3);
+    const order = [1, 2, 3].map(() => {
+      session.passTurn();
+      return session.activePlayer;
+    });
+
+    expect(order).toEqual([1, 4, 2]);
+  });
+
+  test("should pass turns the other way counterclockwise", () => {
+    session = new CasualGameSession("SEAT01", {
+      playerCount: 4,
+      turnDirection: "counterclockwise",
+    });
+
+    expect(turnOrder()).toEqual([1, 4, 3, 2]);
+    expect(session.getTurnOrderAfter(4)).toEqual([3, 2, 1]);
+  });
+
+  test("should skip eliminated players in seat order", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 4, seatMap: [1, 3, 2, 4] });
+    session.start();
+
+    session.eliminate(1);
+
+    expect(session.activePlayer).toBe(3);
+  });
+
+  test("should start a new round back at the first player's seat", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 3, seatMap: [2, 3, 1] });
+    session.start();
+
+    session.passTurn();
+    session.passTurn();
+    expect(session.roundNumber).toBe(1);
+
+    session.passTurn();
+    expect(session.activePlayer).toBe(2);
+    expect(session.roundNumber).toBe(2);
+  });
+
+  test("should fall back to ID order when the seat map doesn't fit the players", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 3, seatMap: [2, 1] });
+
+    expect(turnOrder()).toEqual([1, 2, 3]);
+  });
+
+  test("should reverse team order counterclockwise", () => {
+    session = new TeamsGameSession("SEAT01", {
+      playerCount: 6,
+      teamCount: 3,
+      turnDirection: "counterclockwise",
+    });
+    session.start();
+    const teamOf = id => session.teams.indexOf(session.getPlayerTeam(id));
+
+    session.passTurn();
+
+    expect(teamOf(session.activePlayer)).toBe(2);
+  });
+
+  test("should survive persistence", () => {
+    session = new CasualGameSession("SEAT01", { playerCount: 3, seatMap: [3, 2, 1] });
+
+    const restored = restoreGameSession(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.getTurnOrder().map(p => p.id)).toEqual([3, 2, 1]);
+    restored.cleanup();
+  });
+});
+
+describe("validateSeatMap", () => {
+  test("should accept null or a permutation of the players", () => {
+    expect(validateSeatMap(null)).toBe(true);
+    expect(validateSeatMap([2, 1, 3], [1, 2, 3])).toBe(true);
+  });
+
+  test("should reject repeats, strays and the wrong size", () => {
+    expect(validateSeatMap([1, 1], [1, 2])).toBe(false);
+    expect(validateSeatMap([1, 3], [1, 2])).toBe(false);
+    expect(validateSeatMap([1, 2], [1, 2, 3])).toBe(false);
+    expect(validateSeatMap([1])).toBe(false);
+    expect(validateSeatMap("1,2")).toBe(false);
+  });
+
+  test("should check seating in game settings against the player count", () => {
+    expect(validateSettings({ playerCount: 3, seatMap: [3, 1, 2] })).toBe(true);
+    expect(validateSettings({ playerCount: 4, seatMap: [3, 1, 2] })).toBe(false);
+    expect(validateSettings({ turnDirection: "sideways" })).toBe(false);
+  });
+});
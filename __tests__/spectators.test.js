@@ -0,0 +1,226 @@
+/**
+ * Spectator Tests
+ *
+ * Tests for spectator tracking and the redacted broadcasts spectators get.
+ */
+
+const WebSocket = require("ws");
+const { CasualGameSession, CampaignGameSession } = require("../lib/game-modes");
+
+jest.mock("../lib/logger", () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mockServerState = {
+  wss: null,
+  getSession: jest.fn(),
+};
+
+jest.mock("../lib/server/state", () => ({
+  serverState: mockServerState,
+}));
+
+const {
+  redactForSpectators,
+  redactGameEvent,
+  broadcastToLocalClients,
+} = require("../lib/server/websocket");
+
+describe("spectator tracking", () => {
+  let session;
+
+  beforeEach(() => {
+    session = new CasualGameSession("SPEC01", { playerCount: 2 });
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  test("should count each spectator once", () => {
+    expect(session.addSpectator("a")).toBe(true);
+    expect(session.addSpectator("a")).toBe(false);
+    session.addSpectator("b");
+
+    expect(session.getState().spectatorCount).toBe(2);
+    expect(session.removeSpectator("a")).toBe(true);
+    expect(session.removeSpectator("a")).toBe(false);
+    expect(session.getState().spectatorCount).toBe(1);
+  });
+
+  test("should free a spectator's seat but keep its reconnect token", () => {
+    const { token } = session.claimPlayer(1, "a");
+
+    session.addSpectator("a");
+
+    expect(session.players[0].claimedBy).toBeNull();
+    expect(session.reconnectPlayer(1, token, "a").success).toBe(true);
+  });
+
+  test("should not persist spectators", () => {
+    session.addSpectator("a");
+
+    expect(JSON.stringify(session.toJSON())).not.toContain("spectators");
+  });
+});
+
+describe("redactForSpectators", () => {
+  let session;
+
+  beforeEach(() => {
+    session = new CasualGameSession("SPEC01", { playerCount: 2 });
+    session.setOwner("owner");
+    session.updatePlayer(1, { name: "Alice" });
+    session.claimPlayer(1, "owner");
+    session.linkProfile(1, "PROFILE1");
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  test("should hide names, the owner and who holds each seat", () => {
+    const state = redactForSpectators("state", session.getState());
+
+    expect(state.ownerId).toBeNull();
+    expect(state.playerProfiles).toEqual({});
+    expect(state.players.map(p => [p.name, p.claimedBy])).toEqual([
+      ["Player 1", "hidden"],
+      ["Player 2", null],
+    ]);
+    expect(session.getState().players[0].name).toBe("Alice");
+  });
+
+  test("should hide campaign player names", () => {
+    const campaign = new CampaignGameSession("SPEC02", { playerCount: 2 });
+    campaign.updatePlayer(2, { name: "Bob" });
+
+    const state = redactForSpectators("state", campaign.getState());
+
+    expect(state.campaign.playerNames).toEqual({});
+    campaign.cleanup();
+  });
+
+  test("should alias seat names in other messages from their seat ids", () => {
+    expect(redactForSpectators("stackResolved", { playerId: 1, playerName: "Alice" })).toEqual({
+      playerId: 1,
+      playerName: "Player 1",
+    });
+    expect(redactForSpectators("gameComplete", { winnerId: 1, winnerName: "Alice" })).toEqual({
+      winnerId: 1,
+      winnerName: "Player 1",
+    });
+    expect(
+      redactForSpectators("gameComplete", {
+        winnerId: 2,
+        winnerName: "Heroes",
+        winningSide: "heroes",
+      }).winnerName
+    ).toBe("Heroes");
+    expect(
+      redactForSpectators("gameComplete", { winnerId: 1, winnerName: "Team 1", winningTeamId: 1 })
+        .winnerName
+    ).toBe("Team 1");
+    expect(
+      redactForSpectators("ratingsUpdated", {
+        changes: [{ playerId: 1, profileId: "PROFILE1", name: "Alice", delta: 5 }],
+      })
+    ).toEqual({ changes: [{ playerId: 1, profileId: null, name: "Player 1", delta: 5 }] });
+  });
+});
+
+describe("redactGameEvent", () => {
+  test("should hide seat names in the replay snapshot and the event data", () => {
+    const session = new CasualGameSession("SPEC03", { playerCount: 2 });
+    session.updatePlayer(1, { name: "Alice" });
+    const event = {
+      type: "updatePlayer",
+      actorPlayerId: 1,
+      data: { playerId: 1, name: "Alice" },
+      timestamp: 1,
+      snapshot: session.getReplaySnapshot(),
+    };
+
+    const redacted = redactGameEvent(event);
+
+    expect(JSON.stringify(redacted)).not.toContain("Alice");
+    expect(redacted.data.name).toBe("Player 1");
+    expect(redacted.snapshot.players.map(p => p.name)).toEqual(["Player 1", "Player 2"]);
+    expect(redacted.snapshot.players[0].life).toBe(event.snapshot.players[0].life);
+    expect(event.snapshot.players[0].name).toBe("Alice");
+    session.cleanup();
+  });
+});
+
+describe("broadcastToLocalClients", () => {
+  let session;
+  let player;
+  let spectator;
+
+  const lastMessage = client => JSON.parse(client.send.mock.calls.at(-1)[0]);
+
+  beforeEach(() => {
+    session = new CasualGameSession("SPEC01", { playerCount: 2 });
+    session.updatePlayer(1, { name: "Alice" });
+    const client = { gameId: "SPEC01", readyState: WebSocket.OPEN, bufferedAmount: 0 };
+    player = { ...client, send: jest.fn() };
+    spectator = { ...client, isSpectator: true, send: jest.fn() };
+    mockServerState.wss = { clients: new Set([player, spectator]) };
+    mockServerState.getSession.mockReturnValue(session);
+  });
+
+  afterEach(() => {
+    session.cleanup();
+  });
+
+  test("should send spectators the full state unless players are hidden", () => {
+    broadcastToLocalClients("SPEC01", "state", session.getState());
+    expect(lastMessage(spectator).data.players[0].name).toBe("Alice");
+
+    session.settings.hideFromSpectators = true;
+    broadcastToLocalClients("SPEC01", "state", session.getState());
+
+    expect(lastMessage(spectator).data.players[0].name).toBe("Player 1");
+    expect(lastMessage(player).data.players[0].name).toBe("Alice");
+  });
+
+  test("should go by the session's settings for other messages", () => {
+    session.settings.hideFromSpectators = true;
+
+    broadcastToLocalClients("SPEC01", "stackResolved", { playerId: 1, playerName: "Alice" });
+
+    expect(lastMessage(spectator).data.playerName).toBe("Player 1");
+    expect(lastMessage(player).data.playerName).toBe("Alice");
+  });
+
+  test.each([
+    ["randomPlayerSelected", { playerId: 1, playerName: "Alice" }],
+    ["diceRolled", { playerId: 1, playerName: "Alice", sides: 20, result: 7 }],
+    [
+      "playOrderRolled",
+      { rolls: [{ playerId: 1, playerName: "Alice", rolls: [7] }], newOrder: [1] },
+    ],
+  ])("should hide the roller's name in %s", (type, data) => {
+    session.settings.hideFromSpectators = true;
+
+    broadcastToLocalClients("SPEC01", type, data);
+
+    expect(JSON.stringify(lastMessage(spectator))).not.toContain("Alice");
+    expect(JSON.stringify(lastMessage(spectator))).toContain("Player 1");
+    expect(JSON.stringify(lastMessage(player))).toContain("Alice");
+  });
+
+  test("should redact other messages for a game with no local session", () => {
+    mockServerState.getSession.mockReturnValue(undefined);
+
+    broadcastToLocalClients("SPEC01", "planarDieRolled", { playerId: 1, playerName: "Alice" });
+
+    expect(lastMessage(spectator).data.playerName).toBe("Player 1");
+    expect(lastMessage(player).data.playerName).toBe("Alice");
+  });
+});
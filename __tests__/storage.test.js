@@ -87,6 +87,28 @@ describe("MemoryStorage", () => {
     });
   });
 
+  describe("event log", () => {
+    test("should append and load events in order", () => {
+      storage.appendEvent("TEST01", { type: "start", timestamp: 1 });
+      storage.appendEvent("TEST01", { type: "passTurn", timestamp: 2 });
+      storage.appendEvent("OTHER", { type: "start", timestamp: 3 });
+
+      expect(storage.loadEvents("TEST01").map(e => e.type)).toEqual(["start", "passTurn"]);
+    });
+
+    test("should return an empty log for unknown games", () => {
+      expect(storage.loadEvents("NONEXISTENT")).toEqual([]);
+    });
+
+    test("should drop events when the session is deleted", () => {
+      storage.save("TEST01", { id: "TEST01" });
+      storage.appendEvent("TEST01", { type: "start", timestamp: 1 });
+      storage.delete("TEST01");
+
+      expect(storage.loadEvents("TEST01")).toEqual([]);
+    });
+  });
+
   describe("cleanup", () => {
     test("should delete sessions older than maxAge", () => {
       // Save a session
@@ -245,6 +245,95 @@ describe("Targeting Edge Cases", () => {
     });
   });
 
+  describe("priority modes", () => {
+    function tickBy(ms) {
+      session.lastTick = Date.now() - ms;
+      session.tick();
+    }
+
+    it("apnap should only tick the target currently responding", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.APNAP;
+      session.startTargetSelection();
+      session.toggleTarget(3);
+      session.toggleTarget(2);
+      session.confirmTargets();
+      const [p1, p2, p3] = session.players;
+      const times = session.players.map(p => p.timeRemaining);
+
+      tickBy(100);
+
+      expect(p2.timeRemaining).toBeLessThan(times[1]);
+      expect(p3.timeRemaining).toBe(times[2]);
+      expect(p1.timeRemaining).toBe(times[0]);
+
+      session.passTargetPriority(2);
+      const p2Time = p2.timeRemaining;
+      tickBy(100);
+
+      expect(p3.timeRemaining).toBeLessThan(times[2]);
+      expect(p2.timeRemaining).toBe(p2Time);
+    });
+
+    it("apnap should hand priority to the next target when the responder is eliminated", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.APNAP;
+      session.startTargetSelection();
+      session.toggleTarget(2);
+      session.toggleTarget(4);
+      session.confirmTargets();
+
+      session.eliminate(2);
+
+      expect(session.targetingState).toBe(TARGETING.STATES.RESOLVING);
+      expect(session.getTargetPriorityHolders()).toEqual([4]);
+    });
+
+    it("all_opponents should tick every opponent but not the original player", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.ALL_OPPONENTS;
+      session.startTargetSelection();
+      session.toggleTarget(2);
+      session.confirmTargets();
+      const times = session.players.map(p => p.timeRemaining);
+
+      tickBy(100);
+
+      expect(session.players[0].timeRemaining).toBe(times[0]);
+      session.players.slice(1).forEach((p, i) => {
+        expect(p.timeRemaining).toBeLessThan(times[i + 1]);
+      });
+    });
+
+    it("all_opponents should complete targeting when every target is eliminated", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.ALL_OPPONENTS;
+      session.startTargetSelection();
+      session.toggleTarget(2);
+      session.confirmTargets();
+
+      session.eliminate(3);
+      expect(session.awaitingPriority).toEqual([2, 4]);
+      expect(session.targetingState).toBe(TARGETING.STATES.RESOLVING);
+
+      session.eliminate(2);
+
+      expect(session.targetingState).toBe(TARGETING.STATES.NONE);
+      expect(session.awaitingPriority).toEqual([]);
+      expect(session.activePlayer).toBe(1);
+    });
+
+    it("should keep the priority mode through toJSON and fromState", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.APNAP;
+      session.startTargetSelection();
+      session.toggleTarget(4);
+      session.toggleTarget(3);
+      session.confirmTargets();
+
+      const restored = BaseGameSession.fromState(session.toJSON());
+
+      expect(restored.settings.targetingPriorityMode).toBe(TARGETING.PRIORITY_MODES.APNAP);
+      expect(restored.getTargetPriorityHolders()).toEqual([3]);
+      restored.cleanup();
+    });
+  });
+
   describe("original player elimination during targeting", () => {
     beforeEach(() => {
       session.startTargetSelection();
@@ -363,6 +363,72 @@ describe("Target Player System", () => {
     });
   });
 
+  describe("targetingPriorityMode", () => {
+    function confirm(targets) {
+      session.startTargetSelection();
+      targets.forEach(id => session.toggleTarget(id));
+      session.confirmTargets();
+    }
+
+    test("should default to simultaneous priority", () => {
+      expect(session.settings.targetingPriorityMode).toBe(TARGETING.PRIORITY_MODES.SIMULTANEOUS);
+
+      confirm([4, 2]);
+
+      expect(session.awaitingPriority).toEqual([4, 2]);
+      expect(session.getTargetPriorityHolders()).toEqual([4, 2]);
+    });
+
+    test("apnap should queue targets in turn order after the active player", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.APNAP;
+      session.passTurn(); // Player 2 is active
+
+      confirm([1, 4, 3]);
+
+      expect(session.awaitingPriority).toEqual([3, 4, 1]);
+      expect(session.getTargetPriorityHolders()).toEqual([3]);
+      expect(session.hasTargetPriority(4)).toBe(false);
+    });
+
+    test("apnap should only let the first player in the queue pass", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.APNAP;
+      confirm([3, 2]);
+
+      expect(session.passTargetPriority(3)).toBe(false);
+      expect(session.awaitingPriority).toEqual([2, 3]);
+
+      expect(session.passTargetPriority(2)).toBe(true);
+      expect(session.getTargetPriorityHolders()).toEqual([3]);
+
+      session.passTargetPriority(3);
+      expect(session.targetingState).toBe(TARGETING.STATES.NONE);
+      expect(session.activePlayer).toBe(1);
+    });
+
+    test("all_opponents should give every opponent priority, targeted or not", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.ALL_OPPONENTS;
+      session.players.find(p => p.id === 4).isEliminated = true;
+
+      confirm([3]);
+
+      expect(session.targetedPlayers).toEqual([3]);
+      expect(session.awaitingPriority).toEqual([2, 3]);
+      expect(session.hasTargetPriority(2)).toBe(true);
+    });
+
+    test("all_opponents should wait for untargeted opponents to pass", () => {
+      session.settings.targetingPriorityMode = TARGETING.PRIORITY_MODES.ALL_OPPONENTS;
+      confirm([3]);
+
+      session.passTargetPriority(3);
+      expect(session.targetingState).toBe(TARGETING.STATES.RESOLVING);
+
+      session.passTargetPriority(2);
+      session.passTargetPriority(4);
+      expect(session.targetingState).toBe(TARGETING.STATES.NONE);
+    });
+  });
+
   describe("complex scenarios", () => {
     test("full targeting flow with multiple targets", () => {
       // Original active player is 1
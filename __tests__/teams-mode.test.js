@@ -0,0 +1,334 @@
+const { TeamsGameSession } = require("../lib/game-modes/teams");
+const { restoreGameSession } = require("../lib/game-modes");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings } = require("../lib/shared/validators");
+
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new TeamsGameSession(
+    "TEST",
+    {
+      playerCount: 4,
+      initialTime: 60000,
+      clockMode: "none",
+      ...overrides,
+    },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Teams Mode", () => {
+  let now;
+  let session;
+  let broadcasts;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("setup", () => {
+    test("should default to two teams of two on the team life total", () => {
+      session = new TeamsGameSession("TEST");
+
+      expect(session.mode).toBe("teams");
+      expect(session.players).toHaveLength(4);
+      expect(session.teams.map(t => t.playerIds)).toEqual([
+        [1, 2],
+        [3, 4],
+      ]);
+      expect(session.players.every(p => p.life === CONSTANTS.DEFAULT_TEAM_LIFE)).toBe(true);
+      expect(session.settings.sharedClock).toBe(false);
+    });
+
+    test("should split uneven player counts into contiguous seats", () => {
+      ({ session } = createSession({ playerCount: 5, teamCount: 3 }));
+
+      expect(session.teams.map(t => t.playerIds)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    test("validateSettings should check team settings", () => {
+      expect(validateSettings({ teamCount: 2, teamLife: 30, sharedClock: true })).toBe(true);
+      expect(validateSettings({ teamCount: 1 })).toBe(false);
+      expect(validateSettings({ teamLife: 0 })).toBe(false);
+      expect(validateSettings({ sharedClock: "yes" })).toBe(false);
+    });
+  });
+
+  describe("assignTeam", () => {
+    test("should move a player between teams while waiting", () => {
+      ({ session } = createSession());
+
+      expect(session.assignTeam(2, 2)).toBe(true);
+
+      expect(session.teams[0].playerIds).toEqual([1]);
+      expect(session.teams[1].playerIds).toEqual([2, 3, 4]);
+    });
+
+    test("should reject unknown teams, no-op moves and running games", () => {
+      ({ session } = createSession());
+
+      expect(session.assignTeam(2, 9)).toBe(false);
+      expect(session.assignTeam(2, 1)).toBe(false);
+
+      session.start();
+      expect(session.assignTeam(2, 2)).toBe(false);
+    });
+
+    test("should keep assignments across a reset", () => {
+      ({ session } = createSession());
+      session.assignTeam(2, 2);
+      session.start();
+      session.updatePlayer(3, { life: 10 });
+
+      session.reset();
+
+      expect(session.teams[1].playerIds).toEqual([2, 3, 4]);
+      expect(session.teams[1].life).toBe(CONSTANTS.DEFAULT_TEAM_LIFE);
+    });
+  });
+
+  describe("shared life", () => {
+    test("should apply a member's life change to the whole team", () => {
+      ({ session } = createSession());
+      session.start();
+
+      session.updatePlayer(3, { life: 25 });
+
+      expect(session.teams[1].life).toBe(25);
+      expect(session.players[3].life).toBe(25);
+      expect(session.players[0].life).toBe(30);
+    });
+
+    test("should apply commander damage to the team total", () => {
+      ({ session } = createSession());
+      session.start();
+      session.updatePlayer(1, { life: 26 });
+
+      session.updateCommanderDamage(2, 3, 0, 5);
+
+      expect(session.teams[0].life).toBe(21);
+      expect(session.players[0].life).toBe(21);
+      expect(session.players[1].life).toBe(21);
+    });
+
+    test("should eliminate the whole team when its life runs out", () => {
+      ({ session } = createSession({ playerCount: 6, teamCount: 3 }));
+      session.start();
+
+      session.updatePlayer(4, { life: 0 });
+
+      expect(session.players[2].isEliminated).toBe(true);
+      expect(session.players[3].isEliminated).toBe(true);
+      expect(session.status).toBe("running");
+    });
+
+    test("should undo a life change for every member", () => {
+      ({ session } = createSession());
+      session.start();
+      session.recordAction("updatePlayer", null, () => session.updatePlayer(3, { life: 22 }));
+
+      session.undo(null);
+
+      expect(session.teams[1].life).toBe(30);
+      expect(session.players[2].life).toBe(30);
+      expect(session.players[3].life).toBe(30);
+    });
+
+    test("revive should bring back the team on its starting life", () => {
+      ({ session } = createSession({ playerCount: 6, teamCount: 3 }));
+      session.start();
+      session.updatePlayer(3, { life: 0 });
+
+      session.revivePlayer(4);
+
+      expect(session.players[2].isEliminated).toBe(false);
+      expect(session.players[3].isEliminated).toBe(false);
+      expect(session.teams[1].life).toBe(30);
+    });
+  });
+
+  describe("shared clock", () => {
+    test("should drain one clock shared by teammates", () => {
+      ({ session } = createSession({ sharedClock: true }));
+      session.start();
+      advance(5000);
+      session.switchPlayer(2);
+      advance(3000);
+
+      expect(session.teams[0].timeRemaining).toBe(52000);
+      expect(session.players[0].timeRemaining).toBe(52000);
+      expect(session.players[1].timeRemaining).toBe(52000);
+      expect(session.players[2].timeRemaining).toBe(60000);
+    });
+
+    test("should run each teammate's own clock on the team's turn when off", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(5000);
+
+      expect(session.players[0].timeRemaining).toBe(55000);
+      expect(session.players[1].timeRemaining).toBe(55000);
+      expect(session.players[2].timeRemaining).toBe(60000);
+    });
+
+    test("should only run the interrupting player's clock", () => {
+      ({ session } = createSession());
+      session.start();
+      session.interrupt(3);
+      advance(5000);
+
+      expect(session.players[1].timeRemaining).toBe(60000);
+      expect(session.players[2].timeRemaining).toBe(55000);
+    });
+
+    test("should give turn bonuses to the whole team", () => {
+      ({ session } = createSession({ clockMode: "fischer", bonusTime: 5000 }));
+      session.start();
+
+      session.passTurn();
+
+      expect(session.players[2].timeRemaining).toBe(65000);
+      expect(session.players[3].timeRemaining).toBe(65000);
+    });
+
+    test("should set the team clock from a member's time edit", () => {
+      ({ session } = createSession({ sharedClock: true }));
+      session.start();
+
+      session.updatePlayer(2, { time: 30000 });
+
+      expect(session.teams[0].timeRemaining).toBe(30000);
+      expect(session.players[0].timeRemaining).toBe(30000);
+    });
+
+    test("should add time to the team clock", () => {
+      ({ session } = createSession({ sharedClock: true }));
+      session.start();
+
+      session.addTimeToPlayer(2, 10000);
+
+      expect(session.players[0].timeRemaining).toBe(70000);
+    });
+  });
+
+  describe("turn order", () => {
+    test("passTurn should advance by team", () => {
+      ({ session } = createSession({ playerCount: 6, teamCount: 3 }));
+      session.start();
+
+      session.passTurn();
+      expect(session.activePlayer).toBe(3);
+
+      session.passTurn();
+      expect(session.activePlayer).toBe(5);
+
+      session.passTurn();
+      expect(session.activePlayer).toBe(1);
+      expect(session.roundNumber).toBe(2);
+    });
+
+    test("any teammate still in the game may pass the team's turn", () => {
+      ({ session } = createSession());
+      session.claimPlayer(1, "client1");
+      session.claimPlayer(2, "client2");
+      session.claimPlayer(3, "client3");
+      session.start();
+
+      expect(session.canPassTurn("client2")).toBe(true);
+      expect(session.canPassTurn("client3")).toBe(false);
+    });
+
+    test("passTurn should follow custom team assignments", () => {
+      ({ session } = createSession());
+      session.assignTeam(2, 2);
+      session.assignTeam(3, 1);
+      session.start();
+
+      session.passTurn();
+
+      expect(session.activePlayer).toBe(2);
+    });
+
+    test("should skip eliminated teams and hand on the turn when a teammate falls", () => {
+      ({ session } = createSession({ playerCount: 6, teamCount: 3 }));
+      session.start();
+
+      session.eliminate(2);
+
+      expect(session.activePlayer).toBe(3);
+
+      session.passTurn();
+      expect(session.activePlayer).toBe(5);
+      session.passTurn();
+      expect(session.activePlayer).toBe(3);
+    });
+  });
+
+  describe("winner", () => {
+    test("should declare the last team standing", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+
+      session.eliminate(3);
+
+      expect(session.status).toBe("finished");
+      expect(session.winningTeam).toBe(1);
+      expect(session.winner).toBe(1);
+      const complete = broadcasts.find(b => b.type === "gameComplete");
+      expect(complete.data).toEqual(
+        expect.objectContaining({ winnerId: 1, winnerName: "Team 1", winningTeamId: 1 })
+      );
+    });
+
+    test("should pass the winning team to onGameComplete", () => {
+      ({ session } = createSession());
+      const onGameComplete = jest.spyOn(session, "onGameComplete");
+      session.start();
+
+      session.updatePlayer(1, { life: 0 });
+
+      expect(onGameComplete).toHaveBeenCalledWith(
+        expect.objectContaining({ winningTeamId: 2, winnerName: "Team 2" })
+      );
+    });
+  });
+
+  describe("persistence", () => {
+    test("should restore teams through getModeState/restoreModeState", () => {
+      ({ session } = createSession({ sharedClock: true }));
+      session.assignTeam(2, 2);
+      session.start();
+      session.updatePlayer(1, { life: 18 });
+
+      const restored = restoreGameSession(session.toJSON());
+
+      expect(restored).toBeInstanceOf(TeamsGameSession);
+      expect(restored.teams).toEqual(session.teams);
+      expect(restored.getPlayerTeam(2).id).toBe(2);
+      expect(restored.settings.sharedClock).toBe(true);
+      restored.cleanup();
+    });
+
+    test("should include teams in getState", () => {
+      ({ session } = createSession());
+
+      const state = session.getState();
+
+      expect(state.teams).toHaveLength(2);
+      expect(state.winningTeam).toBeNull();
+    });
+  });
+});
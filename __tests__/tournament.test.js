@@ -0,0 +1,421 @@
+const fs = require("fs");
+const { SwissTournament, getPodSizes } = require("../lib/tournament");
+const { SessionStorage, MemoryStorage } = require("../lib/storage");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateTournamentSettings } = require("../lib/shared/validators");
+
+function createTournament(playerCount, settings = {}) {
+  const tournament = new SwissTournament("TOUR01", settings);
+  tournament.setOwner("owner");
+  for (let i = 1; i <= playerCount; i++) {
+    tournament.register(`Player ${i}`, `client-${i}`);
+  }
+  return tournament;
+}
+
+/**
+ * Add a round with fixed pods, bypassing pairing, and play out its games
+ * @param {SwissTournament} tournament - Tournament
+ * @param {object[]} tables - { seats, games } per table, games listing each game's winner
+ * @param {number[]} byes - Participants with a bye
+ */
+function playRound(tournament, tables, byes = []) {
+  tournament.status = "running";
+  const number = tournament.rounds.length + 1;
+  tournament.rounds.push({
+    number,
+    tables: tables.map(({ seats }, index) => ({
+      table: index + 1,
+      gameId: null,
+      participantIds: seats,
+      games: [],
+      result: null,
+    })),
+    byes,
+  });
+  tables.forEach(({ games }, index) => {
+    games.forEach(winnerId => tournament.recordGame(number, index + 1, winnerId));
+  });
+}
+
+/**
+ * Report every table of the current round as won by its first seat
+ * @param {SwissTournament} tournament - Tournament
+ */
+function firstSeatWins(tournament) {
+  const round = tournament.getCurrentRound();
+  round.tables.forEach(table => {
+    while (!table.result) {
+      tournament.recordGame(round.number, table.table, table.participantIds[0]);
+    }
+  });
+}
+
+function pairKey(ids) {
+  return [...ids].sort((a, b) => a - b).join("-");
+}
+
+describe("Swiss Tournament", () => {
+  describe("getPodSizes", () => {
+    test("should split players into as few, as even pods as possible", () => {
+      expect(getPodSizes(8, 2)).toEqual([2, 2, 2, 2]);
+      expect(getPodSizes(10, 4)).toEqual([4, 3, 3]);
+      expect(getPodSizes(7, 4)).toEqual([4, 3]);
+      expect(getPodSizes(0, 2)).toEqual([]);
+    });
+
+    test("should leave a single player last for odd two-player pods", () => {
+      expect(getPodSizes(5, 2)).toEqual([2, 2, 1]);
+    });
+  });
+
+  describe("registration", () => {
+    test("should register participants with sequential IDs", () => {
+      const tournament = createTournament(3);
+
+      expect(tournament.participants.map(p => p.id)).toEqual([1, 2, 3]);
+      expect(tournament.findParticipantByClient("client-2").name).toBe("Player 2");
+    });
+
+    test("should reject duplicate clients, full tournaments and late entries", () => {
+      const tournament = createTournament(2);
+
+      expect(tournament.register("Again", "client-1")).toEqual({
+        success: false,
+        reason: "Already registered",
+      });
+
+      tournament.startRound();
+      expect(tournament.register("Late", "client-9").reason).toBe("Registration is closed");
+
+      const full = createTournament(CONSTANTS.MAX_TOURNAMENT_PARTICIPANTS);
+      expect(full.register("Extra", "client-extra").reason).toBe("Tournament is full");
+    });
+
+    test("dropping during registration should remove the participant", () => {
+      const tournament = createTournament(3);
+
+      expect(tournament.drop(2)).toBe(true);
+
+      expect(tournament.participants.map(p => p.id)).toEqual([1, 3]);
+      expect(tournament.register("Newcomer", "client-4").participant.id).toBe(4);
+    });
+
+    test("validateTournamentSettings should check each setting", () => {
+      expect(validateTournamentSettings({ name: "Friday", rounds: 3, podSize: 4, bestOf: 3 })).toBe(
+        true
+      );
+      expect(validateTournamentSettings({ rounds: null })).toBe(true);
+      expect(validateTournamentSettings({ rounds: 0 })).toBe(false);
+      expect(validateTournamentSettings({ podSize: 1 })).toBe(false);
+      expect(validateTournamentSettings({ bestOf: 2 })).toBe(false);
+      expect(validateTournamentSettings({ gameSettings: { playerCount: 99 } })).toBe(false);
+      expect(validateTournamentSettings(null)).toBe(false);
+    });
+  });
+
+  describe("rounds", () => {
+    test("should need two participants and pick enough rounds for a clear winner", () => {
+      const tournament = createTournament(1);
+      expect(tournament.startRound()).toBeNull();
+
+      tournament.register("Player 2", "client-2");
+      tournament.register("Player 3", "client-3");
+      tournament.register("Player 4", "client-4");
+      tournament.register("Player 5", "client-5");
+      tournament.startRound();
+
+      expect(tournament.status).toBe("running");
+      expect(tournament.settings.rounds).toBe(3);
+    });
+
+    test("should keep an explicit round count", () => {
+      const tournament = createTournament(8, { rounds: 2 });
+      tournament.startRound();
+
+      expect(tournament.settings.rounds).toBe(2);
+    });
+
+    test("should seat every participant once, with a bye for the odd player out", () => {
+      const tournament = createTournament(5);
+
+      const round = tournament.startRound();
+
+      expect(round.tables).toHaveLength(2);
+      expect(round.byes).toHaveLength(1);
+      const seated = [...round.tables.flatMap(t => t.participantIds), ...round.byes];
+      expect(seated.sort()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test("should seat pods of the configured size", () => {
+      const tournament = createTournament(8, { podSize: 4 });
+
+      const round = tournament.startRound();
+
+      expect(round.tables.map(t => t.participantIds.length)).toEqual([4, 4]);
+      expect(round.byes).toEqual([]);
+    });
+
+    test("should not start the next round until every table has a result", () => {
+      const tournament = createTournament(4);
+      tournament.startRound();
+
+      expect(tournament.startRound()).toBeNull();
+
+      firstSeatWins(tournament);
+      expect(tournament.startRound().number).toBe(2);
+    });
+
+    test("should pair winners together in the next round", () => {
+      const tournament = createTournament(4, { rounds: 3 });
+      tournament.startRound();
+      firstSeatWins(tournament);
+      const winners = tournament.rounds[0].tables.map(t => t.participantIds[0]);
+
+      const round = tournament.startRound();
+
+      expect(round.tables.map(t => pairKey(t.participantIds))).toContain(pairKey(winners));
+    });
+
+    test("should avoid rematches across rounds", () => {
+      const tournament = createTournament(4, { rounds: 3 });
+      const pairings = [];
+
+      for (let i = 0; i < 3; i++) {
+        tournament.startRound().tables.forEach(t => pairings.push(pairKey(t.participantIds)));
+        firstSeatWins(tournament);
+      }
+
+      expect(new Set(pairings).size).toBe(6);
+    });
+
+    test("should give each bye to someone who hasn't had one", () => {
+      const tournament = createTournament(3, { rounds: 3 });
+      const byes = [];
+
+      for (let i = 0; i < 3; i++) {
+        byes.push(...tournament.startRound().byes);
+        firstSeatWins(tournament);
+      }
+
+      expect(byes.sort()).toEqual([1, 2, 3]);
+    });
+
+    test("should allow a rematch when no other pairing exists", () => {
+      const tournament = createTournament(2, { rounds: 2 });
+      tournament.startRound();
+      firstSeatWins(tournament);
+
+      const round = tournament.startRound();
+
+      expect(pairKey(round.tables[0].participantIds)).toBe("1-2");
+    });
+
+    test("dropped participants should not be paired", () => {
+      const tournament = createTournament(4, { rounds: 2 });
+      tournament.startRound();
+      firstSeatWins(tournament);
+
+      tournament.drop(3);
+      const round = tournament.startRound();
+
+      const seated = [...round.tables.flatMap(t => t.participantIds), ...round.byes];
+      expect(seated.sort()).toEqual([1, 2, 4]);
+    });
+
+    test("should finish after the last round is complete", () => {
+      const tournament = createTournament(2, { rounds: 1 });
+      tournament.startRound();
+
+      firstSeatWins(tournament);
+
+      expect(tournament.status).toBe("finished");
+      expect(tournament.canStartRound()).toBe(false);
+    });
+  });
+
+  describe("recordGame", () => {
+    test("should decide a best-of-three once someone wins two games", () => {
+      const tournament = createTournament(2, { bestOf: 3 });
+      tournament.startRound();
+      const [a, b] = tournament.getTable(1, 1).participantIds;
+
+      expect(tournament.recordGame(1, 1, a)).toEqual({ success: true, decided: false });
+      expect(tournament.recordGame(1, 1, b)).toEqual({ success: true, decided: false });
+      expect(tournament.recordGame(1, 1, b)).toEqual({ success: true, decided: true });
+
+      expect(tournament.getTable(1, 1).result).toEqual({ winnerId: b });
+    });
+
+    test("should call the match a draw when games run out level", () => {
+      const tournament = createTournament(2, { bestOf: 3 });
+      tournament.startRound();
+      const [a, b] = tournament.getTable(1, 1).participantIds;
+
+      tournament.recordGame(1, 1, a);
+      tournament.recordGame(1, 1, b);
+      tournament.recordGame(1, 1, null);
+
+      expect(tournament.getTable(1, 1).result).toEqual({ winnerId: null });
+    });
+
+    test("should reject unknown tables, outside winners and decided matches", () => {
+      const tournament = createTournament(4);
+      tournament.startRound();
+      const table = tournament.getTable(1, 1);
+      const outsider = tournament.getTable(1, 2).participantIds[0];
+
+      expect(tournament.recordGame(1, 9, 1).success).toBe(false);
+      expect(tournament.recordGame(1, 1, outsider).reason).toBe("Winner is not at this table");
+
+      tournament.recordGame(1, 1, table.participantIds[0]);
+      expect(tournament.recordGame(1, 1, table.participantIds[0]).reason).toBe(
+        "Match already decided"
+      );
+    });
+  });
+
+  describe("standings", () => {
+    test("should award points for wins, draws, byes and multiplayer pods", () => {
+      const tournament = createTournament(6);
+      playRound(
+        tournament,
+        [
+          { seats: [1, 2, 3], games: [1] },
+          { seats: [4, 5], games: [null] },
+        ],
+        [6]
+      );
+
+      const points = Object.fromEntries(
+        tournament.getStandings().map(s => [s.participantId, s.points])
+      );
+
+      expect(points).toEqual({ 1: 3, 2: 0, 3: 0, 4: 1, 5: 1, 6: 3 });
+    });
+
+    test("should break ties on opponents' match-win percentage", () => {
+      const tournament = createTournament(6);
+      playRound(tournament, [
+        { seats: [5, 2], games: [5] },
+        { seats: [3, 4], games: [3] },
+        { seats: [1, 6], games: [1] },
+      ]);
+      playRound(tournament, [
+        { seats: [5, 3], games: [5] },
+        { seats: [1, 4], games: [1] },
+        { seats: [2, 6], games: [2] },
+      ]);
+
+      const [first, second] = tournament.getStandings();
+
+      expect(first).toEqual(
+        expect.objectContaining({ participantId: 5, points: 6, opponentMatchWinPercentage: 0.5 })
+      );
+      expect(second.participantId).toBe(1);
+      // Winless opponents count at the 33% floor
+      expect(second.opponentMatchWinPercentage).toBeCloseTo(1 / 3);
+    });
+
+    test("should break remaining ties on game-win percentage", () => {
+      const tournament = createTournament(4, { bestOf: 3 });
+      playRound(tournament, [
+        { seats: [1, 2], games: [1, 2, 1] },
+        { seats: [3, 4], games: [3, 4, 3] },
+      ]);
+      playRound(tournament, [
+        { seats: [1, 3], games: [1, 1] },
+        { seats: [2, 4], games: [2, 4, 2] },
+      ]);
+
+      const standings = tournament.getStandings();
+
+      expect(standings.map(s => s.participantId)).toEqual([1, 2, 3, 4]);
+      expect(standings[1].opponentMatchWinPercentage).toBeCloseTo(
+        standings[2].opponentMatchWinPercentage
+      );
+      expect(standings[1].gameWinPercentage).toBeCloseTo(0.5);
+      expect(standings[2].gameWinPercentage).toBeCloseTo(0.4);
+    });
+
+    test("should count a bye as a match win without games lost", () => {
+      const tournament = createTournament(3, { bestOf: 3 });
+      playRound(tournament, [{ seats: [1, 2], games: [1, 1] }], [3]);
+
+      const bye = tournament.getStandings().find(s => s.participantId === 3);
+
+      expect(bye).toEqual(
+        expect.objectContaining({ points: 3, byes: 1, matchWinPercentage: 1, gameWinPercentage: 1 })
+      );
+      expect(bye.opponentMatchWinPercentage).toBe(0);
+    });
+  });
+
+  describe("serialization", () => {
+    test("should round-trip through toJSON and fromState", () => {
+      const tournament = createTournament(5, { bestOf: 3, podSize: 2 });
+      tournament.startRound();
+      tournament.setTableGame(1, 1, "GAME01");
+      tournament.recordGame(1, 1, tournament.getTable(1, 1).participantIds[0]);
+
+      const restored = SwissTournament.fromState(JSON.parse(JSON.stringify(tournament.toJSON())));
+
+      expect(restored.toJSON()).toEqual(tournament.toJSON());
+      expect(restored.isOwner("owner")).toBe(true);
+      expect(restored.getTable(1, 1).gameId).toBe("GAME01");
+    });
+
+    test("getState should include standings and round progress", () => {
+      const tournament = createTournament(4);
+      tournament.startRound();
+
+      const state = tournament.getState();
+
+      expect(state.currentRound).toBe(1);
+      expect(state.canStartRound).toBe(false);
+      expect(state.standings).toHaveLength(4);
+    });
+
+    test("fromState should reject state without an ID", () => {
+      expect(() => SwissTournament.fromState({})).toThrow("Invalid state");
+    });
+  });
+
+  describe("storage", () => {
+    const testDbPath = "./data/test-tournaments.db";
+
+    afterAll(() => {
+      for (const suffix of ["", "-wal", "-shm"]) {
+        try {
+          if (fs.existsSync(testDbPath + suffix)) {
+            fs.unlinkSync(testDbPath + suffix);
+          }
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+      }
+    });
+
+    test("MemoryStorage should save and load tournaments", () => {
+      const storage = new MemoryStorage().initialize();
+      const tournament = createTournament(2);
+
+      storage.saveTournament("TOUR01", tournament.toJSON());
+
+      expect(storage.loadTournament("TOUR01")).toEqual(tournament.toJSON());
+      expect(storage.loadTournament("NOPE")).toBeNull();
+    });
+
+    test("SessionStorage should save and load tournaments", () => {
+      const storage = new SessionStorage(testDbPath).initialize();
+      const tournament = createTournament(2);
+      tournament.startRound();
+
+      storage.saveTournament("TOUR01", tournament.toJSON());
+
+      expect(storage.loadTournament("TOUR01")).toEqual(tournament.toJSON());
+      expect(storage.loadTournament("NOPE")).toBeNull();
+      storage.close();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+function createSession(overrides = {}) {
+  return new CasualGameSession("TEST", {
+    playerCount: 2,
+    clockMode: "none",
+    phaseTracking: true,
+    ...overrides,
+  });
+}
+
+describe("Turn Phases", () => {
+  let now;
+  let session;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  test("should be off by default", () => {
+    session = new CasualGameSession("TEST", { playerCount: 2 });
+    session.start();
+
+    expect(session.settings.phaseTracking).toBe(false);
+    expect(session.currentPhase).toBeNull();
+    expect(session.advancePhase()).toBe(false);
+    expect(session.setPhase("combat")).toBe(false);
+  });
+
+  test("should start each turn in the first phase", () => {
+    session = createSession();
+    session.start();
+    expect(session.currentPhase).toBe("untap");
+
+    session.setPhase("combat");
+    session.passTurn();
+
+    expect(session.currentPhase).toBe("untap");
+  });
+
+  test("advancePhase should step through phases in order and stop at the end", () => {
+    session = createSession();
+    session.start();
+
+    const visited = [session.currentPhase];
+    while (session.advancePhase()) {
+      visited.push(session.currentPhase);
+    }
+
+    expect(visited).toEqual(CONSTANTS.TURN_PHASES.map(p => p.id));
+    expect(session.currentPhase).toBe("end");
+  });
+
+  test("setPhase should reject unknown and unchanged phases", () => {
+    session = createSession();
+    session.start();
+
+    expect(session.setPhase("second-breakfast")).toBe(false);
+    expect(session.setPhase("untap")).toBe(false);
+    expect(session.setPhase("main2")).toBe(true);
+    expect(session.currentPhase).toBe("main2");
+  });
+
+  test("should account time to the current phase of the turn", () => {
+    session = createSession();
+    session.start();
+    advance(1000);
+    session.setPhase("main1");
+    advance(5000);
+    session.setPhase("combat");
+    advance(3000);
+    session.passTurn();
+
+    expect(session.turnHistory[0].phaseTimes).toEqual({ untap: 1000, main1: 5000, combat: 3000 });
+  });
+
+  test("getTurnStats should total phase time per player", () => {
+    session = createSession();
+    session.start();
+    session.setPhase("combat");
+    advance(2000);
+    session.passTurn();
+    advance(500);
+    session.passTurn();
+    session.setPhase("combat");
+    advance(4000);
+
+    const stats = session.getTurnStats();
+
+    expect(stats.players[0].phaseTimes).toEqual({ combat: 6000 });
+    expect(stats.players[1].phaseTimes).toEqual({ untap: 500 });
+  });
+
+  test("canChangePhase should allow the owner and the player whose turn it is", () => {
+    session = createSession();
+    session.setOwner("owner");
+    session.claimPlayer(1, "client-1");
+    session.claimPlayer(2, "client-2");
+    session.start();
+
+    expect(session.canChangePhase("owner")).toBe(true);
+    expect(session.canChangePhase("client-1")).toBe(true);
+    expect(session.canChangePhase("client-2")).toBe(false);
+  });
+
+  test("phase changes should be undoable", () => {
+    session = createSession();
+    session.start();
+    session.recordAction("advancePhase", null, () => session.advancePhase());
+    expect(session.currentPhase).toBe("upkeep");
+
+    session.undo(null);
+
+    expect(session.currentPhase).toBe("untap");
+  });
+
+  test("should expose and persist the current phase", () => {
+    session = createSession();
+    session.start();
+    session.setPhase("draw");
+    advance(1000);
+
+    expect(session.getState().currentPhase).toBe("draw");
+
+    const restored = CasualGameSession.fromState(session.toJSON());
+    expect(restored.currentPhase).toBe("draw");
+    expect(restored.currentTurn.phaseTimes).toEqual({ draw: 1000 });
+  });
+
+  test("should clear the phase when the game finishes", () => {
+    session = createSession();
+    session.start();
+    session.eliminate(2);
+
+    expect(session.currentPhase).toBeNull();
+  });
+});
@@ -0,0 +1,227 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+const { validateSettings, validateTurnLimitPolicy } = require("../lib/shared/validators");
+
+/**
+ * Helper to create a session with a turn time limit.
+ * Date.now is mocked so tick() elapsed time is deterministic.
+ */
+function createSession(overrides = {}) {
+  const broadcasts = [];
+  const session = new CasualGameSession(
+    "TEST",
+    {
+      playerCount: 3,
+      initialTime: 600000,
+      clockMode: "none",
+      turnTimeLimit: 60000,
+      turnWarningThresholds: [30000, 10000],
+      timeoutGracePeriod: 5000,
+      timeoutBonusTime: 20000,
+      ...overrides,
+    },
+    (type, data) => broadcasts.push({ type, data })
+  );
+  return { session, broadcasts };
+}
+
+describe("Turn Time Limit", () => {
+  let now;
+  let session;
+  let broadcasts;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("defaults and validation", () => {
+    test("should be off by default", () => {
+      session = new CasualGameSession("TEST", { playerCount: 2 });
+      session.start();
+
+      expect(session.settings.turnTimeLimit).toBe(0);
+      expect(session.settings.turnLimitPolicy).toBe(CONSTANTS.TURN_LIMIT_POLICIES.PASS_TURN);
+      expect(session.turnTimeRemaining).toBeNull();
+    });
+
+    test("validateTurnLimitPolicy accepts known policies only", () => {
+      expect(validateTurnLimitPolicy("passTurn")).toBe(true);
+      expect(validateTurnLimitPolicy("timeout")).toBe(true);
+      expect(validateTurnLimitPolicy("eliminate")).toBe(false);
+    });
+
+    test("validateSettings rejects out-of-range limits and unknown policies", () => {
+      expect(validateSettings({ turnTimeLimit: 180000, turnLimitPolicy: "timeout" })).toBe(true);
+      expect(validateSettings({ turnTimeLimit: -1 })).toBe(false);
+      expect(validateSettings({ turnTimeLimit: CONSTANTS.MAX_TURN_TIME_LIMIT + 1 })).toBe(false);
+      expect(validateSettings({ turnLimitPolicy: "bogus" })).toBe(false);
+    });
+  });
+
+  describe("countdown", () => {
+    test("should count down separately from the player's bank", () => {
+      ({ session } = createSession({ clockMode: "fischer", bonusTime: 10000 }));
+      session.start();
+      advance(5000);
+
+      expect(session.turnTimeRemaining).toBe(55000);
+      expect(session.players[0].timeRemaining).toBe(595000);
+    });
+
+    test("should reset at the start of each turn", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(20000);
+      session.passTurn();
+
+      expect(session.turnTimeRemaining).toBe(60000);
+    });
+
+    test("should not count down during an interrupt", () => {
+      ({ session } = createSession());
+      session.start();
+      session.interrupt(2);
+      advance(5000);
+
+      expect(session.turnTimeRemaining).toBe(60000);
+      expect(session.players[1].timeRemaining).toBe(595000);
+    });
+
+    test("should include the turn time in tick broadcasts", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+      advance(1000);
+
+      const tick = broadcasts.filter(b => b.type === "tick").pop();
+      expect(tick.data.turnTimeRemaining).toBe(59000);
+    });
+  });
+
+  describe("warnings", () => {
+    test("should warn once per turn threshold with the turn scope", () => {
+      ({ session, broadcasts } = createSession());
+      session.start();
+      advance(30000);
+      advance(1000);
+      advance(20000);
+
+      const warnings = broadcasts.filter(b => b.type === "warning");
+      expect(warnings.map(w => w.data)).toEqual([
+        { playerId: 1, threshold: 30000, scope: "turn" },
+        { playerId: 1, threshold: 10000, scope: "turn" },
+      ]);
+    });
+
+    test("should keep bank warnings on the clock scope", () => {
+      ({ session, broadcasts } = createSession({
+        initialTime: 40000,
+        turnTimeLimit: 0,
+        warningThresholds: [30000],
+      }));
+      session.start();
+      advance(15000);
+
+      const warning = broadcasts.find(b => b.type === "warning");
+      expect(warning.data).toEqual({ playerId: 1, threshold: 30000, scope: "clock" });
+    });
+  });
+
+  describe("passTurn policy", () => {
+    test("should pass the turn when the limit runs out", () => {
+      ({ session } = createSession());
+      session.start();
+      advance(60000);
+
+      expect(session.activePlayer).toBe(2);
+      expect(session.turnTimeRemaining).toBe(60000);
+      expect(session.players[0].penalties).toBe(0);
+    });
+
+    test("should hand the pass to the server's hook when there is one", () => {
+      ({ session } = createSession());
+      session.turnLimitExpiredFn = jest.fn();
+      session.start();
+      advance(60000);
+      advance(1000);
+
+      expect(session.turnLimitExpiredFn).toHaveBeenCalledTimes(1);
+      expect(session.turnLimitExpiredFn).toHaveBeenCalledWith(1);
+      expect(session.activePlayer).toBe(1);
+    });
+  });
+
+  describe("timeout policy", () => {
+    test("should start the timeout choice flow with the turn limit reason", () => {
+      ({ session, broadcasts } = createSession({ turnLimitPolicy: "timeout" }));
+      session.start();
+      advance(60000);
+
+      const player = session.players[0];
+      expect(session.activePlayer).toBe(1);
+      expect(player.timeoutPending).toBe(true);
+      expect(player.timeoutReason).toBe("turnLimit");
+      expect(player.penalties).toBe(1);
+      const choice = broadcasts.find(b => b.type === "timeoutChoice");
+      expect(choice.data.reason).toBe("turnLimit");
+    });
+
+    test("accepting a penalty should extend the turn and leave the bank alone", () => {
+      ({ session } = createSession({ turnLimitPolicy: "timeout" }));
+      session.start();
+      advance(60000);
+      const bank = session.players[0].timeRemaining;
+
+      session.resolveTimeoutChoice(1, "gainDrunk");
+
+      expect(session.players[0].timeRemaining).toBe(bank);
+      expect(session.players[0].timeoutReason).toBeNull();
+      expect(session.turnTimeRemaining).toBe(20000);
+    });
+
+    test("an expired choice should eliminate the player and move on", () => {
+      ({ session } = createSession({ turnLimitPolicy: "timeout" }));
+      session.start();
+      advance(60000);
+      advance(5000);
+
+      expect(session.players[0].isEliminated).toBe(true);
+      expect(session.activePlayer).toBe(2);
+      expect(session.turnTimeRemaining).toBe(60000);
+    });
+
+    test("bank timeouts should still reset the bank", () => {
+      ({ session } = createSession({ initialTime: 10000, turnLimitPolicy: "timeout" }));
+      session.start();
+      advance(10000);
+
+      expect(session.players[0].timeoutReason).toBe("clock");
+      session.resolveTimeoutChoice(1, "gainDrunk");
+
+      expect(session.players[0].timeRemaining).toBe(20000);
+      expect(session.turnTimeRemaining).toBe(50000);
+    });
+  });
+
+  test("should survive serialization", () => {
+    ({ session } = createSession());
+    session.start();
+    advance(12000);
+
+    const restored = CasualGameSession.fromState(session.toJSON());
+
+    expect(restored.turnTimeRemaining).toBe(48000);
+    expect(restored.settings.turnTimeLimit).toBe(60000);
+  });
+});
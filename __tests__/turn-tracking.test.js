@@ -0,0 +1,270 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+
+function createSession(overrides = {}) {
+  return new CasualGameSession("TEST", {
+    playerCount: 3,
+    initialTime: 60000,
+    bonusTime: 5000,
+    ...overrides,
+  });
+}
+
+describe("Turn Tracking", () => {
+  let now;
+  let session;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    if (session) session.cleanup();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  function advance(ms) {
+    now += ms;
+    session.tick();
+  }
+
+  test("should open turn 1 of round 1 on start", () => {
+    session = createSession();
+    expect(session.turnNumber).toBe(0);
+    expect(session.currentTurn).toBeNull();
+
+    session.start();
+
+    expect(session.turnNumber).toBe(1);
+    expect(session.roundNumber).toBe(1);
+    expect(session.currentTurn).toEqual(
+      expect.objectContaining({ turn: 1, round: 1, playerId: 1, duration: 0, bonus: 0 })
+    );
+  });
+
+  test("should record duration and bonus when the turn passes", () => {
+    session = createSession({ clockMode: "fischer" });
+    session.start();
+    advance(3000);
+    session.passTurn();
+
+    expect(session.turnHistory).toHaveLength(1);
+    expect(session.turnHistory[0]).toEqual(
+      expect.objectContaining({ turn: 1, playerId: 1, duration: 3000, bonus: 0 })
+    );
+    expect(session.currentTurn).toEqual(
+      expect.objectContaining({ turn: 2, round: 1, playerId: 2, bonus: 5000 })
+    );
+  });
+
+  test("should record bronstein refunds and delay holds as bonus", () => {
+    session = createSession({ clockMode: "bronstein" });
+    session.start();
+    advance(2000);
+    session.passTurn();
+    expect(session.turnHistory[0].bonus).toBe(2000);
+
+    session.cleanup();
+    session = createSession({ clockMode: "delay" });
+    session.start();
+    advance(7000);
+    session.passTurn();
+    expect(session.turnHistory[0].bonus).toBe(5000);
+  });
+
+  test("should not count paused time", () => {
+    session = createSession();
+    session.start();
+    advance(1000);
+    session.pause();
+    now += 60000;
+    session.resume();
+    advance(500);
+    session.passTurn();
+
+    expect(session.turnHistory[0].duration).toBe(1500);
+  });
+
+  test("should start a new round when play wraps to the first player", () => {
+    session = createSession();
+    session.start();
+    session.passTurn();
+    session.passTurn();
+    expect(session.roundNumber).toBe(1);
+
+    session.passTurn();
+
+    expect(session.turnNumber).toBe(4);
+    expect(session.roundNumber).toBe(2);
+    expect(session.currentTurn).toEqual(expect.objectContaining({ playerId: 1, round: 2 }));
+  });
+
+  test("should wrap rounds relative to the starting seat", () => {
+    session = createSession();
+    session.activePlayer = 2;
+    session.start();
+    session.passTurn(); // 3
+    session.passTurn(); // 1
+    expect(session.roundNumber).toBe(1);
+
+    session.passTurn(); // 2
+
+    expect(session.roundNumber).toBe(2);
+  });
+
+  test("should wrap rounds when the first player has been eliminated", () => {
+    session = createSession();
+    session.start();
+    session.passTurn(); // 2
+    session.eliminate(1);
+    session.passTurn(); // 3
+    expect(session.roundNumber).toBe(1);
+
+    session.passTurn(); // 2
+
+    expect(session.roundNumber).toBe(2);
+  });
+
+  test("should start a new turn when switchPlayer jumps backwards", () => {
+    session = createSession();
+    session.start();
+    session.switchPlayer(3);
+    expect(session.roundNumber).toBe(1);
+
+    session.switchPlayer(2);
+
+    expect(session.turnNumber).toBe(3);
+    expect(session.roundNumber).toBe(2);
+  });
+
+  test("should hand the turn on when the active player is eliminated", () => {
+    session = createSession();
+    session.start();
+    advance(1000);
+    session.eliminate(1);
+
+    expect(session.turnHistory).toHaveLength(1);
+    expect(session.currentTurn).toEqual(expect.objectContaining({ turn: 2, playerId: 2 }));
+  });
+
+  test("should close the final turn when the game finishes", () => {
+    session = createSession({ playerCount: 2 });
+    const broadcasts = [];
+    session.broadcastFn = (type, data) => broadcasts.push({ type, data });
+    session.start();
+    advance(4000);
+    session.eliminate(2);
+
+    expect(session.currentTurn).toBeNull();
+    expect(session.turnHistory).toHaveLength(1);
+    const complete = broadcasts.find(b => b.type === "gameComplete");
+    expect(complete.data.turnStats.totalTurns).toBe(1);
+    expect(complete.data.turnStats.players[0]).toEqual(
+      expect.objectContaining({ playerId: 1, turns: 1, longestTime: 4000 })
+    );
+  });
+
+  test("getTurnStats should summarize per-player averages and longest turns", () => {
+    session = createSession({ playerCount: 2, clockMode: "none" });
+    session.start();
+    advance(1000);
+    session.passTurn();
+    advance(2000);
+    session.passTurn();
+    advance(5000);
+
+    const stats = session.getTurnStats();
+
+    expect(stats.totalTurns).toBe(3);
+    expect(stats.totalRounds).toBe(2);
+    expect(stats.players).toEqual([
+      {
+        playerId: 1,
+        turns: 2,
+        totalTime: 6000,
+        averageTime: 3000,
+        longestTime: 5000,
+        bonusTime: 0,
+        phaseTimes: {},
+        mulligans: 0,
+        bottomedCards: 0,
+      },
+      {
+        playerId: 2,
+        turns: 1,
+        totalTime: 2000,
+        averageTime: 2000,
+        longestTime: 2000,
+        bonusTime: 0,
+        phaseTimes: {},
+        mulligans: 0,
+        bottomedCards: 0,
+      },
+    ]);
+  });
+
+  test("should expose turn tracking in getState", () => {
+    session = createSession();
+    session.start();
+    session.passTurn();
+
+    const state = session.getState();
+
+    expect(state.turnNumber).toBe(2);
+    expect(state.roundNumber).toBe(1);
+    expect(state.currentTurn.playerId).toBe(2);
+    expect(state.turnHistory).toHaveLength(1);
+    expect(state.turnStats.totalTurns).toBe(2);
+  });
+
+  test("should clear turn tracking on reset", () => {
+    session = createSession();
+    session.start();
+    session.passTurn();
+    session.reset();
+
+    expect(session.turnNumber).toBe(0);
+    expect(session.roundNumber).toBe(0);
+    expect(session.currentTurn).toBeNull();
+    expect(session.turnHistory).toEqual([]);
+  });
+
+  test("should survive serialization", () => {
+    session = createSession();
+    session.start();
+    advance(1000);
+    session.passTurn();
+
+    const restored = CasualGameSession.fromState(session.toJSON());
+
+    expect(restored.turnNumber).toBe(2);
+    expect(restored.roundNumber).toBe(1);
+    expect(restored.firstPlayerId).toBe(1);
+    expect(restored.currentTurn).toEqual(session.currentTurn);
+    expect(restored.turnHistory).toEqual(session.turnHistory);
+  });
+
+  test("undo and redo should revert the turn boundary", () => {
+    session = createSession();
+    session.start();
+    advance(1000);
+    session.recordAction("passTurn", null, () => session.passTurn());
+    expect(session.turnNumber).toBe(2);
+
+    session.undo(null);
+
+    expect(session.turnNumber).toBe(1);
+    expect(session.turnHistory).toEqual([]);
+    expect(session.currentTurn).toEqual(expect.objectContaining({ turn: 1, playerId: 1 }));
+
+    session.redo(null);
+
+    expect(session.turnNumber).toBe(2);
+    expect(session.turnHistory).toHaveLength(1);
+    expect(session.turnHistory[0]).toEqual(
+      expect.objectContaining({ playerId: 1, duration: 1000 })
+    );
+    expect(session.currentTurn.playerId).toBe(2);
+  });
+});
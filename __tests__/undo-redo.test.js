@@ -0,0 +1,312 @@
+const { CasualGameSession } = require("../lib/game-modes/casual");
+const { CONSTANTS } = require("../lib/shared/constants");
+
+/**
+ * Helper to create a session with a broadcast spy.
+ * Date.now is mocked so tick() elapsed time is deterministic.
+ */
+function createSession(overrides = {}) {
+  const broadcastFn = jest.fn();
+  const session = new CasualGameSession(
+    "TEST",
+    { playerCount: 3, initialTime: 60000, bonusTime: 10000, ...overrides },
+    broadcastFn
+  );
+  session.setOwner("owner");
+  session.claimPlayer(1, "client-1");
+  session.claimPlayer(2, "client-2");
+  session.claimPlayer(3, "client-3");
+  return { session, broadcastFn };
+}
+
+describe("Undo/Redo Journal", () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function advance(session, ms) {
+    now += ms;
+    session.tick();
+  }
+
+  describe("recordAction", () => {
+    test("should store only affected players and the turn state", () => {
+      const { session } = createSession();
+      session.start();
+
+      const entry = session.recordAction("updatePlayer", "client-3", () =>
+        session.updatePlayer(3, { life: 15 })
+      );
+
+      expect(entry.type).toBe("updatePlayer");
+      expect(entry.actorId).toBe("client-3");
+      expect(entry.actorPlayerId).toBe(3);
+      expect(entry.before.players.map(p => p.id).sort()).toEqual([1, 3]);
+      expect(entry.before.turn.activePlayer).toBe(1);
+      expect(entry.after.players.find(p => p.id === 3).life).toBe(15);
+      session.cleanup();
+    });
+
+    test("should not journal actions that change nothing", () => {
+      const { session } = createSession();
+
+      const entry = session.recordAction("updatePlayer", "client-1", () =>
+        session.updatePlayer(1, { name: "Alice" })
+      );
+
+      expect(entry).toBeNull();
+      expect(session.actionHistory).toHaveLength(0);
+    });
+
+    test("should cap the journal at MAX_ACTION_HISTORY", () => {
+      const { session } = createSession();
+
+      for (let i = 0; i < CONSTANTS.MAX_ACTION_HISTORY + 5; i++) {
+        session.recordAction("updatePlayer", "client-1", () =>
+          session.updatePlayer(1, { genericCounter: i + 1 })
+        );
+      }
+
+      expect(session.actionHistory).toHaveLength(CONSTANTS.MAX_ACTION_HISTORY);
+      expect(session.actionHistory[0].after.players[0].genericCounter).toBe(6);
+    });
+
+    test("should clear the redo stack on a new action", () => {
+      const { session } = createSession();
+      session.recordAction("updatePlayer", "client-1", () => session.updatePlayer(1, { life: 10 }));
+      session.undo("client-1");
+      expect(session.redoStack).toHaveLength(1);
+
+      session.recordAction("updatePlayer", "client-1", () => session.updatePlayer(1, { life: 5 }));
+
+      expect(session.redoStack).toHaveLength(0);
+    });
+  });
+
+  describe("permissions", () => {
+    test("should allow the owner and the acting player only", () => {
+      const { session } = createSession();
+      session.recordAction("addPenalty", "client-2", () => session.addPenalty(1));
+
+      expect(session.canUndo("owner")).toBe(true);
+      expect(session.canUndo("client-2")).toBe(true);
+      expect(session.canUndo("client-1")).toBe(false);
+    });
+
+    test("should refuse undo with an empty journal or a finished tournament table", () => {
+      const { session } = createSession({ tournament: { id: "T1", round: 1, table: 1 } });
+      expect(session.canUndo("owner")).toBe(false);
+
+      session.start();
+      session.recordAction("eliminate", "owner", () => session.eliminate(2));
+      session.recordAction("eliminate", "owner", () => session.eliminate(3));
+
+      expect(session.status).toBe("finished");
+      expect(session.canUndo("owner")).toBe(false);
+      session.cleanup();
+    });
+  });
+
+  describe("undo", () => {
+    test("should restore life and counters and broadcast actionUndone", () => {
+      const { session, broadcastFn } = createSession();
+      session.recordAction("updatePlayer", "client-1", () =>
+        session.updatePlayer(1, { life: 7, counters: { poison: 3 } })
+      );
+
+      session.undo("client-1");
+
+      expect(session.players[0].life).toBe(20);
+      expect(session.players[0].counters).toEqual({});
+      expect(broadcastFn).toHaveBeenCalledWith("actionUndone", {
+        action: expect.objectContaining({ type: "updatePlayer", actorPlayerId: 1 }),
+        byPlayerId: 1,
+      });
+    });
+
+    test("should revive a player eliminated by the undone action", () => {
+      const { session } = createSession();
+      session.start();
+      session.recordAction("updatePlayer", "owner", () => session.updatePlayer(1, { life: 0 }));
+      expect(session.players[0].isEliminated).toBe(true);
+      expect(session.activePlayer).toBe(2);
+
+      session.undo("owner");
+
+      expect(session.players[0].isEliminated).toBe(false);
+      expect(session.activePlayer).toBe(1);
+      session.cleanup();
+    });
+
+    test("should refund the clock drained since an undone passTurn", () => {
+      const { session } = createSession();
+      session.start();
+      advance(session, 5000);
+      session.recordAction("passTurn", "client-1", () => session.passTurn());
+      expect(session.players[1].timeRemaining).toBe(70000);
+
+      advance(session, 8000);
+      expect(session.players[1].timeRemaining).toBe(62000);
+
+      session.undo("client-1");
+
+      expect(session.activePlayer).toBe(1);
+      expect(session.players[0].timeRemaining).toBe(55000);
+      expect(session.players[1].timeRemaining).toBe(60000);
+
+      advance(session, 1000);
+      expect(session.players[0].timeRemaining).toBe(54000);
+      session.cleanup();
+    });
+
+    test("should keep time drained on other clocks when undoing a life change", () => {
+      const { session } = createSession();
+      session.start();
+      session.recordAction("updatePlayer", "client-2", () => session.updatePlayer(2, { life: 10 }));
+      advance(session, 4000);
+
+      session.undo("client-2");
+
+      expect(session.players[1].life).toBe(20);
+      expect(session.players[0].timeRemaining).toBe(56000);
+      session.cleanup();
+    });
+
+    test("should reopen the game when undoing the eliminate that finished it", () => {
+      const { session } = createSession();
+      session.start();
+      session.recordAction("eliminate", "owner", () => session.eliminate(2));
+      session.recordAction("eliminate", "owner", () => session.eliminate(3));
+      expect(session.status).toBe("finished");
+      expect(session.winner).toBe(1);
+
+      expect(session.canUndo("owner")).toBe(true);
+      session.undo("owner");
+
+      expect(session.status).toBe("running");
+      expect(session.winner).toBeNull();
+      expect(session.players[2].isEliminated).toBe(false);
+      expect(session.players[1].isEliminated).toBe(true);
+      expect(session.canUndo("owner")).toBe(true);
+
+      session.redo("owner");
+      expect(session.status).toBe("finished");
+      expect(session.winner).toBe(1);
+      session.cleanup();
+    });
+
+    test("should keep a rated game finished", () => {
+      const { session } = createSession();
+      session.linkProfile(1, "PROFILE1");
+      session.linkProfile(2, "PROFILE2");
+      session.start();
+      session.recordAction("eliminate", "owner", () => session.eliminate(2));
+      session.recordAction("eliminate", "owner", () => session.eliminate(3));
+
+      expect(session.isRated()).toBe(true);
+      expect(session.canUndo("owner")).toBe(false);
+      session.cleanup();
+    });
+
+    test("should only undo the finishing action once the game is over", () => {
+      const { session } = createSession();
+      session.start();
+      session.recordAction("eliminate", "owner", () => session.eliminate(2));
+      session.recordAction("eliminate", "owner", () => session.eliminate(3));
+      session.undo("owner");
+      session.recordAction("updatePlayer", "owner", () => session.updatePlayer(3, { life: 0 }));
+      expect(session.status).toBe("finished");
+
+      session.undo("owner");
+      expect(session.status).toBe("running");
+      session.eliminate(3);
+
+      expect(session.status).toBe("finished");
+      expect(session.canUndo("owner")).toBe(false);
+      session.cleanup();
+    });
+
+    test("should leave a paused game paused", () => {
+      const { session } = createSession();
+      session.start();
+      session.recordAction("passTurn", "client-1", () => session.passTurn());
+      session.pause();
+
+      session.undo("client-1");
+
+      expect(session.activePlayer).toBe(1);
+      expect(session.status).toBe("paused");
+      expect(session.interval).toBeNull();
+      advance(session, 5000);
+      expect(session.players[0].timeRemaining).toBe(60000);
+      session.cleanup();
+    });
+
+    test("should return null when the journal is empty", () => {
+      const { session } = createSession();
+      expect(session.undo("owner")).toBeNull();
+    });
+  });
+
+  describe("redo", () => {
+    test("should re-apply an undone passTurn and broadcast actionRedone", () => {
+      const { session, broadcastFn } = createSession();
+      session.start();
+      session.recordAction("passTurn", "client-1", () => session.passTurn());
+      session.undo("client-1");
+
+      session.redo("client-1");
+
+      expect(session.activePlayer).toBe(2);
+      expect(session.players[1].timeRemaining).toBe(70000);
+      expect(session.actionHistory).toHaveLength(1);
+      expect(broadcastFn).toHaveBeenCalledWith(
+        "actionRedone",
+        expect.objectContaining({ action: expect.objectContaining({ type: "passTurn" }) })
+      );
+      session.cleanup();
+    });
+  });
+
+  describe("state and persistence", () => {
+    test("should expose last action summaries in getState", () => {
+      const { session } = createSession();
+      session.recordAction("addPenalty", "client-1", () => session.addPenalty(2));
+
+      expect(session.getState().lastAction).toEqual(
+        expect.objectContaining({ type: "addPenalty", actorPlayerId: 1, playerIds: [2] })
+      );
+      expect(session.getState().lastUndoneAction).toBeNull();
+    });
+
+    test("should persist the journal through toJSON/fromState", () => {
+      const { session } = createSession();
+      session.recordAction("updatePlayer", "client-1", () => session.updatePlayer(1, { life: 9 }));
+
+      const restored = CasualGameSession.fromState(session.toJSON());
+      restored.undo("client-1");
+
+      expect(restored.players[0].life).toBe(20);
+      expect(restored.redoStack).toHaveLength(1);
+    });
+
+    test("reset should clear the journal", () => {
+      const { session } = createSession();
+      session.recordAction("updatePlayer", "client-1", () => session.updatePlayer(1, { life: 9 }));
+      session.undo("client-1");
+      session.recordAction("updatePlayer", "client-1", () => session.updatePlayer(1, { life: 8 }));
+
+      session.reset();
+
+      expect(session.actionHistory).toEqual([]);
+      expect(session.redoStack).toEqual([]);
+    });
+  });
+});
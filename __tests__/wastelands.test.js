@@ -15,7 +15,7 @@ const {
   BATTLE_MULTIPLIERS,
   PLAYER_MULTIPLIERS,
   LEVEL_THRESHOLDS,
-  scoringFormula,
+  SCORING,
 } = require("../lib/game-modes/campaign-presets/wastelands");
 
 function createWastelandsSession(playerCount = 4) {
@@ -307,16 +307,26 @@ describe("Serialization Round-Trip", () => {
     expect(restored.playerLevels).toEqual(state.playerLevels);
   });
 
-  test("should re-attach scoring formula after restore", () => {
+  test("should keep scoring rules through JSON", () => {
     const state = new CampaignState("wastelands", 2);
-    const json = state.toJSON();
+    const json = JSON.parse(JSON.stringify(state.toJSON()));
+
+    expect(json.config.scoring).toEqual(SCORING);
 
-    // Functions are stripped from JSON
-    expect(json.config.scoringFormula).toBeUndefined();
+    const restored = CampaignState.fromState(json);
+    restored.recordDamage(1, 2, 7);
+    expect(restored.calculatePoints(1)).toBe(7);
+  });
+
+  test("should take scoring rules from the registry for state saved without them", () => {
+    const state = new CampaignState("wastelands", 2);
+    const json = state.toJSON();
+    // Simulate state saved while scoring was a stripped function
+    json.config = { ...json.config };
+    delete json.config.scoring;
 
     const restored = CampaignState.fromState(json);
-    // Function should be re-attached from preset registry
-    expect(restored.config.scoringFormula).toBe(scoringFormula);
+    expect(restored.config.scoring).toEqual(SCORING);
   });
 
   test("should re-attach level thresholds after restore", () => {
@@ -378,9 +388,9 @@ describe("Total Points Win Condition", () => {
 });
 
 describe("Backward Compatibility", () => {
-  test("standard preset should not have scoring formula", () => {
+  test("standard preset should not have scoring rules", () => {
     const state = new CampaignState("standard", 2);
-    expect(state.config.scoringFormula).toBeUndefined();
+    expect(state.config.scoring).toBeUndefined();
     state.recalculateAllScores();
     expect(state.playerPoints[1]).toBe(0);
     expect(state.playerPoints[2]).toBe(0);
@@ -422,10 +432,10 @@ describe("CampaignGameSession getState with Wastelands", () => {
     expect(state.campaign.playerPoints[1]).toBe(5);
   });
 
-  test("should not include function references in broadcast config", () => {
+  test("should include the scoring rules in broadcast config", () => {
     const { session } = createWastelandsSession();
     const state = session.getState();
-    expect(state.campaign.config.scoringFormula).toBeUndefined();
+    expect(state.campaign.config.scoring).toEqual(SCORING);
     expect(state.campaign.config.name).toBe("The Wastelands");
     expect(state.campaign.config.battleMultipliers).toBeDefined();
     expect(state.campaign.config.playerMultipliers).toBeDefined();
@@ -14,6 +14,9 @@ const CONSTANTS = {
   MINUTE_MS: 60000,
 };
 
+// Distance of each seat from the centre of the table display, in percent
+const SEAT_RADIUS = 36;
+
 /**
  * Format milliseconds to MM:SS format
  * @param {number} milliseconds - Time in milliseconds
@@ -113,6 +116,64 @@ function parseWarningThresholds(input) {
     .filter(t => t > 0 && Number.isFinite(t));
 }
 
+/**
+ * Place seats around the table display. Seat 1 sits at the bottom of the
+ * screen and the rest follow clockwise, each turned to face the player
+ * sitting at that edge.
+ * @param {number} count - Number of seats
+ * @returns {{ x: number, y: number, rotation: number }[]} Centre of each seat in
+ *   percent of the table, and its rotation in degrees
+ */
+function getRadialSeatPositions(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const angle = 90 + (i * 360) / count;
+    const radians = (angle * Math.PI) / 180;
+    return {
+      x: Math.round((50 + SEAT_RADIUS * Math.cos(radians)) * 100) / 100,
+      y: Math.round((50 + SEAT_RADIUS * Math.sin(radians)) * 100) / 100,
+      rotation: angle - 90,
+    };
+  });
+}
+
+/**
+ * Get the players clockwise from seat 1. Follows the seat map when it seats
+ * exactly these players, otherwise keeps their order (mirrors getSeating on
+ * the server).
+ * @param {Array} players - Array of player objects
+ * @param {number[]|null} seatMap - Player IDs clockwise from seat 1
+ * @returns {Array} Player objects in seat order
+ */
+function getSeating(players, seatMap) {
+  if (!Array.isArray(seatMap) || seatMap.length !== players.length) return [...players];
+
+  const seated = seatMap.map(id => players.find(p => p.id === id));
+  return seated.includes(undefined) || new Set(seatMap).size !== seatMap.length
+    ? [...players]
+    : seated;
+}
+
+/**
+ * Order the other players' cards by seat, starting with whoever takes the
+ * turn after the viewer. Without a viewer, starts from seat 1.
+ * @param {Array} players - Array of player objects
+ * @param {number[]|null} seatMap - Player IDs clockwise from seat 1
+ * @param {string} turnDirection - "clockwise" or "counterclockwise"
+ * @param {number|null} viewerId - The viewer's player ID
+ * @returns {Array} Player objects, without the viewer
+ */
+function getPlayersFromSeat(players, seatMap, turnDirection, viewerId) {
+  const seating = getSeating(players, seatMap);
+  const order =
+    turnDirection === "counterclockwise" && seating.length > 1
+      ? [seating[0], ...seating.slice(1).reverse()]
+      : seating;
+
+  const start = order.findIndex(p => p.id === viewerId);
+  if (start === -1) return order;
+  return [...order.slice(start + 1), ...order.slice(0, start)];
+}
+
 // Export for Node.js (CommonJS)
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
@@ -123,5 +184,8 @@ if (typeof module !== "undefined" && module.exports) {
     findNextActivePlayer,
     getTimeWarningLevel,
     parseWarningThresholds,
+    getRadialSeatPositions,
+    getSeating,
+    getPlayersFromSeat,
   };
 }
@@ -0,0 +1,364 @@
+/**
+ * Archenemy Game Mode
+ *
+ * One villain against a team of heroes. The villain and the heroes start on
+ * their own life totals and clocks. Turns alternate between the villain and
+ * the heroes, who take their turn together: every hero's clock runs at once,
+ * the way targeted players share priority while targets resolve. The game
+ * ends when the villain or every hero is eliminated.
+ */
+
+const { BaseGameSession } = require("./base");
+const { CONSTANTS, TARGETING } = require("../shared/constants");
+
+class ArchenemyGameSession extends BaseGameSession {
+  constructor(id, settings = {}, broadcastFn = null) {
+    const initialTime = settings.initialTime || CONSTANTS.DEFAULT_INITIAL_TIME;
+    const archenemySettings = {
+      ...settings,
+      playerCount: settings.playerCount || 4,
+      villainLife: settings.villainLife ?? CONSTANTS.DEFAULT_VILLAIN_LIFE,
+      heroLife: settings.heroLife ?? CONSTANTS.DEFAULT_HERO_LIFE,
+      villainTime: settings.villainTime ?? initialTime,
+      heroTime: settings.heroTime ?? initialTime,
+    };
+
+    // initPlayers() picks the default villain, so it exists once super() returns
+    super(id, archenemySettings, broadcastFn);
+    this.mode = "archenemy";
+    this.winningSide = null; // "villain" or "heroes" once the game is decided
+  }
+
+  /**
+   * Get display name for this mode
+   * @returns {string}
+   */
+  getModeName() {
+    return "Archenemy";
+  }
+
+  // ============================================================================
+  // SIDES
+  // ============================================================================
+
+  /**
+   * Override initPlayers to put everyone on their side's starting values.
+   * Player 1 is the villain until another player is chosen.
+   */
+  initPlayers() {
+    super.initPlayers();
+    if (!this.players.some(p => p.id === this.villainId)) {
+      this.villainId = 1;
+    }
+    this.applySideStats();
+  }
+
+  /**
+   * Reset life and time to the starting values for each player's side
+   */
+  applySideStats() {
+    for (const player of this.players) {
+      const isVillain = player.id === this.villainId;
+      player.life = isVillain ? this.settings.villainLife : this.settings.heroLife;
+      player.timeRemaining = isVillain ? this.settings.villainTime : this.settings.heroTime;
+    }
+  }
+
+  /**
+   * Get the villain's player object
+   * @returns {object|undefined}
+   */
+  getVillain() {
+    return this.players.find(p => p.id === this.villainId);
+  }
+
+  /**
+   * Get every hero, in seat order
+   * @returns {object[]}
+   */
+  getHeroes() {
+    return this.players.filter(p => p.id !== this.villainId);
+  }
+
+  /**
+   * Check whether a player is on the heroes' side
+   * @param {number} playerId - Player ID
+   * @returns {boolean}
+   */
+  isHero(playerId) {
+    return playerId !== this.villainId && this.players.some(p => p.id === playerId);
+  }
+
+  /**
+   * Make a player the villain. Only allowed before the game starts.
+   * @param {number} playerId - Player ID
+   * @returns {boolean} True if the villain changed
+   */
+  setVillain(playerId) {
+    if (this.status !== "waiting") return false;
+    if (!this.players.some(p => p.id === playerId) || playerId === this.villainId) return false;
+
+    this.villainId = playerId;
+    this.applySideStats();
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * The villain always takes the first turn, so picking a starting player picks the villain
+   * @param {number} playerId - Player ID
+   */
+  setStartingPlayer(playerId) {
+    this.setVillain(playerId);
+  }
+
+  // ============================================================================
+  // TURNS
+  // ============================================================================
+
+  /**
+   * Override start so the villain takes the first turn
+   */
+  start() {
+    if (this.status === "waiting") {
+      this.activePlayer = this.villainId;
+    }
+    super.start();
+  }
+
+  /**
+   * Whether the heroes hold the turn
+   * @returns {boolean}
+   */
+  isHeroTurn() {
+    return this.activePlayer !== null && this.activePlayer !== this.villainId;
+  }
+
+  /**
+   * Whether the heroes' shared clock should run: their turn, with nobody
+   * interrupting and no targets resolving
+   * @returns {boolean}
+   */
+  heroesHavePriority() {
+    return (
+      this.isHeroTurn() &&
+      this.interruptingPlayers.length === 0 &&
+      this.targetingState !== TARGETING.STATES.RESOLVING
+    );
+  }
+
+  /**
+   * Timer tick - on the heroes' turn, drain every hero's clock together
+   */
+  tick() {
+    if (this.status !== "running" || !this.heroesHavePriority()) {
+      super.tick();
+      return;
+    }
+
+    const now = Date.now();
+    const elapsed = now - this.lastTick;
+    this.lastTick = now;
+
+    this.recordTurnTime(elapsed);
+
+    // Delay mode holds the heroes' banks until the turn's delay is used up
+    let drained = elapsed;
+    if (this.delayRemaining > 0) {
+      const held = Math.min(this.delayRemaining, drained);
+      this.delayRemaining -= held;
+      drained -= held;
+      if (this.currentTurn) this.currentTurn.bonus += held;
+    }
+
+    for (const hero of this.getHeroes()) {
+      if (hero.isEliminated) continue;
+      hero.timeRemaining -= drained;
+
+      if (hero.timeRemaining <= 0) {
+        hero.timeRemaining = 0;
+        this.handleTimeout(hero);
+      } else {
+        this.checkWarnings(hero, drained);
+      }
+    }
+
+    const lead = this.players.find(p => p.id === this.activePlayer);
+    if (lead && !lead.isEliminated) {
+      this.tickTurnLimit(lead, elapsed);
+    }
+
+    this.broadcastTimes();
+    this.expireTimeoutChoices();
+  }
+
+  /**
+   * Turns alternate between the villain and the heroes.
+   * The first hero still in the game after the villain's seat leads the heroes' turn.
+   * @returns {object|null}
+   */
+  getNextAlivePlayer() {
+    if (!this.isHeroTurn()) return super.getNextAlivePlayer();
+
+    const villain = this.getVillain();
+    return villain && !villain.isEliminated ? villain : null;
+  }
+
+  /**
+   * If the hero leading the heroes' turn is eliminated, the next hero takes
+   * over the same turn rather than passing it to the villain
+   */
+  switchToNextAlivePlayer() {
+    const current = this.players.find(p => p.id === this.activePlayer);
+    if (current && current.isEliminated && this.isHero(current.id)) {
+      const nextHero = this.getHeroes().find(h => !h.isEliminated);
+      if (nextHero) {
+        this.activePlayer = nextHero.id;
+        return;
+      }
+    }
+    super.switchToNextAlivePlayer();
+  }
+
+  /**
+   * Any hero may pass the heroes' turn
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canPassTurn(clientId) {
+    if (!this.isHeroTurn()) return super.canPassTurn(clientId);
+    return this.getHeroes().some(h => !h.isEliminated && h.claimedBy === clientId);
+  }
+
+  /**
+   * Apply the clock mode at turn start, sharing any bonus with the other heroes
+   * @param {object} player - Player starting their turn
+   * @returns {number} Bonus time granted (ms)
+   */
+  beginTurnClock(player) {
+    const bonus = super.beginTurnClock(player);
+    if (bonus > 0 && this.isHero(player.id)) this.addToOtherHeroes(player, bonus);
+    return bonus;
+  }
+
+  /**
+   * Settle the clock at turn end, sharing any refund with the other heroes
+   * @param {object} player - Player whose turn is ending
+   * @returns {number} Bonus time refunded (ms)
+   */
+  endTurnClock(player) {
+    const refund = super.endTurnClock(player);
+    if (refund > 0 && this.isHero(player.id)) this.addToOtherHeroes(player, refund);
+    return refund;
+  }
+
+  /**
+   * Add time to every hero still in the game except the one given
+   * @param {object} lead - Hero whose clock was already adjusted
+   * @param {number} ms - Time to add
+   */
+  addToOtherHeroes(lead, ms) {
+    for (const hero of this.getHeroes()) {
+      if (hero === lead || hero.isEliminated) continue;
+      hero.timeRemaining = Math.min(hero.timeRemaining + ms, CONSTANTS.MAX_INITIAL_TIME);
+    }
+  }
+
+  // ============================================================================
+  // ELIMINATION
+  // ============================================================================
+
+  /**
+   * The heroes win once the villain is out; the villain wins once every hero is out
+   * @returns {boolean} True if the game is complete
+   */
+  checkForWinner() {
+    const villain = this.getVillain();
+    const aliveHeroes = this.getHeroes().filter(h => !h.isEliminated);
+    const villainOut = !villain || villain.isEliminated;
+
+    if (villainOut && aliveHeroes.length === 0) {
+      this.winningSide = null;
+      this.completeGame({ winnerId: null, winnerName: null, winningSide: null });
+      return true;
+    }
+
+    if (villainOut) {
+      this.winningSide = "heroes";
+      this.completeGame({
+        winnerId: aliveHeroes[0].id,
+        winnerName: "Heroes",
+        winningSide: "heroes",
+      });
+      return true;
+    }
+
+    if (aliveHeroes.length === 0) {
+      this.winningSide = "villain";
+      this.completeGame({ winnerId: villain.id, winnerName: villain.name, winningSide: "villain" });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Override revivePlayer to restore the side's starting life and time
+   */
+  revivePlayer(playerId) {
+    const player = this.players.find(p => p.id === playerId);
+    const restoreLife = Boolean(player) && player.isEliminated && player.life <= 0;
+    const restoreTime = Boolean(player) && player.isEliminated && player.timeRemaining <= 0;
+
+    super.revivePlayer(playerId);
+    if (!player) return;
+
+    const isVillain = player.id === this.villainId;
+    if (restoreLife) {
+      player.life = isVillain ? this.settings.villainLife : this.settings.heroLife;
+    }
+    if (restoreTime) {
+      player.timeRemaining = isVillain ? this.settings.villainTime : this.settings.heroTime;
+    }
+    if (this.winner === null) {
+      this.winningSide = null;
+    }
+    this.broadcastState();
+  }
+
+  /**
+   * Undoing the action that finished the game clears the winning side
+   */
+  restoreSnapshot(target, source) {
+    super.restoreSnapshot(target, source);
+    if (this.status !== "finished") this.winningSide = null;
+  }
+
+  // ============================================================================
+  // SERIALIZATION
+  // ============================================================================
+
+  /**
+   * Get mode-specific state
+   * @returns {object}
+   */
+  getModeState() {
+    return {
+      villainId: this.villainId,
+      winningSide: this.winningSide,
+    };
+  }
+
+  /**
+   * Restore mode-specific state
+   * @param {object} state - Persisted state
+   */
+  restoreModeState(state) {
+    if (Number.isInteger(state.villainId)) {
+      this.villainId = state.villainId;
+    }
+    this.winningSide = state.winningSide ?? null;
+  }
+}
+
+module.exports = { ArchenemyGameSession };
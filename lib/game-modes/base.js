@@ -8,6 +8,51 @@
 const crypto = require("crypto");
 const { CONSTANTS, TARGETING } = require("../shared/constants");
 
+/**
+ * Deep copy a commander damage map ({ [sourceId]: [commander, partner] })
+ * @param {object} commanderDamage - Map to copy
+ * @returns {object}
+ */
+function copyCommanderDamage(commanderDamage) {
+  const copy = {};
+  for (const [sourceId, slots] of Object.entries(commanderDamage || {})) {
+    if (Array.isArray(slots)) {
+      copy[sourceId] = slots.slice(0, CONSTANTS.COMMANDER_SLOTS).map(d => d || 0);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Copy a turn record, including its per-phase time map
+ * @param {object} record - Turn record
+ * @returns {object}
+ */
+function copyTurnRecord(record) {
+  return { ...record, phaseTimes: { ...record.phaseTimes } };
+}
+
+/**
+ * Normalize lobby-defined custom counters into registry-style definitions.
+ * IDs are derived from the (unique) name so values survive reordering.
+ * @param {object[]} customCounters - Array of { name, icon?, min, max }
+ * @returns {object[]}
+ */
+function normalizeCustomCounters(customCounters) {
+  if (!Array.isArray(customCounters)) return [];
+  return customCounters.map(c => {
+    const name = String(c.name).trim();
+    return {
+      id: `custom:${name.toLowerCase()}`,
+      name,
+      icon: c.icon || "#",
+      min: c.min,
+      max: c.max,
+      custom: true,
+    };
+  });
+}
+
 /**
  * Base class for game sessions across all modes.
  * Contains shared player management, timer logic, and broadcasting.
@@ -31,8 +76,42 @@ class BaseGameSession {
     this.lastTick = null;
     this.interval = null;
     this.broadcastFn = broadcastFn;
+    this.completeFn = null; // Optional (result, session) callback once a game finishes, not persisted
     this.ownerId = null;
+    this.displayToken = null; // Token the owner hands the table display, never sent in state
+    this.spectators = new Set(); // Client IDs watching read-only, not persisted
+    this.startCountdownTimer = null; // Timeout that starts the game after the countdown, not persisted
+    this.startCountdownEndsAt = null; // When the start countdown runs out
+    this.pregameTimer = null; // Timeout that ends the pregame at its time limit, not persisted
+    this.pregameEndsAt = null; // When undecided players keep automatically, null = no limit
+    this.pregameExpiredFn = null; // Optional callback once the pregame time limit runs out, not persisted
+    this.turnLimitExpiredFn = null; // Optional (playerId) callback to pass a turn at its time limit, not persisted
     this.interruptingPlayers = []; // Queue of player IDs currently interrupting
+    this.interruptEntries = []; // { label, targets } for each interruptingPlayers entry (see getStack)
+
+    // Per-turn clock state (see CLOCK_MODES)
+    this.delayRemaining = 0; // Delay mode: ms left before the active player's bank drains
+    this.turnStartTime = null; // Bronstein mode: active player's timeRemaining at turn start
+    this.turnTimeRemaining = null; // Turn time limit: ms left in this turn, null when off
+
+    // Turn tracking (see startTurnRecord)
+    this.turnNumber = 0;
+    this.roundNumber = 0;
+    this.firstPlayerId = null; // Player who took turn 1; play wrapping back past them starts a round
+    this.currentTurn = null; // Turn record in progress
+    this.currentPhase = null; // Phase ID within the turn, null when phase tracking is off
+    this.turnHistory = []; // Completed turn records
+
+    // Planechase (see rollPlanarDie)
+    this.currentPlane = null; // Name of the plane the table is on, null when unset
+    this.planarRollsThisTurn = 0;
+
+    // Global designations (see transferDesignation)
+    this.monarch = null; // Player ID holding the monarch designation
+    this.initiative = null; // Player ID holding the initiative
+    this.dungeonRooms = {}; // Undercity level (1-based) each player has reached, by player ID
+    this.dayNight = null; // DAY_NIGHT value once it has become day or night
+    this.spellsCastThisTurn = 0; // Entered by the active player; decides the day/night flip
 
     // Targeting state
     this.targetingState = TARGETING.STATES.NONE;
@@ -42,6 +121,13 @@ class BaseGameSession {
 
     // Winner tracking
     this.winner = null; // Player ID of winner, null if game not finished
+    this.gameStartedAt = null; // When the current game first started, identifies it for ratings
+    this.finishOrder = []; // Player IDs in the order they went out, first out first
+    this.playerProfiles = {}; // { [playerId]: profileId }, results are recorded for these
+
+    // Undo/redo journal (see recordAction)
+    this.actionHistory = [];
+    this.redoStack = [];
 
     // Default settings - subclasses can extend
     this.settings = {
@@ -51,13 +137,32 @@ class BaseGameSession {
       penaltyType: settings.penaltyType || "warning",
       penaltyTimeDeduction: settings.penaltyTimeDeduction || 0,
       bonusTime: settings.bonusTime ?? CONSTANTS.DEFAULT_BONUS_TIME,
+      clockMode: settings.clockMode ?? CONSTANTS.DEFAULT_CLOCK_MODE,
+      turnTimeLimit: settings.turnTimeLimit ?? CONSTANTS.DEFAULT_TURN_TIME_LIMIT,
+      turnLimitPolicy: settings.turnLimitPolicy ?? CONSTANTS.DEFAULT_TURN_LIMIT_POLICY,
+      turnWarningThresholds: settings.turnWarningThresholds ?? [
+        ...CONSTANTS.DEFAULT_TURN_WARNING_THRESHOLDS,
+      ],
       timeoutPenaltyLives: settings.timeoutPenaltyLives ?? CONSTANTS.DEFAULT_TIMEOUT_PENALTY_LIVES,
       timeoutPenaltyDrunk: settings.timeoutPenaltyDrunk ?? CONSTANTS.DEFAULT_TIMEOUT_PENALTY_DRUNK,
       timeoutGracePeriod: settings.timeoutGracePeriod ?? CONSTANTS.DEFAULT_TIMEOUT_GRACE_PERIOD,
       timeoutBonusTime: settings.timeoutBonusTime ?? CONSTANTS.DEFAULT_TIMEOUT_BONUS_TIME,
+      counters: settings.counters ?? [...CONSTANTS.DEFAULT_COUNTERS],
+      phaseTracking: settings.phaseTracking ?? false,
+      planechase: settings.planechase ?? false,
+      targetingPriorityMode: settings.targetingPriorityMode ?? TARGETING.DEFAULT_PRIORITY_MODE,
+      hideFromSpectators: settings.hideFromSpectators ?? false,
+      displayTapToPass: settings.displayTapToPass ?? false,
+      requireReady: settings.requireReady ?? false,
+      startCountdown: settings.startCountdown ?? CONSTANTS.DEFAULT_START_COUNTDOWN,
+      pregame: settings.pregame ?? false,
+      pregameTimeLimit: settings.pregameTimeLimit ?? CONSTANTS.DEFAULT_PREGAME_TIME_LIMIT,
+      seatMap: settings.seatMap ?? null, // Player IDs clockwise from seat 1, null = ID order
+      turnDirection: settings.turnDirection ?? CONSTANTS.DEFAULT_TURN_DIRECTION,
       audioEnabled: true,
       ...settings,
     };
+    this.settings.customCounters = normalizeCustomCounters(this.settings.customCounters);
 
     this.initPlayers();
   }
@@ -157,11 +262,18 @@ class BaseGameSession {
       claimedBy: null,
       reconnectToken: null,
       tokenExpiry: null,
+      ready: false, // Ready check in the lobby, cleared when the seat is given up
+      mulligans: 0, // London mulligans taken in the pregame
+      bottomedCards: 0, // Cards put on the bottom when keeping
+      keptHand: false, // Done with mulligans (see keepHand)
       life: 20,
       drunkCounter: 0,
       genericCounter: 0,
+      counters: {}, // Registry counters without a dedicated field, keyed by counter ID
+      commanderDamage: {}, // Damage taken per source player: { [sourceId]: [commander, partner] }
       color: null, // Custom color ID, null means use default based on player ID
       timeoutPending: false,
+      timeoutReason: null, // "clock" or "turnLimit" while a timeout choice is pending
       timeoutChoiceDeadline: null,
     };
   }
@@ -299,8 +411,10 @@ class BaseGameSession {
         p.claimedBy = null;
         p.reconnectToken = null;
         p.tokenExpiry = null;
+        p.ready = false;
       }
     });
+    this.checkStartCountdown();
 
     const token = this.generateReconnectToken();
     player.claimedBy = clientId;
@@ -357,45 +471,328 @@ class BaseGameSession {
         p.claimedBy = null;
         p.reconnectToken = null;
         p.tokenExpiry = null;
+        p.ready = false;
       }
     });
+    this.checkStartCountdown();
     this.broadcastState();
   }
 
+  /**
+   * Link a seat to a player profile. Profiles stay linked through resets
+   * (and campaign rounds) until the seat is claimed again.
+   * @param {number} playerId - Player ID
+   * @param {string|null} profileId - Profile ID, or null to unlink the seat
+   */
+  linkProfile(playerId, profileId) {
+    if (profileId) {
+      this.playerProfiles[playerId] = profileId;
+    } else {
+      delete this.playerProfiles[playerId];
+    }
+  }
+
+  /**
+   * Whether finishing the game updates the ratings of the profiles linked to
+   * its seats: two or more profiles in a rated mode, outside tournaments
+   * @returns {boolean}
+   */
+  isRated() {
+    return (
+      CONSTANTS.RATED_MODES.includes(this.mode) &&
+      !this.settings.tournament &&
+      new Set(Object.values(this.playerProfiles)).size >= 2
+    );
+  }
+
+  /**
+   * Add a read-only spectator. A client that held seats gives them up, but
+   * keeps their reconnect tokens so it can take them back as a player.
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client wasn't already spectating
+   */
+  addSpectator(clientId) {
+    this.players.forEach(p => {
+      if (p.claimedBy === clientId) {
+        p.claimedBy = null;
+        p.ready = false;
+      }
+    });
+    this.checkStartCountdown();
+    if (this.spectators.has(clientId)) return false;
+    this.spectators.add(clientId);
+    return true;
+  }
+
+  /**
+   * Remove a spectator
+   * @param {string} clientId - Client ID
+   * @returns {boolean} True if the client was spectating
+   */
+  removeSpectator(clientId) {
+    return this.spectators.delete(clientId);
+  }
+
   /**
    * Handle client disconnect
    * @param {string} clientId - Client ID
    */
   handleClientDisconnect(clientId) {
-    let changed = false;
+    let changed = this.removeSpectator(clientId);
     this.players.forEach(p => {
       if (p.claimedBy === clientId) {
         p.claimedBy = null;
+        p.ready = false;
         changed = true;
       }
     });
+    this.checkStartCountdown();
     if (changed) {
       this.broadcastState();
     }
   }
 
+  // ============================================================================
+  // READY CHECK
+  // ============================================================================
+
+  /**
+   * Mark a seat ready or not ready to start. Only seats in the lobby can ready up.
+   * @param {number} playerId - Player ID
+   * @param {boolean} ready - Whether the player is ready
+   * @returns {boolean} True if the seat's ready state changed
+   */
+  setReady(playerId, ready) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || this.status !== "waiting" || player.ready === ready) return false;
+
+    player.ready = ready;
+    this.checkStartCountdown();
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Check whether every seat is claimed and ready
+   * @returns {boolean}
+   */
+  isEveryoneReady() {
+    return this.players.every(p => p.claimedBy !== null && p.ready);
+  }
+
+  /**
+   * Check whether the game may start: when the owner requires a ready
+   * check, every seat must be claimed and ready
+   * @returns {boolean}
+   */
+  canStartGame() {
+    return !this.settings.requireReady || this.isEveryoneReady();
+  }
+
+  /**
+   * Count down to the start of the game. Every client sees the time left in
+   * the state, and onStart runs once it reaches zero.
+   * @param {function} onStart - Starts the game
+   * @returns {boolean} False if a countdown is already running
+   */
+  beginStartCountdown(onStart) {
+    if (this.startCountdownTimer) return false;
+
+    const duration = this.settings.startCountdown;
+    this.startCountdownEndsAt = Date.now() + duration;
+    this.startCountdownTimer = setTimeout(() => {
+      this.startCountdownTimer = null;
+      this.startCountdownEndsAt = null;
+      onStart();
+    }, duration);
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Stop the start countdown
+   * @returns {boolean} True if a countdown was running
+   */
+  cancelStartCountdown() {
+    if (!this.startCountdownTimer) return false;
+
+    clearTimeout(this.startCountdownTimer);
+    this.startCountdownTimer = null;
+    this.startCountdownEndsAt = null;
+    return true;
+  }
+
+  /**
+   * Stop the start countdown once the game could no longer start, e.g. a
+   * required player gives up their seat or stops being ready
+   */
+  checkStartCountdown() {
+    if (this.startCountdownTimer && !this.canStartGame()) {
+      this.cancelStartCountdown();
+    }
+  }
+
   // ============================================================================
   // GAME CONTROL
   // ============================================================================
 
   /**
-   * Start the game
+   * Start the game. With the pregame on, starting from the lobby opens the
+   * mulligan phase first; starting during it keeps every undecided hand.
    */
   start() {
-    if (this.status === "waiting" || this.status === "paused") {
+    if (this.status === "waiting" && this.settings.pregame) {
+      this.beginPregame();
+      return;
+    }
+
+    if (this.status === "waiting" || this.status === "paused" || this.status === "pregame") {
+      const isFirstStart = this.status !== "paused";
+      this.cancelStartCountdown();
+      if (this.status === "pregame") {
+        this.endPregame();
+      } else if (isFirstStart) {
+        this.clearMulligans();
+      }
       this.status = "running";
       this.lastTick = Date.now();
-      this.activePlayer = this.activePlayer || 1;
+      // Seat 1 goes first unless a play order roll already picked someone
+      this.activePlayer = this.activePlayer || this.getTurnOrder()[0].id;
+      if (isFirstStart) {
+        this.gameStartedAt = Date.now();
+        this.finishOrder = [];
+        const firstPlayer = this.players.find(p => p.id === this.activePlayer);
+        if (firstPlayer) this.resetTurnClock(firstPlayer);
+        this.firstPlayerId = this.activePlayer;
+        this.startTurnRecord(this.activePlayer);
+      }
       this.interval = setInterval(() => this.tick(), CONSTANTS.TICK_INTERVAL);
       this.broadcastState();
     }
   }
 
+  // ============================================================================
+  // PREGAME
+  // ============================================================================
+
+  /**
+   * Open the mulligan phase. Clocks stay stopped until every player keeps.
+   */
+  beginPregame() {
+    this.cancelStartCountdown();
+    this.clearMulligans();
+    this.status = "pregame";
+    const limit = this.settings.pregameTimeLimit;
+    this.pregameEndsAt = limit > 0 ? Date.now() + limit : null;
+    this.schedulePregameTimeLimit();
+    this.broadcastState();
+  }
+
+  /**
+   * Keep every undecided hand once the pregame time limit runs out. The
+   * server hooks pregameExpiredFn to start the game under the game lock.
+   */
+  schedulePregameTimeLimit() {
+    this.clearPregameTimer();
+    if (this.status !== "pregame" || this.pregameEndsAt === null) return;
+
+    this.pregameTimer = setTimeout(
+      () => {
+        this.pregameTimer = null;
+        if (this.status !== "pregame") return;
+        if (this.pregameExpiredFn) {
+          this.pregameExpiredFn();
+        } else {
+          this.start();
+        }
+      },
+      Math.max(0, this.pregameEndsAt - Date.now())
+    );
+  }
+
+  clearPregameTimer() {
+    if (this.pregameTimer) {
+      clearTimeout(this.pregameTimer);
+      this.pregameTimer = null;
+    }
+  }
+
+  /**
+   * Close the pregame, keeping whatever hands are still undecided
+   */
+  endPregame() {
+    this.clearPregameTimer();
+    this.pregameEndsAt = null;
+    this.players.forEach(p => {
+      if (!p.keptHand) this.keepPlayerHand(p, p.mulligans);
+    });
+  }
+
+  clearMulligans() {
+    this.players.forEach(p => {
+      p.mulligans = 0;
+      p.bottomedCards = 0;
+      p.keptHand = p.isEliminated;
+    });
+  }
+
+  /**
+   * Cards in an opening hand before mulligans. Modes with their own hand
+   * sizes override this.
+   * @returns {number}
+   */
+  getStartingHandSize() {
+    return CONSTANTS.DEFAULT_HAND_SIZE;
+  }
+
+  /**
+   * Take a London mulligan: draw a fresh hand, to bottom one more card on keeping
+   * @param {number} playerId - Player ID
+   * @returns {boolean} True if the mulligan was taken
+   */
+  takeMulligan(playerId) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || this.status !== "pregame" || player.keptHand) return false;
+    if (player.mulligans >= this.getStartingHandSize()) return false;
+
+    player.mulligans++;
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Keep a hand. The game starts once every player has kept.
+   * @param {number} playerId - Player ID
+   * @param {number} [bottomed] - Cards put on the bottom, which must be one per mulligan
+   * @returns {boolean} True if the hand was kept
+   */
+  keepHand(playerId, bottomed) {
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || this.status !== "pregame" || player.keptHand) return false;
+    if (bottomed !== undefined && bottomed !== player.mulligans) return false;
+
+    this.keepPlayerHand(player, player.mulligans);
+    if (this.players.every(p => p.keptHand)) {
+      this.start();
+    } else {
+      this.broadcastState();
+    }
+    return true;
+  }
+
+  keepPlayerHand(player, bottomed) {
+    player.keptHand = true;
+    player.bottomedCards = bottomed;
+  }
+
+  /**
+   * Choose who takes the first turn. Only meaningful before the game starts.
+   * @param {number} playerId - Player ID
+   */
+  setStartingPlayer(playerId) {
+    this.activePlayer = playerId;
+  }
+
   /**
    * Pause the game
    */
@@ -436,58 +833,82 @@ class BaseGameSession {
     const elapsed = now - this.lastTick;
     this.lastTick = now;
 
+    this.recordTurnTime(elapsed);
+
     if (this.interruptingPlayers.length > 0) {
       const currentInterruptingPlayerId =
         this.interruptingPlayers[this.interruptingPlayers.length - 1];
       const interruptingPlayer = this.players.find(p => p.id === currentInterruptingPlayerId);
       if (interruptingPlayer && !interruptingPlayer.isEliminated) {
-        interruptingPlayer.timeRemaining -= elapsed;
-
-        if (interruptingPlayer.timeRemaining <= 0) {
-          interruptingPlayer.timeRemaining = 0;
-          this.handleTimeout(interruptingPlayer);
-        } else {
-          this.checkWarnings(interruptingPlayer, elapsed);
-        }
-
+        this.drainClock(interruptingPlayer, elapsed);
         this.broadcastTimes();
       }
     } else if (this.targetingState === TARGETING.STATES.RESOLVING && this.awaitingPriority.length > 0) {
-      // During target resolution, ALL targeted players have priority simultaneously
-      for (const playerId of this.awaitingPriority) {
+      // During target resolution, only the players holding priority run their clocks
+      for (const playerId of this.getTargetPriorityHolders()) {
         const player = this.players.find(p => p.id === playerId);
         if (player && !player.isEliminated) {
-          player.timeRemaining -= elapsed;
-
-          if (player.timeRemaining <= 0) {
-            player.timeRemaining = 0;
-            this.handleTimeout(player);
-          } else {
-            this.checkWarnings(player, elapsed);
-          }
+          this.drainClock(player, elapsed);
         }
       }
       this.broadcastTimes();
     } else {
       const activePlayer = this.players.find(p => p.id === this.activePlayer);
       if (activePlayer && !activePlayer.isEliminated) {
-        activePlayer.timeRemaining -= elapsed;
-
-        if (activePlayer.timeRemaining <= 0) {
-          activePlayer.timeRemaining = 0;
-          this.handleTimeout(activePlayer);
-        } else {
-          this.checkWarnings(activePlayer, elapsed);
+        // Delay mode holds the bank until the turn's delay is used up
+        let drained = elapsed;
+        if (this.delayRemaining > 0) {
+          const held = Math.min(this.delayRemaining, drained);
+          this.delayRemaining -= held;
+          drained -= held;
+          if (this.currentTurn) this.currentTurn.bonus += held;
         }
-
+        this.drainClock(activePlayer, drained);
+        this.tickTurnLimit(activePlayer, elapsed);
         this.broadcastTimes();
       }
     }
 
-    // Check for expired timeout choices
-    const now2 = Date.now();
+    this.expireTimeoutChoices();
+  }
+
+  /**
+   * Run a player's clock down, starting a timeout when it runs out
+   * @param {object} player - Player whose clock is running
+   * @param {number} ms - Time to take off (ms)
+   */
+  drainClock(player, ms) {
+    player.timeRemaining -= ms;
+
+    if (player.timeRemaining <= 0) {
+      player.timeRemaining = 0;
+      this.handleTimeout(player);
+    } else {
+      this.checkWarnings(player, ms);
+    }
+  }
+
+  /**
+   * Add elapsed time to the turn in progress and its current phase
+   * @param {number} elapsed - Time elapsed since last tick (ms)
+   */
+  recordTurnTime(elapsed) {
+    if (!this.currentTurn) return;
+
+    this.currentTurn.duration += elapsed;
+    if (this.currentPhase) {
+      const phaseTimes = this.currentTurn.phaseTimes;
+      phaseTimes[this.currentPhase] = (phaseTimes[this.currentPhase] || 0) + elapsed;
+    }
+  }
+
+  /**
+   * Eliminate players whose timeout choice deadline passed without a choice
+   */
+  expireTimeoutChoices() {
+    const now = Date.now();
     for (const player of this.players) {
-      if (player.timeoutPending && now2 >= player.timeoutChoiceDeadline) {
+      if (player.timeoutPending && now >= player.timeoutChoiceDeadline) {
         // Default to elimination if no choice made
         this.resolveTimeoutChoice(player.id, "die");
         if (this.status === "finished") break;
@@ -498,20 +919,27 @@ class BaseGameSession {
   /**
    * Handle player timeout - enter timeout choice state
    * @param {object} player - Player who timed out
+   * @param {string} reason - "clock" when the bank ran out, "turnLimit" for the per-turn limit
    */
-  handleTimeout(player) {
+  handleTimeout(player, reason = "clock") {
     // If player already has a pending timeout choice, skip
     if (player.timeoutPending) return;
 
     player.penalties++;
     player.timeoutPending = true;
+    player.timeoutReason = reason;
     player.timeoutChoiceDeadline = Date.now() + this.settings.timeoutGracePeriod;
 
     // Notify the player they need to make a choice
-    this.broadcastTimeoutChoice(player.id, {
-      livesLoss: this.settings.timeoutPenaltyLives,
-      drunkGain: this.settings.timeoutPenaltyDrunk,
-    }, player.timeoutChoiceDeadline);
+    this.broadcastTimeoutChoice(
+      player.id,
+      {
+        livesLoss: this.settings.timeoutPenaltyLives,
+        drunkGain: this.settings.timeoutPenaltyDrunk,
+      },
+      player.timeoutChoiceDeadline,
+      reason
+    );
 
     this.broadcastState();
   }
@@ -525,7 +953,9 @@ class BaseGameSession {
     const player = this.players.find(p => p.id === playerId);
     if (!player || !player.timeoutPending) return;
 
+    const extendTurn = player.timeoutReason === "turnLimit";
     player.timeoutPending = false;
+    player.timeoutReason = null;
     player.timeoutChoiceDeadline = null;
 
     switch (choice) {
@@ -533,133 +963,200 @@ class BaseGameSession {
         const oldLife = player.life;
         player.life -= this.settings.timeoutPenaltyLives;
         this.onPlayerLifeChanged(playerId, oldLife, player.life);
-        // Reset timer to bonus time for continued play
-        player.timeRemaining = this.settings.timeoutBonusTime;
+        this.grantTimeoutBonus(player, extendTurn);
         // Eliminate player if life reaches 0 or below
         if (player.life <= 0 && !player.isEliminated) {
           player.isEliminated = true;
-          if (this.checkForWinner()) {
+          if (this.resolveElimination(playerId)) {
             this.broadcastState();
             return;
           }
-          if (this.targetingState === TARGETING.STATES.RESOLVING) {
-            this.handleEliminatedTarget(playerId);
-          } else if (this.activePlayer === playerId) {
-            this.switchToNextAlivePlayer();
-          }
         }
         break;
       }
 
       case "gainDrunk":
         player.drunkCounter += this.settings.timeoutPenaltyDrunk;
-        // Reset timer to bonus time for continued play
-        player.timeRemaining = this.settings.timeoutBonusTime;
+        this.grantTimeoutBonus(player, extendTurn);
         break;
 
       case "die":
       default:
         player.isEliminated = true;
-        // Check for winner
-        if (this.checkForWinner()) {
+        if (this.resolveElimination(playerId)) {
           this.broadcastState();
           return;
         }
-        // Handle targeting state if needed
-        if (this.targetingState === TARGETING.STATES.RESOLVING) {
-          this.handleEliminatedTarget(playerId);
-        } else if (this.activePlayer === playerId) {
-          this.switchToNextAlivePlayer();
-        }
         break;
     }
 
     this.broadcastState();
   }
 
+  /**
+   * Give a player who accepted a timeout penalty time to continue.
+   * A bank timeout resets their clock; a turn limit timeout extends the turn instead.
+   * @param {object} player - Player who took the penalty
+   * @param {boolean} extendTurn - Whether the timeout came from the turn time limit
+   */
+  grantTimeoutBonus(player, extendTurn) {
+    if (extendTurn) {
+      if (player.id === this.activePlayer) {
+        this.turnTimeRemaining = this.settings.timeoutBonusTime;
+      }
+    } else {
+      // Reset timer to bonus time for continued play
+      player.timeRemaining = this.settings.timeoutBonusTime;
+    }
+  }
+
   /**
    * Switch to next non-eliminated player if current active player is eliminated
    */
   switchToNextAlivePlayer() {
-    const currentIndex = this.players.findIndex(p => p.id === this.activePlayer);
-    if (currentIndex === -1) return;
-    const currentPlayer = this.players[currentIndex];
+    const currentPlayer = this.players.find(p => p.id === this.activePlayer);
     if (currentPlayer && currentPlayer.isEliminated) {
-      const len = this.players.length;
-      for (let offset = 1; offset < len; offset++) {
-        const candidate = this.players[(currentIndex + offset) % len];
-        if (!candidate.isEliminated) {
-          this.activePlayer = candidate.id;
-          return;
-        }
+      const candidate = this.getNextAlivePlayer();
+      if (candidate) {
+        this.endTurnRecord();
+        this.activePlayer = candidate.id;
+        this.resetTurnClock(candidate);
+        this.startTurnRecord(candidate.id);
+        this.applyTurnStartDesignations(candidate.id);
       }
     }
   }
 
+  /**
+   * Find the player who takes the turn after the active player.
+   * Modes that group players override this to change turn order.
+   * @returns {object|null} Next non-eliminated player, or null if there is none
+   */
+  getNextAlivePlayer() {
+    const order = this.getTurnOrder();
+    const currentIndex = order.findIndex(p => p.id === this.activePlayer);
+    if (currentIndex === -1) return null;
+
+    const len = order.length;
+    for (let offset = 1; offset < len; offset++) {
+      const candidate = order[(currentIndex + offset) % len];
+      if (!candidate.isEliminated) return candidate;
+    }
+    return null;
+  }
+
+  /**
+   * Get the seating clockwise from seat 1. Follows the seat map when it
+   * covers exactly the current players, otherwise the players array.
+   * @returns {object[]} Player objects
+   */
+  getSeating() {
+    const seatMap = this.settings.seatMap;
+    if (
+      !Array.isArray(seatMap) ||
+      seatMap.length !== this.players.length ||
+      new Set(seatMap).size !== seatMap.length
+    ) {
+      return [...this.players];
+    }
+
+    const seated = seatMap.map(id => this.players.find(p => p.id === id));
+    return seated.includes(undefined) ? [...this.players] : seated;
+  }
+
+  /**
+   * Get every player in the order turns pass, from seat 1
+   * @returns {object[]} Player objects
+   */
+  getTurnOrder() {
+    const seating = this.getSeating();
+    if (this.settings.turnDirection !== CONSTANTS.TURN_DIRECTIONS.COUNTERCLOCKWISE) {
+      return seating;
+    }
+    return [seating[0], ...seating.slice(1).reverse()];
+  }
+
   /**
    * Check if only one player remains and declare them the winner
    * @returns {boolean} True if game is complete with a winner
    */
   checkForWinner() {
+    this.trackFinishOrder();
     const alivePlayers = this.players.filter(p => !p.isEliminated);
 
     if (alivePlayers.length === 1) {
       const winner = alivePlayers[0];
-      this.winner = winner.id;
-      // Clear interval directly since pause() only works from "running" state
-      if (this.interval) {
-        clearInterval(this.interval);
-        this.interval = null;
-      }
-      this.status = "finished";
-
-      // Cancel any active targeting
-      if (this.targetingState !== TARGETING.STATES.NONE) {
-        this.targetingState = TARGETING.STATES.NONE;
-        this.targetedPlayers = [];
-        this.awaitingPriority = [];
-        this.originalActivePlayer = null;
-      }
+      this.completeGame({ winnerId: winner.id, winnerName: winner.name });
+      return true;
+    }
 
-      // Clear interrupt queue
-      this.interruptingPlayers = [];
+    // Check if all players are eliminated (draw/no winner)
+    if (alivePlayers.length === 0) {
+      this.completeGame({ winnerId: null, winnerName: null });
+      return true;
+    }
 
-      // Notify via callback
-      this.onGameComplete({ winnerId: winner.id, winnerName: winner.name });
+    return false;
+  }
 
-      // Broadcast game complete event
-      if (this.broadcastFn) {
-        this.broadcastFn("gameComplete", {
-          winnerId: winner.id,
-          winnerName: winner.name
-        });
+  /**
+   * Bring the finish order in line with who is eliminated. Every elimination
+   * path checks for a winner straight away, so players are appended in the
+   * order they go out. Modes whose winner check doesn't call this one (teams,
+   * archenemy) aren't free-for-all and don't use the order.
+   */
+  trackFinishOrder() {
+    for (const player of this.players) {
+      const index = this.finishOrder.indexOf(player.id);
+      if (player.isEliminated && index === -1) {
+        this.finishOrder.push(player.id);
+      } else if (!player.isEliminated && index !== -1) {
+        this.finishOrder.splice(index, 1);
       }
+    }
+  }
 
-      return true;
+  /**
+   * Finish the game, stop the clock and announce the result
+   * @param {object} result - Game result data ({ winnerId, winnerName, ... })
+   */
+  completeGame(result) {
+    this.winner = result.winnerId;
+    this.endTurnRecord();
+    // Clear interval directly since pause() only works from "running" state
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
     }
+    this.status = "finished";
 
-    // Check if all players are eliminated (draw/no winner)
-    if (alivePlayers.length === 0) {
-      this.winner = null;
-      if (this.interval) {
-        clearInterval(this.interval);
-        this.interval = null;
-      }
-      this.status = "finished";
+    // Cancel any active targeting
+    if (this.targetingState !== TARGETING.STATES.NONE) {
+      this.targetingState = TARGETING.STATES.NONE;
+      this.targetedPlayers = [];
+      this.awaitingPriority = [];
+      this.originalActivePlayer = null;
+    }
 
-      this.onGameComplete({ winnerId: null, winnerName: null });
+    // Clear interrupt queue
+    this.interruptingPlayers = [];
+    this.interruptEntries = [];
 
-      if (this.broadcastFn) {
-        this.broadcastFn("gameComplete", {
-          winnerId: null,
-          winnerName: null
-        });
-      }
+    // Notify via callback
+    this.onGameComplete(result);
 
-      return true;
+    // Broadcast game complete event
+    if (this.broadcastFn) {
+      this.broadcastFn("gameComplete", {
+        ...result,
+        finishOrder: [...this.finishOrder],
+        turnStats: this.getTurnStats(),
+      });
     }
 
-    return false;
+    if (this.completeFn) {
+      this.completeFn(result, this);
+    }
   }
 
   /**
@@ -677,6 +1174,45 @@ class BaseGameSession {
     });
   }
 
+  /**
+   * Count down the per-turn time limit for the player holding the turn.
+   * Runs only while the active player has priority; interrupts and targeting
+   * spend other players' time and don't count against the turn.
+   * @param {object} player - Active player
+   * @param {number} elapsed - Time elapsed since last tick (ms)
+   */
+  tickTurnLimit(player, elapsed) {
+    if (this.turnTimeRemaining === null || this.turnTimeRemaining <= 0) return;
+
+    const previousTime = this.turnTimeRemaining;
+    this.turnTimeRemaining = Math.max(0, previousTime - elapsed);
+
+    this.settings.turnWarningThresholds.forEach(threshold => {
+      if (previousTime > threshold && this.turnTimeRemaining <= threshold) {
+        this.broadcastWarning(player.id, threshold, "turn");
+      }
+    });
+
+    if (this.turnTimeRemaining === 0) {
+      this.handleTurnLimitExpired(player);
+    }
+  }
+
+  /**
+   * Apply the configured policy when a turn hits its time limit. The server
+   * hooks turnLimitExpiredFn to journal and log the pass under the game lock.
+   * @param {object} player - Active player whose turn expired
+   */
+  handleTurnLimitExpired(player) {
+    if (this.settings.turnLimitPolicy === CONSTANTS.TURN_LIMIT_POLICIES.TIMEOUT) {
+      this.handleTimeout(player, "turnLimit");
+    } else if (this.turnLimitExpiredFn) {
+      this.turnLimitExpiredFn(player.id);
+    } else {
+      this.passTurn();
+    }
+  }
+
   /**
    * Switch active player
    * @param {number} playerId - Player ID to switch to
@@ -687,23 +1223,116 @@ class BaseGameSession {
 
     const targetPlayer = this.players.find(p => p.id === playerId);
     if (targetPlayer && !targetPlayer.isEliminated) {
+      const previousPlayer = this.players.find(p => p.id === this.activePlayer);
+      const refund = previousPlayer ? this.endTurnClock(previousPlayer) : 0;
+      this.endTurnRecord(refund);
+
       this.activePlayer = playerId;
       this.lastTick = Date.now();
-
-      // Add bonus time at turn start
-      if (this.settings.bonusTime > 0) {
-        targetPlayer.timeRemaining += this.settings.bonusTime;
-        // Clamp to max time (24 hours)
-        targetPlayer.timeRemaining = Math.min(
-          targetPlayer.timeRemaining,
-          CONSTANTS.MAX_INITIAL_TIME
-        );
-      }
+      const bonus = this.beginTurnClock(targetPlayer);
+      this.startTurnRecord(playerId, bonus);
+      this.applyTurnStartDesignations(playerId);
 
       this.broadcastState();
     }
   }
 
+  /**
+   * Apply the clock mode to a player whose turn is starting
+   * @param {object} player - Player starting their turn
+   * @returns {number} Bonus time granted (ms)
+   */
+  beginTurnClock(player) {
+    const before = player.timeRemaining;
+    // Fischer: add bonus time at turn start
+    if (this.settings.clockMode === CONSTANTS.CLOCK_MODES.FISCHER && this.settings.bonusTime > 0) {
+      player.timeRemaining += this.settings.bonusTime;
+      // Clamp to max time (24 hours)
+      player.timeRemaining = Math.min(player.timeRemaining, CONSTANTS.MAX_INITIAL_TIME);
+    }
+    this.resetTurnClock(player);
+    return Math.max(0, player.timeRemaining - before);
+  }
+
+  /**
+   * Reset per-turn clock state for a player without granting an increment
+   * @param {object} player - Player starting their turn
+   */
+  resetTurnClock(player) {
+    const mode = this.settings.clockMode;
+    this.delayRemaining = mode === CONSTANTS.CLOCK_MODES.DELAY ? this.settings.bonusTime : 0;
+    this.turnStartTime = mode === CONSTANTS.CLOCK_MODES.BRONSTEIN ? player.timeRemaining : null;
+    this.turnTimeRemaining = this.settings.turnTimeLimit > 0 ? this.settings.turnTimeLimit : null;
+  }
+
+  /**
+   * Settle a player's clock as their turn ends.
+   * Bronstein refunds the time actually used this turn, capped at bonusTime.
+   * @param {object} player - Player whose turn is ending
+   * @returns {number} Bonus time refunded (ms)
+   */
+  endTurnClock(player) {
+    let refund = 0;
+    if (
+      this.settings.clockMode === CONSTANTS.CLOCK_MODES.BRONSTEIN &&
+      this.turnStartTime !== null &&
+      !player.isEliminated
+    ) {
+      const used = Math.max(0, this.turnStartTime - player.timeRemaining);
+      refund = Math.min(used, this.settings.bonusTime);
+      player.timeRemaining += refund;
+    }
+    this.delayRemaining = 0;
+    this.turnStartTime = null;
+    this.turnTimeRemaining = null;
+    return refund;
+  }
+
+  /**
+   * Check if a client can pass the current turn (whoever claimed the active player)
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canPassTurn(clientId) {
+    const activePlayer = this.players.find(p => p.id === this.activePlayer);
+    return Boolean(activePlayer) && activePlayer.claimedBy === clientId;
+  }
+
+  /**
+   * Get the token the owner hands to their table display, issuing it on first use
+   * @returns {string}
+   */
+  getDisplayToken() {
+    if (!this.displayToken) {
+      this.displayToken = this.generateReconnectToken();
+    }
+    return this.displayToken;
+  }
+
+  /**
+   * Check a token against the one the owner handed their table display
+   * @param {string} token - Display token from the owner's display link
+   * @returns {boolean}
+   */
+  isDisplayToken(token) {
+    return this.displayToken !== null && token === this.displayToken;
+  }
+
+  /**
+   * Check if a shared table display can pass the turn. The owner has to allow
+   * it, and only between actions: not while the stack or targeting is open.
+   * @returns {boolean}
+   */
+  canDisplayPassTurn() {
+    return (
+      this.settings.displayTapToPass === true &&
+      this.status === "running" &&
+      this.activePlayer !== null &&
+      this.interruptingPlayers.length === 0 &&
+      this.targetingState === TARGETING.STATES.NONE
+    );
+  }
+
   /**
    * Pass the turn to the next alive player after the current active player
    */
@@ -711,16 +1340,9 @@ class BaseGameSession {
     const activePlayers = this.players.filter(p => !p.isEliminated);
     if (activePlayers.length <= 1) return;
 
-    const currentIndex = this.players.findIndex(p => p.id === this.activePlayer);
-    if (currentIndex === -1) return;
-
-    const len = this.players.length;
-    for (let offset = 1; offset < len; offset++) {
-      const candidate = this.players[(currentIndex + offset) % len];
-      if (!candidate.isEliminated) {
-        this.switchPlayer(candidate.id);
-        return;
-      }
+    const candidate = this.getNextAlivePlayer();
+    if (candidate) {
+      this.switchPlayer(candidate.id);
     }
   }
 
@@ -729,9 +1351,33 @@ class BaseGameSession {
    */
   reset() {
     this.pause();
+    this.cancelStartCountdown();
+    this.clearPregameTimer();
+    this.pregameEndsAt = null;
     this.status = "waiting";
     this.activePlayer = null;
     this.interruptingPlayers = [];
+    this.interruptEntries = [];
+    this.delayRemaining = 0;
+    this.turnStartTime = null;
+    this.turnTimeRemaining = null;
+    this.turnNumber = 0;
+    this.roundNumber = 0;
+    this.firstPlayerId = null;
+    this.currentTurn = null;
+    this.currentPhase = null;
+    this.turnHistory = [];
+    this.currentPlane = null;
+    this.planarRollsThisTurn = 0;
+    this.monarch = null;
+    this.initiative = null;
+    this.dungeonRooms = {};
+    this.dayNight = null;
+    this.spellsCastThisTurn = 0;
+    this.actionHistory = [];
+    this.redoStack = [];
+    this.gameStartedAt = null;
+    this.finishOrder = [];
     // Reset targeting state
     this.targetingState = TARGETING.STATES.NONE;
     this.targetedPlayers = [];
@@ -741,15 +1387,25 @@ class BaseGameSession {
     this.broadcastState();
   }
 
-  interrupt(playerId) {
+  /**
+   * Put a player's interrupt on top of the stack
+   * @param {number} playerId - Player ID
+   * @param {string|null} label - Optional short description, e.g. "Counterspell"
+   */
+  interrupt(playerId, label = null) {
     const player = this.players.find(p => p.id === playerId);
     if (!player || player.isEliminated) return;
 
     // Add player to end of queue (allows multiple instances of same player)
-    this.interruptingPlayers.push(playerId);
+    const index = this.interruptingPlayers.push(playerId) - 1;
+    this.interruptEntries[index] = { label: label || null, targets: null };
     this.broadcastState();
   }
 
+  /**
+   * Remove the player's most recent interrupt from the stack
+   * @param {number} playerId - Player ID
+   */
   passPriority(playerId) {
     // Find last occurrence of player in queue (the one with priority)
     let lastIndex = -1;
@@ -762,10 +1418,347 @@ class BaseGameSession {
 
     if (lastIndex !== -1) {
       this.interruptingPlayers.splice(lastIndex, 1);
+      this.interruptEntries.splice(lastIndex, 1);
       this.broadcastState();
     }
   }
 
+  /**
+   * Get the interrupt stack, bottom first. The last entry holds priority.
+   * @returns {{ playerId: number, label: string|null, targets: number[]|null }[]}
+   */
+  getStack() {
+    return this.interruptingPlayers.map((playerId, i) => ({
+      playerId,
+      label: this.interruptEntries[i]?.label ?? null,
+      targets: this.interruptEntries[i]?.targets ? [...this.interruptEntries[i].targets] : null,
+    }));
+  }
+
+  /**
+   * Check if a client can resolve the top of the stack: the owner, the player
+   * whose entry is on top, or the player whose turn it is
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canResolveStack(clientId) {
+    if (this.interruptingPlayers.length === 0) return false;
+    if (this.isOwner(clientId)) return true;
+    const top = this.interruptingPlayers[this.interruptingPlayers.length - 1];
+    const turnPlayerId = this.originalActivePlayer ?? this.activePlayer;
+    return this.isPlayerOwner(top, clientId) || this.isPlayerOwner(turnPlayerId, clientId);
+  }
+
+  /**
+   * Resolve the top of the stack and tell everyone what resolved
+   * @returns {object|null} The resolved entry, or null if the stack is empty
+   */
+  resolveTopOfStack() {
+    if (this.interruptingPlayers.length === 0) return null;
+
+    const entry = this.getStack().pop();
+    this.interruptingPlayers.pop();
+    this.interruptEntries.length = this.interruptingPlayers.length;
+
+    if (this.broadcastFn) {
+      const player = this.players.find(p => p.id === entry.playerId);
+      this.broadcastFn("stackResolved", {
+        ...entry,
+        playerName: player ? player.name : null,
+        remaining: this.interruptingPlayers.length,
+      });
+    }
+    this.broadcastState();
+    return entry;
+  }
+
+  // ============================================================================
+  // TURN TRACKING
+  // ============================================================================
+
+  /**
+   * Check whether moving from one player to another wraps play back around
+   * to the first player's seat, which starts a new round
+   * @param {number} fromPlayerId - Player whose turn is ending
+   * @param {number} toPlayerId - Player whose turn is starting
+   * @returns {boolean}
+   */
+  wrapsRound(fromPlayerId, toPlayerId) {
+    const order = this.getTurnOrder();
+    const len = order.length;
+    const firstIndex = order.findIndex(p => p.id === this.firstPlayerId);
+    const seat = id => (order.findIndex(p => p.id === id) - firstIndex + len) % len;
+    return seat(toPlayerId) <= seat(fromPlayerId);
+  }
+
+  /**
+   * Open a record for the turn that is starting
+   * @param {number} playerId - Player taking the turn
+   * @param {number} bonus - Bonus time granted at turn start (ms)
+   */
+  startTurnRecord(playerId, bonus = 0) {
+    const lastTurn = this.turnHistory[this.turnHistory.length - 1];
+    if (this.roundNumber === 0) {
+      this.roundNumber = 1;
+    } else if (lastTurn && this.wrapsRound(lastTurn.playerId, playerId)) {
+      this.roundNumber++;
+    }
+    this.turnNumber++;
+    this.currentTurn = {
+      turn: this.turnNumber,
+      round: this.roundNumber,
+      playerId,
+      startedAt: Date.now(),
+      endedAt: null,
+      duration: 0,
+      bonus,
+      phaseTimes: {},
+    };
+    this.currentPhase = this.settings.phaseTracking ? CONSTANTS.TURN_PHASES[0].id : null;
+    this.planarRollsThisTurn = 0;
+  }
+
+  /**
+   * Close the turn in progress and move it into the history
+   * @param {number} bonus - Bonus time granted at turn end (ms)
+   */
+  endTurnRecord(bonus = 0) {
+    if (!this.currentTurn) return;
+    this.currentTurn.bonus += bonus;
+    this.currentTurn.endedAt = Date.now();
+    this.turnHistory.push(this.currentTurn);
+    this.currentTurn = null;
+    this.currentPhase = null;
+  }
+
+  /**
+   * Summarize turn durations per player, including the turn in progress,
+   * along with each player's mulligans
+   * @returns {{ totalTurns: number, totalRounds: number, players: object[] }}
+   */
+  getTurnStats() {
+    const turns = this.currentTurn ? [...this.turnHistory, this.currentTurn] : this.turnHistory;
+    const players = this.players.map(player => {
+      const own = turns.filter(t => t.playerId === player.id);
+      const totalTime = own.reduce((sum, t) => sum + t.duration, 0);
+      const phaseTimes = {};
+      for (const turn of own) {
+        for (const [phaseId, time] of Object.entries(turn.phaseTimes || {})) {
+          phaseTimes[phaseId] = (phaseTimes[phaseId] || 0) + time;
+        }
+      }
+      return {
+        playerId: player.id,
+        turns: own.length,
+        totalTime,
+        averageTime: own.length > 0 ? Math.round(totalTime / own.length) : 0,
+        longestTime: own.reduce((max, t) => Math.max(max, t.duration), 0),
+        bonusTime: own.reduce((sum, t) => sum + t.bonus, 0),
+        phaseTimes,
+        mulligans: player.mulligans || 0,
+        bottomedCards: player.bottomedCards || 0,
+      };
+    });
+    return { totalTurns: turns.length, totalRounds: this.roundNumber, players };
+  }
+
+  /**
+   * Check if a client can move the turn between phases (owner or the player whose turn it is)
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canChangePhase(clientId) {
+    if (this.isOwner(clientId)) return true;
+    const turnPlayerId = this.currentTurn ? this.currentTurn.playerId : this.activePlayer;
+    return turnPlayerId !== null && this.isPlayerOwner(turnPlayerId, clientId);
+  }
+
+  /**
+   * Move the current turn to a specific phase
+   * @param {string} phaseId - Phase ID from TURN_PHASES
+   * @returns {boolean} True if the phase changed
+   */
+  setPhase(phaseId) {
+    if (!this.currentTurn || !this.settings.phaseTracking) return false;
+    if (!CONSTANTS.TURN_PHASES.some(phase => phase.id === phaseId)) return false;
+    if (phaseId === this.currentPhase) return false;
+
+    this.currentPhase = phaseId;
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Move the current turn to the next phase. The last phase stays put;
+   * passing the turn starts the next turn at the first phase.
+   * @returns {boolean} True if the phase changed
+   */
+  advancePhase() {
+    const index = CONSTANTS.TURN_PHASES.findIndex(phase => phase.id === this.currentPhase);
+    if (index === -1 || index === CONSTANTS.TURN_PHASES.length - 1) return false;
+    return this.setPhase(CONSTANTS.TURN_PHASES[index + 1].id);
+  }
+
+  // ============================================================================
+  // PLANECHASE
+  // ============================================================================
+
+  /**
+   * Mana cost of the next planar die roll this turn: the Nth roll costs N-1
+   * @returns {number}
+   */
+  getPlanarRollCost() {
+    return this.planarRollsThisTurn;
+  }
+
+  /**
+   * Roll the planar die for a player and broadcast the result
+   * @param {number} playerId - Player rolling the die
+   * @returns {{ playerId: number, face: string, cost: number, rollNumber: number }|null}
+   */
+  rollPlanarDie(playerId) {
+    if (!this.settings.planechase || this.status !== "running") return null;
+    const player = this.players.find(p => p.id === playerId);
+    if (!player || player.isEliminated) return null;
+
+    const cost = this.getPlanarRollCost();
+    this.planarRollsThisTurn++;
+    const faces = CONSTANTS.PLANAR_DIE_FACES;
+    const face = faces[Math.floor(Math.random() * faces.length)];
+    const roll = { playerId, face, cost, rollNumber: this.planarRollsThisTurn };
+
+    if (this.broadcastFn) {
+      this.broadcastFn("planarDieRolled", {
+        ...roll,
+        playerName: player.name,
+        currentPlane: this.currentPlane,
+        nextCost: this.getPlanarRollCost(),
+      });
+    }
+    this.broadcastState();
+    return roll;
+  }
+
+  /**
+   * Record the plane the table is on. An empty name clears it.
+   * @param {string|null} name - Plane name
+   * @returns {boolean} True if the plane changed
+   */
+  setCurrentPlane(name) {
+    const plane = name ? name : null;
+    if (plane === this.currentPlane) return false;
+
+    this.currentPlane = plane;
+    this.broadcastState();
+    return true;
+  }
+
+  // ============================================================================
+  // GLOBAL DESIGNATIONS
+  // ============================================================================
+
+  /**
+   * Give the monarch or the initiative to a player. Taking the initiative
+   * also ventures into the Undercity.
+   * @param {string} designation - One of DESIGNATIONS
+   * @param {number|null} playerId - New holder, or null to remove the designation
+   * @returns {boolean} True if the holder changed
+   */
+  transferDesignation(designation, playerId) {
+    if (!CONSTANTS.DESIGNATIONS.includes(designation)) return false;
+    if (playerId !== null) {
+      const player = this.players.find(p => p.id === playerId);
+      if (!player || player.isEliminated) return false;
+    }
+    if (this[designation] === playerId) return false;
+
+    this[designation] = playerId;
+    if (designation === "initiative" && playerId !== null) {
+      this.ventureIntoUndercity(playerId);
+    }
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Move a player to the next room of the Undercity. After the last room
+   * the dungeon is complete and the next venture starts it again.
+   * @param {number} playerId - Player venturing
+   * @returns {number} Undercity level reached (1-based)
+   */
+  ventureIntoUndercity(playerId) {
+    const room = this.dungeonRooms[playerId] || 0;
+    const next = room >= CONSTANTS.UNDERCITY_ROOMS.length ? 1 : room + 1;
+    this.dungeonRooms = { ...this.dungeonRooms, [playerId]: next };
+    return next;
+  }
+
+  /**
+   * Set whether it is day or night
+   * @param {string|null} state - DAY_NIGHT value, or null to stop tracking it
+   * @returns {boolean} True if it changed
+   */
+  setDayNight(state) {
+    if (state !== null && !Object.values(CONSTANTS.DAY_NIGHT).includes(state)) return false;
+    if (state === this.dayNight) return false;
+
+    this.dayNight = state;
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Record how many spells the active player has cast this turn
+   * @param {number} count - Spells cast
+   * @returns {boolean} True if the count changed
+   */
+  setSpellsCast(count) {
+    if (!Number.isInteger(count) || count < 0 || count > CONSTANTS.MAX_SPELLS_PER_TURN) {
+      return false;
+    }
+    if (count === this.spellsCastThisTurn) return false;
+
+    this.spellsCastThisTurn = count;
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Apply the designations that act as a turn starts: day becomes night if the
+   * previous active player cast no spells, night becomes day if they cast two
+   * or more, and the initiative holder ventures at their upkeep
+   * @param {number} playerId - Player whose turn is starting
+   */
+  applyTurnStartDesignations(playerId) {
+    const { DAY, NIGHT } = CONSTANTS.DAY_NIGHT;
+    if (this.dayNight === DAY && this.spellsCastThisTurn === 0) {
+      this.dayNight = NIGHT;
+    } else if (this.dayNight === NIGHT && this.spellsCastThisTurn >= 2) {
+      this.dayNight = DAY;
+    }
+    this.spellsCastThisTurn = 0;
+
+    if (this.initiative === playerId) {
+      this.ventureIntoUndercity(playerId);
+    }
+  }
+
+  /**
+   * When a holder leaves the game, the monarch and the initiative pass to the active player
+   */
+  reassignDesignations() {
+    const activePlayer = this.players.find(p => p.id === this.activePlayer);
+    const heir = activePlayer && !activePlayer.isEliminated ? activePlayer.id : null;
+    for (const designation of CONSTANTS.DESIGNATIONS) {
+      const holder = this.players.find(p => p.id === this[designation]);
+      if (!holder || !holder.isEliminated) continue;
+      this[designation] = heir;
+      if (designation === "initiative" && heir !== null) {
+        this.ventureIntoUndercity(heir);
+      }
+    }
+  }
+
   // ============================================================================
   // TARGETING SYSTEM
   // ============================================================================
@@ -807,17 +1800,37 @@ class BaseGameSession {
 
   /**
    * Confirm targets and begin resolution
+   * @param {boolean} attachToStack - Record the targets on the top stack entry
    * @returns {boolean} Success
    */
-  confirmTargets() {
+  confirmTargets(attachToStack = false) {
     if (this.targetingState !== TARGETING.STATES.SELECTING) return false;
     if (this.targetedPlayers.length === 0) return false;
 
+    if (attachToStack && this.interruptingPlayers.length > 0) {
+      const top = this.interruptingPlayers.length - 1;
+      this.interruptEntries[top] = {
+        label: this.interruptEntries[top]?.label ?? null,
+        targets: [...this.targetedPlayers],
+      };
+    }
+
     // Store original player - activePlayer stays the same during resolution
     this.originalActivePlayer = this.activePlayer;
 
-    // Set up priority queue - all targets have priority simultaneously
-    this.awaitingPriority = [...this.targetedPlayers];
+    // Set up priority queue - who responds depends on the priority mode
+    const mode = this.settings.targetingPriorityMode;
+    if (mode === TARGETING.PRIORITY_MODES.ALL_OPPONENTS) {
+      this.awaitingPriority = this.players
+        .filter(p => !p.isEliminated && p.id !== this.activePlayer)
+        .map(p => p.id);
+    } else if (mode === TARGETING.PRIORITY_MODES.APNAP) {
+      this.awaitingPriority = this.getTurnOrderAfter(this.activePlayer).filter(id =>
+        this.targetedPlayers.includes(id)
+      );
+    } else {
+      this.awaitingPriority = [...this.targetedPlayers];
+    }
     this.targetingState = TARGETING.STATES.RESOLVING;
 
     return true;
@@ -830,9 +1843,9 @@ class BaseGameSession {
    */
   passTargetPriority(playerId) {
     if (this.targetingState !== TARGETING.STATES.RESOLVING) return false;
+    if (!this.hasTargetPriority(playerId)) return false;
 
     const idx = this.awaitingPriority.indexOf(playerId);
-    if (idx === -1) return false;
 
     // Remove from awaiting list
     this.awaitingPriority.splice(idx, 1);
@@ -841,10 +1854,43 @@ class BaseGameSession {
       // All targets have passed - return to original player
       return this.completeTargeting();
     }
-    // Other targets still have priority - no need to change activePlayer
+    // Others still have priority (in APNAP, the next in turn order) - activePlayer is unchanged
     return true;
   }
 
+  /**
+   * Get the players whose clocks run while targets resolve.
+   * In APNAP mode only the first player in the queue responds; otherwise everyone does.
+   * @returns {number[]} Player IDs
+   */
+  getTargetPriorityHolders() {
+    if (this.settings.targetingPriorityMode === TARGETING.PRIORITY_MODES.APNAP) {
+      return this.awaitingPriority.slice(0, 1);
+    }
+    return [...this.awaitingPriority];
+  }
+
+  /**
+   * Check if a player may respond to the targets right now
+   * @param {number} playerId - Player ID
+   * @returns {boolean}
+   */
+  hasTargetPriority(playerId) {
+    return this.getTargetPriorityHolders().includes(playerId);
+  }
+
+  /**
+   * Get every other player's ID in turn order, starting after the given player
+   * @param {number} playerId - Player ID to start after
+   * @returns {number[]} Player IDs
+   */
+  getTurnOrderAfter(playerId) {
+    const ids = this.getTurnOrder().map(p => p.id);
+    const start = ids.indexOf(playerId);
+    if (start === -1) return ids;
+    return [...ids.slice(start + 1), ...ids.slice(0, start)];
+  }
+
   /**
    * Complete targeting and return to normal
    * @returns {boolean} Success
@@ -896,11 +1942,12 @@ class BaseGameSession {
       this.awaitingPriority.splice(awaitingIdx, 1);
     }
 
-    // Check if targeting is complete (no more targets)
-    if (this.awaitingPriority.length === 0) {
+    // Check if targeting is complete: nobody left to respond, or every target is gone
+    // (untargeted opponents in all_opponents mode have nothing left to respond to)
+    if (this.awaitingPriority.length === 0 || this.targetedPlayers.length === 0) {
       this.completeTargeting();
     }
-    // activePlayer stays as original player during parallel resolution
+    // activePlayer stays as original player; in APNAP the next player in the queue responds
   }
 
   /**
@@ -937,39 +1984,146 @@ class BaseGameSession {
         }
       }
       if (updates.drunkCounter !== undefined) {
-        player.drunkCounter = Math.max(
-          CONSTANTS.MIN_COUNTER,
-          Math.min(CONSTANTS.MAX_COUNTER, updates.drunkCounter)
-        );
+        this.setCounter(player, "drunk", updates.drunkCounter);
       }
       if (updates.genericCounter !== undefined) {
-        player.genericCounter = Math.max(
-          CONSTANTS.MIN_COUNTER,
-          Math.min(CONSTANTS.MAX_COUNTER, updates.genericCounter)
-        );
+        this.setCounter(player, "generic", updates.genericCounter);
+      }
+      if (updates.counters && typeof updates.counters === "object") {
+        for (const [counterId, value] of Object.entries(updates.counters)) {
+          this.setCounter(player, counterId, value);
+        }
       }
       if (updates.color !== undefined) player.color = updates.color;
 
-      // Eliminate player if life reaches 0 or below
-      if (player.life <= 0 && !player.isEliminated) {
-        player.isEliminated = true;
+      this.applyLethalDamage(player);
+      this.broadcastState();
+    }
+  }
 
-        // Check for winner first
-        if (this.checkForWinner()) {
-          this.broadcastState();
-          return;
-        }
+  /**
+   * Get definitions for the counters enabled in this lobby, in display order
+   * @returns {object[]}
+   */
+  getCounterDefinitions() {
+    const builtIn = (this.settings.counters || [])
+      .map(id => CONSTANTS.COUNTER_TYPES[id])
+      .filter(Boolean);
+    return [...builtIn, ...this.settings.customCounters];
+  }
 
-        // Handle elimination during targeting
-        if (this.targetingState === TARGETING.STATES.RESOLVING) {
-          this.handleEliminatedTarget(playerId);
-        } else {
-          this.switchToNextAlivePlayer();
-        }
-      }
+  /**
+   * Replace the lobby's custom counters
+   * @param {object[]} customCounters - Array of { name, icon?, min, max }
+   */
+  setCustomCounters(customCounters) {
+    this.settings.customCounters = normalizeCustomCounters(customCounters);
+  }
 
-      this.broadcastState();
+  /**
+   * Look up a counter definition by ID (any built-in type or a custom counter)
+   * @param {string} counterId - Counter ID
+   * @returns {object|null}
+   */
+  getCounterDefinition(counterId) {
+    if (Object.hasOwn(CONSTANTS.COUNTER_TYPES, counterId)) {
+      return CONSTANTS.COUNTER_TYPES[counterId];
     }
+    return this.settings.customCounters.find(c => c.id === counterId) || null;
+  }
+
+  /**
+   * Get a player's value for a counter
+   * @param {object} player - Player object
+   * @param {object} definition - Counter definition
+   * @returns {number}
+   */
+  getCounterValue(player, definition) {
+    if (definition.field) return player[definition.field] ?? 0;
+    return player.counters?.[definition.id] ?? 0;
+  }
+
+  /**
+   * Set a player's counter, clamped to the counter's min/max
+   * @param {object} player - Player object
+   * @param {string} counterId - Counter ID
+   * @param {number} value - New value
+   */
+  setCounter(player, counterId, value) {
+    const definition = this.getCounterDefinition(counterId);
+    if (!definition || typeof value !== "number" || !Number.isFinite(value)) return;
+
+    const clamped = Math.max(definition.min, Math.min(definition.max, Math.trunc(value)));
+    if (definition.field) {
+      player[definition.field] = clamped;
+    } else {
+      player.counters[definition.id] = clamped;
+    }
+  }
+
+  /**
+   * Set the commander damage a player has taken from one of a source player's commanders.
+   * The change is also applied to the player's life total.
+   * @param {number} playerId - Player who took the damage
+   * @param {number} sourceId - Player whose commander dealt the damage
+   * @param {number} slot - 0 for the commander, 1 for a partner
+   * @param {number} damage - New total damage from that commander
+   */
+  updateCommanderDamage(playerId, sourceId, slot, damage) {
+    const player = this.players.find(p => p.id === playerId);
+    const source = this.players.find(p => p.id === sourceId);
+    if (!player || !source) return;
+
+    const slots = player.commanderDamage[sourceId] || new Array(CONSTANTS.COMMANDER_SLOTS).fill(0);
+    const oldDamage = slots[slot] || 0;
+    const newDamage = Math.max(CONSTANTS.MIN_COUNTER, Math.min(CONSTANTS.MAX_COUNTER, damage));
+    if (newDamage === oldDamage) return;
+
+    slots[slot] = newDamage;
+    player.commanderDamage[sourceId] = slots;
+
+    const oldLife = player.life;
+    player.life = Math.max(
+      CONSTANTS.MIN_LIFE,
+      Math.min(CONSTANTS.MAX_LIFE, player.life - (newDamage - oldDamage))
+    );
+    if (player.life !== oldLife) {
+      this.onPlayerLifeChanged(playerId, oldLife, player.life);
+    }
+
+    this.applyLethalDamage(player);
+    this.broadcastState();
+  }
+
+  /**
+   * Check whether a player has taken lethal damage:
+   * life at or below 0, a lethal counter (e.g. 10 poison), or 21+ damage from a single commander.
+   * @param {object} player - Player to check
+   * @returns {boolean}
+   */
+  hasLethalDamage(player) {
+    if (player.life <= 0) return true;
+    const lethalCounter = Object.values(CONSTANTS.COUNTER_TYPES).some(
+      def => def.lethal !== undefined && this.getCounterValue(player, def) >= def.lethal
+    );
+    if (lethalCounter) return true;
+    return Object.values(player.commanderDamage || {}).some(slots =>
+      slots.some(d => d >= CONSTANTS.COMMANDER_DAMAGE_LETHAL)
+    );
+  }
+
+  /**
+   * Eliminate a player if they have taken lethal damage.
+   * Callers are responsible for broadcasting state afterwards.
+   * @param {object} player - Player to check
+   * @returns {boolean} True if the player was eliminated
+   */
+  applyLethalDamage(player) {
+    if (player.isEliminated || !this.hasLethalDamage(player)) return false;
+
+    player.isEliminated = true;
+    this.resolveElimination(player.id);
+    return true;
   }
 
   /**
@@ -982,13 +2136,9 @@ class BaseGameSession {
       player.penalties++;
 
       // Check for winner if player was eliminated by penalty
-      if (player.isEliminated) {
-        if (this.checkForWinner()) {
-          this.broadcastState();
-          return;
-        }
-        // Switch to next player if active player was eliminated
-        this.switchToNextAlivePlayer();
+      if (player.isEliminated && this.resolveElimination(playerId)) {
+        this.broadcastState();
+        return;
       }
 
       this.broadcastState();
@@ -1003,21 +2153,28 @@ class BaseGameSession {
     const player = this.players.find(p => p.id === playerId);
     if (player) {
       player.isEliminated = true;
+      this.resolveElimination(playerId);
+      this.broadcastState();
+    }
+  }
 
-      // Check for winner first
-      if (this.checkForWinner()) {
-        this.broadcastState();
-        return;
-      }
+  /**
+   * Follow up on a player going out: check for a winner, move the turn or
+   * targeting on and pass on any designation they held. Every elimination
+   * path goes through here; callers broadcast state afterwards.
+   * @param {number} playerId - Player who was eliminated
+   * @returns {boolean} True if the game is complete
+   */
+  resolveElimination(playerId) {
+    if (this.checkForWinner()) return true;
 
-      // Handle elimination during targeting
-      if (this.targetingState === TARGETING.STATES.RESOLVING) {
-        this.handleEliminatedTarget(playerId);
-      } else if (this.activePlayer === playerId) {
-        this.switchToNextAlivePlayer();
-      }
-      this.broadcastState();
+    if (this.targetingState === TARGETING.STATES.RESOLVING) {
+      this.handleEliminatedTarget(playerId);
+    } else {
+      this.switchToNextAlivePlayer();
     }
+    this.reassignDesignations();
+    return false;
   }
 
   // ============================================================================
@@ -1040,9 +2197,16 @@ class BaseGameSession {
       if (player.life <= 0) {
         player.life = 20;
       }
+      // Clear commander damage and lethal counters for the same reason
+      player.commanderDamage = {};
+      Object.values(CONSTANTS.COUNTER_TYPES)
+        .filter(def => def.lethal !== undefined && this.getCounterValue(player, def) >= def.lethal)
+        .forEach(def => this.setCounter(player, def.id, 0));
       // Clear timeout state
       player.timeoutPending = false;
+      player.timeoutReason = null;
       player.timeoutChoiceDeadline = null;
+      this.trackFinishOrder();
       // Clear winner if game was finished
       if (this.winner !== null) {
         this.winner = null;
@@ -1067,6 +2231,7 @@ class BaseGameSession {
     if (player && player.claimedBy) {
       const clientId = player.claimedBy;
       player.claimedBy = null;
+      player.ready = false;
       player.isEliminated = true;
       player.reconnectToken = null;
       player.tokenExpiry = null;
@@ -1074,17 +2239,7 @@ class BaseGameSession {
       if (notifyClient) {
         notifyClient(clientId);
       }
-      // Check for winner after kick
-      if (this.checkForWinner()) {
-        this.broadcastState();
-        return;
-      }
-      // Advance turn if kicked player was the active player
-      if (this.targetingState === TARGETING.STATES.RESOLVING) {
-        this.handleEliminatedTarget(playerId);
-      } else if (this.activePlayer === playerId) {
-        this.switchToNextAlivePlayer();
-      }
+      this.resolveElimination(playerId);
       this.broadcastState();
     }
   }
@@ -1104,6 +2259,278 @@ class BaseGameSession {
     }
   }
 
+  // ============================================================================
+  // ACTION HISTORY (UNDO/REDO)
+  // ============================================================================
+
+  /**
+   * Snapshot the undoable fields of a player
+   * @param {object} player - Player object
+   * @returns {object}
+   */
+  snapshotPlayer(player) {
+    return {
+      id: player.id,
+      timeRemaining: player.timeRemaining,
+      life: player.life,
+      drunkCounter: player.drunkCounter,
+      genericCounter: player.genericCounter,
+      counters: { ...player.counters },
+      commanderDamage: copyCommanderDamage(player.commanderDamage),
+      isEliminated: player.isEliminated,
+      penalties: player.penalties,
+      timeoutPending: player.timeoutPending,
+      timeoutReason: player.timeoutReason,
+      timeoutChoiceDeadline: player.timeoutChoiceDeadline,
+    };
+  }
+
+  /**
+   * Snapshot all players and the turn state
+   * @returns {{ players: object[], turn: object }}
+   */
+  captureSnapshot() {
+    return {
+      players: this.players.map(p => this.snapshotPlayer(p)),
+      turn: {
+        activePlayer: this.activePlayer,
+        status: this.status,
+        winner: this.winner,
+        interruptingPlayers: [...this.interruptingPlayers],
+        interruptEntries: this.getStack().map(({ label, targets }) => ({ label, targets })),
+        targetingState: this.targetingState,
+        targetedPlayers: [...this.targetedPlayers],
+        awaitingPriority: [...this.awaitingPriority],
+        originalActivePlayer: this.originalActivePlayer,
+        delayRemaining: this.delayRemaining,
+        turnStartTime: this.turnStartTime,
+        turnTimeRemaining: this.turnTimeRemaining,
+        turnNumber: this.turnNumber,
+        roundNumber: this.roundNumber,
+        currentTurn: this.currentTurn ? copyTurnRecord(this.currentTurn) : null,
+        currentPhase: this.currentPhase,
+        planarRollsThisTurn: this.planarRollsThisTurn,
+        monarch: this.monarch,
+        initiative: this.initiative,
+        dungeonRooms: { ...this.dungeonRooms },
+        dayNight: this.dayNight,
+        spellsCastThisTurn: this.spellsCastThisTurn,
+        turnHistoryLength: this.turnHistory.length,
+        lastTurnRecord:
+          this.turnHistory.length > 0
+            ? copyTurnRecord(this.turnHistory[this.turnHistory.length - 1])
+            : null,
+      },
+    };
+  }
+
+  /**
+   * Apply an action and journal it so it can be undone.
+   * Only players whose state changed (plus the active player before and after) are stored.
+   * @param {string} type - Action type, usually the message type
+   * @param {string} actorId - Client ID performing the action
+   * @param {function} mutate - Applies the action to this session
+   * @returns {object|null} Journal entry, or null if the action changed nothing
+   */
+  recordAction(type, actorId, mutate) {
+    const before = this.captureSnapshot();
+    mutate();
+    const after = this.captureSnapshot();
+
+    const changedIds = after.players
+      .filter(
+        snap => JSON.stringify(snap) !== JSON.stringify(before.players.find(p => p.id === snap.id))
+      )
+      .map(snap => snap.id);
+    const turnChanged = JSON.stringify(before.turn) !== JSON.stringify(after.turn);
+    if (!turnChanged && changedIds.length === 0) return null;
+
+    const affectedIds = new Set([...changedIds, before.turn.activePlayer, after.turn.activePlayer]);
+
+    const actor = this.players.find(p => p.claimedBy === actorId);
+    const entry = {
+      type,
+      actorId,
+      actorPlayerId: actor ? actor.id : null,
+      timestamp: Date.now(),
+      before: { players: before.players.filter(p => affectedIds.has(p.id)), turn: before.turn },
+      after: { players: after.players.filter(p => affectedIds.has(p.id)), turn: after.turn },
+    };
+
+    this.actionHistory.push(entry);
+    if (this.actionHistory.length > CONSTANTS.MAX_ACTION_HISTORY) {
+      this.actionHistory.shift();
+    }
+    this.redoStack = [];
+    this.broadcastState();
+    return entry;
+  }
+
+  /**
+   * Check if a client may undo/redo a journal entry (owner or the acting player)
+   * @param {object} entry - Journal entry
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canRevertAction(entry, clientId) {
+    if (!entry) return false;
+    if (this.status === "finished" && !this.canReopenWith(entry)) return false;
+    if (this.isOwner(clientId) || entry.actorId === clientId) return true;
+    return entry.actorPlayerId !== null && this.isPlayerOwner(entry.actorPlayerId, clientId);
+  }
+
+  /**
+   * Once the game is over, only the action that finished it can be undone.
+   * Tournament tables and rated games record their result as soon as they
+   * finish, once per game, so they stay finished.
+   * @param {object} entry - Journal entry
+   * @returns {boolean}
+   */
+  canReopenWith(entry) {
+    return (
+      entry === this.actionHistory[this.actionHistory.length - 1] &&
+      entry.after.turn.status === "finished" &&
+      !this.settings.tournament &&
+      !this.isRated()
+    );
+  }
+
+  /**
+   * Check if a client can undo the most recent action
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canUndo(clientId) {
+    return this.canRevertAction(this.actionHistory[this.actionHistory.length - 1], clientId);
+  }
+
+  /**
+   * Check if a client can redo the most recently undone action
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canRedo(clientId) {
+    return this.canRevertAction(this.redoStack[this.redoStack.length - 1], clientId);
+  }
+
+  /**
+   * Undo the most recent action
+   * @param {string} clientId - Client ID requesting the undo
+   * @returns {object|null} The undone entry
+   */
+  undo(clientId) {
+    const entry = this.actionHistory.pop();
+    if (!entry) return null;
+
+    this.restoreSnapshot(entry.before, entry.after);
+    this.redoStack.push(entry);
+    this.broadcastActionReverted("actionUndone", entry, clientId);
+    this.broadcastState();
+    return entry;
+  }
+
+  /**
+   * Re-apply the most recently undone action
+   * @param {string} clientId - Client ID requesting the redo
+   * @returns {object|null} The redone entry
+   */
+  redo(clientId) {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.restoreSnapshot(entry.after, entry.before);
+    this.actionHistory.push(entry);
+    this.broadcastActionReverted("actionRedone", entry, clientId);
+    this.broadcastState();
+    return entry;
+  }
+
+  /**
+   * Restore a journal snapshot over the current state.
+   * Time drained since the action is kept, except for the player whose turn is
+   * being reverted - their clock only ran because of the action, so it is refunded.
+   * @param {object} target - Snapshot to restore
+   * @param {object} source - Snapshot the journal recorded on the other side of the action
+   */
+  restoreSnapshot(target, source) {
+    const refundPlayerId =
+      target.turn.activePlayer !== this.activePlayer ? this.activePlayer : null;
+
+    for (const snap of target.players) {
+      const player = this.players.find(p => p.id === snap.id);
+      if (!player) continue;
+
+      const sourceSnap = source.players.find(p => p.id === snap.id);
+      const drift =
+        player.id === refundPlayerId || !sourceSnap
+          ? 0
+          : player.timeRemaining - sourceSnap.timeRemaining;
+
+      Object.assign(player, {
+        ...snap,
+        counters: { ...snap.counters },
+        commanderDamage: copyCommanderDamage(snap.commanderDamage),
+        timeRemaining: Math.max(0, snap.timeRemaining + drift),
+      });
+    }
+    this.trackFinishOrder();
+
+    const turn = target.turn;
+    this.activePlayer = turn.activePlayer;
+    this.winner = turn.winner;
+    this.interruptingPlayers = [...turn.interruptingPlayers];
+    this.interruptEntries = (turn.interruptEntries || []).map(e => ({ ...e }));
+    this.targetingState = turn.targetingState;
+    this.targetedPlayers = [...turn.targetedPlayers];
+    this.awaitingPriority = [...turn.awaitingPriority];
+    this.originalActivePlayer = turn.originalActivePlayer;
+    this.delayRemaining = turn.delayRemaining;
+    this.turnStartTime = turn.turnStartTime;
+    this.turnTimeRemaining = turn.turnTimeRemaining ?? null;
+    this.turnNumber = turn.turnNumber;
+    this.roundNumber = turn.roundNumber;
+    this.currentTurn = turn.currentTurn ? copyTurnRecord(turn.currentTurn) : null;
+    this.currentPhase = turn.currentPhase ?? null;
+    this.planarRollsThisTurn = turn.planarRollsThisTurn ?? 0;
+    this.monarch = turn.monarch ?? null;
+    this.initiative = turn.initiative ?? null;
+    this.dungeonRooms = { ...turn.dungeonRooms };
+    this.dayNight = turn.dayNight ?? null;
+    this.spellsCastThisTurn = turn.spellsCastThisTurn ?? 0;
+    // Only the newest record can differ across a single action
+    this.turnHistory = this.turnHistory.slice(0, Math.max(0, turn.turnHistoryLength - 1));
+    if (turn.lastTurnRecord) this.turnHistory.push(copyTurnRecord(turn.lastTurnRecord));
+    this.lastTick = Date.now();
+
+    if (turn.status === "finished") {
+      // Re-run completion so mode hooks and gameComplete fire as they did originally
+      this.checkForWinner();
+      return;
+    }
+
+    // Pause and resume aren't journaled, so the clock keeps its current state;
+    // only undoing the action that finished the game reopens it
+    if (this.status === "finished") {
+      this.status = "paused";
+      if (turn.status === "running") this.start();
+    }
+  }
+
+  /**
+   * Summarize a journal entry for clients
+   * @param {object} entry - Journal entry
+   * @returns {object|null}
+   */
+  describeAction(entry) {
+    if (!entry) return null;
+    return {
+      type: entry.type,
+      actorPlayerId: entry.actorPlayerId,
+      timestamp: entry.timestamp,
+      playerIds: entry.before.players.map(p => p.id),
+    };
+  }
+
   // ============================================================================
   // BROADCASTING
   // ============================================================================
@@ -1123,23 +2550,49 @@ class BaseGameSession {
    */
   broadcastTimes() {
     if (this.broadcastFn) {
-      const times = {};
-      this.players.forEach(p => {
-        times[p.id] = p.timeRemaining;
-      });
-      this.broadcastFn("tick", { times });
+      this.broadcastFn("tick", this.getTickState());
     }
   }
 
+  /**
+   * Get the clock values sent with every tick.
+   * Modes with their own clocks extend this.
+   * @returns {object}
+   */
+  getTickState() {
+    const times = {};
+    this.players.forEach(p => {
+      times[p.id] = p.timeRemaining;
+    });
+    return { times, turnTimeRemaining: this.turnTimeRemaining };
+  }
+
   /**
    * Broadcast timeout choice event to a specific player
    * @param {number} playerId - Player ID
    * @param {object} options - Penalty options
    * @param {number} deadline - Choice deadline timestamp
+   * @param {string} reason - "clock" or "turnLimit"
    */
-  broadcastTimeoutChoice(playerId, options, deadline) {
+  broadcastTimeoutChoice(playerId, options, deadline, reason = "clock") {
     if (this.broadcastFn) {
-      this.broadcastFn("timeoutChoice", { playerId, options, deadline });
+      this.broadcastFn("timeoutChoice", { playerId, options, deadline, reason });
+    }
+  }
+
+  /**
+   * Broadcast that an action was undone or redone
+   * @param {string} type - "actionUndone" or "actionRedone"
+   * @param {object} entry - Journal entry
+   * @param {string} clientId - Client that reverted the action
+   */
+  broadcastActionReverted(type, entry, clientId) {
+    if (this.broadcastFn) {
+      const by = this.players.find(p => p.claimedBy === clientId);
+      this.broadcastFn(type, {
+        action: this.describeAction(entry),
+        byPlayerId: by ? by.id : null,
+      });
     }
   }
 
@@ -1147,10 +2600,11 @@ class BaseGameSession {
    * Broadcast warning event
    * @param {number} playerId - Player ID
    * @param {number} threshold - Threshold crossed
+   * @param {string} scope - "clock" for the player's bank, "turn" for the turn time limit
    */
-  broadcastWarning(playerId, threshold) {
+  broadcastWarning(playerId, threshold, scope = "clock") {
     if (this.broadcastFn) {
-      this.broadcastFn("warning", { playerId, threshold });
+      this.broadcastFn("warning", { playerId, threshold, scope });
     }
   }
 
@@ -1173,9 +2627,16 @@ class BaseGameSession {
       life: p.life,
       drunkCounter: p.drunkCounter,
       genericCounter: p.genericCounter,
+      counters: { ...p.counters },
+      commanderDamage: copyCommanderDamage(p.commanderDamage),
       color: p.color,
       timeoutPending: p.timeoutPending || false,
+      timeoutReason: p.timeoutReason || null,
       timeoutChoiceDeadline: p.timeoutChoiceDeadline || null,
+      ready: p.ready || false,
+      mulligans: p.mulligans || 0,
+      bottomedCards: p.bottomedCards || 0,
+      keptHand: p.keptHand || false,
     }));
 
     return {
@@ -1186,18 +2647,74 @@ class BaseGameSession {
       activePlayer: this.activePlayer,
       status: this.status,
       winner: this.winner,
+      finishOrder: this.finishOrder,
+      playerProfiles: this.playerProfiles,
       createdAt: this.createdAt,
       settings: this.settings,
+      counterDefinitions: this.getCounterDefinitions(),
       ownerId: this.ownerId,
+      spectatorCount: this.spectators.size,
+      startCountdownRemaining: this.startCountdownEndsAt
+        ? Math.max(0, this.startCountdownEndsAt - Date.now())
+        : null,
+      handSize: this.getStartingHandSize(),
+      pregameTimeRemaining:
+        this.pregameEndsAt !== null ? Math.max(0, this.pregameEndsAt - Date.now()) : null,
       interruptingPlayers: this.interruptingPlayers,
+      stack: this.getStack(),
+      delayRemaining: this.delayRemaining,
+      turnTimeRemaining: this.turnTimeRemaining,
       targetingState: this.targetingState,
       targetedPlayers: this.targetedPlayers,
       awaitingPriority: this.awaitingPriority,
       originalActivePlayer: this.originalActivePlayer,
+      turnNumber: this.turnNumber,
+      roundNumber: this.roundNumber,
+      currentTurn: this.currentTurn,
+      currentPhase: this.currentPhase,
+      currentPlane: this.currentPlane,
+      planarRollsThisTurn: this.planarRollsThisTurn,
+      monarch: this.monarch,
+      initiative: this.initiative,
+      dungeonRooms: this.dungeonRooms,
+      dayNight: this.dayNight,
+      spellsCastThisTurn: this.spellsCastThisTurn,
+      turnHistory: this.turnHistory,
+      turnStats: this.getTurnStats(),
+      lastAction: this.describeAction(this.actionHistory[this.actionHistory.length - 1]),
+      lastUndoneAction: this.describeAction(this.redoStack[this.redoStack.length - 1]),
       ...this.getModeState(),
     };
   }
 
+  /**
+   * Get the compact state recorded with each event-log entry for replay
+   * @returns {object}
+   */
+  getReplaySnapshot() {
+    return {
+      status: this.status,
+      activePlayer: this.activePlayer,
+      winner: this.winner,
+      interruptingPlayers: [...this.interruptingPlayers],
+      targetedPlayers: [...this.targetedPlayers],
+      players: this.players.map(p => ({
+        id: p.id,
+        name: p.name,
+        color: p.color,
+        timeRemaining: p.timeRemaining,
+        life: p.life,
+        drunkCounter: p.drunkCounter,
+        genericCounter: p.genericCounter,
+        counters: { ...p.counters },
+        commanderDamage: copyCommanderDamage(p.commanderDamage),
+        penalties: p.penalties,
+        isEliminated: p.isEliminated,
+        claimed: p.claimedBy !== null,
+      })),
+    };
+  }
+
   /**
    * Serialize for persistence (includes all data)
    * @returns {object}
@@ -1215,6 +2732,8 @@ class BaseGameSession {
         life: p.life,
         drunkCounter: p.drunkCounter,
         genericCounter: p.genericCounter,
+        counters: { ...p.counters },
+        commanderDamage: copyCommanderDamage(p.commanderDamage),
         isEliminated: p.isEliminated,
         claimedBy: p.claimedBy,
         reconnectToken: p.reconnectToken,
@@ -1222,22 +2741,51 @@ class BaseGameSession {
         color: p.color,
         penalties: p.penalties,
         timeoutPending: p.timeoutPending,
+        timeoutReason: p.timeoutReason || null,
         timeoutChoiceDeadline: p.timeoutChoiceDeadline,
+        ready: p.ready,
+        mulligans: p.mulligans,
+        bottomedCards: p.bottomedCards,
+        keptHand: p.keptHand,
       })),
       activePlayer: this.activePlayer,
       status: this.status || "waiting",
       winner: this.winner ?? null,
+      gameStartedAt: this.gameStartedAt ?? null,
+      finishOrder: [...this.finishOrder],
+      playerProfiles: { ...this.playerProfiles },
       isClosed: this.isClosed || false, // Explicitly default to false
       createdAt: this.createdAt || Date.now(),
       lastActivity: this.lastActivity || Date.now(),
       settings: { ...this.settings }, // Copy settings object
       ownerId: this.ownerId,
+      displayToken: this.displayToken,
       // Copy arrays to avoid reference issues
       interruptingPlayers: [...(this.interruptingPlayers || [])],
+      interruptEntries: this.getStack().map(({ label, targets }) => ({ label, targets })),
+      delayRemaining: this.delayRemaining || 0,
+      turnStartTime: this.turnStartTime ?? null,
+      turnTimeRemaining: this.turnTimeRemaining ?? null,
       targetingState: this.targetingState || TARGETING.STATES.NONE,
       targetedPlayers: [...(this.targetedPlayers || [])],
       awaitingPriority: [...(this.awaitingPriority || [])],
       originalActivePlayer: this.originalActivePlayer ?? null,
+      turnNumber: this.turnNumber || 0,
+      roundNumber: this.roundNumber || 0,
+      firstPlayerId: this.firstPlayerId ?? null,
+      currentTurn: this.currentTurn ? copyTurnRecord(this.currentTurn) : null,
+      currentPhase: this.currentPhase ?? null,
+      currentPlane: this.currentPlane ?? null,
+      planarRollsThisTurn: this.planarRollsThisTurn || 0,
+      monarch: this.monarch ?? null,
+      initiative: this.initiative ?? null,
+      dungeonRooms: { ...this.dungeonRooms },
+      dayNight: this.dayNight ?? null,
+      spellsCastThisTurn: this.spellsCastThisTurn || 0,
+      pregameEndsAt: this.pregameEndsAt ?? null,
+      turnHistory: (this.turnHistory || []).map(copyTurnRecord),
+      actionHistory: this.actionHistory || [],
+      redoStack: this.redoStack || [],
       ...this.getModeState(),
     };
   }
@@ -1266,6 +2814,8 @@ class BaseGameSession {
           life: p.life ?? 20,
           drunkCounter: p.drunkCounter ?? 0,
           genericCounter: p.genericCounter ?? 0,
+          counters: { ...p.counters },
+          commanderDamage: copyCommanderDamage(p.commanderDamage),
           isEliminated: p.isEliminated || false,
           claimedBy: p.claimedBy || null,
           reconnectToken: p.reconnectToken || null,
@@ -1273,20 +2823,35 @@ class BaseGameSession {
           color: p.color || null,
           penalties: p.penalties ?? 0,
           timeoutPending: p.timeoutPending || false,
+          timeoutReason: p.timeoutReason || null,
           timeoutChoiceDeadline: p.timeoutChoiceDeadline || null,
+          ready: p.ready || false,
+          mulligans: p.mulligans ?? 0,
+          bottomedCards: p.bottomedCards ?? 0,
+          keptHand: p.keptHand || false,
         }))
       : [];
     session.activePlayer = state.activePlayer;
     // Running games should be paused on restore
     session.status = state.status === "running" ? "paused" : state.status || "waiting";
     session.winner = state.winner ?? null;
+    session.gameStartedAt = state.gameStartedAt ?? null;
+    session.finishOrder = Array.isArray(state.finishOrder) ? [...state.finishOrder] : [];
+    session.playerProfiles = { ...state.playerProfiles };
     session.isClosed = state.isClosed || false;
     session.createdAt = state.createdAt || Date.now();
     session.lastActivity = state.lastActivity || Date.now();
     session.ownerId = state.ownerId || null;
+    session.displayToken = state.displayToken || null;
     session.interruptingPlayers = Array.isArray(state.interruptingPlayers)
       ? [...state.interruptingPlayers]
       : [];
+    session.interruptEntries = Array.isArray(state.interruptEntries)
+      ? state.interruptEntries.map(e => ({ ...e }))
+      : [];
+    session.delayRemaining = state.delayRemaining || 0;
+    session.turnStartTime = state.turnStartTime ?? null;
+    session.turnTimeRemaining = state.turnTimeRemaining ?? null;
     // Restore targeting state with proper defaults
     session.targetingState = state.targetingState || TARGETING.STATES.NONE;
     session.targetedPlayers = Array.isArray(state.targetedPlayers)
@@ -1296,7 +2861,26 @@ class BaseGameSession {
       ? [...state.awaitingPriority]
       : [];
     session.originalActivePlayer = state.originalActivePlayer ?? null;
+    session.turnNumber = state.turnNumber || 0;
+    session.roundNumber = state.roundNumber || 0;
+    session.firstPlayerId = state.firstPlayerId ?? null;
+    session.currentTurn = state.currentTurn ? copyTurnRecord(state.currentTurn) : null;
+    session.currentPhase = state.currentPhase ?? null;
+    session.currentPlane = state.currentPlane ?? null;
+    session.planarRollsThisTurn = state.planarRollsThisTurn || 0;
+    session.monarch = state.monarch ?? null;
+    session.initiative = state.initiative ?? null;
+    session.dungeonRooms = { ...state.dungeonRooms };
+    session.dayNight = state.dayNight ?? null;
+    session.spellsCastThisTurn = state.spellsCastThisTurn || 0;
+    session.pregameEndsAt = state.pregameEndsAt ?? null;
+    session.turnHistory = Array.isArray(state.turnHistory)
+      ? state.turnHistory.map(copyTurnRecord)
+      : [];
+    session.actionHistory = Array.isArray(state.actionHistory) ? [...state.actionHistory] : [];
+    session.redoStack = Array.isArray(state.redoStack) ? [...state.redoStack] : [];
     session.restoreModeState(state);
+    session.schedulePregameTimeLimit();
     return session;
   }
 
@@ -1308,6 +2892,8 @@ class BaseGameSession {
       clearInterval(this.interval);
       this.interval = null;
     }
+    this.cancelStartCountdown();
+    this.clearPregameTimer();
   }
 }
 
@@ -22,19 +22,12 @@ const PLAYER_MULTIPLIERS = {
 const LEVEL_THRESHOLDS = [10, 25, 50, 80, 120];
 
 /**
- * Scoring formula: accumulatedPoints + floor(roundDamage * playerMult * battleMult)
- * @param {CampaignState} campaign
- * @param {number} playerId
- * @returns {number}
+ * Scoring rules: accumulatedPoints + floor(roundDamage * playerMult * battleMult)
+ * (see lib/shared/scoring-rules.js)
  */
-function scoringFormula(campaign, playerId) {
-  const accumulated = campaign.playerStats[playerId]?.accumulatedPoints || 0;
-  const roundDamage = campaign.getTotalDamage(playerId);
-  const uniqueTargets = campaign.getUniqueDamagedCount(playerId);
-  const playerMult = PLAYER_MULTIPLIERS[uniqueTargets] ?? PLAYER_MULTIPLIERS[7];
-  const battleMult = BATTLE_MULTIPLIERS[campaign.currentRound] ?? 1.0;
-  return accumulated + Math.floor(roundDamage * playerMult * battleMult);
-}
+const SCORING = {
+  rules: ["floor(damage * targetMult * roundMult)"],
+};
 
 const wastelandsPreset = {
   name: "The Wastelands",
@@ -53,7 +46,7 @@ const wastelandsPreset = {
   battleMultipliers: BATTLE_MULTIPLIERS,
   playerMultipliers: PLAYER_MULTIPLIERS,
   levelThresholds: LEVEL_THRESHOLDS,
-  scoringFormula,
+  scoring: SCORING,
 };
 
 module.exports = {
@@ -61,5 +54,5 @@ module.exports = {
   BATTLE_MULTIPLIERS,
   PLAYER_MULTIPLIERS,
   LEVEL_THRESHOLDS,
-  scoringFormula,
+  SCORING,
 };
@@ -8,6 +8,7 @@
 
 const { BaseGameSession } = require("./base");
 const { wastelandsPreset } = require("./campaign-presets/wastelands");
+const { DEFAULT_SCORING, scoreRound } = require("../shared/scoring-rules");
 
 /**
  * Campaign configuration presets
@@ -46,12 +47,59 @@ const CAMPAIGN_PRESETS = {
   wastelands: wastelandsPreset,
 };
 
+/**
+ * Fields a custom (declarative) preset may set. Everything is plain data, so
+ * custom presets can be stored and shared as JSON.
+ */
+const CUSTOM_PRESET_FIELDS = [
+  "name",
+  "description",
+  "flavorText",
+  "rounds",
+  "timePerRound",
+  "timeDecreasePerRound",
+  "minTime",
+  "bonusTime",
+  "startingLife",
+  "startingHandSize",
+  "handSizeIncrement",
+  "winCondition",
+  "winTarget",
+  "battleMultipliers",
+  "playerMultipliers",
+  "levelThresholds",
+  "scoring",
+];
+
+/**
+ * Build a campaign config from a validated custom preset definition.
+ * Unknown fields are dropped and the time curve gets its defaults.
+ * @param {object} definition - Preset that passed validateCampaignPreset()
+ * @returns {object} Campaign config
+ */
+function normalizeCampaignPreset(definition) {
+  const config = {};
+  for (const field of CUSTOM_PRESET_FIELDS) {
+    if (definition[field] !== undefined) config[field] = definition[field];
+  }
+
+  config.description = config.description ?? "";
+  config.timeDecreasePerRound = config.timeDecreasePerRound ?? 0;
+  // Without a floor, the curve stops at the last round's time
+  config.minTime =
+    config.minTime ??
+    Math.max(1, config.timePerRound - config.timeDecreasePerRound * (config.rounds - 1));
+  config.winTarget = config.winTarget ?? null;
+  config.scoring = config.scoring ?? structuredClone(DEFAULT_SCORING);
+  return config;
+}
+
 /**
  * Campaign session tracking state across multiple games
  */
 class CampaignState {
-  constructor(preset = "standard", playerCount = 2) {
-    const config = CAMPAIGN_PRESETS[preset] || CAMPAIGN_PRESETS.standard;
+  constructor(preset = "standard", playerCount = 2, customConfig = null) {
+    const config = customConfig || CAMPAIGN_PRESETS[preset] || CAMPAIGN_PRESETS.standard;
 
     this.preset = preset;
     this.config = { ...config };
@@ -71,6 +119,8 @@ class CampaignState {
     this.damageTracker = {};  // { [playerId]: { [targetId]: totalDamage } }
     this.playerPoints = {};   // { [playerId]: number }
     this.playerLevels = {};   // { [playerId]: number }
+    this.eliminationOrder = []; // [{ playerId, by }] this round, first out first
+    this.roundWinner = null; // Set once the round is decided, for placement scoring
 
     // Initialize player stats
     for (let i = 1; i <= playerCount; i++) {
@@ -130,15 +180,85 @@ class CampaignState {
   }
 
   /**
-   * Calculate points for a player using the preset's scoring formula
+   * Record a player being eliminated, crediting the acting opponent if any
+   * @param {number} playerId - Eliminated player
+   * @param {number|null} byPlayerId - Player who eliminated them
+   */
+  recordElimination(playerId, byPlayerId) {
+    if (this.eliminationOrder.some(e => e.playerId === playerId)) return;
+    const by = byPlayerId && byPlayerId !== playerId ? byPlayerId : null;
+    this.eliminationOrder.push({ playerId, by });
+  }
+
+  /**
+   * Forget an elimination, e.g. when the player is revived or it is undone
+   * @param {number} playerId - Player back in the round
+   */
+  removeElimination(playerId) {
+    this.eliminationOrder = this.eliminationOrder.filter(e => e.playerId !== playerId);
+  }
+
+  /**
+   * Get count of opponents this player has eliminated this round
    * @param {number} playerId
    * @returns {number}
    */
-  calculatePoints(playerId) {
-    if (this.config.scoringFormula) {
-      return this.config.scoringFormula(this, playerId);
+  getEliminationCount(playerId) {
+    return this.eliminationOrder.filter(e => e.by === playerId).length;
+  }
+
+  /**
+   * Get a player's finishing position this round. Eliminated players place
+   * from the bottom up in the order they went out; the round winner is 1st.
+   * @param {number} playerId
+   * @returns {number} Position, or 0 while the player is still in the round
+   */
+  getPlacement(playerId) {
+    const index = this.eliminationOrder.findIndex(e => e.playerId === playerId);
+    if (index !== -1) return Object.keys(this.playerStats).length - index;
+    return playerId === this.roundWinner ? 1 : 0;
+  }
+
+  /**
+   * Get the values scoring rules can read for a player (see SCORING_VARIABLES)
+   * @param {number} playerId
+   * @returns {object}
+   */
+  getScoringVariables(playerId) {
+    const targets = this.getUniqueDamagedCount(playerId);
+    const placement = this.getPlacement(playerId);
+
+    // Past the end of the player table, its highest entry applies
+    const playerTable = this.config.playerMultipliers;
+    let targetMult = 1;
+    if (playerTable) {
+      const highest = Math.max(...Object.keys(playerTable).map(Number));
+      targetMult = playerTable[Math.min(targets, highest)] ?? 1;
     }
-    return 0;
+
+    return {
+      damage: this.getTotalDamage(playerId),
+      targets,
+      eliminations: this.getEliminationCount(playerId),
+      round: this.currentRound,
+      players: Object.keys(this.playerStats).length,
+      placement,
+      roundMult: this.config.battleMultipliers?.[this.currentRound] ?? 1,
+      targetMult,
+      placementBonus: this.config.scoring?.placementBonuses?.[placement] ?? 0,
+    };
+  }
+
+  /**
+   * Calculate points for a player: accumulated points plus this round's
+   * score from the preset's scoring rules. Presets without rules don't score.
+   * @param {number} playerId
+   * @returns {number}
+   */
+  calculatePoints(playerId) {
+    if (!this.config.scoring) return 0;
+    const accumulated = this.playerStats[playerId]?.accumulatedPoints || 0;
+    return accumulated + scoreRound(this.config.scoring, this.getScoringVariables(playerId));
   }
 
   /**
@@ -172,18 +292,23 @@ class CampaignState {
 
   /**
    * Finalize scoring for the current round.
-   * Saves accumulated points and resets damage tracker for next round.
+   * Saves accumulated points and eliminations, then resets the round trackers.
+   * @param {number|null} winnerId - Round winner, for placement scoring
    */
-  finalizeRoundScoring() {
+  finalizeRoundScoring(winnerId = null) {
+    this.roundWinner = winnerId;
     this.recalculateAllScores();
     for (const playerId of Object.keys(this.playerStats)) {
       const id = parseInt(playerId);
       this.playerStats[id].accumulatedPoints = this.playerPoints[id];
+      this.playerStats[id].eliminations += this.getEliminationCount(id);
     }
-    // Reset damage tracker for next round
+    // Reset round trackers for next round
     for (const playerId of Object.keys(this.damageTracker)) {
       this.damageTracker[playerId] = {};
     }
+    this.eliminationOrder = [];
+    this.roundWinner = null;
   }
 
   // ============================================================================
@@ -224,7 +349,8 @@ class CampaignState {
    */
   advanceRound() {
     this.currentRound++;
-    return this.currentRound <= this.maxRounds && !this.checkCampaignComplete();
+    // checkCampaignComplete() also settles the winner once the last round is played
+    return !this.checkCampaignComplete();
   }
 
   /**
@@ -322,16 +448,9 @@ class CampaignState {
    * @returns {object}
    */
   toJSON() {
-    // Exclude non-serializable function references from config
-    const serializableConfig = {};
-    for (const [key, value] of Object.entries(this.config)) {
-      if (typeof value !== "function") {
-        serializableConfig[key] = value;
-      }
-    }
     return {
       preset: this.preset,
-      config: serializableConfig,
+      config: this.config,
       currentRound: this.currentRound,
       maxRounds: this.maxRounds,
       playerStats: this.playerStats,
@@ -342,6 +461,7 @@ class CampaignState {
       damageTracker: this.damageTracker,
       playerPoints: this.playerPoints,
       playerLevels: this.playerLevels,
+      eliminationOrder: this.eliminationOrder,
       playerNames: this.playerNames,
       playerClaims: this.playerClaims,
     };
@@ -365,13 +485,14 @@ class CampaignState {
     campaign.damageTracker = state.damageTracker || {};
     campaign.playerPoints = state.playerPoints || {};
     campaign.playerLevels = state.playerLevels || {};
+    campaign.eliminationOrder = state.eliminationOrder || [];
     campaign.playerNames = state.playerNames || {};
     campaign.playerClaims = state.playerClaims || {};
 
-    // Re-attach non-serializable functions from preset registry
+    // State saved while scoring was a function has no rules; take them from the registry
     const presetConfig = CAMPAIGN_PRESETS[state.preset];
-    if (presetConfig?.scoringFormula) {
-      campaign.config.scoringFormula = presetConfig.scoringFormula;
+    if (!campaign.config.scoring && presetConfig?.scoring) {
+      campaign.config.scoring = presetConfig.scoring;
     }
     if (presetConfig?.levelThresholds) {
       campaign.config.levelThresholds = presetConfig.levelThresholds;
@@ -398,8 +519,11 @@ class CampaignGameSession extends BaseGameSession {
     // Initialize campaign state
     this.campaign = new CampaignState(
       settings.campaignPreset || "standard",
-      settings.playerCount || 2
+      settings.playerCount || 2,
+      settings.customCampaignPreset || null
     );
+    // A custom preset's config lives in the campaign state, not the lobby settings
+    delete this.settings.customCampaignPreset;
 
     // Apply preset overrides
     if (this.campaign.config.bonusTime !== undefined) {
@@ -435,6 +559,7 @@ class CampaignGameSession extends BaseGameSession {
    */
   revivePlayer(playerId) {
     super.revivePlayer(playerId);
+    this.campaign.removeElimination(playerId);
     if (this.campaign.config.startingLife !== undefined) {
       const player = this.players.find(p => p.id === playerId);
       if (player && !player.isEliminated) {
@@ -482,6 +607,47 @@ class CampaignGameSession extends BaseGameSession {
     this.campaign.recalculateAllScores();
   }
 
+  /**
+   * Track the order players go out in, for elimination and placement scoring.
+   * Every elimination path checks for a winner straight away, so this sees
+   * each one while the eliminating player is still acting.
+   * @returns {boolean} True if the game is complete
+   */
+  checkForWinner() {
+    if (this.status === "running") this.trackEliminations();
+    return super.checkForWinner();
+  }
+
+  /**
+   * Bring the campaign's elimination order in line with the players
+   */
+  trackEliminations() {
+    const actingPlayerId = this.getActingPlayerId();
+    for (const player of this.players) {
+      if (player.isEliminated) {
+        this.campaign.recordElimination(player.id, actingPlayerId);
+      } else {
+        this.campaign.removeElimination(player.id);
+      }
+    }
+  }
+
+  /**
+   * A finished round has already been scored and the next one set up
+   * @returns {boolean}
+   */
+  canReopenWith() {
+    return false;
+  }
+
+  /**
+   * Keep the elimination order in step when undo/redo changes who is out
+   */
+  restoreSnapshot(target, source) {
+    super.restoreSnapshot(target, source);
+    if (this.status === "running" || this.status === "paused") this.trackEliminations();
+  }
+
   /**
    * Handle game completion - record round and possibly advance
    * @param {object} result - Game result data
@@ -501,7 +667,7 @@ class CampaignGameSession extends BaseGameSession {
     });
 
     // Finalize scoring before recording the round
-    this.campaign.finalizeRoundScoring();
+    this.campaign.finalizeRoundScoring(result.winnerId);
 
     // Record the round
     this.campaign.recordRound(result.winnerId, roundData);
@@ -552,6 +718,16 @@ class CampaignGameSession extends BaseGameSession {
     }
   }
 
+  /**
+   * Presets with a starting hand size grow it each round
+   * @returns {number}
+   */
+  getStartingHandSize() {
+    const { startingHandSize, handSizeIncrement } = this.campaign.config;
+    if (startingHandSize === undefined) return super.getStartingHandSize();
+    return startingHandSize + (this.campaign.currentRound - 1) * (handSizeIncrement || 0);
+  }
+
   /**
    * Get mode-specific state
    * @returns {object}
@@ -578,19 +754,12 @@ class CampaignGameSession extends BaseGameSession {
    */
   getState() {
     const baseState = super.getState();
-    // Build displayable config (exclude function references)
-    const displayConfig = {};
-    for (const [key, value] of Object.entries(this.campaign.config)) {
-      if (typeof value !== "function") {
-        displayConfig[key] = value;
-      }
-    }
     const campaignObj = {
       preset: this.campaign.preset,
       currentRound: this.campaign.currentRound,
       maxRounds: this.campaign.maxRounds,
       playerStats: this.campaign.playerStats,
-      config: displayConfig,
+      config: this.campaign.config,
       status: this.campaign.campaignStatus,
       damageTracker: this.campaign.damageTracker,
       playerPoints: this.campaign.playerPoints,
@@ -599,8 +768,7 @@ class CampaignGameSession extends BaseGameSession {
     };
 
     if (this.campaign.config.startingHandSize !== undefined) {
-      campaignObj.handSize = this.campaign.config.startingHandSize +
-        (this.campaign.currentRound - 1) * (this.campaign.config.handSizeIncrement || 0);
+      campaignObj.handSize = this.getStartingHandSize();
     }
 
     return {
@@ -615,4 +783,5 @@ module.exports = {
   CampaignGameSession,
   CampaignState,
   CAMPAIGN_PRESETS,
+  normalizeCampaignPreset,
 };
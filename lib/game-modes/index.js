@@ -7,7 +7,15 @@
 
 const { BaseGameSession } = require("./base");
 const { CasualGameSession } = require("./casual");
-const { CampaignGameSession, CampaignState, CAMPAIGN_PRESETS } = require("./campaign");
+const {
+  CampaignGameSession,
+  CampaignState,
+  CAMPAIGN_PRESETS,
+  normalizeCampaignPreset,
+} = require("./campaign");
+const { TeamsGameSession } = require("./teams");
+const { RoundGameSession } = require("./round");
+const { ArchenemyGameSession } = require("./archenemy");
 
 /**
  * Registry of available game modes
@@ -25,11 +33,29 @@ const GAME_MODES = {
     description: "Multi-game campaign with progress tracking",
     SessionClass: CampaignGameSession,
   },
+  teams: {
+    id: "teams",
+    name: "Two-Headed Giant",
+    description: "Team play with shared life and an optional shared clock",
+    SessionClass: TeamsGameSession,
+  },
+  round: {
+    id: "round",
+    name: "Round",
+    description: "One shared round clock with extra turns at time",
+    SessionClass: RoundGameSession,
+  },
+  archenemy: {
+    id: "archenemy",
+    name: "Archenemy",
+    description: "One villain against a team of heroes who share a turn",
+    SessionClass: ArchenemyGameSession,
+  },
 };
 
 /**
  * Create a game session of the specified mode
- * @param {string} mode - Game mode ID ('casual', 'campaign', etc.)
+ * @param {string} mode - Game mode ID ('casual', 'campaign', 'teams', 'round', 'archenemy', etc.)
  * @param {string} id - Session ID
  * @param {object} settings - Game settings
  * @param {function} broadcastFn - Broadcast function
@@ -89,6 +115,9 @@ module.exports = {
   CasualGameSession,
   CampaignGameSession,
   CampaignState,
+  TeamsGameSession,
+  RoundGameSession,
+  ArchenemyGameSession,
 
   // Constants
   GAME_MODES,
@@ -99,4 +128,5 @@ module.exports = {
   restoreGameSession,
   getAvailableModes,
   isValidMode,
+  normalizeCampaignPreset,
 };
@@ -0,0 +1,222 @@
+/**
+ * Round Game Mode
+ *
+ * Competitive round clock. Instead of per-player banks, one shared countdown
+ * runs for the whole table. When it reaches zero, time is called: the active
+ * player finishes the current turn ("turn 0"), then a fixed number of extra
+ * turns are played. If nobody has won by then, the game is a draw.
+ */
+
+const { BaseGameSession } = require("./base");
+const { CONSTANTS, TARGETING } = require("../shared/constants");
+
+class RoundGameSession extends BaseGameSession {
+  constructor(id, settings = {}, broadcastFn = null) {
+    const roundSettings = {
+      ...settings,
+      roundTime: settings.roundTime ?? CONSTANTS.DEFAULT_ROUND_TIME,
+      extraTurns: settings.extraTurns ?? CONSTANTS.DEFAULT_EXTRA_TURNS,
+      // Player banks don't run, so there is no per-turn bonus to apply
+      clockMode: CONSTANTS.CLOCK_MODES.NONE,
+    };
+
+    super(id, roundSettings, broadcastFn);
+    this.mode = "round";
+    this.roundTimeRemaining = this.settings.roundTime;
+    this.extraTurnsRemaining = null; // Turns left once time is called, counting turn 0
+    this.isDraw = false;
+  }
+
+  /**
+   * Get display name for this mode
+   * @returns {string}
+   */
+  getModeName() {
+    return "Round";
+  }
+
+  /**
+   * Record whether the round ended in a draw at time
+   * @param {object} result - Game result data
+   */
+  onGameComplete(result) {
+    this.isDraw = result.draw === true;
+  }
+
+  // ============================================================================
+  // ROUND CLOCK
+  // ============================================================================
+
+  /**
+   * Whether the round clock has run out
+   * @returns {boolean}
+   */
+  isTimeCalled() {
+    return this.extraTurnsRemaining !== null;
+  }
+
+  /**
+   * Timer tick - run the shared round clock instead of the players' banks.
+   * The per-turn time limit still applies to the player holding the turn.
+   */
+  tick() {
+    if (this.status !== "running") return;
+
+    const now = Date.now();
+    const elapsed = now - this.lastTick;
+    this.lastTick = now;
+
+    this.recordTurnTime(elapsed);
+    this.tickRoundClock(elapsed);
+
+    const hasPriority =
+      this.interruptingPlayers.length === 0 && this.targetingState !== TARGETING.STATES.RESOLVING;
+    const activePlayer = this.players.find(p => p.id === this.activePlayer);
+    if (hasPriority && activePlayer && !activePlayer.isEliminated) {
+      this.tickTurnLimit(activePlayer, elapsed);
+    }
+
+    if (this.status === "running") {
+      this.broadcastTimes();
+    }
+    this.expireTimeoutChoices();
+  }
+
+  /**
+   * Count down the round clock, warning at each threshold and calling time at zero
+   * @param {number} elapsed - Time elapsed since last tick (ms)
+   */
+  tickRoundClock(elapsed) {
+    if (this.isTimeCalled()) return;
+
+    const previousTime = this.roundTimeRemaining;
+    this.roundTimeRemaining = Math.max(0, previousTime - elapsed);
+
+    this.settings.warningThresholds.forEach(threshold => {
+      if (previousTime > threshold && this.roundTimeRemaining <= threshold) {
+        this.broadcastWarning(null, threshold, "round");
+      }
+    });
+
+    if (this.roundTimeRemaining === 0) {
+      this.callTime();
+    }
+  }
+
+  /**
+   * End the round clock and start counting turn 0 plus the extra turns
+   */
+  callTime() {
+    this.extraTurnsRemaining = this.settings.extraTurns + 1;
+    if (this.broadcastFn) {
+      this.broadcastFn("timeCalled", {
+        activePlayer: this.activePlayer,
+        extraTurns: this.settings.extraTurns,
+      });
+    }
+    this.broadcastState();
+  }
+
+  /**
+   * Pass the turn, counting down the extra turns once time has been called.
+   * Ending the last extra turn finishes the game as a draw.
+   */
+  passTurn() {
+    if (!this.isTimeCalled() || this.status === "finished") {
+      super.passTurn();
+      return;
+    }
+
+    this.extraTurnsRemaining = Math.max(0, this.extraTurnsRemaining - 1);
+    if (this.extraTurnsRemaining === 0) {
+      this.checkForWinner();
+      this.broadcastState();
+      return;
+    }
+    super.passTurn();
+  }
+
+  /**
+   * A game still going after its last extra turn is a draw
+   * @returns {boolean} True if the game is complete
+   */
+  checkForWinner() {
+    if (super.checkForWinner()) return true;
+
+    if (this.extraTurnsRemaining === 0) {
+      this.completeGame({ winnerId: null, winnerName: null, draw: true, reason: "time" });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Override reset to restart the round clock
+   */
+  reset() {
+    this.roundTimeRemaining = this.settings.roundTime;
+    this.extraTurnsRemaining = null;
+    this.isDraw = false;
+    super.reset();
+  }
+
+  // ============================================================================
+  // UNDO/REDO
+  // ============================================================================
+
+  /**
+   * Include the extra turn count so undoing a pass gives the turn back
+   */
+  captureSnapshot() {
+    const snapshot = super.captureSnapshot();
+    snapshot.turn.extraTurnsRemaining = this.extraTurnsRemaining;
+    return snapshot;
+  }
+
+  /**
+   * Restore the extra turn count before the base class re-checks for a result
+   */
+  restoreSnapshot(target, source) {
+    if (target.turn.extraTurnsRemaining !== undefined) {
+      this.extraTurnsRemaining = target.turn.extraTurnsRemaining;
+    }
+    super.restoreSnapshot(target, source);
+    if (this.status !== "finished") this.isDraw = false;
+  }
+
+  // ============================================================================
+  // SERIALIZATION
+  // ============================================================================
+
+  /**
+   * Send the round clock with every tick
+   * @returns {object}
+   */
+  getTickState() {
+    return { ...super.getTickState(), roundTimeRemaining: this.roundTimeRemaining };
+  }
+
+  /**
+   * Get mode-specific state
+   * @returns {object}
+   */
+  getModeState() {
+    return {
+      roundTimeRemaining: this.roundTimeRemaining,
+      extraTurnsRemaining: this.extraTurnsRemaining,
+      isDraw: this.isDraw,
+    };
+  }
+
+  /**
+   * Restore mode-specific state
+   * @param {object} state - Persisted state
+   */
+  restoreModeState(state) {
+    this.roundTimeRemaining = state.roundTimeRemaining ?? this.settings.roundTime;
+    this.extraTurnsRemaining = state.extraTurnsRemaining ?? null;
+    this.isDraw = state.isDraw || false;
+  }
+}
+
+module.exports = { RoundGameSession };
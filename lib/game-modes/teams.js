@@ -0,0 +1,496 @@
+/**
+ * Teams Game Mode
+ *
+ * Two-Headed Giant style play. Players are grouped into teams that share a
+ * life total and, optionally, a single chess clock. Turns pass from team to
+ * team and every member plays the team's turn, so each of their clocks runs
+ * (the team clock once, when shared). The last team standing wins.
+ */
+
+const { BaseGameSession } = require("./base");
+const { CONSTANTS, TARGETING } = require("../shared/constants");
+
+/**
+ * Copy a team so callers can't mutate session state through it
+ * @param {object} team - Team object
+ * @returns {object}
+ */
+function copyTeam(team) {
+  return { ...team, playerIds: [...team.playerIds] };
+}
+
+class TeamsGameSession extends BaseGameSession {
+  constructor(id, settings = {}, broadcastFn = null) {
+    const playerCount = settings.playerCount || 4;
+    const teamSettings = {
+      ...settings,
+      playerCount,
+      teamCount: settings.teamCount ?? Math.max(CONSTANTS.MIN_TEAMS, Math.ceil(playerCount / 2)),
+      teamLife: settings.teamLife ?? CONSTANTS.DEFAULT_TEAM_LIFE,
+      sharedClock: settings.sharedClock ?? false,
+    };
+
+    // initPlayers() builds the teams, so they exist once super() returns
+    super(id, teamSettings, broadcastFn);
+    this.mode = "teams";
+  }
+
+  /**
+   * Get display name for this mode
+   * @returns {string}
+   */
+  getModeName() {
+    return "Two-Headed Giant";
+  }
+
+  // ============================================================================
+  // TEAM MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Override createPlayer so members start on the team life total
+   */
+  createPlayer(id) {
+    const player = super.createPlayer(id);
+    player.life = this.settings.teamLife;
+    return player;
+  }
+
+  /**
+   * Override initPlayers to (re)build the teams alongside the players
+   */
+  initPlayers() {
+    super.initPlayers();
+    this.initTeams();
+  }
+
+  /**
+   * Reset team totals, keeping existing assignments.
+   * The first time through, players are split into contiguous seat blocks.
+   */
+  initTeams() {
+    const teamCount = Math.min(
+      Math.max(CONSTANTS.MIN_TEAMS, this.settings.teamCount),
+      Math.max(CONSTANTS.MIN_TEAMS, this.players.length)
+    );
+
+    if (!this.teams || this.teams.length !== teamCount) {
+      this.teams = [];
+      for (let i = 1; i <= teamCount; i++) {
+        this.teams.push({ id: i, name: `Team ${i}`, playerIds: [] });
+      }
+      this.players.forEach((player, index) => {
+        const teamIndex = Math.floor((index * teamCount) / this.players.length);
+        this.teams[teamIndex].playerIds.push(player.id);
+      });
+    }
+
+    for (const team of this.teams) {
+      team.life = this.settings.teamLife;
+      team.timeRemaining = this.settings.initialTime;
+    }
+    this.winningTeam = null;
+  }
+
+  /**
+   * Find a team by ID
+   * @param {number} teamId - Team ID
+   * @returns {object|undefined}
+   */
+  getTeam(teamId) {
+    return this.teams.find(t => t.id === teamId);
+  }
+
+  /**
+   * Find the team a player belongs to
+   * @param {number} playerId - Player ID
+   * @returns {object|undefined}
+   */
+  getPlayerTeam(playerId) {
+    return this.teams.find(t => t.playerIds.includes(playerId));
+  }
+
+  /**
+   * Get the player objects on a team, in seat order
+   * @param {object} team - Team object
+   * @returns {object[]}
+   */
+  getTeamMembers(team) {
+    return this.players.filter(p => team.playerIds.includes(p.id));
+  }
+
+  /**
+   * A team is alive while it has at least one member still in the game
+   * @param {object} team - Team object
+   * @returns {boolean}
+   */
+  isTeamAlive(team) {
+    return this.getTeamMembers(team).some(p => !p.isEliminated);
+  }
+
+  /**
+   * Move a player to another team. Only allowed before the game starts.
+   * @param {number} playerId - Player ID
+   * @param {number} teamId - Team to join
+   * @returns {boolean} True if the player was moved
+   */
+  assignTeam(playerId, teamId) {
+    if (this.status !== "waiting") return false;
+
+    const player = this.players.find(p => p.id === playerId);
+    const team = this.getTeam(teamId);
+    const currentTeam = this.getPlayerTeam(playerId);
+    if (!player || !team || currentTeam === team) return false;
+
+    if (currentTeam) {
+      currentTeam.playerIds = currentTeam.playerIds.filter(id => id !== playerId);
+    }
+    team.playerIds.push(playerId);
+    team.playerIds.sort((a, b) => a - b);
+
+    player.life = team.life;
+    if (this.settings.sharedClock) {
+      player.timeRemaining = team.timeRemaining;
+    }
+
+    this.broadcastState();
+    return true;
+  }
+
+  /**
+   * Set a team total and copy it to every member
+   * @param {object} team - Team object
+   * @param {string} key - Field shared by the team and each player
+   * @param {number} value - New total
+   */
+  setTeamValue(team, key, value) {
+    team[key] = value;
+    this.getTeamMembers(team).forEach(p => {
+      p[key] = value;
+    });
+  }
+
+  // ============================================================================
+  // SHARED LIFE
+  // ============================================================================
+
+  /**
+   * A member's life change is the team's: apply it to the team total
+   */
+  onPlayerLifeChanged(playerId, oldLife, newLife) {
+    super.onPlayerLifeChanged(playerId, oldLife, newLife);
+    const team = this.getPlayerTeam(playerId);
+    if (!team) return;
+
+    const life = Math.min(CONSTANTS.MAX_LIFE, team.life + newLife - oldLife);
+    this.setTeamValue(team, "life", Math.max(CONSTANTS.MIN_LIFE, life));
+  }
+
+  // ============================================================================
+  // CLOCKS
+  // ============================================================================
+
+  /**
+   * Whether the team holding the turn should run its clocks: nobody
+   * interrupting and no targets resolving
+   * @returns {boolean}
+   */
+  teamHasPriority() {
+    return (
+      this.getPlayerTeam(this.activePlayer) !== undefined &&
+      this.interruptingPlayers.length === 0 &&
+      this.targetingState !== TARGETING.STATES.RESOLVING
+    );
+  }
+
+  /**
+   * Members whose clocks run on their team's turn: every member still in the
+   * game, or just the one holding the turn when the team shares a clock
+   * @param {object} lead - Member holding the turn
+   * @returns {object[]}
+   */
+  getTurnClockMembers(lead) {
+    if (this.settings.sharedClock) return [lead];
+    return this.getTeamMembers(this.getPlayerTeam(lead.id)).filter(p => !p.isEliminated);
+  }
+
+  /**
+   * Timer tick - on a team's turn, run every member's clock together
+   */
+  tick() {
+    if (this.status !== "running" || !this.teamHasPriority()) {
+      super.tick();
+      return;
+    }
+
+    const now = Date.now();
+    const elapsed = now - this.lastTick;
+    this.lastTick = now;
+
+    this.recordTurnTime(elapsed);
+
+    const lead = this.players.find(p => p.id === this.activePlayer);
+    if (lead && !lead.isEliminated) {
+      // Delay mode holds the team's banks until the turn's delay is used up
+      let drained = elapsed;
+      if (this.delayRemaining > 0) {
+        const held = Math.min(this.delayRemaining, drained);
+        this.delayRemaining -= held;
+        drained -= held;
+        if (this.currentTurn) this.currentTurn.bonus += held;
+      }
+
+      for (const member of this.getTurnClockMembers(lead)) {
+        this.drainClock(member, drained);
+      }
+      this.tickTurnLimit(lead, elapsed);
+      this.broadcastTimes();
+    }
+
+    this.expireTimeoutChoices();
+  }
+
+  /**
+   * Run a clock down; with a shared clock, the team's
+   */
+  drainClock(player, ms) {
+    super.drainClock(player, ms);
+    this.shareClock(player);
+  }
+
+  /**
+   * With a shared clock, make a member's clock the team's after it changed
+   * @param {object} player - Member whose clock changed
+   */
+  shareClock(player) {
+    const team = this.settings.sharedClock && this.getPlayerTeam(player.id);
+    if (team) this.setTeamValue(team, "timeRemaining", player.timeRemaining);
+  }
+
+  /**
+   * Apply the clock mode at turn start, giving any bonus to the whole team
+   * @param {object} player - Player starting their turn
+   * @returns {number} Bonus time granted (ms)
+   */
+  beginTurnClock(player) {
+    const bonus = super.beginTurnClock(player);
+    if (bonus > 0) this.addToTeammates(player, bonus);
+    return bonus;
+  }
+
+  /**
+   * Settle the clock at turn end, giving any refund to the whole team
+   * @param {object} player - Player whose turn is ending
+   * @returns {number} Bonus time refunded (ms)
+   */
+  endTurnClock(player) {
+    const refund = super.endTurnClock(player);
+    if (refund > 0) this.addToTeammates(player, refund);
+    return refund;
+  }
+
+  /**
+   * Give time added to one member's clock to the rest of the team: the team
+   * clock when shared, otherwise each teammate still in the game
+   * @param {object} lead - Member whose clock was already adjusted
+   * @param {number} ms - Time added
+   */
+  addToTeammates(lead, ms) {
+    if (this.settings.sharedClock) {
+      this.shareClock(lead);
+      return;
+    }
+    const team = this.getPlayerTeam(lead.id);
+    if (!team) return;
+    for (const member of this.getTeamMembers(team)) {
+      if (member === lead || member.isEliminated) continue;
+      member.timeRemaining = Math.min(member.timeRemaining + ms, CONSTANTS.MAX_INITIAL_TIME);
+    }
+  }
+
+  /**
+   * Keep a shared clock in step after a timeout penalty resets it
+   */
+  grantTimeoutBonus(player, extendTurn) {
+    super.grantTimeoutBonus(player, extendTurn);
+    this.shareClock(player);
+  }
+
+  /**
+   * Override updatePlayer so a time edit sets a shared clock
+   */
+  updatePlayer(playerId, updates) {
+    super.updatePlayer(playerId, updates);
+    const player = this.players.find(p => p.id === playerId);
+    if (player && updates.time !== undefined) this.shareClock(player);
+  }
+
+  /**
+   * Override addTimeToPlayer so added time goes on a shared clock
+   */
+  addTimeToPlayer(playerId, milliseconds) {
+    super.addTimeToPlayer(playerId, milliseconds);
+    const player = this.players.find(p => p.id === playerId);
+    if (player) this.shareClock(player);
+  }
+
+  // ============================================================================
+  // TURNS AND ELIMINATION
+  // ============================================================================
+
+  /**
+   * Turns pass to the first member still in the game on the next team,
+   * going back through the teams when the turn direction is counterclockwise
+   * @returns {object|null}
+   */
+  getNextAlivePlayer() {
+    const team = this.getPlayerTeam(this.activePlayer);
+    if (!team) return super.getNextAlivePlayer();
+
+    const len = this.teams.length;
+    const step =
+      this.settings.turnDirection === CONSTANTS.TURN_DIRECTIONS.COUNTERCLOCKWISE ? -1 : 1;
+    const index = this.teams.indexOf(team);
+    for (let offset = 1; offset < len; offset++) {
+      const candidate = this.teams[(((index + offset * step) % len) + len) % len];
+      const lead = this.getTeamMembers(candidate).find(p => !p.isEliminated);
+      if (lead) return lead;
+    }
+    return null;
+  }
+
+  /**
+   * Eliminating any member eliminates their whole team.
+   * Declares the winning team once every other team is out.
+   * @returns {boolean} True if the game is complete
+   */
+  checkForWinner() {
+    for (const team of this.teams) {
+      const members = this.getTeamMembers(team);
+      if (!members.some(p => p.isEliminated)) continue;
+      for (const member of members) {
+        if (member.isEliminated) continue;
+        member.isEliminated = true;
+        this.handleEliminatedTarget(member.id);
+      }
+    }
+
+    const aliveTeams = this.teams.filter(t => this.isTeamAlive(t));
+
+    if (aliveTeams.length === 1) {
+      const team = aliveTeams[0];
+      const lead = this.getTeamMembers(team).find(p => !p.isEliminated);
+      this.winningTeam = team.id;
+      this.completeGame({ winnerId: lead.id, winnerName: team.name, winningTeamId: team.id });
+      return true;
+    }
+
+    if (aliveTeams.length === 0) {
+      this.winningTeam = null;
+      this.completeGame({ winnerId: null, winnerName: null, winningTeamId: null });
+      return true;
+    }
+
+    // A teammate of the active player may have just gone out with their team
+    if (this.targetingState !== TARGETING.STATES.RESOLVING) {
+      this.switchToNextAlivePlayer();
+    }
+    return false;
+  }
+
+  /**
+   * Override revivePlayer to bring back the whole team on its team life
+   */
+  revivePlayer(playerId) {
+    const team = this.getPlayerTeam(playerId);
+    if (!team) {
+      super.revivePlayer(playerId);
+      return;
+    }
+
+    const restoreLife = team.life <= 0;
+    const members = this.getTeamMembers(team);
+    for (const member of members) {
+      super.revivePlayer(member.id);
+    }
+    if (restoreLife) {
+      this.setTeamValue(team, "life", this.settings.teamLife);
+    }
+    this.shareClock(members[0]);
+    if (this.winner === null) {
+      this.winningTeam = null;
+    }
+    this.broadcastState();
+  }
+
+  /**
+   * Any member still in the game may pass their team's turn
+   * @param {string} clientId - Client ID
+   * @returns {boolean}
+   */
+  canPassTurn(clientId) {
+    const team = this.getPlayerTeam(this.activePlayer);
+    if (!team) return super.canPassTurn(clientId);
+    return this.getTeamMembers(team).some(p => !p.isEliminated && p.claimedBy === clientId);
+  }
+
+  // ============================================================================
+  // UNDO
+  // ============================================================================
+
+  /**
+   * Members always carry their team's totals, so the restored members give
+   * the team totals back. Undoing the finish clears the winning team.
+   */
+  restoreSnapshot(target, source) {
+    super.restoreSnapshot(target, source);
+    if (this.status !== "finished") this.winningTeam = null;
+    for (const snap of target.players) {
+      const player = this.players.find(p => p.id === snap.id);
+      const team = player && this.getPlayerTeam(player.id);
+      if (!team) continue;
+      this.setTeamValue(team, "life", player.life);
+      this.shareClock(player);
+    }
+  }
+
+  // ============================================================================
+  // SERIALIZATION
+  // ============================================================================
+
+  /**
+   * Get mode-specific state
+   * @returns {object}
+   */
+  getModeState() {
+    return {
+      teams: this.teams.map(copyTeam),
+      winningTeam: this.winningTeam,
+    };
+  }
+
+  /**
+   * Restore mode-specific state
+   * @param {object} state - Persisted state
+   */
+  restoreModeState(state) {
+    if (Array.isArray(state.teams)) {
+      this.teams = state.teams.map(copyTeam);
+    }
+    this.winningTeam = state.winningTeam ?? null;
+  }
+
+  /**
+   * Override getState to include teams
+   * @returns {object}
+   */
+  getState() {
+    return {
+      ...super.getState(),
+      teams: this.teams.map(copyTeam),
+      winningTeam: this.winningTeam,
+    };
+  }
+}
+
+module.exports = { TeamsGameSession };
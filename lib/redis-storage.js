@@ -6,11 +6,16 @@
 
 const Redis = require("ioredis");
 const { logger } = require("./logger");
+const { CONSTANTS } = require("./shared/constants");
 
 // Redis key prefixes
 const KEYS = {
   SESSION: "session:",
   FEEDBACK: "feedback:",
+  EVENTS: "events:",
+  TOURNAMENT: "tournament:",
+  CAMPAIGN_PRESETS: "campaign_presets", // Hash of preset ID -> record, kept without a TTL
+  PROFILES: "player_profiles", // Hash of profile ID -> record, kept without a TTL
   CHANNEL_BROADCAST: "broadcast:",
   CHANNEL_GLOBAL: "global:events",
   INSTANCE_SET: "instances",
@@ -343,6 +348,7 @@ class RedisStorage {
 
     try {
       await this.redis.del(KEYS.SESSION + id);
+      await this.redis.del(KEYS.EVENTS + id);
     } catch (error) {
       logger.error({ error: error.message, gameId: id }, "Failed to delete session from Redis");
     }
@@ -560,6 +566,208 @@ class RedisStorage {
     }
   }
 
+  // ============================================================================
+  // EVENT LOG METHODS
+  // ============================================================================
+
+  /**
+   * Append an event to a game's event log (Redis list, expires with the session),
+   * keeping the newest MAX_GAME_EVENTS
+   * @param {string} gameId - Game session ID
+   * @param {object} event - Event object
+   */
+  async appendEvent(gameId, event) {
+    if (!this.redis) return;
+
+    try {
+      const key = KEYS.EVENTS + gameId;
+      await this.redis.rpush(key, JSON.stringify(event));
+      await this.redis.ltrim(key, -CONSTANTS.MAX_GAME_EVENTS, -1);
+      await this.redis.expire(key, this.options.ttl);
+    } catch (error) {
+      logger.error({ error: error.message, gameId }, "Failed to append event to Redis");
+      throw error;
+    }
+  }
+
+  /**
+   * Load a game's event log in append order
+   * @param {string} gameId - Game session ID
+   * @returns {Array} Array of event objects
+   */
+  async loadEvents(gameId) {
+    if (!this.redis) return [];
+
+    try {
+      const entries = await this.redis.lrange(KEYS.EVENTS + gameId, 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      logger.error({ error: error.message, gameId }, "Failed to load events from Redis");
+      return [];
+    }
+  }
+
+  // ============================================================================
+  // TOURNAMENT METHODS
+  // ============================================================================
+
+  /**
+   * Save a tournament to Redis (expires like a session)
+   * @param {string} id - Tournament ID
+   * @param {object} tournamentState - Tournament state object
+   */
+  async saveTournament(id, tournamentState) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.setex(
+        KEYS.TOURNAMENT + id,
+        this.options.ttl,
+        JSON.stringify(tournamentState)
+      );
+    } catch (error) {
+      logger.error(
+        { error: error.message, tournamentId: id },
+        "Failed to save tournament to Redis"
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Load a tournament from Redis
+   * @param {string} id - Tournament ID
+   * @returns {object|null} Tournament state or null if not found
+   */
+  async loadTournament(id) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(KEYS.TOURNAMENT + id);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error(
+        { error: error.message, tournamentId: id },
+        "Failed to load tournament from Redis"
+      );
+      return null;
+    }
+  }
+
+  // ============================================================================
+  // CAMPAIGN PRESET METHODS
+  // ============================================================================
+
+  /**
+   * Save a custom campaign preset to Redis
+   * @param {string} id - Preset ID
+   * @param {object} record - Preset record ({ id, preset, createdBy, createdAt })
+   */
+  async saveCampaignPreset(id, record) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.hset(KEYS.CAMPAIGN_PRESETS, id, JSON.stringify(record));
+    } catch (error) {
+      logger.error(
+        { error: error.message, presetId: id },
+        "Failed to save campaign preset to Redis"
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Load a custom campaign preset from Redis
+   * @param {string} id - Preset ID
+   * @returns {object|null} Preset record or null if not found
+   */
+  async loadCampaignPreset(id) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.hget(KEYS.CAMPAIGN_PRESETS, id);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error(
+        { error: error.message, presetId: id },
+        "Failed to load campaign preset from Redis"
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Load every custom campaign preset, oldest first
+   * @returns {object[]} Preset records
+   */
+  async loadAllCampaignPresets() {
+    if (!this.redis) return [];
+
+    try {
+      const all = await this.redis.hgetall(KEYS.CAMPAIGN_PRESETS);
+      return Object.values(all)
+        .map(data => JSON.parse(data))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      logger.error({ error: error.message }, "Failed to load campaign presets from Redis");
+      return [];
+    }
+  }
+
+  // ============================================================================
+  // PLAYER PROFILE METHODS
+  // ============================================================================
+
+  /**
+   * Save a player profile to Redis
+   * @param {string} id - Profile ID
+   * @param {object} profile - Profile record
+   */
+  async saveProfile(id, profile) {
+    if (!this.redis) return;
+
+    try {
+      await this.redis.hset(KEYS.PROFILES, id, JSON.stringify(profile));
+    } catch (error) {
+      logger.error({ error: error.message, profileId: id }, "Failed to save profile to Redis");
+      throw error;
+    }
+  }
+
+  /**
+   * Load a player profile from Redis
+   * @param {string} id - Profile ID
+   * @returns {object|null} Profile record or null if not found
+   */
+  async loadProfile(id) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.hget(KEYS.PROFILES, id);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error({ error: error.message, profileId: id }, "Failed to load profile from Redis");
+      return null;
+    }
+  }
+
+  /**
+   * Load every player profile
+   * @returns {object[]} Profile records
+   */
+  async loadAllProfiles() {
+    if (!this.redis) return [];
+
+    try {
+      const all = await this.redis.hgetall(KEYS.PROFILES);
+      return Object.values(all).map(data => JSON.parse(data));
+    } catch (error) {
+      logger.error({ error: error.message }, "Failed to load profiles from Redis");
+      return [];
+    }
+  }
+
   // ============================================================================
   // FEEDBACK METHODS
   // ============================================================================
@@ -0,0 +1,84 @@
+/**
+ * Campaign Preset Management
+ *
+ * Custom campaign presets are declarative (see validateCampaignPreset), so
+ * they live in storage as plain JSON records rather than in
+ * CAMPAIGN_PRESETS. Lobbies pick them by ID when creating a campaign.
+ */
+
+const { logger } = require("../logger");
+const metrics = require("../metrics");
+const { generateGameId } = require("../shared/validators");
+const { serverState } = require("./state");
+
+/**
+ * Run a storage call, awaiting it when storage is async
+ * @param {string} method - Storage method name
+ * @param {...any} args - Method arguments
+ * @returns {Promise<any>} Result, or undefined if storage doesn't support presets
+ */
+async function callStorage(method, ...args) {
+  const storage = serverState.storage;
+  if (!storage || typeof storage[method] !== "function") return undefined;
+  return serverState.isAsyncStorageMode ? await storage[method](...args) : storage[method](...args);
+}
+
+/**
+ * Load a custom campaign preset record
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<object|null>} Record ({ id, preset, createdBy, createdAt }) or null
+ */
+async function getCampaignPreset(presetId) {
+  try {
+    return (await callStorage("loadCampaignPreset", presetId)) || null;
+  } catch (error) {
+    logger.error({ presetId, error: error.message }, "Failed to load campaign preset");
+    return null;
+  }
+}
+
+/**
+ * Load every custom campaign preset record, oldest first
+ * @returns {Promise<object[]>}
+ */
+async function listCampaignPresets() {
+  try {
+    return (await callStorage("loadAllCampaignPresets")) || [];
+  } catch (error) {
+    logger.error({ error: error.message }, "Failed to list campaign presets");
+    return [];
+  }
+}
+
+/**
+ * Store a new custom campaign preset under a fresh ID
+ * @param {object} preset - Validated preset definition
+ * @param {string} clientId - Creating client
+ * @param {Set<string>} existingIds - IDs already in use
+ * @returns {Promise<object|null>} Stored record, or null if it couldn't be saved
+ */
+async function saveCampaignPreset(preset, clientId, existingIds = new Set()) {
+  const record = {
+    id: generateGameId(existingIds),
+    preset,
+    createdBy: clientId,
+    createdAt: Date.now(),
+  };
+
+  try {
+    if (!serverState.storage || !serverState.storage.saveCampaignPreset) return null;
+    await callStorage("saveCampaignPreset", record.id, record);
+    metrics.recordStorageOperation("save_campaign_preset", "success");
+    return record;
+  } catch (error) {
+    logger.error({ presetId: record.id, error: error.message }, "Failed to save campaign preset");
+    metrics.recordStorageOperation("save_campaign_preset", "error");
+    return null;
+  }
+}
+
+module.exports = {
+  getCampaignPreset,
+  listCampaignPresets,
+  saveCampaignPreset,
+};
@@ -11,6 +11,11 @@ const { logger } = require("../logger");
 const metrics = require("../metrics");
 const { getLockStats } = require("../lock");
 const { serverState } = require("./state");
+const { ensureGameLoaded, loadGameEvents } = require("./persistence");
+const { redactGameEvent } = require("./websocket");
+const { getTournament } = require("./tournaments");
+const { getLeaderboard, getRatings } = require("./profiles");
+const { CONSTANTS } = require("../shared/constants");
 
 /**
  * Configure security headers middleware
@@ -199,6 +204,119 @@ function configureGamesEndpoint(app) {
   });
 }
 
+/**
+ * Configure game event log endpoint (used by the replay viewer). Needs no
+ * login, so games that hide their players from spectators hide them here too.
+ * @param {express.Application} app - Express app
+ */
+function configureGameEventsEndpoint(app) {
+  app.get("/api/games/:id/events", async (req, res) => {
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+    const gameId = req.params.id;
+    if (!/^[A-Za-z0-9]{1,16}$/.test(gameId)) {
+      res.status(400).json({ error: "Invalid game ID" });
+      return;
+    }
+
+    try {
+      const events = await loadGameEvents(gameId);
+      const session = await ensureGameLoaded(gameId);
+
+      if (events.length === 0 && !session) {
+        res.status(404).json({ error: "Game not found" });
+        return;
+      }
+
+      // Without the session there's no telling whether names are hidden
+      const hidden = !session || session.settings.hideFromSpectators === true;
+
+      res.status(200).json({
+        gameId,
+        name: session ? session.name : null,
+        counterDefinitions: session ? session.getCounterDefinitions() : null,
+        events: hidden ? events.map(redactGameEvent) : events,
+      });
+    } catch (error) {
+      logger.error({ error: error.message, gameId }, "Failed to load game events");
+      res.status(500).json({ error: "Failed to load game events" });
+    }
+  });
+}
+
+/**
+ * Configure tournament endpoint (pairings and standings)
+ * @param {express.Application} app - Express app
+ */
+function configureTournamentsEndpoint(app) {
+  app.get("/api/tournaments/:id", async (req, res) => {
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+    const tournamentId = req.params.id;
+    if (!/^[A-Za-z0-9]{1,16}$/.test(tournamentId)) {
+      res.status(400).json({ error: "Invalid tournament ID" });
+      return;
+    }
+
+    try {
+      const tournament = await getTournament(tournamentId);
+      if (!tournament) {
+        res.status(404).json({ error: "Tournament not found" });
+        return;
+      }
+
+      res.status(200).json(tournament.getState());
+    } catch (error) {
+      logger.error({ error: error.message, tournamentId }, "Failed to load tournament");
+      res.status(500).json({ error: "Failed to load tournament" });
+    }
+  });
+}
+
+/**
+ * Configure leaderboard endpoints: player profiles ranked across campaigns
+ * (/api/leaderboard) and by rating (/api/ratings)
+ * @param {express.Application} app - Express app
+ */
+function configureLeaderboardEndpoint(app) {
+  const routes = [
+    ["/api/leaderboard", getLeaderboard, "leaderboard"],
+    ["/api/ratings", getRatings, "ratings"],
+  ];
+
+  for (const [path, load, label] of routes) {
+    app.get(path, async (req, res) => {
+      res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+
+      const limit =
+        req.query.limit === undefined ? CONSTANTS.LEADERBOARD_SIZE : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > CONSTANTS.LEADERBOARD_SIZE) {
+        res.status(400).json({ error: "Invalid limit" });
+        return;
+      }
+
+      try {
+        res.status(200).json({ players: await load(limit) });
+      } catch (error) {
+        logger.error({ error: error.message }, `Failed to load ${label}`);
+        res.status(500).json({ error: `Failed to load ${label}` });
+      }
+    });
+  }
+}
+
+/**
+ * Configure the big-screen table display. The page reads the game ID from
+ * its own path and joins the game as a spectator.
+ * @param {express.Application} app - Express app
+ */
+function configureDisplayRoute(app) {
+  app.get("/display/:gameId", (req, res) => {
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.sendFile(path.join(__dirname, "../../public/display.html"));
+  });
+}
+
 /**
  * Configure static file serving
  * @param {express.Application} app - Express app
@@ -242,6 +360,10 @@ function createHttpServer(rateLimiters = {}) {
   configureHealthEndpoint(app, rateLimiters);
   configureMetricsEndpoint(app);
   configureGamesEndpoint(app);
+  configureGameEventsEndpoint(app);
+  configureTournamentsEndpoint(app);
+  configureLeaderboardEndpoint(app);
+  configureDisplayRoute(app);
   configureStaticFiles(app);
 
   return { app, server };
@@ -253,5 +375,9 @@ module.exports = {
   configureHealthEndpoint,
   configureMetricsEndpoint,
   configureGamesEndpoint,
+  configureGameEventsEndpoint,
+  configureTournamentsEndpoint,
+  configureLeaderboardEndpoint,
+  configureDisplayRoute,
   configureStaticFiles,
 };
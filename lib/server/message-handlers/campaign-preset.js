@@ -0,0 +1,86 @@
+/**
+ * Campaign Preset Handlers
+ *
+ * Handles creating and listing custom campaign presets. Presets are shared
+ * by every lobby on the server, so they aren't tied to a game.
+ */
+
+const { logger } = require("../../logger");
+const metrics = require("../../metrics");
+const { CONSTANTS } = require("../../shared/constants");
+const { validateCampaignPreset, sanitizeString } = require("../../shared/validators");
+const { normalizeCampaignPreset } = require("../../game-modes");
+const { safeSend } = require("../websocket");
+const { listCampaignPresets, saveCampaignPreset } = require("../campaign-presets");
+
+/**
+ * Handle create campaign preset message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data ({ preset })
+ */
+async function handleCreateCampaignPreset(ws, data) {
+  if (!validateCampaignPreset(data.preset)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid campaign preset" } }));
+    metrics.recordError("invalid_campaign_preset");
+    return;
+  }
+
+  const existing = await listCampaignPresets();
+  if (existing.length >= CONSTANTS.MAX_CAMPAIGN_PRESETS) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Too many campaign presets" } }));
+    metrics.recordError("campaign_preset_limit");
+    return;
+  }
+
+  const preset = normalizeCampaignPreset(data.preset);
+  for (const field of ["name", "description", "flavorText"]) {
+    if (typeof preset[field] === "string") {
+      preset[field] = sanitizeString(preset[field].trim());
+    }
+  }
+
+  const record = await saveCampaignPreset(preset, ws.clientId, new Set(existing.map(r => r.id)));
+  if (!record) {
+    safeSend(
+      ws,
+      JSON.stringify({ type: "error", data: { message: "Failed to save campaign preset" } })
+    );
+    metrics.recordError("campaign_preset_save_failed");
+    return;
+  }
+
+  safeSend(
+    ws,
+    JSON.stringify({
+      type: "campaignPresetCreated",
+      data: { id: record.id, preset: record.preset },
+    })
+  );
+  metrics.recordMessageSent("campaignPresetCreated");
+
+  logger.info(
+    { presetId: record.id, clientId: ws.clientId, name: preset.name },
+    "Campaign preset created"
+  );
+}
+
+/**
+ * Handle list campaign presets message
+ * @param {WebSocket} ws - WebSocket client
+ */
+async function handleListCampaignPresets(ws) {
+  const records = await listCampaignPresets();
+  safeSend(
+    ws,
+    JSON.stringify({
+      type: "campaignPresets",
+      data: { presets: records.map(r => ({ id: r.id, preset: r.preset })) },
+    })
+  );
+  metrics.recordMessageSent("campaignPresets");
+}
+
+module.exports = {
+  createCampaignPreset: handleCreateCampaignPreset,
+  listCampaignPresets: handleListCampaignPresets,
+};
@@ -10,7 +10,13 @@ const { withGameLock } = require("../../lock");
 const { CONSTANTS } = require("../../shared/constants");
 const { serverState } = require("../state");
 const { safeSend } = require("../websocket");
-const { ensureGameLoaded, syncGameToRedis, getSessionForHandler } = require("../persistence");
+const {
+  ensureGameLoaded,
+  syncGameToRedis,
+  appendGameEvent,
+  getSessionForHandler,
+} = require("../persistence");
+const { getProfileByToken } = require("../profiles");
 
 /**
  * Handle claim player message
@@ -27,6 +33,9 @@ async function handleClaim(ws, data) {
     return;
   }
 
+  // Seats claimed with a profile token record their ratings and campaign results to it
+  const profile = data.profileToken ? await getProfileByToken(data.profileToken) : null;
+
   try {
     await withGameLock(ws.gameId, async () => {
       session.lastActivity = Date.now();
@@ -42,6 +51,10 @@ async function handleClaim(ws, data) {
         );
         metrics.recordError("claim_failed");
       } else {
+        session.linkProfile(data.playerId, profile ? profile.id : null);
+        await appendGameEvent(ws.gameId, session, "claim", ws.clientId, {
+          playerId: data.playerId,
+        });
         if (serverState.isRedisPrimaryMode) {
           await syncGameToRedis(ws.gameId);
         }
@@ -119,6 +132,10 @@ async function handleReconnect(ws, data) {
           "Reconnection failed"
         );
       } else {
+        await appendGameEvent(data.gameId, session, "reconnect", ws.clientId, {
+          playerId: data.playerId,
+        });
+
         if (serverState.isRedisPrimaryMode) {
           await syncGameToRedis(data.gameId);
         }
@@ -167,7 +184,11 @@ async function handleUnclaim(ws, data) {
   try {
     await withGameLock(ws.gameId, async () => {
       session.lastActivity = Date.now();
+      const claimed = session.players.find(p => p.claimedBy === ws.clientId);
       session.unclaimPlayer(ws.clientId);
+      if (claimed) {
+        await appendGameEvent(ws.gameId, session, "unclaim", ws.clientId, { playerId: claimed.id });
+      }
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
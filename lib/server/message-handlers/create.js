@@ -8,10 +8,12 @@ const AsyncLock = require("async-lock");
 const { logger } = require("../../logger");
 const metrics = require("../../metrics");
 const { validateSettings, generateGameId } = require("../../shared/validators");
-const { createGameSession } = require("../../game-modes");
+const { createGameSession, CAMPAIGN_PRESETS } = require("../../game-modes");
 const { serverState } = require("../state");
 const { safeSend, broadcastToGame, subscribeToGameChannel } = require("../websocket");
-const { persistGameImmediately, syncGameToRedis } = require("../persistence");
+const { persistGameImmediately, syncGameToRedis, appendGameEvent } = require("../persistence");
+const { getCampaignPreset } = require("../campaign-presets");
+const { attachProfileHooks } = require("../profiles");
 
 // Lock for game creation to prevent ID collisions
 const createGameLock = new AsyncLock({ timeout: 5000 });
@@ -28,6 +30,22 @@ async function handleCreate(ws, data) {
     return;
   }
 
+  // Campaigns can use a custom preset from storage instead of a built-in one
+  let settings = data.settings || {};
+  const presetId = settings.campaignPreset;
+  if (settings.mode === "campaign" && presetId && !Object.hasOwn(CAMPAIGN_PRESETS, presetId)) {
+    const record = await getCampaignPreset(presetId);
+    if (!record) {
+      safeSend(
+        ws,
+        JSON.stringify({ type: "error", data: { message: "Campaign preset not found" } })
+      );
+      metrics.recordError("campaign_preset_not_found");
+      return;
+    }
+    settings = { ...settings, customCampaignPreset: record.preset };
+  }
+
   try {
     const result = await createGameLock.acquire("create", async () => {
       // Generate unique ID
@@ -58,22 +76,24 @@ async function handleCreate(ws, data) {
       }
 
       // Determine game mode
-      const mode = data.settings?.mode || "casual";
+      const mode = settings.mode || "casual";
 
       // Create session using the game modes factory
-      const session = createGameSession(mode, id, data.settings || {}, (type, msgData) => {
+      const session = createGameSession(mode, id, settings, (type, msgData) => {
         broadcastToGame(id, type, msgData).catch(error => {
           logger.error({ error: error.message, gameId: id }, "Broadcast failed");
         });
       });
 
       session.setOwner(ws.clientId);
+      attachProfileHooks(session);
       serverState.setSession(id, session);
 
       return { id, session };
     });
 
     ws.gameId = result.id;
+    ws.isSpectator = false;
 
     // Subscribe to Redis channel for cross-instance messaging
     subscribeToGameChannel(result.id).catch(error => {
@@ -89,6 +109,9 @@ async function handleCreate(ws, data) {
     } else {
       await persistGameImmediately(result.id);
     }
+    await appendGameEvent(result.id, result.session, "create", ws.clientId, {
+      mode: result.session.mode,
+    });
 
     safeSend(ws, JSON.stringify({ type: "state", data: result.session.getState() }));
     metrics.recordNewSession();
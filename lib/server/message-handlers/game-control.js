@@ -10,11 +10,119 @@ const { withGameLock } = require("../../lock");
 const { CONSTANTS } = require("../../shared/constants");
 const { sanitizeString } = require("../../shared/validators");
 const { serverState } = require("../state");
-const { safeSend } = require("../websocket");
-const { ensureGameLoaded, syncGameToRedis, getSessionForHandler } = require("../persistence");
+const { safeSend, broadcastToGame } = require("../websocket");
+const {
+  ensureGameLoaded,
+  syncGameToRedis,
+  appendGameEvent,
+  getSessionForHandler,
+} = require("../persistence");
 
 /**
- * Handle start game message
+ * Start the game and log it, unless it was already running. Callers hold the
+ * game lock. With the pregame on, starting from the lobby only opens the
+ * mulligans; the game itself starts once every hand is kept or the pregame
+ * time limit runs out.
+ * @param {string} gameId - Game ID
+ * @param {object} session - Game session
+ * @param {string|null} clientId - Client that pressed start, null for the time limit
+ */
+async function startGame(gameId, session, clientId) {
+  attachTimerHooks(session);
+  const previousStatus = session.status;
+  session.start();
+  // Nothing to log when the game was already running
+  if (session.status === previousStatus) return;
+
+  session.lastActivity = Date.now();
+  const inPregame = session.status === "pregame";
+  await appendGameEvent(gameId, session, inPregame ? "pregame" : "start", clientId);
+
+  if (serverState.isRedisPrimaryMode) {
+    await syncGameToRedis(gameId);
+  }
+
+  logger.info({ gameId }, inPregame ? "Pregame started" : "Game started");
+}
+
+/**
+ * Start the game once the pregame time limit runs out, unless every hand
+ * was kept or the game was reset in the meantime
+ * @param {string} gameId - Game ID
+ * @param {object} session - Game session
+ */
+async function finishPregame(gameId, session) {
+  try {
+    await withGameLock(gameId, async () => {
+      if (session.status !== "pregame") return;
+      await startGame(gameId, session, null);
+    });
+  } catch (error) {
+    logger.error({ error: error.message, gameId }, "Failed to start game after pregame");
+    metrics.recordError("start_lock_error");
+  }
+}
+
+/**
+ * Pass a turn that ran out its time limit, journaled and logged like any
+ * other pass, unless the turn moved on in the meantime
+ * @param {string} gameId - Game ID
+ * @param {object} session - Game session
+ * @param {number} playerId - Player whose turn ran out
+ */
+async function passExpiredTurn(gameId, session, playerId) {
+  try {
+    await withGameLock(gameId, async () => {
+      if (session.activePlayer !== playerId || session.turnTimeRemaining !== 0) return;
+
+      session.lastActivity = Date.now();
+      session.recordAction("passTurn", null, () => session.passTurn());
+      await appendGameEvent(gameId, session, "passTurn", null, { reason: "turnLimit" });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(gameId);
+      }
+
+      logger.info({ gameId, playerId }, "Turn passed at its time limit");
+    });
+  } catch (error) {
+    logger.error({ error: error.message, gameId }, "Failed to pass turn at its time limit");
+    metrics.recordError("passTurn_lock_error");
+  }
+}
+
+/**
+ * Route a session's timers through the handlers above, so what they do is
+ * locked, logged and synced like a player's action
+ * @param {object} session - Game session
+ */
+function attachTimerHooks(session) {
+  session.pregameExpiredFn = () => finishPregame(session.id, session);
+  session.turnLimitExpiredFn = playerId => passExpiredTurn(session.id, session, playerId);
+}
+
+/**
+ * Start the game once the lobby countdown runs out, unless it was reset or
+ * started some other way in the meantime
+ * @param {string} gameId - Game ID
+ * @param {object} session - Game session
+ * @param {string} clientId - Client that pressed start
+ */
+async function finishStartCountdown(gameId, session, clientId) {
+  try {
+    await withGameLock(gameId, async () => {
+      if (session.status !== "waiting" || !session.canStartGame()) return;
+      await startGame(gameId, session, clientId);
+    });
+  } catch (error) {
+    logger.error({ error: error.message, gameId }, "Failed to start game after countdown");
+    metrics.recordError("start_lock_error");
+  }
+}
+
+/**
+ * Handle start game message. In the lobby, starting checks the ready check
+ * and counts down first when the owner has set a start countdown.
  * @param {WebSocket} ws - WebSocket client
  * @param {object} data - Message data
  */
@@ -38,14 +146,33 @@ async function handleStart(ws, data) {
         return;
       }
 
-      session.lastActivity = Date.now();
-      session.start();
+      if (session.status === "waiting") {
+        if (!session.canStartGame()) {
+          safeSend(
+            ws,
+            JSON.stringify({
+              type: "error",
+              data: { message: "Every seat must be claimed and ready to start" },
+            })
+          );
+          return;
+        }
 
-      if (serverState.isRedisPrimaryMode) {
-        await syncGameToRedis(ws.gameId);
+        if (session.startCountdownTimer) return;
+
+        if (session.settings.startCountdown > 0) {
+          const { gameId, clientId } = ws;
+          session.lastActivity = Date.now();
+          session.beginStartCountdown(() => finishStartCountdown(gameId, session, clientId));
+          logger.info(
+            { gameId, countdown: session.settings.startCountdown },
+            "Start countdown begun"
+          );
+          return;
+        }
       }
 
-      logger.info({ gameId: ws.gameId }, "Game started");
+      await startGame(ws.gameId, session, ws.clientId);
     });
   } catch (error) {
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
@@ -53,6 +180,42 @@ async function handleStart(ws, data) {
   }
 }
 
+/**
+ * Handle cancel start message - stops the lobby countdown
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleCancelStart(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.canControlGame(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to cancel the start" },
+          })
+        );
+        metrics.recordAuthDenied("cancelStart");
+        return;
+      }
+
+      if (!session.cancelStartCountdown()) return;
+      session.lastActivity = Date.now();
+      session.broadcastState();
+
+      logger.info({ gameId: ws.gameId }, "Start countdown cancelled");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("cancelStart_lock_error");
+  }
+}
+
 /**
  * Handle pause/resume game message
  * @param {WebSocket} ws - WebSocket client
@@ -81,12 +244,14 @@ async function handlePause(ws, data) {
 
       if (session.status === "running") {
         session.pause();
+        await appendGameEvent(ws.gameId, session, "pause", ws.clientId);
         if (serverState.isRedisPrimaryMode) {
           await syncGameToRedis(ws.gameId);
         }
         logger.debug({ gameId: ws.gameId }, "Game paused");
       } else if (session.status === "paused") {
         session.resume();
+        await appendGameEvent(ws.gameId, session, "resume", ws.clientId);
         if (serverState.isRedisPrimaryMode) {
           await syncGameToRedis(ws.gameId);
         }
@@ -113,6 +278,7 @@ async function handleReset(ws, data) {
     await withGameLock(ws.gameId, async () => {
       session.lastActivity = Date.now();
       session.reset();
+      await appendGameEvent(ws.gameId, session, "reset", ws.clientId);
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -156,7 +322,8 @@ async function handleSwitch(ws, data) {
       }
 
       session.lastActivity = Date.now();
-      session.switchPlayer(data.playerId);
+      session.recordAction("switchPlayer", ws.clientId, () => session.switchPlayer(data.playerId));
+      await appendGameEvent(ws.gameId, session, "switch", ws.clientId, { playerId: data.playerId });
       // Note: Not syncing switch to Redis immediately for performance
       // Timer ticks are frequent - sync happens via periodic persistence
     });
@@ -218,11 +385,27 @@ async function handleEndGame(ws, data) {
   }
 }
 
+/**
+ * Handle interrupt message - put the sender's interrupt on top of the stack
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data with an optional label
+ */
 async function handleInterrupt(ws, data) {
   const session = await getSessionForHandler(ws.gameId);
 
   if (!session) return;
 
+  if (data.label != null && typeof data.label !== "string") {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid interrupt label" } }));
+    metrics.recordError("invalid_interrupt_label");
+    return;
+  }
+
+  let label = sanitizeString(data.label?.trim() || "");
+  if (label.length > CONSTANTS.MAX_STACK_LABEL_LENGTH) {
+    label = label.substring(0, CONSTANTS.MAX_STACK_LABEL_LENGTH);
+  }
+
   try {
     await withGameLock(ws.gameId, async () => {
       const myPlayer = session.players.find(p => p.claimedBy === ws.clientId);
@@ -248,7 +431,12 @@ async function handleInterrupt(ws, data) {
         return;
       }
 
-      session.interrupt(myPlayer.id);
+      session.recordAction("interrupt", ws.clientId, () =>
+        session.interrupt(myPlayer.id, label || null)
+      );
+      await appendGameEvent(ws.gameId, session, "interrupt", ws.clientId, {
+        label: label || null,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -292,264 +480,800 @@ async function handlePassPriority(ws, data) {
         return;
       }
 
-      session.passPriority(myPlayer.id);
+      session.recordAction("passPriority", ws.clientId, () => session.passPriority(myPlayer.id));
+      await appendGameEvent(ws.gameId, session, "passPriority", ws.clientId);
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info({ gameId: ws.gameId, playerId: myPlayer.id }, "Player passed priority");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("passPriority_lock_error");
+  }
+}
+
+/**
+ * Handle pass turn message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handlePassTurn(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the player holding the turn can pass it
+      if (!session.canPassTurn(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to pass turn" },
+          })
+        );
+        metrics.recordAuthDenied("passTurn");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      session.recordAction("passTurn", ws.clientId, () => session.passTurn());
+      await appendGameEvent(ws.gameId, session, "passTurn", ws.clientId);
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("passTurn_lock_error");
+  }
+}
+
+/**
+ * Handle display pass turn message - the owner's table display passing the turn
+ * for whoever holds it (see getDisplayToken and canDisplayPassTurn)
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleDisplayPassTurn(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.isDisplayToken(data?.token)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "This display isn't set up by the game owner" },
+          })
+        );
+        metrics.recordAuthDenied("displayPassTurn");
+        return;
+      }
+
+      if (!session.canDisplayPassTurn()) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Tap to pass is off or the turn can't be passed now" },
+          })
+        );
+        metrics.recordAuthDenied("displayPassTurn");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      session.recordAction("passTurn", ws.clientId, () => session.passTurn());
+      await appendGameEvent(ws.gameId, session, "passTurn", ws.clientId);
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("displayPassTurn_lock_error");
+  }
+}
+
+/**
+ * Handle get display token message - hand the owner the token their table
+ * display link carries, so only that display can pass turns
+ * @param {WebSocket} ws - WebSocket connection
+ */
+async function handleGetDisplayToken(ws) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.isOwner(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Only the game owner can set up the table display" },
+          })
+        );
+        metrics.recordAuthDenied("getDisplayToken");
+        return;
+      }
+
+      const token = session.getDisplayToken();
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      safeSend(ws, JSON.stringify({ type: "displayToken", data: { token } }));
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("getDisplayToken_lock_error");
+  }
+}
+
+/**
+ * Handle resolve stack message - resolve the top interrupt and announce it
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleResolveStack(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (session.interruptingPlayers.length === 0) {
+        safeSend(ws, JSON.stringify({ type: "error", data: { message: "The stack is empty" } }));
+        return;
+      }
+
+      // The owner, the player on top of the stack or the player whose turn it is
+      if (!session.canResolveStack(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to resolve the stack" },
+          })
+        );
+        metrics.recordAuthDenied("resolveStack");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      let resolved = null;
+      session.recordAction("resolveStack", ws.clientId, () => {
+        resolved = session.resolveTopOfStack();
+      });
+
+      await appendGameEvent(ws.gameId, session, "resolveStack", ws.clientId, resolved);
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info({ gameId: ws.gameId, ...resolved }, "Stack resolved");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("resolveStack_lock_error");
+  }
+}
+
+/**
+ * Handle set phase message - jump the current turn to a specific phase
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data with phase
+ */
+async function handleSetPhase(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  if (!CONSTANTS.TURN_PHASES.some(phase => phase.id === data.phase)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid phase" } }));
+    metrics.recordError("invalid_phase");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the owner or the player whose turn it is can change phase
+      if (!session.canChangePhase(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to change phase" },
+          })
+        );
+        metrics.recordAuthDenied("setPhase");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      const entry = session.recordAction("setPhase", ws.clientId, () =>
+        session.setPhase(data.phase)
+      );
+      if (!entry) return;
+
+      await appendGameEvent(ws.gameId, session, "setPhase", ws.clientId, { phase: data.phase });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("setPhase_lock_error");
+  }
+}
+
+/**
+ * Handle advance phase message - move the current turn to the next phase
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleAdvancePhase(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the owner or the player whose turn it is can change phase
+      if (!session.canChangePhase(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to change phase" },
+          })
+        );
+        metrics.recordAuthDenied("advancePhase");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      const entry = session.recordAction("advancePhase", ws.clientId, () => session.advancePhase());
+      if (!entry) return;
+
+      await appendGameEvent(ws.gameId, session, "advancePhase", ws.clientId, {
+        phase: session.currentPhase,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("advancePhase_lock_error");
+  }
+}
+
+/**
+ * Handle rename game message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleRenameGame(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      session.lastActivity = Date.now();
+
+      // Validate, sanitize, and truncate game name
+      let newName = data.name?.trim() || "Game";
+      newName = sanitizeString(newName);
+      if (newName.length > CONSTANTS.MAX_GAME_NAME_LENGTH) {
+        newName = newName.substring(0, CONSTANTS.MAX_GAME_NAME_LENGTH);
+      }
+      session.name = newName;
+      await appendGameEvent(ws.gameId, session, "renameGame", ws.clientId, { name: newName });
+
+      // Broadcast name change to all clients
+      session.broadcastState();
+
+      // Sync to Redis if using Redis
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      // Send confirmation to the requester
+      safeSend(
+        ws,
+        JSON.stringify({
+          type: "gameRenamed",
+          data: { name: newName },
+        })
+      );
+
+      logger.info({ gameId: ws.gameId, clientId: ws.clientId, newName }, "Game renamed");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("renameGame_lock_error");
+  }
+}
+
+/**
+ * Handle random start player selection
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleRandomStartPlayer(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Validate game state - can only select before game starts
+      if (session.status !== "waiting") {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Can only select random player before game starts" },
+          })
+        );
+        return;
+      }
+
+      // Get eligible players (claimed and not eliminated)
+      const eligiblePlayers = session.players.filter(
+        player => player.claimedBy && !player.isEliminated
+      );
+
+      if (eligiblePlayers.length === 0) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "No eligible players to select from" },
+          })
+        );
+        return;
+      }
+
+      // Random selection
+      const randomIndex = Math.floor(Math.random() * eligiblePlayers.length);
+      const selectedPlayer = eligiblePlayers[randomIndex];
+      session.setStartingPlayer(selectedPlayer.id);
+      session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "randomStartPlayer", ws.clientId, {
+        playerId: selectedPlayer.id,
+      });
+
+      // Broadcast random player selected event to all clients
+      await broadcastToGame(ws.gameId, "randomPlayerSelected", {
+        playerId: selectedPlayer.id,
+        playerName: selectedPlayer.name,
+      });
+
+      // Also broadcast updated game state
+      session.broadcastState();
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info(
+        {
+          gameId: ws.gameId,
+          selectedPlayerId: selectedPlayer.id,
+          selectedPlayerName: selectedPlayer.name,
+        },
+        "Random starting player selected"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("randomStartPlayer_lock_error");
+  }
+}
+
+/**
+ * Handle dice roll request
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data containing sides
+ */
+async function handleRollDice(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  const { sides } = data;
+
+  // Validate sides parameter
+  if (typeof sides !== "number" || !Number.isInteger(sides)) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Dice sides must be an integer" },
+      })
+    );
+    return;
+  }
+
+  if (sides < CONSTANTS.DICE_MIN_SIDES || sides > CONSTANTS.DICE_MAX_SIDES) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: {
+          message: `Dice sides must be between ${CONSTANTS.DICE_MIN_SIDES} and ${CONSTANTS.DICE_MAX_SIDES}`,
+        },
+      })
+    );
+    return;
+  }
+
+  // Get player info
+  const player = session.players.find(p => p.claimedBy === ws.clientId);
+  const playerName = player?.name || "Unknown Player";
+
+  // Generate random result (1 to sides inclusive)
+  const result = Math.floor(Math.random() * sides) + 1;
+
+  // Create roll data
+  const rollData = {
+    playerId: player ? player.id : null,
+    playerName,
+    sides,
+    result,
+    timestamp: Date.now(),
+  };
+
+  // Broadcast to all clients in this game
+  await broadcastToGame(ws.gameId, "diceRolled", rollData);
+
+  logger.info(
+    {
+      gameId: ws.gameId,
+      playerName,
+      sides,
+      result,
+    },
+    "Dice rolled"
+  );
+}
+
+/**
+ * Handle planar die roll - the Nth roll in a turn costs N-1 mana
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleRollPlanarDie(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  if (!session.settings.planechase || session.status !== "running") {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Planar die can only be rolled during a Planechase game" },
+      })
+    );
+    metrics.recordError("invalid_planar_roll");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the player holding the turn can roll the planar die
+      if (!session.canPassTurn(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to roll the planar die" },
+          })
+        );
+        metrics.recordAuthDenied("rollPlanarDie");
+        return;
+      }
+
+      const player = session.players.find(p => p.claimedBy === ws.clientId && !p.isEliminated);
+      session.lastActivity = Date.now();
+      const roll = player ? session.rollPlanarDie(player.id) : null;
+      if (!roll) return;
+
+      await appendGameEvent(ws.gameId, session, "rollPlanarDie", ws.clientId, {
+        face: roll.face,
+        cost: roll.cost,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info({ gameId: ws.gameId, ...roll }, "Planar die rolled");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("rollPlanarDie_lock_error");
+  }
+}
+
+/**
+ * Handle set plane message - record the plane the table is on
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data with name (empty to clear)
+ */
+async function handleSetPlane(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  if (!session.settings.planechase || (data.name != null && typeof data.name !== "string")) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid plane" } }));
+    metrics.recordError("invalid_plane");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Any player at the table (or the owner) can record the plane
+      if (!session.isOwner(ws.clientId) && !session.hasClaimedPlayer(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to set the plane" },
+          })
+        );
+        metrics.recordAuthDenied("setPlane");
+        return;
+      }
+
+      let name = sanitizeString(data.name?.trim() || "");
+      if (name.length > CONSTANTS.MAX_PLANE_NAME_LENGTH) {
+        name = name.substring(0, CONSTANTS.MAX_PLANE_NAME_LENGTH);
+      }
+
+      session.lastActivity = Date.now();
+      if (!session.setCurrentPlane(name)) return;
+
+      await appendGameEvent(ws.gameId, session, "setPlane", ws.clientId, {
+        name: session.currentPlane,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
       }
 
-      logger.info({ gameId: ws.gameId, playerId: myPlayer.id }, "Player passed priority");
+      logger.debug({ gameId: ws.gameId, plane: session.currentPlane }, "Plane set");
     });
   } catch (error) {
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
-    metrics.recordError("passPriority_lock_error");
+    metrics.recordError("setPlane_lock_error");
   }
 }
 
 /**
- * Handle pass turn message
+ * Handle transfer designation message - give the monarch or the initiative to a player
  * @param {WebSocket} ws - WebSocket client
- * @param {object} data - Message data
+ * @param {object} data - Message data with designation and playerId (null to remove)
  */
-async function handlePassTurn(ws, data) {
+async function handleTransferDesignation(ws, data) {
   const session = await getSessionForHandler(ws.gameId);
 
   if (!session) return;
 
+  if (
+    !CONSTANTS.DESIGNATIONS.includes(data.designation) ||
+    (data.playerId !== null && !Number.isInteger(data.playerId))
+  ) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid designation" } }));
+    metrics.recordError("invalid_designation");
+    return;
+  }
+
   try {
     await withGameLock(ws.gameId, async () => {
-      // Only the active player can pass their turn
-      const activePlayer = session.players.find(p => p.id === session.activePlayer);
-      if (!activePlayer || activePlayer.claimedBy !== ws.clientId) {
+      // Any player at the table (or the owner) can move a designation
+      if (!session.isOwner(ws.clientId) && !session.hasClaimedPlayer(ws.clientId)) {
         safeSend(
           ws,
           JSON.stringify({
             type: "error",
-            data: { message: "Not authorized to pass turn" },
+            data: { message: "Not authorized to transfer designations" },
           })
         );
-        metrics.recordAuthDenied("passTurn");
+        metrics.recordAuthDenied("transferDesignation");
         return;
       }
 
       session.lastActivity = Date.now();
-      session.passTurn();
+      const entry = session.recordAction("transferDesignation", ws.clientId, () =>
+        session.transferDesignation(data.designation, data.playerId)
+      );
+      if (!entry) return;
+
+      await appendGameEvent(ws.gameId, session, "transferDesignation", ws.clientId, {
+        designation: data.designation,
+        playerId: data.playerId,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug(
+        { gameId: ws.gameId, designation: data.designation, playerId: data.playerId },
+        "Designation transferred"
+      );
     });
   } catch (error) {
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
-    metrics.recordError("passTurn_lock_error");
+    metrics.recordError("transferDesignation_lock_error");
   }
 }
 
 /**
- * Handle rename game message
+ * Handle venture message - the initiative holder moves to the next Undercity room
  * @param {WebSocket} ws - WebSocket client
  * @param {object} data - Message data
  */
-async function handleRenameGame(ws, data) {
+async function handleVenture(ws, data) {
   const session = await getSessionForHandler(ws.gameId);
 
   if (!session) return;
 
+  if (session.initiative === null) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Nobody has the initiative" } }));
+    metrics.recordError("invalid_venture");
+    return;
+  }
+
   try {
     await withGameLock(ws.gameId, async () => {
-      session.lastActivity = Date.now();
-
-      // Validate, sanitize, and truncate game name
-      let newName = data.name?.trim() || "Game";
-      newName = sanitizeString(newName);
-      if (newName.length > CONSTANTS.MAX_GAME_NAME_LENGTH) {
-        newName = newName.substring(0, CONSTANTS.MAX_GAME_NAME_LENGTH);
+      // Only the owner or the initiative holder can venture
+      if (!session.canModifyPlayer(session.initiative, ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to venture" },
+          })
+        );
+        metrics.recordAuthDenied("venture");
+        return;
       }
-      session.name = newName;
 
-      // Broadcast name change to all clients
-      session.broadcastState();
+      session.lastActivity = Date.now();
+      const playerId = session.initiative;
+      session.recordAction("venture", ws.clientId, () => session.ventureIntoUndercity(playerId));
+
+      await appendGameEvent(ws.gameId, session, "venture", ws.clientId, {
+        playerId,
+        room: session.dungeonRooms[playerId],
+      });
 
-      // Sync to Redis if using Redis
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
       }
-
-      // Send confirmation to the requester
-      safeSend(
-        ws,
-        JSON.stringify({
-          type: "gameRenamed",
-          data: { name: newName },
-        })
-      );
-
-      logger.info({ gameId: ws.gameId, clientId: ws.clientId, newName }, "Game renamed");
     });
   } catch (error) {
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
-    metrics.recordError("renameGame_lock_error");
+    metrics.recordError("venture_lock_error");
   }
 }
 
 /**
- * Handle random start player selection
+ * Handle set day/night message
  * @param {WebSocket} ws - WebSocket client
- * @param {object} data - Message data
+ * @param {object} data - Message data with state ("day", "night" or null)
  */
-async function handleRandomStartPlayer(ws, data) {
+async function handleSetDayNight(ws, data) {
   const session = await getSessionForHandler(ws.gameId);
 
   if (!session) return;
 
+  if (data.state !== null && !Object.values(CONSTANTS.DAY_NIGHT).includes(data.state)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid day/night state" } }));
+    metrics.recordError("invalid_day_night");
+    return;
+  }
+
   try {
     await withGameLock(ws.gameId, async () => {
-      // Validate game state - can only select before game starts
-      if (session.status !== "waiting") {
+      if (!session.isOwner(ws.clientId) && !session.hasClaimedPlayer(ws.clientId)) {
         safeSend(
           ws,
           JSON.stringify({
             type: "error",
-            data: { message: "Can only select random player before game starts" },
-          })
-        );
-        return;
-      }
-
-      // Get eligible players (claimed and not eliminated)
-      const eligiblePlayers = session.players.filter(
-        player => player.claimedBy && !player.isEliminated
-      );
-
-      if (eligiblePlayers.length === 0) {
-        safeSend(
-          ws,
-          JSON.stringify({
-            type: "error",
-            data: { message: "No eligible players to select from" },
+            data: { message: "Not authorized to change day/night" },
           })
         );
+        metrics.recordAuthDenied("setDayNight");
         return;
       }
 
-      // Random selection
-      const randomIndex = Math.floor(Math.random() * eligiblePlayers.length);
-      const selectedPlayer = eligiblePlayers[randomIndex];
-      session.activePlayer = selectedPlayer.id;
       session.lastActivity = Date.now();
+      const entry = session.recordAction("setDayNight", ws.clientId, () =>
+        session.setDayNight(data.state)
+      );
+      if (!entry) return;
 
-      // Broadcast random player selected event to all clients
-      if (serverState.wss) {
-        serverState.wss.clients.forEach(client => {
-          if (client.gameId === ws.gameId) {
-            safeSend(
-              client,
-              JSON.stringify({
-                type: "randomPlayerSelected",
-                data: {
-                  playerId: selectedPlayer.id,
-                  playerName: selectedPlayer.name,
-                },
-              })
-            );
-          }
-        });
-      }
-
-      // Also broadcast updated game state
-      session.broadcastState();
+      await appendGameEvent(ws.gameId, session, "setDayNight", ws.clientId, { state: data.state });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
       }
-
-      logger.info(
-        {
-          gameId: ws.gameId,
-          selectedPlayerId: selectedPlayer.id,
-          selectedPlayerName: selectedPlayer.name,
-        },
-        "Random starting player selected"
-      );
     });
   } catch (error) {
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
-    metrics.recordError("randomStartPlayer_lock_error");
+    metrics.recordError("setDayNight_lock_error");
   }
 }
 
 /**
- * Handle dice roll request
+ * Handle set spells cast message - the active player's spell count this turn
  * @param {WebSocket} ws - WebSocket client
- * @param {object} data - Message data containing sides
+ * @param {object} data - Message data with count
  */
-async function handleRollDice(ws, data) {
+async function handleSetSpellsCast(ws, data) {
   const session = await getSessionForHandler(ws.gameId);
 
   if (!session) return;
 
-  const { sides } = data;
-
-  // Validate sides parameter
-  if (typeof sides !== "number" || !Number.isInteger(sides)) {
-    safeSend(
-      ws,
-      JSON.stringify({
-        type: "error",
-        data: { message: "Dice sides must be an integer" },
-      })
-    );
-    return;
-  }
-
-  if (sides < CONSTANTS.DICE_MIN_SIDES || sides > CONSTANTS.DICE_MAX_SIDES) {
-    safeSend(
-      ws,
-      JSON.stringify({
-        type: "error",
-        data: {
-          message: `Dice sides must be between ${CONSTANTS.DICE_MIN_SIDES} and ${CONSTANTS.DICE_MAX_SIDES}`,
-        },
-      })
-    );
+  if (
+    !Number.isInteger(data.count) ||
+    data.count < 0 ||
+    data.count > CONSTANTS.MAX_SPELLS_PER_TURN
+  ) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid spell count" } }));
+    metrics.recordError("invalid_spells_cast");
     return;
   }
 
-  // Get player info
-  const player = session.players.find(p => p.claimedBy === ws.clientId);
-  const playerName = player?.name || "Unknown Player";
-
-  // Generate random result (1 to sides inclusive)
-  const result = Math.floor(Math.random() * sides) + 1;
-
-  // Create roll data
-  const rollData = {
-    playerName,
-    sides,
-    result,
-    timestamp: Date.now(),
-  };
-
-  // Broadcast to all clients in this game
-  if (serverState.wss) {
-    serverState.wss.clients.forEach(client => {
-      if (client.gameId === ws.gameId) {
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the owner or the player holding the turn enters their spells
+      if (!session.isOwner(ws.clientId) && !session.canPassTurn(ws.clientId)) {
         safeSend(
-          client,
+          ws,
           JSON.stringify({
-            type: "diceRolled",
-            data: rollData,
+            type: "error",
+            data: { message: "Not authorized to set spells cast" },
           })
         );
+        metrics.recordAuthDenied("setSpellsCast");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      const entry = session.recordAction("setSpellsCast", ws.clientId, () =>
+        session.setSpellsCast(data.count)
+      );
+      if (!entry) return;
+
+      await appendGameEvent(ws.gameId, session, "setSpellsCast", ws.clientId, {
+        count: data.count,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
       }
     });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("setSpellsCast_lock_error");
   }
-
-  logger.info(
-    {
-      gameId: ws.gameId,
-      playerName,
-      sides,
-      result,
-    },
-    "Dice rolled"
-  );
 }
 
 /**
@@ -665,6 +1389,9 @@ async function handleRollPlayOrder(ws, data) {
       }
 
       session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "rollPlayOrder", ws.clientId, {
+        order: newPlayerOrder.map(p => p.id),
+      });
 
       // Build roll data for broadcast
       const rollData = rollResults.map((entry, index) => ({
@@ -676,22 +1403,10 @@ async function handleRollPlayOrder(ws, data) {
       }));
 
       // Broadcast play order results to all clients
-      if (serverState.wss) {
-        serverState.wss.clients.forEach(client => {
-          if (client.gameId === ws.gameId) {
-            safeSend(
-              client,
-              JSON.stringify({
-                type: "playOrderRolled",
-                data: {
-                  rolls: rollData,
-                  newOrder: newPlayerOrder.map(p => p.id),
-                },
-              })
-            );
-          }
-        });
-      }
+      await broadcastToGame(ws.gameId, "playOrderRolled", {
+        rolls: rollData,
+        newOrder: newPlayerOrder.map(p => p.id),
+      });
 
       // Broadcast updated game state
       session.broadcastState();
@@ -748,7 +1463,8 @@ async function handleAdminRevive(ws, data) {
       }
 
       session.lastActivity = Date.now();
-      session.revivePlayer(playerId);
+      session.recordAction("adminRevive", ws.clientId, () => session.revivePlayer(playerId));
+      await appendGameEvent(ws.gameId, session, "adminRevive", ws.clientId, { playerId });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -809,6 +1525,7 @@ async function handleAdminKick(ws, data) {
       };
 
       session.kickPlayer(playerId, notifyClient);
+      await appendGameEvent(ws.gameId, session, "adminKick", ws.clientId, { playerId });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -869,7 +1586,13 @@ async function handleAdminAddTime(ws, data) {
 
       session.lastActivity = Date.now();
       const milliseconds = minutes * 60 * 1000;
-      session.addTimeToPlayer(playerId, milliseconds);
+      session.recordAction("adminAddTime", ws.clientId, () =>
+        session.addTimeToPlayer(playerId, milliseconds)
+      );
+      await appendGameEvent(ws.gameId, session, "adminAddTime", ws.clientId, {
+        playerId,
+        milliseconds,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -935,6 +1658,10 @@ async function handleTimeoutChoice(ws, data) {
 
       session.lastActivity = Date.now();
       session.resolveTimeoutChoice(player.id, choice);
+      await appendGameEvent(ws.gameId, session, "timeoutChoice", ws.clientId, {
+        playerId: player.id,
+        choice,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -948,21 +1675,124 @@ async function handleTimeoutChoice(ws, data) {
   }
 }
 
+/**
+ * Handle undo message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleUndo(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the owner or the player who took the action may undo it
+      if (!session.canUndo(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to undo" },
+          })
+        );
+        metrics.recordAuthDenied("undo");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      const entry = session.undo(ws.clientId);
+      await appendGameEvent(ws.gameId, session, "undo", ws.clientId, { action: entry.type });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info(
+        { gameId: ws.gameId, clientId: ws.clientId, action: entry.type },
+        "Action undone"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("undo_lock_error");
+  }
+}
+
+/**
+ * Handle redo message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleRedo(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      // Only the owner or the player who took the action may redo it
+      if (!session.canRedo(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to redo" },
+          })
+        );
+        metrics.recordAuthDenied("redo");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      const entry = session.redo(ws.clientId);
+      await appendGameEvent(ws.gameId, session, "redo", ws.clientId, { action: entry.type });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.info(
+        { gameId: ws.gameId, clientId: ws.clientId, action: entry.type },
+        "Action redone"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("redo_lock_error");
+  }
+}
+
 module.exports = {
   start: handleStart,
+  cancelStart: handleCancelStart,
   pause: handlePause,
   reset: handleReset,
   switch: handleSwitch,
   passTurn: handlePassTurn,
+  displayPassTurn: handleDisplayPassTurn,
+  getDisplayToken: handleGetDisplayToken,
+  setPhase: handleSetPhase,
+  advancePhase: handleAdvancePhase,
   endGame: handleEndGame,
   renameGame: handleRenameGame,
   interrupt: handleInterrupt,
   passPriority: handlePassPriority,
+  resolveStack: handleResolveStack,
   randomStartPlayer: handleRandomStartPlayer,
   rollDice: handleRollDice,
+  rollPlanarDie: handleRollPlanarDie,
+  setPlane: handleSetPlane,
+  transferDesignation: handleTransferDesignation,
+  venture: handleVenture,
+  setDayNight: handleSetDayNight,
+  setSpellsCast: handleSetSpellsCast,
   rollPlayOrder: handleRollPlayOrder,
   adminRevive: handleAdminRevive,
   adminKick: handleAdminKick,
   adminAddTime: handleAdminAddTime,
   timeoutChoice: handleTimeoutChoice,
+  undo: handleUndo,
+  redo: handleRedo,
+  attachTimerHooks,
 };
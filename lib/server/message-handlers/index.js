@@ -20,6 +20,9 @@ const claimHandlers = require("./claim");
 const feedbackHandler = require("./feedback");
 const feedbackManagementHandlers = require("./feedback-management");
 const targetingHandlers = require("./targeting");
+const tournamentHandlers = require("./tournament");
+const campaignPresetHandlers = require("./campaign-preset");
+const profileHandlers = require("./profile");
 
 /**
  * Message handler registry
@@ -32,16 +35,28 @@ const handlers = {
 
   // Game control
   start: gameControlHandlers.start,
+  cancelStart: gameControlHandlers.cancelStart,
   pause: gameControlHandlers.pause,
   reset: gameControlHandlers.reset,
   switch: gameControlHandlers.switch,
   passTurn: gameControlHandlers.passTurn,
+  displayPassTurn: gameControlHandlers.displayPassTurn,
+  getDisplayToken: gameControlHandlers.getDisplayToken,
+  setPhase: gameControlHandlers.setPhase,
+  advancePhase: gameControlHandlers.advancePhase,
   endGame: gameControlHandlers.endGame,
   renameGame: gameControlHandlers.renameGame,
   interrupt: gameControlHandlers.interrupt,
   passPriority: gameControlHandlers.passPriority,
+  resolveStack: gameControlHandlers.resolveStack,
   randomStartPlayer: gameControlHandlers.randomStartPlayer,
   rollDice: gameControlHandlers.rollDice,
+  rollPlanarDie: gameControlHandlers.rollPlanarDie,
+  setPlane: gameControlHandlers.setPlane,
+  transferDesignation: gameControlHandlers.transferDesignation,
+  venture: gameControlHandlers.venture,
+  setDayNight: gameControlHandlers.setDayNight,
+  setSpellsCast: gameControlHandlers.setSpellsCast,
   rollPlayOrder: gameControlHandlers.rollPlayOrder,
 
   // Admin controls
@@ -52,10 +67,20 @@ const handlers = {
   // Timeout choice
   timeoutChoice: gameControlHandlers.timeoutChoice,
 
+  // History
+  undo: gameControlHandlers.undo,
+  redo: gameControlHandlers.redo,
+
   // Player actions
   updatePlayer: playerHandlers.updatePlayer,
+  updateCommanderDamage: playerHandlers.updateCommanderDamage,
   addPenalty: playerHandlers.addPenalty,
   eliminate: playerHandlers.eliminate,
+  assignTeam: playerHandlers.assignTeam,
+  setVillain: playerHandlers.setVillain,
+  setReady: playerHandlers.setReady,
+  mulligan: playerHandlers.mulligan,
+  keepHand: playerHandlers.keepHand,
   updateSettings: playerHandlers.updateSettings,
 
   // Claiming
@@ -74,8 +99,46 @@ const handlers = {
   confirmTargets: targetingHandlers.confirmTargets,
   passTargetPriority: targetingHandlers.passTargetPriority,
   cancelTargeting: targetingHandlers.cancelTargeting,
+
+  // Tournaments
+  createTournament: tournamentHandlers.createTournament,
+  joinTournament: tournamentHandlers.joinTournament,
+  dropTournament: tournamentHandlers.dropTournament,
+  startTournamentRound: tournamentHandlers.startTournamentRound,
+  reportTournamentResult: tournamentHandlers.reportTournamentResult,
+
+  // Campaign presets
+  createCampaignPreset: campaignPresetHandlers.createCampaignPreset,
+  listCampaignPresets: campaignPresetHandlers.listCampaignPresets,
+
+  // Player profiles
+  createProfile: profileHandlers.createProfile,
 };
 
+/**
+ * Messages a spectator may send. Everything else changes a game, so the
+ * registry refuses it until the client joins again as a player. Table
+ * displays join as spectators, so they can pass the turn when the owner
+ * allows it.
+ */
+const SPECTATOR_MESSAGES = new Set([
+  "create",
+  "join",
+  "displayPassTurn",
+  "feedback",
+  "loadFeedbacks",
+  "updateFeedback",
+  "deleteFeedback",
+  "createTournament",
+  "joinTournament",
+  "dropTournament",
+  "startTournamentRound",
+  "reportTournamentResult",
+  "createCampaignPreset",
+  "listCampaignPresets",
+  "createProfile",
+]);
+
 /**
  * Process a WebSocket message
  * @param {WebSocket} ws - WebSocket client
@@ -102,6 +165,15 @@ async function processMessage(ws, message) {
 
   metrics.recordMessageReceived(type);
 
+  if (ws.isSpectator && !SPECTATOR_MESSAGES.has(type)) {
+    safeSend(
+      ws,
+      JSON.stringify({ type: "error", data: { message: "Spectators can't change the game" } })
+    );
+    metrics.recordAuthDenied(type);
+    return;
+  }
+
   try {
     await handler(ws, data);
   } catch (error) {
@@ -163,6 +235,7 @@ function createMessageHandler(rateLimiters) {
 
 module.exports = {
   handlers,
+  SPECTATOR_MESSAGES,
   processMessage,
   createMessageHandler,
   checkConnectionRateLimit,
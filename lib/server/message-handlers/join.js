@@ -8,13 +8,14 @@ const { logger } = require("../../logger");
 const metrics = require("../../metrics");
 const { withGameLock } = require("../../lock");
 const { serverState } = require("../state");
-const { safeSend, subscribeToGameChannel } = require("../websocket");
+const { safeSend, subscribeToGameChannel, redactForSpectators } = require("../websocket");
 const { ensureGameLoaded } = require("../persistence");
 
 /**
- * Handle join game message
+ * Handle join game message. Clients joining with asSpectator get a read-only
+ * view: the registry only lets them send the messages in SPECTATOR_MESSAGES.
  * @param {WebSocket} ws - WebSocket client
- * @param {object} data - Message data
+ * @param {object} data - Message data ({ gameId, asSpectator? })
  */
 async function handleJoin(ws, data) {
   if (!data.gameId) {
@@ -52,14 +53,24 @@ async function handleJoin(ws, data) {
     return;
   }
 
+  const asSpectator = data.asSpectator === true;
+  const previousGameId = ws.gameId;
+
   try {
     await withGameLock(data.gameId, async () => {
       ws.gameId = data.gameId;
+      ws.isSpectator = asSpectator;
       session.lastActivity = Date.now();
 
-      // Set owner if not already set (for restored sessions)
-      if (!session.ownerId) {
-        session.setOwner(ws.clientId);
+      if (asSpectator) {
+        session.addSpectator(ws.clientId);
+      } else {
+        session.removeSpectator(ws.clientId);
+
+        // Set owner if not already set (for restored sessions)
+        if (!session.ownerId) {
+          session.setOwner(ws.clientId);
+        }
       }
 
       // Subscribe to game channel for cross-instance messaging
@@ -73,17 +84,36 @@ async function handleJoin(ws, data) {
       }
     });
 
+    // Stop counting a spectator in the game it watched before
+    if (previousGameId && previousGameId !== data.gameId) {
+      const previous = serverState.getSession(previousGameId);
+      if (previous && previous.removeSpectator(ws.clientId)) {
+        previous.broadcastState();
+      }
+    }
+
     // Track viewer for this game
     const viewerCount = serverState.addViewer(data.gameId, ws.clientId);
 
-    safeSend(ws, JSON.stringify({ type: "state", data: session.getState() }));
+    const state = session.getState();
+    const hidden = asSpectator && session.settings.hideFromSpectators;
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "state",
+        data: hidden ? redactForSpectators("state", state) : state,
+      })
+    );
     metrics.recordMessageSent("state");
 
     // Broadcast to ALL clients so they know about the new viewer
     // This ensures state consistency across all connected clients
     session.broadcastState();
 
-    logger.info({ gameId: data.gameId, clientId: ws.clientId, viewerCount }, "Client joined game");
+    logger.info(
+      { gameId: data.gameId, clientId: ws.clientId, viewerCount, asSpectator },
+      "Client joined game"
+    );
   } catch (error) {
     logger.error({ error: error.message, gameId: data.gameId }, "Join error");
     safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
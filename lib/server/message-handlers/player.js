@@ -12,11 +12,26 @@ const {
   validatePlayerName,
   validateTimeValue,
   validateWarningThresholds,
+  validateClockMode,
+  validateTurnLimitPolicy,
+  validateTurnDirection,
+  validateSeatMap,
+  validateTargetingPriorityMode,
+  validateCounterIds,
+  validateCustomCounters,
   sanitizeString,
 } = require("../../shared/validators");
 const { serverState } = require("../state");
 const { safeSend } = require("../websocket");
-const { ensureGameLoaded, syncGameToRedis, getSessionForHandler } = require("../persistence");
+const {
+  ensureGameLoaded,
+  syncGameToRedis,
+  appendGameEvent,
+  getSessionForHandler,
+} = require("../persistence");
+
+// Settings only the game owner can change through updateSettings
+const OWNER_ONLY_SETTINGS = ["hideFromSpectators", "displayTapToPass", "requireReady"];
 
 /**
  * Handle update player message
@@ -36,6 +51,12 @@ async function handleUpdatePlayer(ws, data) {
   // Validate inputs
   if (data.name !== undefined && !validatePlayerName(data.name)) return;
   if (data.time !== undefined && !validateTimeValue(data.time)) return;
+  if (
+    data.counters !== undefined &&
+    (typeof data.counters !== "object" || data.counters === null || Array.isArray(data.counters))
+  ) {
+    return;
+  }
 
   // Sanitize name
   if (data.name !== undefined) {
@@ -71,7 +92,10 @@ async function handleUpdatePlayer(ws, data) {
       }, "Player updated");
 
       session.lastActivity = Date.now();
-      session.updatePlayer(data.playerId, data);
+      session.recordAction("updatePlayer", ws.clientId, () =>
+        session.updatePlayer(data.playerId, data)
+      );
+      await appendGameEvent(ws.gameId, session, "updatePlayer", ws.clientId, { ...data });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -83,6 +107,69 @@ async function handleUpdatePlayer(ws, data) {
   }
 }
 
+/**
+ * Handle update commander damage message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleUpdateCommanderDamage(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  // Validate player IDs
+  if (data.playerId === undefined || data.playerId < 1 || data.playerId > CONSTANTS.MAX_PLAYERS) {
+    return;
+  }
+  if (data.sourceId === undefined || data.sourceId < 1 || data.sourceId > CONSTANTS.MAX_PLAYERS) {
+    return;
+  }
+
+  // Slot 0 is the commander, slot 1 a partner
+  const slot = data.slot ?? 0;
+  if (!Number.isInteger(slot) || slot < 0 || slot >= CONSTANTS.COMMANDER_SLOTS) return;
+  if (!Number.isInteger(data.damage)) return;
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.canModifyPlayer(data.playerId, ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to modify this player" },
+          })
+        );
+        metrics.recordAuthDenied("updateCommanderDamage");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      session.recordAction("updateCommanderDamage", ws.clientId, () =>
+        session.updateCommanderDamage(data.playerId, data.sourceId, slot, data.damage)
+      );
+      await appendGameEvent(ws.gameId, session, "updateCommanderDamage", ws.clientId, {
+        playerId: data.playerId,
+        sourceId: data.sourceId,
+        slot,
+        damage: data.damage,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug(
+        { gameId: ws.gameId, playerId: data.playerId, sourceId: data.sourceId, slot },
+        "Commander damage updated"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("updateCommanderDamage_lock_error");
+  }
+}
+
 /**
  * Handle add penalty message
  * @param {WebSocket} ws - WebSocket client
@@ -101,7 +188,10 @@ async function handleAddPenalty(ws, data) {
   try {
     await withGameLock(ws.gameId, async () => {
       session.lastActivity = Date.now();
-      session.addPenalty(data.playerId);
+      session.recordAction("addPenalty", ws.clientId, () => session.addPenalty(data.playerId));
+      await appendGameEvent(ws.gameId, session, "addPenalty", ws.clientId, {
+        playerId: data.playerId,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -133,7 +223,10 @@ async function handleEliminate(ws, data) {
   try {
     await withGameLock(ws.gameId, async () => {
       session.lastActivity = Date.now();
-      session.eliminate(data.playerId);
+      session.recordAction("eliminate", ws.clientId, () => session.eliminate(data.playerId));
+      await appendGameEvent(ws.gameId, session, "eliminate", ws.clientId, {
+        playerId: data.playerId,
+      });
 
       if (serverState.isRedisPrimaryMode) {
         await syncGameToRedis(ws.gameId);
@@ -147,6 +240,325 @@ async function handleEliminate(ws, data) {
   }
 }
 
+/**
+ * Handle assign team message (teams mode, waiting room only)
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleAssignTeam(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  // Validate player ID
+  if (data.playerId === undefined || data.playerId < 1 || data.playerId > CONSTANTS.MAX_PLAYERS) {
+    return;
+  }
+
+  if (session.mode !== "teams" || !Number.isInteger(data.teamId)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid team" } }));
+    metrics.recordError("invalid_team");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.canModifyPlayer(data.playerId, ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Not authorized to modify this player" },
+          })
+        );
+        metrics.recordAuthDenied("assignTeam");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      if (!session.assignTeam(data.playerId, data.teamId)) return;
+      await appendGameEvent(ws.gameId, session, "assignTeam", ws.clientId, {
+        playerId: data.playerId,
+        teamId: data.teamId,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug(
+        { gameId: ws.gameId, playerId: data.playerId, teamId: data.teamId },
+        "Player assigned to team"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("assignTeam_lock_error");
+  }
+}
+
+/**
+ * Handle set villain message (archenemy mode, waiting room only, owner only)
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleSetVillain(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  if (session.mode !== "archenemy" || !Number.isInteger(data.playerId)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid villain" } }));
+    metrics.recordError("invalid_villain");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!session.isOwner(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Only the game owner can choose the archenemy" },
+          })
+        );
+        metrics.recordAuthDenied("setVillain");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      if (!session.setVillain(data.playerId)) return;
+      await appendGameEvent(ws.gameId, session, "setVillain", ws.clientId, {
+        playerId: data.playerId,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug({ gameId: ws.gameId, playerId: data.playerId }, "Villain chosen");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("setVillain_lock_error");
+  }
+}
+
+/**
+ * Handle set ready message - readies or unreadies the sender's seat in the lobby
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleSetReady(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  if (typeof data.ready !== "boolean") {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid ready state" } }));
+    metrics.recordError("invalid_ready");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      const player = session.players.find(p => p.claimedBy === ws.clientId);
+      if (!player) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Claim a seat to ready up" },
+          })
+        );
+        metrics.recordAuthDenied("setReady");
+        return;
+      }
+
+      if (session.status !== "waiting") {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Ready check is only before the game starts" },
+          })
+        );
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      if (!session.setReady(player.id, data.ready)) return;
+      await appendGameEvent(ws.gameId, session, "setReady", ws.clientId, {
+        playerId: player.id,
+        ready: data.ready,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug({ gameId: ws.gameId, playerId: player.id, ready: data.ready }, "Ready changed");
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("setReady_lock_error");
+  }
+}
+
+/**
+ * Check a pregame message before touching the session: a valid player whose
+ * hand this client may decide, while the pregame is on
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} session - Game session
+ * @param {number} playerId - Player ID
+ * @param {string} action - Message type, for metrics
+ * @returns {boolean} True if the message may go ahead
+ */
+function checkPregameAction(ws, session, playerId, action) {
+  if (!session.canModifyPlayer(playerId, ws.clientId)) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Not authorized to modify this player" },
+      })
+    );
+    metrics.recordAuthDenied(action);
+    return false;
+  }
+
+  if (session.status !== "pregame") {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Mulligans are only during the pregame" },
+      })
+    );
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handle mulligan message (pregame only)
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleMulligan(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  // Validate player ID
+  if (data.playerId === undefined || data.playerId < 1 || data.playerId > CONSTANTS.MAX_PLAYERS) {
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!checkPregameAction(ws, session, data.playerId, "mulligan")) return;
+
+      session.lastActivity = Date.now();
+      if (!session.takeMulligan(data.playerId)) return;
+      const player = session.players.find(p => p.id === data.playerId);
+      await appendGameEvent(ws.gameId, session, "mulligan", ws.clientId, {
+        playerId: data.playerId,
+        mulligans: player.mulligans,
+      });
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug(
+        { gameId: ws.gameId, playerId: data.playerId, mulligans: player.mulligans },
+        "Mulligan taken"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("mulligan_lock_error");
+  }
+}
+
+/**
+ * Handle keep hand message (pregame only). The game starts once every
+ * player has kept.
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleKeepHand(ws, data) {
+  const session = await getSessionForHandler(ws.gameId);
+
+  if (!session) return;
+
+  // Validate player ID
+  if (data.playerId === undefined || data.playerId < 1 || data.playerId > CONSTANTS.MAX_PLAYERS) {
+    return;
+  }
+
+  if (data.bottomed !== undefined && (!Number.isInteger(data.bottomed) || data.bottomed < 0)) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid bottomed cards" } }));
+    metrics.recordError("invalid_bottomed");
+    return;
+  }
+
+  try {
+    await withGameLock(ws.gameId, async () => {
+      if (!checkPregameAction(ws, session, data.playerId, "keepHand")) return;
+
+      // London mulligan: one card to the bottom for every mulligan taken
+      const player = session.players.find(p => p.id === data.playerId);
+      if (player && data.bottomed !== undefined && data.bottomed !== player.mulligans) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Put one card on the bottom for each mulligan" },
+          })
+        );
+        metrics.recordError("invalid_bottomed");
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      if (!session.keepHand(data.playerId, data.bottomed)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Can't keep that hand" },
+          })
+        );
+        return;
+      }
+      await appendGameEvent(ws.gameId, session, "keepHand", ws.clientId, {
+        playerId: data.playerId,
+        mulligans: player.mulligans,
+        bottomed: player.bottomedCards,
+      });
+      if (session.status === "running") {
+        await appendGameEvent(ws.gameId, session, "start", ws.clientId);
+      }
+
+      if (serverState.isRedisPrimaryMode) {
+        await syncGameToRedis(ws.gameId);
+      }
+
+      logger.debug({ gameId: ws.gameId, playerId: data.playerId }, "Hand kept");
+      if (session.status === "running") {
+        logger.info({ gameId: ws.gameId }, "Game started after mulligans");
+      }
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("keepHand_lock_error");
+  }
+}
+
 /**
  * Handle update settings message
  * @param {WebSocket} ws - WebSocket client
@@ -172,8 +584,118 @@ async function handleUpdateSettings(ws, data) {
     }
   }
 
+  // Validate clock mode if provided
+  if (data.clockMode !== undefined && !validateClockMode(data.clockMode)) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Invalid clock mode" },
+      })
+    );
+    metrics.recordError("invalid_clock_mode");
+    return;
+  }
+
+  // Validate turn time limit settings if provided
+  if (
+    (data.turnTimeLimit !== undefined && !Number.isFinite(data.turnTimeLimit)) ||
+    (data.turnLimitPolicy !== undefined && !validateTurnLimitPolicy(data.turnLimitPolicy)) ||
+    (data.turnWarningThresholds !== undefined &&
+      !validateWarningThresholds(data.turnWarningThresholds))
+  ) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Invalid turn time limit settings" },
+      })
+    );
+    metrics.recordError("invalid_turn_limit");
+    return;
+  }
+
+  // Validate seating if provided - the seat map must seat every player once
+  const playerIds = session.players.map(p => p.id);
+  if (
+    (data.turnDirection !== undefined && !validateTurnDirection(data.turnDirection)) ||
+    (data.seatMap !== undefined && !validateSeatMap(data.seatMap, playerIds))
+  ) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Invalid seating" },
+      })
+    );
+    metrics.recordError("invalid_seating");
+    return;
+  }
+
+  // Validate targeting priority mode if provided
+  if (
+    data.targetingPriorityMode !== undefined &&
+    !validateTargetingPriorityMode(data.targetingPriorityMode)
+  ) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Invalid targeting priority mode" },
+      })
+    );
+    metrics.recordError("invalid_targeting_priority_mode");
+    return;
+  }
+
+  // Validate counter selection if provided
+  if (
+    (data.counters !== undefined && !validateCounterIds(data.counters)) ||
+    (data.customCounters !== undefined && !validateCustomCounters(data.customCounters))
+  ) {
+    safeSend(
+      ws,
+      JSON.stringify({
+        type: "error",
+        data: { message: "Invalid counters" },
+      })
+    );
+    metrics.recordError("invalid_counters");
+    return;
+  }
+
   try {
     await withGameLock(ws.gameId, async () => {
+      // Seating decides turn order, so it is fixed once the game starts
+      if (
+        (data.seatMap !== undefined || data.turnDirection !== undefined) &&
+        session.status !== "waiting"
+      ) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Seating can only change before the game starts" },
+          })
+        );
+        return;
+      }
+
+      if (
+        OWNER_ONLY_SETTINGS.some(key => data[key] !== undefined) &&
+        !session.isOwner(ws.clientId)
+      ) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Only the game owner can change that setting" },
+          })
+        );
+        metrics.recordAuthDenied("updateSettings");
+        return;
+      }
+
       session.lastActivity = Date.now();
       let settingsChanged = false;
 
@@ -189,6 +711,116 @@ async function handleUpdateSettings(ws, data) {
         settingsChanged = true;
       }
 
+      if (data.clockMode !== undefined && data.clockMode !== session.settings.clockMode) {
+        session.settings.clockMode = data.clockMode;
+        // Takes effect from the next turn
+        session.delayRemaining = 0;
+        session.turnStartTime = null;
+        settingsChanged = true;
+      }
+
+      if (data.turnTimeLimit !== undefined) {
+        // Validate: 0 (off) to 1 hour
+        const limit = Math.max(0, Math.min(data.turnTimeLimit, CONSTANTS.MAX_TURN_TIME_LIMIT));
+        session.settings.turnTimeLimit = limit;
+        // Takes effect from the next turn; turning it off also ends the current countdown
+        if (limit === 0) {
+          session.turnTimeRemaining = null;
+        }
+        settingsChanged = true;
+      }
+
+      if (data.turnLimitPolicy !== undefined) {
+        session.settings.turnLimitPolicy = data.turnLimitPolicy;
+        settingsChanged = true;
+      }
+
+      if (data.turnWarningThresholds !== undefined) {
+        session.settings.turnWarningThresholds = data.turnWarningThresholds;
+        settingsChanged = true;
+      }
+
+      if (data.targetingPriorityMode !== undefined) {
+        session.settings.targetingPriorityMode = data.targetingPriorityMode;
+        settingsChanged = true;
+      }
+
+      if (data.phaseTracking !== undefined) {
+        session.settings.phaseTracking = data.phaseTracking === true;
+        // Start tracking mid-turn from the first phase
+        session.currentPhase =
+          session.settings.phaseTracking && session.currentTurn
+            ? CONSTANTS.TURN_PHASES[0].id
+            : null;
+        settingsChanged = true;
+      }
+
+      if (data.planechase !== undefined) {
+        session.settings.planechase = data.planechase === true;
+        settingsChanged = true;
+      }
+
+      if (data.hideFromSpectators !== undefined) {
+        session.settings.hideFromSpectators = data.hideFromSpectators === true;
+        settingsChanged = true;
+      }
+
+      if (data.displayTapToPass !== undefined) {
+        session.settings.displayTapToPass = data.displayTapToPass === true;
+        settingsChanged = true;
+      }
+
+      if (data.requireReady !== undefined) {
+        session.settings.requireReady = data.requireReady === true;
+        session.checkStartCountdown();
+        settingsChanged = true;
+      }
+
+      if (data.startCountdown !== undefined) {
+        // Validate: 0 (start at once) to 30 seconds
+        session.settings.startCountdown = Math.max(
+          0,
+          Math.min(Math.round(Number(data.startCountdown)) || 0, CONSTANTS.MAX_START_COUNTDOWN)
+        );
+        settingsChanged = true;
+      }
+
+      if (data.pregame !== undefined) {
+        session.settings.pregame = data.pregame === true;
+        settingsChanged = true;
+      }
+
+      if (data.pregameTimeLimit !== undefined) {
+        // Validate: 0 (no limit) to 10 minutes
+        session.settings.pregameTimeLimit = Math.max(
+          0,
+          Math.min(Math.round(Number(data.pregameTimeLimit)) || 0, CONSTANTS.MAX_PREGAME_TIME_LIMIT)
+        );
+        settingsChanged = true;
+      }
+
+      if (data.seatMap !== undefined) {
+        session.settings.seatMap = data.seatMap && [...data.seatMap];
+        settingsChanged = true;
+      }
+
+      if (data.turnDirection !== undefined) {
+        session.settings.turnDirection = data.turnDirection;
+        settingsChanged = true;
+      }
+
+      if (data.counters !== undefined) {
+        session.settings.counters = [...data.counters];
+        settingsChanged = true;
+      }
+
+      if (data.customCounters !== undefined) {
+        session.setCustomCounters(
+          data.customCounters.map(c => ({ name: c.name, icon: c.icon, min: c.min, max: c.max }))
+        );
+        settingsChanged = true;
+      }
+
       if (data.timeoutPenaltyLives !== undefined) {
         // Validate: 0 to 20 lives penalty
         session.settings.timeoutPenaltyLives = Math.max(0, Math.min(data.timeoutPenaltyLives, 20));
@@ -210,6 +842,9 @@ async function handleUpdateSettings(ws, data) {
 
       if (settingsChanged) {
         session.broadcastState();
+        await appendGameEvent(ws.gameId, session, "updateSettings", ws.clientId, {
+          fields: Object.keys(data),
+        });
 
         if (serverState.isRedisPrimaryMode) {
           await syncGameToRedis(ws.gameId);
@@ -226,7 +861,13 @@ async function handleUpdateSettings(ws, data) {
 
 module.exports = {
   updatePlayer: handleUpdatePlayer,
+  updateCommanderDamage: handleUpdateCommanderDamage,
   addPenalty: handleAddPenalty,
   eliminate: handleEliminate,
+  assignTeam: handleAssignTeam,
+  setVillain: handleSetVillain,
+  setReady: handleSetReady,
+  mulligan: handleMulligan,
+  keepHand: handleKeepHand,
   updateSettings: handleUpdateSettings,
 };
@@ -0,0 +1,42 @@
+/**
+ * Profile Handlers
+ *
+ * Handles creating player profiles. Profiles aren't tied to a game; seats
+ * are linked to them when claimed (see claim.js).
+ */
+
+const { logger } = require("../../logger");
+const metrics = require("../../metrics");
+const { validatePlayerName, sanitizeString } = require("../../shared/validators");
+const { safeSend } = require("../websocket");
+const { createProfile } = require("../profiles");
+
+/**
+ * Handle create profile message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data ({ name })
+ */
+async function handleCreateProfile(ws, data) {
+  if (!validatePlayerName(data.name) || data.name.trim().length === 0) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid profile name" } }));
+    metrics.recordError("invalid_profile_name");
+    return;
+  }
+
+  const created = await createProfile(sanitizeString(data.name.trim()));
+  if (!created) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Failed to create profile" } }));
+    metrics.recordError("profile_create_failed");
+    return;
+  }
+
+  // The token is only ever sent to the client that created the profile
+  safeSend(ws, JSON.stringify({ type: "profileCreated", data: created }));
+  metrics.recordMessageSent("profileCreated");
+
+  logger.info({ profileId: created.profile.id, clientId: ws.clientId }, "Profile created");
+}
+
+module.exports = {
+  createProfile: handleCreateProfile,
+};
@@ -10,7 +10,12 @@ const { withGameLock } = require("../../lock");
 const { TARGETING } = require("../../shared/constants");
 const { serverState } = require("../state");
 const { safeSend } = require("../websocket");
-const { ensureGameLoaded, syncGameToRedis, getSessionForHandler } = require("../persistence");
+const {
+  ensureGameLoaded,
+  syncGameToRedis,
+  appendGameEvent,
+  getSessionForHandler,
+} = require("../persistence");
 
 /**
  * Broadcast targeting state update to all clients in the game
@@ -116,6 +121,7 @@ async function handleToggleTarget(ws, data) {
       }
 
       session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "toggleTarget", ws.clientId, { playerId });
       broadcastTargetingState(session);
       session.broadcastState();
 
@@ -181,7 +187,7 @@ async function handleConfirmTargets(ws, data) {
         return;
       }
 
-      if (!session.confirmTargets()) {
+      if (!session.confirmTargets(data.attachToStack === true)) {
         safeSend(
           ws,
           JSON.stringify({
@@ -193,6 +199,10 @@ async function handleConfirmTargets(ws, data) {
       }
 
       session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "confirmTargets", ws.clientId, {
+        targets: [...session.targetedPlayers],
+        attachToStack: data.attachToStack === true,
+      });
 
       // Broadcast targeting started event
       if (serverState.wss) {
@@ -282,11 +292,22 @@ async function handlePassTargetPriority(ws, data) {
         return;
       }
 
-      // All targeted players can pass priority simultaneously - no need to check activePlayer
+      // In APNAP mode targets respond one at a time, in turn order
+      if (!session.hasTargetPriority(senderPlayer.id)) {
+        safeSend(
+          ws,
+          JSON.stringify({
+            type: "error",
+            data: { message: "Wait for earlier players in turn order to respond" },
+          })
+        );
+        return;
+      }
 
       const passedBy = senderPlayer.id;
       session.passTargetPriority(senderPlayer.id);
       session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "passTargetPriority", ws.clientId);
 
       // Broadcast appropriate event based on whether targeting completed
       if (session.targetingState === TARGETING.STATES.NONE) {
@@ -393,6 +414,7 @@ async function handleCancelTargeting(ws, data) {
 
       session.cancelTargeting();
       session.lastActivity = Date.now();
+      await appendGameEvent(ws.gameId, session, "cancelTargeting", ws.clientId);
 
       // Broadcast targeting canceled event
       if (serverState.wss) {
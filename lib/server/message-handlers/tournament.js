@@ -0,0 +1,258 @@
+/**
+ * Tournament Handlers
+ *
+ * Handles Swiss tournament creation, registration, rounds and results.
+ * A client follows one tournament at a time (ws.tournamentId), the same way
+ * it follows one game.
+ */
+
+const { logger } = require("../../logger");
+const metrics = require("../../metrics");
+const { SwissTournament } = require("../../tournament");
+const {
+  validateTournamentSettings,
+  validatePlayerName,
+  sanitizeString,
+} = require("../../shared/validators");
+const { serverState } = require("../state");
+const { safeSend } = require("../websocket");
+const {
+  withTournamentLock,
+  generateTournamentId,
+  getTournament,
+  saveTournament,
+  broadcastTournament,
+  startTournamentRound,
+  recordTournamentGame,
+} = require("../tournaments");
+
+/**
+ * Send the tournament state to a single client
+ * @param {WebSocket} ws - WebSocket client
+ * @param {SwissTournament} tournament - Tournament
+ */
+function sendTournamentState(ws, tournament) {
+  safeSend(ws, JSON.stringify({ type: "tournamentState", data: tournament.getState() }));
+  metrics.recordMessageSent("tournamentState");
+}
+
+/**
+ * Look up the tournament a client is following, reporting an error if missing
+ * @param {WebSocket} ws - WebSocket client
+ * @returns {Promise<SwissTournament|null>}
+ */
+async function getTournamentForHandler(ws) {
+  const tournament = ws.tournamentId ? await getTournament(ws.tournamentId) : null;
+  if (!tournament) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Tournament not found" } }));
+    metrics.recordError("tournament_not_found");
+  }
+  return tournament;
+}
+
+/**
+ * Handle create tournament message
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleCreateTournament(ws, data) {
+  const settings = data.settings || {};
+  if (!validateTournamentSettings(settings)) {
+    safeSend(
+      ws,
+      JSON.stringify({ type: "error", data: { message: "Invalid tournament settings" } })
+    );
+    metrics.recordError("invalid_tournament_settings");
+    return;
+  }
+
+  const id = generateTournamentId();
+  const tournament = new SwissTournament(id, {
+    ...settings,
+    name: sanitizeString(settings.name?.trim() || "Tournament"),
+  });
+  tournament.setOwner(ws.clientId);
+  serverState.setTournament(id, tournament);
+  await saveTournament(tournament);
+
+  ws.tournamentId = id;
+  sendTournamentState(ws, tournament);
+
+  logger.info({ tournamentId: id, clientId: ws.clientId }, "Tournament created");
+}
+
+/**
+ * Handle join tournament message.
+ * Joining follows the tournament; passing a name also registers for it.
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleJoinTournament(ws, data) {
+  if (!data.tournamentId) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Tournament ID is required" } }));
+    return;
+  }
+
+  if (data.name !== undefined && (!validatePlayerName(data.name) || !data.name.trim())) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid name" } }));
+    metrics.recordError("invalid_name");
+    return;
+  }
+
+  const tournament = await getTournament(data.tournamentId);
+  if (!tournament) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Tournament not found" } }));
+    metrics.recordError("tournament_not_found");
+    return;
+  }
+
+  try {
+    await withTournamentLock(tournament.id, async () => {
+      ws.tournamentId = tournament.id;
+
+      if (data.name !== undefined && !tournament.findParticipantByClient(ws.clientId)) {
+        const result = tournament.register(sanitizeString(data.name.trim()), ws.clientId);
+        if (!result.success) {
+          safeSend(ws, JSON.stringify({ type: "error", data: { message: result.reason } }));
+          metrics.recordError("tournament_register_failed");
+        } else {
+          await saveTournament(tournament);
+          broadcastTournament(tournament);
+          logger.debug(
+            { tournamentId: tournament.id, participantId: result.participant.id },
+            "Tournament participant registered"
+          );
+          return;
+        }
+      }
+
+      sendTournamentState(ws, tournament);
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("joinTournament_lock_error");
+  }
+}
+
+/**
+ * Handle drop tournament message.
+ * Participants may drop themselves; the owner may drop anyone.
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data
+ */
+async function handleDropTournament(ws, data) {
+  const tournament = await getTournamentForHandler(ws);
+  if (!tournament) return;
+
+  try {
+    await withTournamentLock(tournament.id, async () => {
+      const participant =
+        data.participantId !== undefined
+          ? tournament.getParticipant(data.participantId)
+          : tournament.findParticipantByClient(ws.clientId);
+      if (!participant) return;
+
+      if (participant.clientId !== ws.clientId && !tournament.isOwner(ws.clientId)) {
+        safeSend(
+          ws,
+          JSON.stringify({ type: "error", data: { message: "Not authorized to drop this player" } })
+        );
+        metrics.recordAuthDenied("dropTournament");
+        return;
+      }
+
+      if (!tournament.drop(participant.id)) return;
+      await saveTournament(tournament);
+      broadcastTournament(tournament);
+
+      logger.debug(
+        { tournamentId: tournament.id, participantId: participant.id },
+        "Tournament participant dropped"
+      );
+    });
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("dropTournament_lock_error");
+  }
+}
+
+/**
+ * Handle start tournament round message (owner only)
+ * @param {WebSocket} ws - WebSocket client
+ */
+async function handleStartTournamentRound(ws) {
+  const tournament = await getTournamentForHandler(ws);
+  if (!tournament) return;
+
+  if (!tournament.isOwner(ws.clientId)) {
+    safeSend(
+      ws,
+      JSON.stringify({ type: "error", data: { message: "Only the organizer can start rounds" } })
+    );
+    metrics.recordAuthDenied("startTournamentRound");
+    return;
+  }
+
+  try {
+    const round = await startTournamentRound(tournament.id);
+    if (!round) {
+      safeSend(
+        ws,
+        JSON.stringify({ type: "error", data: { message: "The next round can't start yet" } })
+      );
+      metrics.recordError("tournament_round_not_ready");
+    }
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("startTournamentRound_lock_error");
+  }
+}
+
+/**
+ * Handle report tournament result message (owner only).
+ * Records one game for a table, e.g. one played away from the app.
+ * @param {WebSocket} ws - WebSocket client
+ * @param {object} data - Message data ({ round, table, winnerId }, winnerId null for a draw)
+ */
+async function handleReportTournamentResult(ws, data) {
+  const tournament = await getTournamentForHandler(ws);
+  if (!tournament) return;
+
+  if (
+    !Number.isInteger(data.round) ||
+    !Number.isInteger(data.table) ||
+    (data.winnerId !== null && !Number.isInteger(data.winnerId))
+  ) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: "Invalid result" } }));
+    metrics.recordError("invalid_tournament_result");
+    return;
+  }
+
+  if (!tournament.isOwner(ws.clientId)) {
+    safeSend(
+      ws,
+      JSON.stringify({ type: "error", data: { message: "Only the organizer can report results" } })
+    );
+    metrics.recordAuthDenied("reportTournamentResult");
+    return;
+  }
+
+  try {
+    const result = await recordTournamentGame(tournament.id, data.round, data.table, data.winnerId);
+    if (!result.success) {
+      safeSend(ws, JSON.stringify({ type: "error", data: { message: result.reason } }));
+      metrics.recordError("invalid_tournament_result");
+    }
+  } catch (error) {
+    safeSend(ws, JSON.stringify({ type: "error", data: { message: error.message } }));
+    metrics.recordError("reportTournamentResult_lock_error");
+  }
+}
+
+module.exports = {
+  createTournament: handleCreateTournament,
+  joinTournament: handleJoinTournament,
+  dropTournament: handleDropTournament,
+  startTournamentRound: handleStartTournamentRound,
+  reportTournamentResult: handleReportTournamentResult,
+};
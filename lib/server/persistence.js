@@ -9,6 +9,28 @@ const metrics = require("../metrics");
 const { serverState } = require("./state");
 const { broadcastToGame, subscribeToGameChannel } = require("./websocket");
 const { restoreGameSession } = require("../game-modes");
+const { attachProfileHooks } = require("./profiles");
+
+/**
+ * Reattach the tournament result hook to a restored table session
+ * @param {GameSession} session - Restored session
+ */
+function attachTournamentHooks(session) {
+  if (!session.settings.tournament) return;
+  // Required lazily: the tournaments module depends on this one
+  const { attachTournamentTable } = require("./tournaments");
+  attachTournamentTable(session);
+}
+
+/**
+ * Reattach the pregame and turn time limit hooks to a restored session
+ * @param {GameSession} session - Restored session
+ */
+function attachTimerHooks(session) {
+  // Required lazily: the game control handlers depend on this module
+  const gameControl = require("./message-handlers/game-control");
+  gameControl.attachTimerHooks(session);
+}
 
 /**
  * Save all active sessions to storage
@@ -165,6 +187,58 @@ async function syncGameToRedis(gameId) {
   }
 }
 
+/**
+ * Append a timestamped event to a game's event log.
+ * Each event carries a replay snapshot so the timeline can be rendered at any point.
+ * @param {string} gameId - Game ID
+ * @param {object} session - Game session after the event was applied
+ * @param {string} type - Event type (usually the message type)
+ * @param {string|null} clientId - Client that caused the event
+ * @param {object} data - Event payload
+ */
+async function appendGameEvent(gameId, session, type, clientId, data = {}) {
+  if (!serverState.storage || !serverState.storage.appendEvent || !session) return;
+
+  const actor = clientId ? session.players.find(p => p.claimedBy === clientId) : null;
+  const event = {
+    type,
+    actorPlayerId: actor ? actor.id : null,
+    data,
+    timestamp: Date.now(),
+    snapshot: session.getReplaySnapshot(),
+  };
+
+  try {
+    if (serverState.isAsyncStorageMode) {
+      await serverState.storage.appendEvent(gameId, event);
+    } else {
+      serverState.storage.appendEvent(gameId, event);
+    }
+    metrics.recordStorageOperation("append_event", "success");
+  } catch (error) {
+    logger.error({ gameId, type, error: error.message }, "Failed to append game event");
+    metrics.recordStorageOperation("append_event", "error");
+  }
+}
+
+/**
+ * Load a game's event log from storage
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Events in append order
+ */
+async function loadGameEvents(gameId) {
+  if (!serverState.storage || !serverState.storage.loadEvents) return [];
+
+  try {
+    return serverState.isAsyncStorageMode
+      ? await serverState.storage.loadEvents(gameId)
+      : serverState.storage.loadEvents(gameId);
+  } catch (error) {
+    logger.error({ gameId, error: error.message }, "Failed to load game events");
+    return [];
+  }
+}
+
 /**
  * Load game from storage if not in local cache
  * Works with all storage backends (Redis, SQLite, memory)
@@ -200,6 +274,9 @@ async function ensureGameLoaded(gameId) {
         });
       });
       serverState.setSession(gameId, session);
+      attachTournamentHooks(session);
+      attachProfileHooks(session);
+      attachTimerHooks(session);
 
       // Subscribe to Redis channel if using Redis-primary mode
       if (serverState.isRedisPrimaryMode) {
@@ -298,6 +375,9 @@ async function loadSessions() {
           });
         });
         serverState.setSession(id, session);
+        attachTournamentHooks(session);
+        attachProfileHooks(session);
+        attachTimerHooks(session);
 
         // Subscribe to Redis channel if using Redis
         if (serverState.isAsyncStorageMode && serverState.storage.subscribeToGame) {
@@ -339,6 +419,8 @@ module.exports = {
   persistSessions,
   persistGameImmediately,
   syncGameToRedis,
+  appendGameEvent,
+  loadGameEvents,
   ensureGameLoaded,
   getSessionForHandler,
   loadSessions,
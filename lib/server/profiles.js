@@ -0,0 +1,365 @@
+/**
+ * Player Profiles
+ *
+ * A profile is a display name plus a secret token the client keeps in
+ * localStorage, like its reconnect tokens. Claiming a seat with a profile
+ * token links the seat to the profile. Every finished free-for-all game
+ * updates the linked profiles' ratings, and when a campaign completes every
+ * linked profile gets its result. Profiles outlive the lobby, so they feed
+ * the cross-campaign leaderboard and the ratings page.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("../logger");
+const metrics = require("../metrics");
+const { withGameLock } = require("../lock");
+const { CONSTANTS } = require("../shared/constants");
+const { generateGameId } = require("../shared/validators");
+const { serverState } = require("./state");
+const { getFinishingRanks, calculateRatingChanges } = require("./ratings");
+
+// Profiles share the lock with games, under their own key space
+const PROFILE_LOCK_PREFIX = "profile:";
+
+/**
+ * Run a storage call, awaiting it when storage is async
+ * @param {string} method - Storage method name
+ * @param {...any} args - Method arguments
+ * @returns {Promise<any>} Result, or undefined if storage doesn't support profiles
+ */
+async function callStorage(method, ...args) {
+  const storage = serverState.storage;
+  if (!storage || typeof storage[method] !== "function") return undefined;
+  return serverState.isAsyncStorageMode ? await storage[method](...args) : storage[method](...args);
+}
+
+/**
+ * Hash a profile secret. Only the hash is stored.
+ * @param {string} secret - Secret part of a profile token
+ * @returns {string}
+ */
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/**
+ * Strip the secret hash from a profile before it leaves the server
+ * @param {object} profile - Profile record
+ * @returns {object} { id, name, createdAt, stats, history, rating, ratingHistory }
+ */
+function toPublicProfile(profile) {
+  const { secretHash, ...publicProfile } = profile;
+  return publicProfile;
+}
+
+/**
+ * Create a profile with empty stats
+ * @param {string} name - Sanitized display name
+ * @returns {Promise<{ profile: object, token: string }|null>} Public profile and the
+ *   token the client must keep, or null if it couldn't be saved
+ */
+async function createProfile(name) {
+  const existing = (await callStorage("loadAllProfiles")) || [];
+  if (existing.length >= CONSTANTS.MAX_PLAYER_PROFILES) return null;
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  const profile = {
+    id: generateGameId(new Set(existing.map(p => p.id))),
+    name,
+    secretHash: hashSecret(secret),
+    createdAt: Date.now(),
+    stats: {
+      campaigns: 0,
+      campaignWins: 0,
+      rounds: 0,
+      roundWins: 0,
+      points: 0,
+      eliminations: 0,
+      bestLevel: 1,
+      ratedGames: 0,
+    },
+    history: [],
+    rating: CONSTANTS.DEFAULT_RATING,
+    ratingHistory: [],
+  };
+
+  try {
+    if (!serverState.storage || !serverState.storage.saveProfile) return null;
+    await callStorage("saveProfile", profile.id, profile);
+    metrics.recordStorageOperation("save_profile", "success");
+    return { profile: toPublicProfile(profile), token: `${profile.id}.${secret}` };
+  } catch (error) {
+    logger.error({ profileId: profile.id, error: error.message }, "Failed to save profile");
+    metrics.recordStorageOperation("save_profile", "error");
+    return null;
+  }
+}
+
+/**
+ * Look up the profile a token belongs to
+ * @param {string} token - Profile token ("<id>.<secret>")
+ * @returns {Promise<object|null>} Profile record, or null if the token doesn't match
+ */
+async function getProfileByToken(token) {
+  if (typeof token !== "string") return null;
+  const [id, secret] = token.split(".");
+  if (!id || !secret || !/^[A-Za-z0-9]{1,16}$/.test(id)) return null;
+
+  try {
+    const profile = await callStorage("loadProfile", id);
+    if (!profile) return null;
+
+    const expected = Buffer.from(profile.secretHash, "hex");
+    const actual = Buffer.from(hashSecret(secret), "hex");
+    return crypto.timingSafeEqual(expected, actual) ? profile : null;
+  } catch (error) {
+    logger.error({ profileId: id, error: error.message }, "Failed to load profile");
+    return null;
+  }
+}
+
+/**
+ * Add one campaign's result to a profile
+ * @param {object} profile - Profile record, updated in place
+ * @param {object} result - { campaignKey, gameId, name, finishedAt, won, rounds, roundWins,
+ *   points, eliminations, level }
+ * @returns {boolean} False if this campaign was already recorded
+ */
+function applyCampaignResult(profile, result) {
+  if (profile.history.some(entry => entry.campaignKey === result.campaignKey)) return false;
+
+  const stats = profile.stats;
+  stats.campaigns++;
+  if (result.won) stats.campaignWins++;
+  stats.rounds += result.rounds;
+  stats.roundWins += result.roundWins;
+  stats.points += result.points;
+  stats.eliminations += result.eliminations;
+  stats.bestLevel = Math.max(stats.bestLevel, result.level);
+
+  profile.history = [result, ...profile.history].slice(0, CONSTANTS.MAX_PROFILE_HISTORY);
+  return true;
+}
+
+/**
+ * Record a completed campaign for every seat linked to a profile
+ * @param {CampaignGameSession} session - Campaign session
+ */
+async function recordCampaignResults(session) {
+  const campaign = session.campaign;
+  const finishedAt = Date.now();
+
+  for (const [seat, profileId] of Object.entries(session.playerProfiles)) {
+    const playerId = parseInt(seat);
+    const stats = campaign.playerStats[playerId];
+    if (!stats) continue;
+
+    const result = {
+      // A lobby can run its campaign again after a reset, so key on the start time too
+      campaignKey: `${session.id}:${campaign.startedAt}`,
+      gameId: session.id,
+      name: campaign.config.name,
+      finishedAt,
+      won: campaign.winner === playerId,
+      rounds: campaign.roundHistory.length,
+      roundWins: stats.wins,
+      points: stats.accumulatedPoints,
+      eliminations: stats.eliminations,
+      level: campaign.playerLevels[playerId] || 1,
+    };
+
+    try {
+      await withGameLock(PROFILE_LOCK_PREFIX + profileId, async () => {
+        const profile = await callStorage("loadProfile", profileId);
+        if (!profile || !applyCampaignResult(profile, result)) return;
+        await callStorage("saveProfile", profileId, profile);
+      });
+    } catch (error) {
+      logger.error(
+        { profileId, gameId: session.id, error: error.message },
+        "Failed to record campaign result"
+      );
+    }
+  }
+}
+
+/**
+ * Add one rated game to a profile
+ * @param {object} profile - Profile record, updated in place
+ * @param {object} change - { gameKey, gameId, name, finishedAt, rank, players, delta }
+ * @returns {object|null} History entry with the ratings before and after, or null if
+ *   this game was already rated
+ */
+function applyRatingChange(profile, change) {
+  // Profiles created before ratings existed start from the default
+  const history = profile.ratingHistory || [];
+  if (history.some(entry => entry.gameKey === change.gameKey)) return null;
+
+  const before = profile.rating ?? CONSTANTS.DEFAULT_RATING;
+  const entry = { ...change, before, after: before + change.delta };
+  profile.rating = entry.after;
+  profile.stats.ratedGames = (profile.stats.ratedGames || 0) + 1;
+  profile.ratingHistory = [entry, ...history].slice(0, CONSTANTS.MAX_RATING_HISTORY);
+  return entry;
+}
+
+/**
+ * Rate a finished free-for-all game between the seats linked to profiles
+ * @param {GameSession} session - Finished game session
+ * @param {object} result - Game result ({ winnerId, ... })
+ * @returns {Promise<object[]|null>} { playerId, profileId, name, rank, before, after, delta }
+ *   for each rated seat, or null if fewer than two profiles played or the game was rated
+ */
+async function recordGameRatings(session, result) {
+  if (!session.isRated() || !session.gameStartedAt) return null;
+
+  // A profile linked to more than one seat is only rated for the first
+  const seats = [];
+  for (const [seat, profileId] of Object.entries(session.playerProfiles)) {
+    if (!seats.some(s => s.profileId === profileId)) {
+      seats.push({ playerId: parseInt(seat), profileId });
+    }
+  }
+  if (seats.length < 2) return null;
+
+  const gameKey = `${session.id}:${session.gameStartedAt}`;
+  const entries = [];
+  const ranks = getFinishingRanks(
+    session.players.map(p => p.id),
+    session.finishOrder,
+    result.winnerId ?? null
+  );
+  for (const seat of seats) {
+    const profile = await callStorage("loadProfile", seat.profileId);
+    if (!profile) continue;
+    if ((profile.ratingHistory || []).some(entry => entry.gameKey === gameKey)) return null;
+    entries.push({
+      ...seat,
+      id: seat.profileId,
+      name: profile.name,
+      rating: profile.rating ?? CONSTANTS.DEFAULT_RATING,
+      rank: ranks[seat.playerId],
+    });
+  }
+  if (entries.length < 2) return null;
+
+  const deltas = calculateRatingChanges(entries);
+  const finishedAt = Date.now();
+  const changes = [];
+
+  for (const entry of entries) {
+    const change = {
+      gameKey,
+      gameId: session.id,
+      name: session.name,
+      finishedAt,
+      rank: entry.rank,
+      players: entries.length,
+      delta: deltas[entry.id],
+    };
+
+    try {
+      await withGameLock(PROFILE_LOCK_PREFIX + entry.id, async () => {
+        const profile = await callStorage("loadProfile", entry.id);
+        const applied = profile && applyRatingChange(profile, change);
+        if (!applied) return;
+        await callStorage("saveProfile", entry.id, profile);
+        changes.push({
+          playerId: entry.playerId,
+          profileId: entry.id,
+          name: entry.name,
+          rank: entry.rank,
+          before: applied.before,
+          after: applied.after,
+          delta: applied.delta,
+        });
+      });
+    } catch (error) {
+      logger.error(
+        { profileId: entry.id, gameId: session.id, error: error.message },
+        "Failed to record rating"
+      );
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record a finished game to its linked profiles: ratings for every game,
+ * then campaign results once the campaign is over
+ * @param {GameSession} session - Finished game session
+ * @param {object} result - Game result ({ winnerId, ... })
+ */
+async function recordGameResults(session, result) {
+  const changes = await recordGameRatings(session, result);
+  if (changes && changes.length > 0 && session.broadcastFn) {
+    session.broadcastFn("ratingsUpdated", { changes });
+  }
+
+  if (session.mode === "campaign" && session.campaign.campaignStatus === "completed") {
+    await recordCampaignResults(session);
+  }
+}
+
+/**
+ * Hook a free-for-all session so finished games are recorded to profiles.
+ * Tournament tables keep their own hook and standings, so they aren't rated.
+ * @param {GameSession} session - Game session
+ */
+function attachProfileHooks(session) {
+  if (!CONSTANTS.RATED_MODES.includes(session.mode) || session.settings.tournament) return;
+
+  session.completeFn = result => {
+    recordGameResults(session, result).catch(error => {
+      logger.error({ gameId: session.id, error: error.message }, "Failed to record profiles");
+    });
+  };
+}
+
+/**
+ * Rank profiles that have finished a campaign: campaign wins, then points, then round wins
+ * @param {number} limit - Most profiles to return
+ * @returns {Promise<object[]>} Public profiles with a rank
+ */
+async function getLeaderboard(limit = CONSTANTS.LEADERBOARD_SIZE) {
+  const profiles = (await callStorage("loadAllProfiles")) || [];
+  return profiles
+    .filter(p => p.stats.campaigns > 0)
+    .sort(
+      (a, b) =>
+        b.stats.campaignWins - a.stats.campaignWins ||
+        b.stats.points - a.stats.points ||
+        b.stats.roundWins - a.stats.roundWins
+    )
+    .slice(0, limit)
+    .map((profile, i) => ({ rank: i + 1, ...toPublicProfile(profile) }));
+}
+
+/**
+ * Rank profiles that have played a rated game by rating
+ * @param {number} limit - Most profiles to return
+ * @returns {Promise<object[]>} Public profiles with a rank
+ */
+async function getRatings(limit = CONSTANTS.LEADERBOARD_SIZE) {
+  const profiles = (await callStorage("loadAllProfiles")) || [];
+  return profiles
+    .filter(p => p.stats.ratedGames > 0)
+    .sort((a, b) => b.rating - a.rating || b.stats.ratedGames - a.stats.ratedGames)
+    .slice(0, limit)
+    .map((profile, i) => ({ rank: i + 1, ...toPublicProfile(profile) }));
+}
+
+module.exports = {
+  createProfile,
+  getProfileByToken,
+  applyCampaignResult,
+  recordCampaignResults,
+  applyRatingChange,
+  recordGameRatings,
+  recordGameResults,
+  attachProfileHooks,
+  getLeaderboard,
+  getRatings,
+  toPublicProfile,
+};
@@ -0,0 +1,72 @@
+/**
+ * Multiplayer Ratings
+ *
+ * Elo for free-for-all pods: a game of N players is scored as every pair of
+ * players playing each other, ranked by finishing order. The winner beats
+ * everyone, the last player out beats nobody, and players finishing together
+ * draw. Each player's pairwise results are averaged so a rating moves about as
+ * far in a pod as in a one-on-one game.
+ */
+
+const { CONSTANTS } = require("../shared/constants");
+
+/**
+ * Work out each seat's finishing place from the order players went out
+ * @param {number[]} playerIds - Every seat in the game
+ * @param {number[]} finishOrder - Seats in the order they went out, first out first
+ * @param {number|null} winnerId - Winning seat, null for a draw
+ * @returns {object} { [playerId]: place }, 1 for the winner
+ */
+function getFinishingRanks(playerIds, finishOrder, winnerId) {
+  const ranks = {};
+  const survivors = playerIds.filter(id => !finishOrder.includes(id));
+
+  // Survivors of a drawn game share first place; otherwise only the winner is first
+  for (const id of survivors) {
+    ranks[id] = winnerId === null || id === winnerId ? 1 : 2;
+  }
+
+  let place = survivors.length + 1;
+  for (let i = finishOrder.length - 1; i >= 0; i--) {
+    if (playerIds.includes(finishOrder[i])) ranks[finishOrder[i]] = place++;
+  }
+  return ranks;
+}
+
+/**
+ * Expected score of a player against one opponent
+ * @param {number} rating - Player's rating
+ * @param {number} opponentRating - Opponent's rating
+ * @returns {number} Between 0 and 1
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Calculate rating changes for one game
+ * @param {object[]} entries - { id, rating, rank } for each rated player, rank 1 best
+ * @param {number} kFactor - Most a rating can move in one game
+ * @returns {object} { [id]: delta }, rounded to whole points
+ */
+function calculateRatingChanges(entries, kFactor = CONSTANTS.RATING_K_FACTOR) {
+  const deltas = {};
+  if (entries.length < 2) return deltas;
+
+  for (const entry of entries) {
+    let total = 0;
+    for (const opponent of entries) {
+      if (opponent === entry) continue;
+      const actual = entry.rank < opponent.rank ? 1 : entry.rank === opponent.rank ? 0.5 : 0;
+      total += actual - expectedScore(entry.rating, opponent.rating);
+    }
+    deltas[entry.id] = Math.round((kFactor * total) / (entries.length - 1));
+  }
+  return deltas;
+}
+
+module.exports = {
+  getFinishingRanks,
+  expectedScore,
+  calculateRatingChanges,
+};
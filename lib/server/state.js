@@ -17,6 +17,9 @@ class ServerState {
     // Game sessions map
     this.gameSessions = new Map();
 
+    // Swiss tournaments map (see lib/tournament.js)
+    this.tournaments = new Map();
+
     // Viewer tracking per game
     this.gameViewers = new Map(); // gameId -> Set of clientIds
 
@@ -138,6 +141,32 @@ class ServerState {
     return this.gameSessions.entries();
   }
 
+  /**
+   * Get a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @returns {SwissTournament|undefined}
+   */
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId);
+  }
+
+  /**
+   * Set a tournament
+   * @param {string} tournamentId - Tournament ID
+   * @param {SwissTournament} tournament - Tournament instance
+   */
+  setTournament(tournamentId, tournament) {
+    this.tournaments.set(tournamentId, tournament);
+  }
+
+  /**
+   * Get all tournament IDs
+   * @returns {Set<string>}
+   */
+  getTournamentIds() {
+    return new Set(this.tournaments.keys());
+  }
+
   /**
    * Add a viewer to a game
    * @param {string} gameId - Game ID
@@ -0,0 +1,303 @@
+/**
+ * Tournament Management
+ *
+ * Runs Swiss tournaments on top of regular game sessions. Each table in a
+ * round gets its own casual (or round clock) session; when a table's game completes, the
+ * result is fed back into the tournament and, for unfinished best-of
+ * matches, the table is reset for the next game.
+ */
+
+const { logger } = require("../logger");
+const metrics = require("../metrics");
+const { withGameLock } = require("../lock");
+const { SwissTournament } = require("../tournament");
+const { createGameSession } = require("../game-modes");
+const { generateGameId } = require("../shared/validators");
+const { serverState } = require("./state");
+const { broadcastToGame, broadcastToTournament, subscribeToGameChannel } = require("./websocket");
+const { persistGameImmediately, syncGameToRedis } = require("./persistence");
+
+// Tournaments share the lock with games, under their own key space
+const TOURNAMENT_LOCK_PREFIX = "tournament:";
+
+/**
+ * Execute an operation with exclusive access to a tournament
+ * @param {string} tournamentId - Tournament ID
+ * @param {Function} operation - Async function to execute while holding the lock
+ * @returns {Promise<any>} Result of the operation
+ */
+function withTournamentLock(tournamentId, operation) {
+  return withGameLock(TOURNAMENT_LOCK_PREFIX + tournamentId, operation);
+}
+
+/**
+ * Generate an ID not used by any game or tournament
+ * @returns {string}
+ */
+function generateTournamentId() {
+  return generateGameId(
+    new Set([...serverState.getSessionIds(), ...serverState.getTournamentIds()])
+  );
+}
+
+/**
+ * Get a tournament from the local cache, loading it from storage if needed
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<SwissTournament|null>}
+ */
+async function getTournament(tournamentId) {
+  const cached = serverState.getTournament(tournamentId);
+  if (cached) return cached;
+
+  if (!serverState.storage || !serverState.storage.loadTournament) return null;
+
+  try {
+    const state = serverState.isAsyncStorageMode
+      ? await serverState.storage.loadTournament(tournamentId)
+      : serverState.storage.loadTournament(tournamentId);
+    if (!state) return null;
+
+    const tournament = SwissTournament.fromState(state);
+    serverState.setTournament(tournamentId, tournament);
+    return tournament;
+  } catch (error) {
+    logger.error({ tournamentId, error: error.message }, "Failed to load tournament");
+    return null;
+  }
+}
+
+/**
+ * Persist a tournament
+ * @param {SwissTournament} tournament - Tournament to save
+ */
+async function saveTournament(tournament) {
+  if (!serverState.storage || !serverState.storage.saveTournament) return;
+
+  try {
+    if (serverState.isAsyncStorageMode) {
+      await serverState.storage.saveTournament(tournament.id, tournament.toJSON());
+    } else {
+      serverState.storage.saveTournament(tournament.id, tournament.toJSON());
+    }
+    metrics.recordStorageOperation("save_tournament", "success");
+  } catch (error) {
+    logger.error(
+      { tournamentId: tournament.id, error: error.message },
+      "Failed to save tournament"
+    );
+    metrics.recordStorageOperation("save_tournament", "error");
+  }
+}
+
+/**
+ * Send the tournament state to every client following it
+ * @param {SwissTournament} tournament - Tournament to broadcast
+ */
+function broadcastTournament(tournament) {
+  broadcastToTournament(tournament.id, "tournamentState", tournament.getState());
+}
+
+/**
+ * Reserve a unique ID for a table's game session
+ * @returns {Promise<string>}
+ */
+async function reserveTableGameId() {
+  const maxAttempts = 10;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const id = generateGameId(
+      new Set([...serverState.getSessionIds(), ...serverState.getTournamentIds()])
+    );
+
+    if (
+      serverState.isAsyncStorageMode &&
+      serverState.storage &&
+      serverState.storage.reserveGameId
+    ) {
+      if (await serverState.storage.reserveGameId(id)) return id;
+    } else if (!serverState.hasSession(id)) {
+      return id;
+    }
+  }
+
+  throw new Error("Failed to generate unique game ID");
+}
+
+/**
+ * Hook a tournament table session so finished games report back.
+ * Sessions created for tables carry settings.tournament = { id, round, table }.
+ * @param {GameSession} session - Game session
+ */
+function attachTournamentTable(session) {
+  const link = session.settings.tournament;
+  if (!link) return;
+
+  session.completeFn = result => {
+    recordTableResult(session, result).catch(error => {
+      logger.error(
+        { tournamentId: link.id, gameId: session.id, error: error.message },
+        "Failed to record tournament game"
+      );
+    });
+  };
+}
+
+/**
+ * Feed a finished table game into its tournament
+ * @param {GameSession} session - Table game session
+ * @param {object} result - Game result ({ winnerId, ... }), winnerId is a seat
+ */
+async function recordTableResult(session, result) {
+  const link = session.settings.tournament;
+  const tournament = await getTournament(link.id);
+  const table = tournament?.getTable(link.round, link.table);
+  if (!table || table.gameId !== session.id) return;
+
+  // Seats follow the table's participant order
+  const winnerId =
+    result.winnerId === null ? null : (table.participantIds[result.winnerId - 1] ?? null);
+  await recordTournamentGame(link.id, link.round, link.table, winnerId);
+}
+
+/**
+ * Create the game sessions for a newly paired round
+ * @param {SwissTournament} tournament - Tournament
+ * @param {object} round - Round from tournament.startRound()
+ */
+async function createTableSessions(tournament, round) {
+  // Tables play casual games unless the event runs on a round clock
+  const mode = tournament.settings.gameSettings.mode === "round" ? "round" : "casual";
+
+  for (const table of round.tables) {
+    const id = await reserveTableGameId();
+    const settings = {
+      ...tournament.settings.gameSettings,
+      mode,
+      name: `${tournament.name} - Round ${round.number}, Table ${table.table}`,
+      playerCount: table.participantIds.length,
+      tournament: { id: tournament.id, round: round.number, table: table.table },
+    };
+
+    const session = createGameSession(mode, id, settings, (type, msgData) => {
+      broadcastToGame(id, type, msgData).catch(error => {
+        logger.error({ error: error.message, gameId: id }, "Broadcast failed");
+      });
+    });
+    session.setOwner(tournament.ownerId);
+    table.participantIds.forEach((participantId, index) => {
+      session.players[index].name = tournament.getParticipant(participantId).name;
+    });
+    attachTournamentTable(session);
+    serverState.setSession(id, session);
+    tournament.setTableGame(round.number, table.table, id);
+
+    subscribeToGameChannel(id).catch(error => {
+      logger.error({ error: error.message, gameId: id }, "Failed to subscribe to game channel");
+    });
+
+    if (serverState.isRedisPrimaryMode) {
+      await syncGameToRedis(id);
+    } else {
+      await persistGameImmediately(id);
+    }
+    metrics.recordNewSession();
+  }
+}
+
+/**
+ * Pair the next round and open a game session for each table
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<object|null>} The new round, or null if it couldn't start
+ */
+async function startTournamentRound(tournamentId) {
+  return withTournamentLock(tournamentId, async () => {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament) return null;
+
+    const round = tournament.startRound();
+    if (!round) return null;
+
+    await createTableSessions(tournament, round);
+    await saveTournament(tournament);
+    broadcastTournament(tournament);
+
+    logger.info(
+      { tournamentId, round: round.number, tables: round.tables.length, byes: round.byes },
+      "Tournament round started"
+    );
+    return round;
+  });
+}
+
+/**
+ * Reset a table's session for the next game of its match, keeping seats and claims
+ * @param {string} gameId - Table game session ID
+ */
+async function prepareNextTableGame(gameId) {
+  await withGameLock(gameId, async () => {
+    const session = serverState.getSession(gameId);
+    if (!session) return;
+
+    const seats = session.players.map(p => ({
+      name: p.name,
+      claimedBy: p.claimedBy,
+      reconnectToken: p.reconnectToken,
+      tokenExpiry: p.tokenExpiry,
+    }));
+    session.reset();
+    session.players.forEach((player, index) => {
+      Object.assign(player, seats[index]);
+    });
+    session.broadcastState();
+
+    if (serverState.isRedisPrimaryMode) {
+      await syncGameToRedis(gameId);
+    } else {
+      await persistGameImmediately(gameId);
+    }
+  });
+}
+
+/**
+ * Record one game of a table's match.
+ * If the match goes on, the table's session is reset for the next game.
+ * @param {string} tournamentId - Tournament ID
+ * @param {number} roundNumber - Round number
+ * @param {number} tableNumber - Table number
+ * @param {number|null} winnerId - Winning participant ID, null for a draw
+ * @returns {Promise<{success: boolean, decided?: boolean, reason?: string}>}
+ */
+async function recordTournamentGame(tournamentId, roundNumber, tableNumber, winnerId) {
+  return withTournamentLock(tournamentId, async () => {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament) return { success: false, reason: "Tournament not found" };
+
+    const outcome = tournament.recordGame(roundNumber, tableNumber, winnerId);
+    if (!outcome.success) return outcome;
+
+    await saveTournament(tournament);
+    broadcastTournament(tournament);
+
+    const table = tournament.getTable(roundNumber, tableNumber);
+    if (!outcome.decided && table.gameId) {
+      await prepareNextTableGame(table.gameId);
+    }
+
+    logger.debug(
+      { tournamentId, round: roundNumber, table: tableNumber, winnerId, decided: outcome.decided },
+      "Tournament game recorded"
+    );
+    return outcome;
+  });
+}
+
+module.exports = {
+  withTournamentLock,
+  generateTournamentId,
+  getTournament,
+  saveTournament,
+  broadcastTournament,
+  attachTournamentTable,
+  startTournamentRound,
+  recordTournamentGame,
+};
@@ -14,6 +14,9 @@ const { serverState } = require("./state");
 const MAX_BUFFER_SIZE = CONSTANTS.MAX_BUFFER_SIZE;
 const BUFFER_WARNING_SIZE = CONSTANTS.BUFFER_WARNING_SIZE;
 
+// Stands in for the client holding a seat in state sent to spectators
+const HIDDEN_CLIENT_ID = "hidden";
+
 /**
  * Parse allowed origins from environment
  * @returns {string[]|null}
@@ -137,7 +140,79 @@ function safeSend(client, message) {
 }
 
 /**
- * Broadcast to all local clients in a game
+ * Hide who is playing from spectators. Seats are shown as "Player N", and
+ * neither the owner nor the clients and profiles holding seats are revealed.
+ * Works from the message alone, so broadcasts relayed from another instance
+ * are redacted the same way.
+ * @param {string} type - Message type
+ * @param {object} data - Message data
+ * @returns {object} Message data safe to send to spectators
+ */
+function redactForSpectators(type, data) {
+  const alias = id => `Player ${id}`;
+
+  if (type === "state") {
+    const redacted = {
+      ...data,
+      ownerId: null,
+      playerProfiles: {},
+      players: data.players.map(p => ({
+        ...p,
+        name: alias(p.id),
+        claimedBy: p.claimedBy ? HIDDEN_CLIENT_ID : null,
+      })),
+    };
+    if (data.campaign) {
+      redacted.campaign = { ...data.campaign, playerNames: {} };
+    }
+    return redacted;
+  }
+
+  if (type === "ratingsUpdated") {
+    return { changes: data.changes.map(c => ({ ...c, profileId: null, name: alias(c.playerId) })) };
+  }
+
+  if (type === "playOrderRolled") {
+    return { ...data, rolls: data.rolls.map(r => ({ ...r, playerName: alias(r.playerId) })) };
+  }
+
+  const redacted = { ...data };
+  if (typeof data.playerName === "string") {
+    redacted.playerName = data.playerId != null ? alias(data.playerId) : null;
+  }
+  // Team and heroes wins are announced by side, not by a seat's name
+  const seatWin = data.winningTeamId === undefined && data.winningSide !== "heroes";
+  if (typeof data.winnerName === "string" && seatWin) {
+    redacted.winnerName = data.winnerId != null ? alias(data.winnerId) : null;
+  }
+  return redacted;
+}
+
+/**
+ * Hide who played from a logged game event, as redactForSpectators does for
+ * live messages: seat names in the replay snapshot and the event's data.
+ * @param {object} event - Event from the game log ({ type, data, snapshot, ... })
+ * @returns {object} Event safe to show to anyone with the game ID
+ */
+function redactGameEvent(event) {
+  const data = redactForSpectators(event.type, event.data || {});
+  if (event.type === "updatePlayer" && typeof data.name === "string") {
+    data.name = `Player ${data.playerId}`;
+  }
+
+  const redacted = { ...event, data };
+  if (event.snapshot) {
+    redacted.snapshot = {
+      ...event.snapshot,
+      players: event.snapshot.players.map(p => ({ ...p, name: `Player ${p.id}` })),
+    };
+  }
+  return redacted;
+}
+
+/**
+ * Broadcast to all local clients in a game. Spectators get a redacted copy
+ * when the game hides its players from them.
  * @param {string} gameId - Game ID
  * @param {string} type - Message type
  * @param {object} data - Message data
@@ -145,11 +220,47 @@ function safeSend(client, message) {
  */
 function broadcastToLocalClients(gameId, type, data) {
   const message = JSON.stringify({ type, data });
+  let spectatorMessage = null;
   let sentCount = 0;
 
+  // State carries its own settings; other messages go by the cached session,
+  // and are redacted when there is none (e.g. relayed from another instance)
+  const settings = type === "state" ? data.settings : serverState.getSession(gameId)?.settings;
+  const hideFromSpectators = settings ? settings.hideFromSpectators === true : true;
+
   if (serverState.wss) {
     serverState.wss.clients.forEach(client => {
       if (client.gameId === gameId) {
+        let clientMessage = message;
+        if (client.isSpectator && hideFromSpectators) {
+          spectatorMessage =
+            spectatorMessage || JSON.stringify({ type, data: redactForSpectators(type, data) });
+          clientMessage = spectatorMessage;
+        }
+        if (safeSend(client, clientMessage)) {
+          sentCount++;
+        }
+      }
+    });
+  }
+
+  return sentCount;
+}
+
+/**
+ * Broadcast to local clients following a tournament
+ * @param {string} tournamentId - Tournament ID
+ * @param {string} type - Message type
+ * @param {object} data - Message data
+ * @returns {number} Number of clients sent to
+ */
+function broadcastToTournament(tournamentId, type, data) {
+  const message = JSON.stringify({ type, data });
+  let sentCount = 0;
+
+  if (serverState.wss) {
+    serverState.wss.clients.forEach(client => {
+      if (client.tournamentId === tournamentId) {
         if (safeSend(client, message)) {
           sentCount++;
         }
@@ -220,8 +331,11 @@ async function subscribeToGameChannel(gameId) {
 module.exports = {
   createWebSocketServer,
   safeSend,
+  redactForSpectators,
+  redactGameEvent,
   broadcastToLocalClients,
   broadcastToGame,
+  broadcastToTournament,
   handleCrossInstanceMessage,
   subscribeToGameChannel,
   getAllowedOrigins,
@@ -10,6 +10,34 @@ const MAX_INITIAL_TIME = 24 * 60 * 60 * 1000; // 24 hours max
 const DEFAULT_BONUS_TIME = 30 * 1000; // 30 seconds bonus time per turn
 const MAX_BONUS_TIME = 5 * 60 * 1000; // 5 minutes max bonus time
 
+// Clock modes - how bonusTime is applied each turn
+const CLOCK_MODES = {
+  FISCHER: "fischer", // Add bonusTime at the start of each turn
+  BRONSTEIN: "bronstein", // Refund time used during the turn, up to bonusTime
+  DELAY: "delay", // Hold the countdown for bonusTime before draining
+  NONE: "none", // No per-turn time
+};
+const DEFAULT_CLOCK_MODE = CLOCK_MODES.FISCHER;
+
+// Per-turn hard limit - caps a single turn regardless of the player's bank (0 = off)
+const DEFAULT_TURN_TIME_LIMIT = 0;
+const MAX_TURN_TIME_LIMIT = 60 * 60 * 1000; // 1 hour max
+const DEFAULT_TURN_WARNING_THRESHOLDS = [60000, 10000];
+const TURN_LIMIT_POLICIES = {
+  PASS_TURN: "passTurn", // Pass the turn to the next player
+  TIMEOUT: "timeout", // Run the timeout penalty choice, then extend the turn
+};
+const DEFAULT_TURN_LIMIT_POLICY = TURN_LIMIT_POLICIES.PASS_TURN;
+
+// Lobby countdown between pressing start and the first tick (0 = start at once)
+const DEFAULT_START_COUNTDOWN = 3 * 1000;
+const MAX_START_COUNTDOWN = 30 * 1000;
+
+// Pregame (mulligans) - clocks stay stopped until every player keeps
+const DEFAULT_HAND_SIZE = 7;
+const DEFAULT_PREGAME_TIME_LIMIT = 0; // Time each player has to keep (0 = no limit)
+const MAX_PREGAME_TIME_LIMIT = 10 * 60 * 1000; // 10 minutes
+
 // Timeout penalty constants
 const DEFAULT_TIMEOUT_PENALTY_LIVES = 2;
 const DEFAULT_TIMEOUT_PENALTY_DRUNK = 2;
@@ -21,14 +49,105 @@ const MIN_PLAYERS = 2;
 const MAX_PLAYERS = 8;
 const MAX_PLAYER_NAME_LENGTH = 50;
 
+// Seating - which way turns pass around the seat map
+const TURN_DIRECTIONS = {
+  CLOCKWISE: "clockwise",
+  COUNTERCLOCKWISE: "counterclockwise",
+};
+const DEFAULT_TURN_DIRECTION = TURN_DIRECTIONS.CLOCKWISE;
+
+// Team mode (Two-Headed Giant)
+const MIN_TEAMS = 2;
+const DEFAULT_TEAM_LIFE = 30; // Shared starting life per team
+
+// Round mode - one shared clock for the table, then "turn 0 + N" extra turns at time
+const DEFAULT_ROUND_TIME = 50 * 60 * 1000; // 50 minutes in ms
+const DEFAULT_EXTRA_TURNS = 5;
+const MAX_EXTRA_TURNS = 20;
+
+// Archenemy mode - one villain against a team of heroes who share a turn
+const DEFAULT_VILLAIN_LIFE = 40;
+const DEFAULT_HERO_LIFE = 20;
+
+// Swiss tournaments
+const TOURNAMENT_POINTS = { WIN: 3, DRAW: 1, LOSS: 0 };
+const TOURNAMENT_MIN_PERCENTAGE = 1 / 3; // Floor for MW%/GW% when computing tiebreakers
+const DEFAULT_POD_SIZE = 2; // Players per table
+const TOURNAMENT_BEST_OF = [1, 3, 5]; // Games per match
+const MAX_TOURNAMENT_PARTICIPANTS = 128;
+const MAX_TOURNAMENT_ROUNDS = 15;
+
+// Custom campaign presets - declarative presets built in the client and kept in storage
+const CAMPAIGN_WIN_CONDITIONS = ["best_of", "first_to", "total_time", "total_points"];
+const MAX_CAMPAIGN_ROUNDS = 20;
+const MAX_CAMPAIGN_PRESETS = 500; // Stored presets, across all groups
+const MAX_PRESET_DESCRIPTION_LENGTH = 200;
+const MAX_PRESET_FLAVOR_TEXT_LENGTH = 2000;
+const MAX_STARTING_HAND_SIZE = 20;
+const MAX_SCORE_MULTIPLIER = 100;
+const MAX_LEVEL_THRESHOLDS = 20;
+const MAX_SCORING_RULES = 10;
+const MAX_SCORING_RULE_LENGTH = 200;
+const MAX_PLACEMENT_BONUS = 1000;
+
+// Player profiles - link campaign results across lobbies
+const PROFILE_STORAGE_KEY = "tapOrTarpProfile";
+const MAX_PLAYER_PROFILES = 10000;
+const MAX_PROFILE_HISTORY = 50; // Campaign results kept per profile, newest first
+const LEADERBOARD_SIZE = 50;
+
+// Ratings - multiplayer Elo from the finishing order of free-for-all games
+const RATED_MODES = ["casual", "round", "campaign"];
+const DEFAULT_RATING = 1500;
+const RATING_K_FACTOR = 32;
+const MAX_RATING_HISTORY = 100; // Rated games kept per profile, newest first
+
 // Player value limits
 const MIN_LIFE = -999;
 const MAX_LIFE = 9999;
 const MIN_COUNTER = 0;
 const MAX_COUNTER = 999;
 
+// Counter registry - built-in per-player counters a lobby can enable.
+// Counters with a `field` are stored directly on the player, others in player.counters.
+// A counter with `lethal` eliminates the player once it reaches that value.
+const COUNTER_TYPES = {
+  drunk: { id: "drunk", name: "Drunk", icon: "\u{1F37A}", min: 0, max: 999, field: "drunkCounter" },
+  generic: { id: "generic", name: "Counter", icon: "\u2B50", min: 0, max: 999, field: "genericCounter" },
+  poison: { id: "poison", name: "Poison", icon: "\u2620", min: 0, max: 999, lethal: 10 },
+  energy: { id: "energy", name: "Energy", icon: "\u26A1", min: 0, max: 999 },
+  experience: { id: "experience", name: "Experience", icon: "\u2728", min: 0, max: 999 },
+  rad: { id: "rad", name: "Rad", icon: "\u2622", min: 0, max: 999 },
+};
+const DEFAULT_COUNTERS = ["drunk", "generic"];
+const MAX_CUSTOM_COUNTERS = 6;
+const MAX_COUNTER_NAME_LENGTH = 20;
+const MAX_COUNTER_ICON_LENGTH = 8;
+
+// Commander damage
+const COMMANDER_DAMAGE_LETHAL = 21; // Damage from a single commander that eliminates a player
+const COMMANDER_SLOTS = 2; // Commander plus partner
+
+// Turn phases - optional tracker, in turn order
+const TURN_PHASES = [
+  { id: "untap", name: "Untap" },
+  { id: "upkeep", name: "Upkeep" },
+  { id: "draw", name: "Draw" },
+  { id: "main1", name: "Main 1" },
+  { id: "combat", name: "Combat" },
+  { id: "main2", name: "Main 2" },
+  { id: "end", name: "End" },
+];
+
+// Undo/redo journal
+const MAX_ACTION_HISTORY = 50; // Actions kept per game for undo
+
+// Game event log (replay viewer)
+const MAX_GAME_EVENTS = 2000; // Most recent events kept per game
+
 // Game settings limits
 const MAX_GAME_NAME_LENGTH = 50;
+const MAX_STACK_LABEL_LENGTH = 50; // Interrupt labels, e.g. "Lightning Bolt -> P3"
 
 // Session management
 const SESSION_CLEANUP_INTERVAL = 5 * 60 * 1000; // Check for cleanup every 5 minutes
@@ -50,6 +169,23 @@ const DICE_MAX_SIDES = 999;
 const DICE_PRESET_SIDES = [2, 4, 6, 8, 10, 12, 20];
 const DICE_DEFAULT_SIDES = 6;
 
+// Planechase
+const PLANAR_DIE_FACES = ["chaos", "planeswalk", "blank", "blank", "blank", "blank"];
+const MAX_PLANE_NAME_LENGTH = 100;
+
+// Global designations
+const DESIGNATIONS = ["monarch", "initiative"];
+const DAY_NIGHT = { DAY: "day", NIGHT: "night" };
+// Undercity levels, one entry per room depth (branches on the same level share an entry)
+const UNDERCITY_ROOMS = [
+  "Secret Entrance",
+  "Forge / Lost Well",
+  "Trap! / Arena / Stash",
+  "Archives / Catacombs",
+  "Throne of the Dead Three",
+];
+const MAX_SPELLS_PER_TURN = 99;
+
 // Targeting system
 const TARGETING = {
   MAX_TARGETS: 7, // Max players that can be targeted (all but self)
@@ -57,7 +193,14 @@ const TARGETING = {
     NONE: 'none',           // Normal gameplay
     SELECTING: 'selecting', // Active player choosing targets
     RESOLVING: 'resolving'  // Targets passing priority
-  }
+  },
+  // Who holds priority while targets resolve
+  PRIORITY_MODES: {
+    SIMULTANEOUS: "simultaneous", // Every target at once
+    APNAP: "apnap", // One target at a time, in turn order after the active player
+    ALL_OPPONENTS: "all_opponents", // Every opponent at once, targeted or not
+  },
+  DEFAULT_PRIORITY_MODE: "simultaneous",
 };
 
 // Warning thresholds
@@ -90,6 +233,18 @@ const CONSTANTS = {
   MAX_INITIAL_TIME,
   DEFAULT_BONUS_TIME,
   MAX_BONUS_TIME,
+  CLOCK_MODES,
+  DEFAULT_CLOCK_MODE,
+  DEFAULT_TURN_TIME_LIMIT,
+  MAX_TURN_TIME_LIMIT,
+  DEFAULT_TURN_WARNING_THRESHOLDS,
+  TURN_LIMIT_POLICIES,
+  DEFAULT_TURN_LIMIT_POLICY,
+  DEFAULT_START_COUNTDOWN,
+  MAX_START_COUNTDOWN,
+  DEFAULT_HAND_SIZE,
+  DEFAULT_PREGAME_TIME_LIMIT,
+  MAX_PREGAME_TIME_LIMIT,
   DEFAULT_TIMEOUT_PENALTY_LIVES,
   DEFAULT_TIMEOUT_PENALTY_DRUNK,
   DEFAULT_TIMEOUT_GRACE_PERIOD,
@@ -99,11 +254,56 @@ const CONSTANTS = {
   MIN_PLAYERS,
   MAX_PLAYERS,
   MAX_PLAYER_NAME_LENGTH,
+  TURN_DIRECTIONS,
+  DEFAULT_TURN_DIRECTION,
+  MIN_TEAMS,
+  DEFAULT_TEAM_LIFE,
+  DEFAULT_ROUND_TIME,
+  DEFAULT_EXTRA_TURNS,
+  MAX_EXTRA_TURNS,
+  DEFAULT_VILLAIN_LIFE,
+  DEFAULT_HERO_LIFE,
+  TOURNAMENT_POINTS,
+  TOURNAMENT_MIN_PERCENTAGE,
+  DEFAULT_POD_SIZE,
+  TOURNAMENT_BEST_OF,
+  MAX_TOURNAMENT_PARTICIPANTS,
+  MAX_TOURNAMENT_ROUNDS,
+  CAMPAIGN_WIN_CONDITIONS,
+  MAX_CAMPAIGN_ROUNDS,
+  MAX_CAMPAIGN_PRESETS,
+  MAX_PRESET_DESCRIPTION_LENGTH,
+  MAX_PRESET_FLAVOR_TEXT_LENGTH,
+  MAX_STARTING_HAND_SIZE,
+  MAX_SCORE_MULTIPLIER,
+  MAX_LEVEL_THRESHOLDS,
+  MAX_SCORING_RULES,
+  MAX_SCORING_RULE_LENGTH,
+  MAX_PLACEMENT_BONUS,
+  PROFILE_STORAGE_KEY,
+  MAX_PLAYER_PROFILES,
+  MAX_PROFILE_HISTORY,
+  LEADERBOARD_SIZE,
+  RATED_MODES,
+  DEFAULT_RATING,
+  RATING_K_FACTOR,
+  MAX_RATING_HISTORY,
   MIN_LIFE,
   MAX_LIFE,
   MIN_COUNTER,
   MAX_COUNTER,
+  COUNTER_TYPES,
+  DEFAULT_COUNTERS,
+  MAX_CUSTOM_COUNTERS,
+  MAX_COUNTER_NAME_LENGTH,
+  MAX_COUNTER_ICON_LENGTH,
+  COMMANDER_DAMAGE_LETHAL,
+  COMMANDER_SLOTS,
+  TURN_PHASES,
+  MAX_ACTION_HISTORY,
+  MAX_GAME_EVENTS,
   MAX_GAME_NAME_LENGTH,
+  MAX_STACK_LABEL_LENGTH,
 
   // Sessions
   SESSION_CLEANUP_INTERVAL,
@@ -125,6 +325,16 @@ const CONSTANTS = {
   DICE_PRESET_SIDES,
   DICE_DEFAULT_SIDES,
 
+  // Planechase
+  PLANAR_DIE_FACES,
+  MAX_PLANE_NAME_LENGTH,
+
+  // Global designations
+  DESIGNATIONS,
+  DAY_NIGHT,
+  UNDERCITY_ROOMS,
+  MAX_SPELLS_PER_TURN,
+
   // Warnings
   WARNING_TICK_DELTA,
   WARNING_THRESHOLD_5MIN,
@@ -159,6 +369,18 @@ module.exports = {
   MAX_INITIAL_TIME,
   DEFAULT_BONUS_TIME,
   MAX_BONUS_TIME,
+  CLOCK_MODES,
+  DEFAULT_CLOCK_MODE,
+  DEFAULT_TURN_TIME_LIMIT,
+  MAX_TURN_TIME_LIMIT,
+  DEFAULT_TURN_WARNING_THRESHOLDS,
+  TURN_LIMIT_POLICIES,
+  DEFAULT_TURN_LIMIT_POLICY,
+  DEFAULT_START_COUNTDOWN,
+  MAX_START_COUNTDOWN,
+  DEFAULT_HAND_SIZE,
+  DEFAULT_PREGAME_TIME_LIMIT,
+  MAX_PREGAME_TIME_LIMIT,
   DEFAULT_TIMEOUT_PENALTY_LIVES,
   DEFAULT_TIMEOUT_PENALTY_DRUNK,
   DEFAULT_TIMEOUT_GRACE_PERIOD,
@@ -166,11 +388,56 @@ module.exports = {
   MIN_PLAYERS,
   MAX_PLAYERS,
   MAX_PLAYER_NAME_LENGTH,
+  TURN_DIRECTIONS,
+  DEFAULT_TURN_DIRECTION,
+  MIN_TEAMS,
+  DEFAULT_TEAM_LIFE,
+  DEFAULT_ROUND_TIME,
+  DEFAULT_EXTRA_TURNS,
+  MAX_EXTRA_TURNS,
+  DEFAULT_VILLAIN_LIFE,
+  DEFAULT_HERO_LIFE,
+  TOURNAMENT_POINTS,
+  TOURNAMENT_MIN_PERCENTAGE,
+  DEFAULT_POD_SIZE,
+  TOURNAMENT_BEST_OF,
+  MAX_TOURNAMENT_PARTICIPANTS,
+  MAX_TOURNAMENT_ROUNDS,
+  CAMPAIGN_WIN_CONDITIONS,
+  MAX_CAMPAIGN_ROUNDS,
+  MAX_CAMPAIGN_PRESETS,
+  MAX_PRESET_DESCRIPTION_LENGTH,
+  MAX_PRESET_FLAVOR_TEXT_LENGTH,
+  MAX_STARTING_HAND_SIZE,
+  MAX_SCORE_MULTIPLIER,
+  MAX_LEVEL_THRESHOLDS,
+  MAX_SCORING_RULES,
+  MAX_SCORING_RULE_LENGTH,
+  MAX_PLACEMENT_BONUS,
+  PROFILE_STORAGE_KEY,
+  MAX_PLAYER_PROFILES,
+  MAX_PROFILE_HISTORY,
+  LEADERBOARD_SIZE,
+  RATED_MODES,
+  DEFAULT_RATING,
+  RATING_K_FACTOR,
+  MAX_RATING_HISTORY,
   MIN_LIFE,
   MAX_LIFE,
   MIN_COUNTER,
   MAX_COUNTER,
+  COUNTER_TYPES,
+  DEFAULT_COUNTERS,
+  MAX_CUSTOM_COUNTERS,
+  MAX_COUNTER_NAME_LENGTH,
+  MAX_COUNTER_ICON_LENGTH,
+  COMMANDER_DAMAGE_LETHAL,
+  COMMANDER_SLOTS,
+  TURN_PHASES,
+  MAX_ACTION_HISTORY,
+  MAX_GAME_EVENTS,
   MAX_GAME_NAME_LENGTH,
+  MAX_STACK_LABEL_LENGTH,
   SESSION_CLEANUP_INTERVAL,
   INACTIVE_SESSION_THRESHOLD,
   EMPTY_SESSION_THRESHOLD,
@@ -183,6 +450,12 @@ module.exports = {
   DICE_MAX_SIDES,
   DICE_PRESET_SIDES,
   DICE_DEFAULT_SIDES,
+  PLANAR_DIE_FACES,
+  MAX_PLANE_NAME_LENGTH,
+  DESIGNATIONS,
+  DAY_NIGHT,
+  UNDERCITY_ROOMS,
+  MAX_SPELLS_PER_TURN,
   WARNING_TICK_DELTA,
   WARNING_THRESHOLD_5MIN,
   WARNING_THRESHOLD_1MIN,
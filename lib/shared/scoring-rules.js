@@ -0,0 +1,224 @@
+/**
+ * Campaign scoring rules.
+ * A small arithmetic expression language for campaign presets. Rules are
+ * plain strings such as "floor(damage * targetMult * roundMult)", so presets
+ * keep their scoring when stored as JSON. Expressions can only read the
+ * variables and call the functions listed below; nothing is passed to eval().
+ */
+
+const { CONSTANTS } = require("./constants");
+
+/**
+ * Values a rule can read, all for the player being scored in the current round
+ */
+const SCORING_VARIABLES = [
+  "damage", // Damage dealt to opponents
+  "targets", // Opponents damaged
+  "eliminations", // Opponents eliminated
+  "round", // Round number
+  "players", // Players in the campaign
+  "placement", // Finishing position (1 = winner), 0 while still in the round
+  "roundMult", // Preset battleMultipliers entry for this round (1 if missing)
+  "targetMult", // Preset playerMultipliers entry for targets (1 if missing)
+  "placementBonus", // Scoring placementBonuses entry for placement (0 if missing)
+];
+
+const SCORING_FUNCTIONS = {
+  floor: { arity: [1, 1], fn: Math.floor },
+  ceil: { arity: [1, 1], fn: Math.ceil },
+  round: { arity: [1, 1], fn: Math.round },
+  abs: { arity: [1, 1], fn: Math.abs },
+  min: { arity: [2, Infinity], fn: Math.min },
+  max: { arity: [2, Infinity], fn: Math.max },
+};
+
+/**
+ * Scoring used by custom presets that don't define their own:
+ * damage scaled by the opponent and round multiplier tables
+ */
+const DEFAULT_SCORING = { rules: ["floor(damage * targetMult * roundMult)"] };
+
+// Parsed rules, keyed by source. Presets share a handful of rules, so this stays small.
+const compiledRules = new Map();
+
+/**
+ * Split a rule into number, name and operator tokens
+ * @param {string} source - Rule source
+ * @returns {object[]|null} Tokens, or null on an unexpected character
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_]\w*)|([-+*/(),]))/y;
+  let index = 0;
+
+  while (index < source.length) {
+    if (source.slice(index).trim() === "") break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) return null;
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2] });
+    else tokens.push({ type: match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a rule into an expression tree.
+ * Grammar: expr = term (("+" | "-") term)*, term = unary (("*" | "/") unary)*,
+ * unary = "-" unary | number | variable | call | "(" expr ")"
+ * @param {string} source - Rule source
+ * @returns {object|null} Expression tree, or null if the rule is invalid
+ */
+function compileScoringRule(source) {
+  if (typeof source !== "string" || source.length > CONSTANTS.MAX_SCORING_RULE_LENGTH) {
+    return null;
+  }
+  if (compiledRules.has(source)) return compiledRules.get(source);
+
+  const tokens = tokenize(source);
+  if (!tokens || tokens.length === 0) return null;
+  let pos = 0;
+
+  const peek = () => tokens[pos]?.type;
+  const expect = type => {
+    if (peek() !== type) throw new Error(`Expected ${type}`);
+    return tokens[pos++];
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek() === "+" || peek() === "-") {
+      const op = tokens[pos++].type;
+      node = { op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (peek() === "*" || peek() === "/") {
+      const op = tokens[pos++].type;
+      node = { op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Unexpected end of rule");
+
+    switch (token.type) {
+      case "-":
+        return { op: "neg", arg: parseUnary() };
+      case "number":
+        return { op: "num", value: token.value };
+      case "(": {
+        const node = parseExpression();
+        expect(")");
+        return node;
+      }
+      case "name":
+        return peek() === "(" ? parseCall(token.value) : parseVariable(token.value);
+      default:
+        throw new Error(`Unexpected ${token.type}`);
+    }
+  }
+
+  function parseVariable(name) {
+    if (!SCORING_VARIABLES.includes(name)) throw new Error(`Unknown variable ${name}`);
+    return { op: "var", name };
+  }
+
+  function parseCall(name) {
+    const func = Object.hasOwn(SCORING_FUNCTIONS, name) ? SCORING_FUNCTIONS[name] : null;
+    if (!func) throw new Error(`Unknown function ${name}`);
+    expect("(");
+    const args = [parseExpression()];
+    while (peek() === ",") {
+      pos++;
+      args.push(parseExpression());
+    }
+    expect(")");
+    if (args.length < func.arity[0] || args.length > func.arity[1]) {
+      throw new Error(`Wrong number of arguments to ${name}`);
+    }
+    return { op: "call", name, args };
+  }
+
+  let tree;
+  try {
+    tree = parseExpression();
+    if (pos !== tokens.length) return null;
+  } catch {
+    return null;
+  }
+
+  compiledRules.set(source, tree);
+  return tree;
+}
+
+/**
+ * Check that a rule parses
+ * @param {string} source - Rule source
+ * @returns {boolean} True if valid
+ */
+function isValidScoringRule(source) {
+  return compileScoringRule(source) !== null;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {object} node - Expression tree from compileScoringRule()
+ * @param {object} variables - Variable values
+ * @returns {number}
+ */
+function evaluate(node, variables) {
+  switch (node.op) {
+    case "num":
+      return node.value;
+    case "var":
+      return variables[node.name] ?? 0;
+    case "neg":
+      return -evaluate(node.arg, variables);
+    case "call":
+      return SCORING_FUNCTIONS[node.name].fn(...node.args.map(arg => evaluate(arg, variables)));
+    case "+":
+      return evaluate(node.left, variables) + evaluate(node.right, variables);
+    case "-":
+      return evaluate(node.left, variables) - evaluate(node.right, variables);
+    case "*":
+      return evaluate(node.left, variables) * evaluate(node.right, variables);
+    case "/":
+      return evaluate(node.left, variables) / evaluate(node.right, variables);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Score one player's round: the sum of every rule, rounded down.
+ * Invalid rules and results that aren't finite (e.g. dividing by zero) count as 0.
+ * @param {object} scoring - Scoring definition ({ rules, placementBonuses })
+ * @param {object} variables - Values for SCORING_VARIABLES
+ * @returns {number} Points for the round
+ */
+function scoreRound(scoring, variables) {
+  let total = 0;
+  for (const rule of scoring.rules || []) {
+    const tree = compileScoringRule(rule);
+    const points = tree ? evaluate(tree, variables) : 0;
+    if (Number.isFinite(points)) total += points;
+  }
+  return Math.floor(total);
+}
+
+module.exports = {
+  SCORING_VARIABLES,
+  SCORING_FUNCTIONS,
+  DEFAULT_SCORING,
+  compileScoringRule,
+  isValidScoringRule,
+  scoreRound,
+};
@@ -4,6 +4,7 @@
  */
 
 const { CONSTANTS } = require("./constants");
+const { isValidScoringRule } = require("./scoring-rules");
 
 /**
  * Validate game settings object
@@ -33,9 +34,418 @@ function validateSettings(settings) {
     }
   }
 
+  if (settings.clockMode !== undefined && !validateClockMode(settings.clockMode)) {
+    return false;
+  }
+
+  if (settings.turnDirection !== undefined && !validateTurnDirection(settings.turnDirection)) {
+    return false;
+  }
+
+  if (settings.seatMap !== undefined) {
+    const count = Number(settings.playerCount ?? CONSTANTS.MIN_PLAYERS);
+    const playerIds = Array.from({ length: count }, (_, i) => i + 1);
+    if (!validateSeatMap(settings.seatMap, playerIds)) {
+      return false;
+    }
+  }
+
+  if (settings.turnTimeLimit !== undefined) {
+    const limit = Number(settings.turnTimeLimit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > CONSTANTS.MAX_TURN_TIME_LIMIT) {
+      return false;
+    }
+  }
+
+  if (
+    settings.turnLimitPolicy !== undefined &&
+    !validateTurnLimitPolicy(settings.turnLimitPolicy)
+  ) {
+    return false;
+  }
+
+  if (
+    settings.targetingPriorityMode !== undefined &&
+    !validateTargetingPriorityMode(settings.targetingPriorityMode)
+  ) {
+    return false;
+  }
+
+  if (settings.teamCount !== undefined) {
+    const teams = Number(settings.teamCount);
+    if (!Number.isInteger(teams) || teams < CONSTANTS.MIN_TEAMS || teams > CONSTANTS.MAX_PLAYERS) {
+      return false;
+    }
+  }
+
+  if (settings.teamLife !== undefined) {
+    const life = Number(settings.teamLife);
+    if (!Number.isInteger(life) || life <= 0 || life > CONSTANTS.MAX_LIFE) {
+      return false;
+    }
+  }
+
+  if (
+    settings.campaignPreset !== undefined &&
+    (typeof settings.campaignPreset !== "string" ||
+      settings.campaignPreset.length > CONSTANTS.MAX_GAME_NAME_LENGTH)
+  ) {
+    return false;
+  }
+
+  // Resolved from storage by the server; clients pick a custom preset by ID
+  if (settings.customCampaignPreset !== undefined) {
+    return false;
+  }
+
+  if (settings.sharedClock !== undefined && typeof settings.sharedClock !== "boolean") {
+    return false;
+  }
+
+  if (settings.planechase !== undefined && typeof settings.planechase !== "boolean") {
+    return false;
+  }
+
+  if (
+    settings.hideFromSpectators !== undefined &&
+    typeof settings.hideFromSpectators !== "boolean"
+  ) {
+    return false;
+  }
+
+  if (settings.displayTapToPass !== undefined && typeof settings.displayTapToPass !== "boolean") {
+    return false;
+  }
+
+  if (settings.requireReady !== undefined && typeof settings.requireReady !== "boolean") {
+    return false;
+  }
+
+  if (settings.startCountdown !== undefined) {
+    const countdown = Number(settings.startCountdown);
+    if (
+      !Number.isInteger(countdown) ||
+      countdown < 0 ||
+      countdown > CONSTANTS.MAX_START_COUNTDOWN
+    ) {
+      return false;
+    }
+  }
+
+  if (settings.pregame !== undefined && typeof settings.pregame !== "boolean") {
+    return false;
+  }
+
+  if (settings.pregameTimeLimit !== undefined) {
+    const limit = Number(settings.pregameTimeLimit);
+    if (!Number.isInteger(limit) || limit < 0 || limit > CONSTANTS.MAX_PREGAME_TIME_LIMIT) {
+      return false;
+    }
+  }
+
+  if (settings.roundTime !== undefined) {
+    const time = Number(settings.roundTime);
+    if (!Number.isInteger(time) || time <= 0 || time > CONSTANTS.MAX_INITIAL_TIME) {
+      return false;
+    }
+  }
+
+  if (settings.extraTurns !== undefined) {
+    const turns = Number(settings.extraTurns);
+    if (!Number.isInteger(turns) || turns < 0 || turns > CONSTANTS.MAX_EXTRA_TURNS) {
+      return false;
+    }
+  }
+
+  for (const key of ["villainLife", "heroLife"]) {
+    if (settings[key] !== undefined) {
+      const life = Number(settings[key]);
+      if (!Number.isInteger(life) || life <= 0 || life > CONSTANTS.MAX_LIFE) {
+        return false;
+      }
+    }
+  }
+
+  for (const key of ["villainTime", "heroTime"]) {
+    if (settings[key] !== undefined) {
+      const time = Number(settings[key]);
+      if (!Number.isInteger(time) || time <= 0 || time > CONSTANTS.MAX_INITIAL_TIME) {
+        return false;
+      }
+    }
+  }
+
+  if (settings.counters !== undefined && !validateCounterIds(settings.counters)) {
+    return false;
+  }
+
+  if (settings.customCounters !== undefined && !validateCustomCounters(settings.customCounters)) {
+    return false;
+  }
+
   return true;
 }
 
+/**
+ * Validate Swiss tournament settings
+ * @param {object} settings - Tournament settings to validate
+ * @returns {boolean} True if valid
+ */
+function validateTournamentSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return false;
+  }
+
+  if (settings.name !== undefined && !validatePlayerName(settings.name)) {
+    return false;
+  }
+
+  if (settings.rounds !== undefined && settings.rounds !== null) {
+    const rounds = Number(settings.rounds);
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > CONSTANTS.MAX_TOURNAMENT_ROUNDS) {
+      return false;
+    }
+  }
+
+  if (settings.podSize !== undefined) {
+    const size = Number(settings.podSize);
+    if (!Number.isInteger(size) || size < CONSTANTS.MIN_PLAYERS || size > CONSTANTS.MAX_PLAYERS) {
+      return false;
+    }
+  }
+
+  if (settings.bestOf !== undefined && !CONSTANTS.TOURNAMENT_BEST_OF.includes(settings.bestOf)) {
+    return false;
+  }
+
+  if (settings.gameSettings !== undefined && !validateSettings(settings.gameSettings)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate a declarative campaign preset (see createCampaignPreset)
+ * @param {object} preset - Preset definition
+ * @returns {boolean} True if valid
+ */
+function validateCampaignPreset(preset) {
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    return false;
+  }
+
+  if (typeof preset.name !== "string" || preset.name.trim().length === 0) return false;
+  if (preset.name.length > CONSTANTS.MAX_GAME_NAME_LENGTH) return false;
+  if (!isOptionalString(preset.description, CONSTANTS.MAX_PRESET_DESCRIPTION_LENGTH)) return false;
+  if (!isOptionalString(preset.flavorText, CONSTANTS.MAX_PRESET_FLAVOR_TEXT_LENGTH)) return false;
+
+  const { rounds } = preset;
+  if (!isIntegerInRange(rounds, 1, CONSTANTS.MAX_CAMPAIGN_ROUNDS)) return false;
+
+  // Time curve: start time, decrease per round and a floor, all in ms
+  if (!isIntegerInRange(preset.timePerRound, 1, CONSTANTS.MAX_INITIAL_TIME)) return false;
+  if (
+    preset.timeDecreasePerRound !== undefined &&
+    !isIntegerInRange(preset.timeDecreasePerRound, 0, CONSTANTS.MAX_INITIAL_TIME)
+  ) {
+    return false;
+  }
+  if (preset.minTime !== undefined && !isIntegerInRange(preset.minTime, 1, preset.timePerRound)) {
+    return false;
+  }
+  if (
+    preset.bonusTime !== undefined &&
+    !isIntegerInRange(preset.bonusTime, 0, CONSTANTS.MAX_BONUS_TIME)
+  ) {
+    return false;
+  }
+
+  if (
+    preset.startingLife !== undefined &&
+    !isIntegerInRange(preset.startingLife, 1, CONSTANTS.MAX_LIFE)
+  ) {
+    return false;
+  }
+  for (const key of ["startingHandSize", "handSizeIncrement"]) {
+    if (
+      preset[key] !== undefined &&
+      !isIntegerInRange(preset[key], 0, CONSTANTS.MAX_STARTING_HAND_SIZE)
+    ) {
+      return false;
+    }
+  }
+
+  if (!CONSTANTS.CAMPAIGN_WIN_CONDITIONS.includes(preset.winCondition)) return false;
+  const needsTarget = preset.winCondition === "best_of" || preset.winCondition === "first_to";
+  if (needsTarget && !isIntegerInRange(preset.winTarget, 1, rounds)) return false;
+  if (!needsTarget && preset.winTarget !== undefined && preset.winTarget !== null) return false;
+
+  // Battle multipliers are keyed by round, player multipliers by opponents damaged
+  if (
+    preset.battleMultipliers !== undefined &&
+    !validateMultiplierTable(preset.battleMultipliers, 1, rounds)
+  ) {
+    return false;
+  }
+  if (
+    preset.playerMultipliers !== undefined &&
+    !validateMultiplierTable(preset.playerMultipliers, 0, CONSTANTS.MAX_PLAYERS - 1)
+  ) {
+    return false;
+  }
+
+  if (preset.levelThresholds !== undefined) {
+    const thresholds = preset.levelThresholds;
+    if (!Array.isArray(thresholds) || thresholds.length > CONSTANTS.MAX_LEVEL_THRESHOLDS) {
+      return false;
+    }
+    const ascending = thresholds.every(
+      (t, i) => Number.isInteger(t) && t > 0 && (i === 0 || t > thresholds[i - 1])
+    );
+    if (!ascending) return false;
+  }
+
+  if (preset.scoring !== undefined && !validateScoring(preset.scoring)) return false;
+
+  return true;
+}
+
+/**
+ * Validate a campaign scoring definition ({ rules, placementBonuses })
+ * @param {object} scoring - Scoring definition
+ * @returns {boolean} True if valid
+ */
+function validateScoring(scoring) {
+  if (!scoring || typeof scoring !== "object" || Array.isArray(scoring)) return false;
+
+  const { rules, placementBonuses } = scoring;
+  if (!Array.isArray(rules) || rules.length === 0 || rules.length > CONSTANTS.MAX_SCORING_RULES) {
+    return false;
+  }
+  if (!rules.every(isValidScoringRule)) return false;
+
+  // Bonuses are keyed by finishing position, 1 being the round winner
+  if (placementBonuses !== undefined) {
+    if (!placementBonuses || typeof placementBonuses !== "object") return false;
+    if (Array.isArray(placementBonuses)) return false;
+    const entries = Object.entries(placementBonuses);
+    const valid = entries.every(
+      ([key, value]) =>
+        /^\d+$/.test(key) &&
+        Number(key) >= 1 &&
+        Number(key) <= CONSTANTS.MAX_PLAYERS &&
+        Number.isInteger(value) &&
+        Math.abs(value) <= CONSTANTS.MAX_PLACEMENT_BONUS
+    );
+    if (!valid) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate a scoring multiplier table such as { 1: 1.0, 2: 1.5 }
+ * @param {object} table - Multipliers keyed by integer
+ * @param {number} minKey - Lowest allowed key
+ * @param {number} maxKey - Highest allowed key
+ * @returns {boolean} True if valid
+ */
+function validateMultiplierTable(table, minKey, maxKey) {
+  if (!table || typeof table !== "object" || Array.isArray(table)) return false;
+  const entries = Object.entries(table);
+  if (entries.length === 0) return false;
+  return entries.every(
+    ([key, value]) =>
+      /^\d+$/.test(key) &&
+      Number(key) >= minKey &&
+      Number(key) <= maxKey &&
+      typeof value === "number" &&
+      Number.isFinite(value) &&
+      value >= 0 &&
+      value <= CONSTANTS.MAX_SCORE_MULTIPLIER
+  );
+}
+
+/**
+ * Check for an integer within an inclusive range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} True if value is an integer within [min, max]
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check an optional string field against a length limit
+ * @param {*} value - Value to check
+ * @param {number} maxLength - Longest allowed string
+ * @returns {boolean} True if value is undefined or a string no longer than maxLength
+ */
+function isOptionalString(value, maxLength) {
+  return value === undefined || (typeof value === "string" && value.length <= maxLength);
+}
+
+/**
+ * Validate clock mode
+ * @param {string} mode - Clock mode to validate
+ * @returns {boolean} True if valid
+ */
+function validateClockMode(mode) {
+  return Object.values(CONSTANTS.CLOCK_MODES).includes(mode);
+}
+
+/**
+ * Validate turn direction
+ * @param {string} direction - Turn direction to validate
+ * @returns {boolean} True if valid
+ */
+function validateTurnDirection(direction) {
+  return Object.values(CONSTANTS.TURN_DIRECTIONS).includes(direction);
+}
+
+/**
+ * Validate a seat map: distinct player IDs clockwise from seat 1, or null to
+ * seat players in ID order
+ * @param {number[]|null} seatMap - Seat map to validate
+ * @param {number[]} [playerIds] - IDs the map must seat, each exactly once
+ * @returns {boolean} True if valid
+ */
+function validateSeatMap(seatMap, playerIds) {
+  if (seatMap === null) return true;
+  if (
+    !Array.isArray(seatMap) ||
+    seatMap.length < CONSTANTS.MIN_PLAYERS ||
+    seatMap.length > CONSTANTS.MAX_PLAYERS ||
+    !seatMap.every(id => Number.isInteger(id) && id >= 1 && id <= CONSTANTS.MAX_PLAYERS) ||
+    new Set(seatMap).size !== seatMap.length
+  ) {
+    return false;
+  }
+  if (!playerIds) return true;
+  return seatMap.length === playerIds.length && playerIds.every(id => seatMap.includes(id));
+}
+
+/**
+ * Validate turn time limit expiry policy
+ * @param {string} policy - Policy to validate
+ * @returns {boolean} True if valid
+ */
+function validateTurnLimitPolicy(policy) {
+  return Object.values(CONSTANTS.TURN_LIMIT_POLICIES).includes(policy);
+}
+
+/**
+ * Validate who holds priority while targets resolve
+ * @param {string} mode - Priority mode to validate
+ * @returns {boolean} True if valid
+ */
+function validateTargetingPriorityMode(mode) {
+  return Object.values(CONSTANTS.TARGETING.PRIORITY_MODES).includes(mode);
+}
+
 /**
  * Validate player name
  * @param {string} name - Player name to validate
@@ -72,6 +482,47 @@ function validateTimeValue(time) {
   return true;
 }
 
+/**
+ * Validate a list of enabled built-in counter IDs
+ * @param {string[]} ids - Counter IDs from CONSTANTS.COUNTER_TYPES
+ * @returns {boolean} True if valid
+ */
+function validateCounterIds(ids) {
+  if (!Array.isArray(ids)) return false;
+  if (new Set(ids).size !== ids.length) return false;
+  return ids.every(id => typeof id === "string" && Object.hasOwn(CONSTANTS.COUNTER_TYPES, id));
+}
+
+/**
+ * Validate lobby-defined custom counters
+ * @param {object[]} counters - Array of { name, icon?, min, max }
+ * @returns {boolean} True if valid
+ */
+function validateCustomCounters(counters) {
+  if (!Array.isArray(counters)) return false;
+  if (counters.length > CONSTANTS.MAX_CUSTOM_COUNTERS) return false;
+
+  const names = new Set();
+  for (const counter of counters) {
+    if (!counter || typeof counter !== "object") return false;
+
+    const { name, icon, min, max } = counter;
+    if (typeof name !== "string" || name.trim().length === 0) return false;
+    if (name.length > CONSTANTS.MAX_COUNTER_NAME_LENGTH) return false;
+    if (icon !== undefined && (typeof icon !== "string" || icon.length > CONSTANTS.MAX_COUNTER_ICON_LENGTH)) {
+      return false;
+    }
+    if (!Number.isInteger(min) || !Number.isInteger(max)) return false;
+    if (min > max || min < CONSTANTS.MIN_LIFE || max > CONSTANTS.MAX_LIFE) return false;
+
+    // Names must be unique (case-insensitive) since they key the counter values
+    const key = name.trim().toLowerCase();
+    if (names.has(key)) return false;
+    names.add(key);
+  }
+  return true;
+}
+
 /**
  * Sanitize a string to prevent XSS attacks
  * Uses HTML entity encoding for dangerous characters only
@@ -114,9 +565,19 @@ function generateGameId(existingIds = new Set()) {
 
 module.exports = {
   validateSettings,
+  validateTournamentSettings,
+  validateCampaignPreset,
+  validateScoring,
   validatePlayerName,
   validateWarningThresholds,
   validateTimeValue,
+  validateClockMode,
+  validateTurnLimitPolicy,
+  validateTurnDirection,
+  validateSeatMap,
+  validateTargetingPriorityMode,
+  validateCounterIds,
+  validateCustomCounters,
   sanitizeString,
   generateGameId,
 };
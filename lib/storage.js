@@ -5,6 +5,7 @@
 
 const path = require("path");
 const fs = require("fs");
+const { CONSTANTS } = require("./shared/constants");
 
 class SessionStorage {
   constructor(dbPath = "./data/sessions.db") {
@@ -68,6 +69,47 @@ class SessionStorage {
 			)
 		`);
 
+    // Create per-game event log table (append-only, replayed by /api/games/:id/events)
+    this.db.exec(`
+			CREATE TABLE IF NOT EXISTS game_events (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				game_id TEXT NOT NULL,
+				type TEXT NOT NULL,
+				event TEXT NOT NULL,
+				created_at INTEGER NOT NULL
+			)
+		`);
+    this.db.exec(`
+			CREATE INDEX IF NOT EXISTS idx_game_events_game_id ON game_events(game_id, id)
+		`);
+
+    // Create tournaments table (whole tournament state as JSON, like sessions)
+    this.db.exec(`
+			CREATE TABLE IF NOT EXISTS tournaments (
+				id TEXT PRIMARY KEY,
+				state TEXT NOT NULL,
+				updated_at INTEGER NOT NULL
+			)
+		`);
+
+    // Create campaign presets table (custom presets built in the client)
+    this.db.exec(`
+			CREATE TABLE IF NOT EXISTS campaign_presets (
+				id TEXT PRIMARY KEY,
+				preset TEXT NOT NULL,
+				created_at INTEGER NOT NULL
+			)
+		`);
+
+    // Create player profiles table (campaign results across lobbies)
+    this.db.exec(`
+			CREATE TABLE IF NOT EXISTS player_profiles (
+				id TEXT PRIMARY KEY,
+				profile TEXT NOT NULL,
+				updated_at INTEGER NOT NULL
+			)
+		`);
+
     // Prepare statements for better performance
     this.statements = {
       save: this.db.prepare(`
@@ -95,6 +137,38 @@ class SessionStorage {
 				UPDATE feedbacks SET text = ?, created_at = ? WHERE id = ?
 			`),
       deleteFeedback: this.db.prepare("DELETE FROM feedbacks WHERE id = ?"),
+      appendEvent: this.db.prepare(`
+				INSERT INTO game_events (game_id, type, event, created_at)
+				VALUES (?, ?, ?, ?)
+			`),
+      // Drops everything older than the newest MAX_GAME_EVENTS events of a game
+      trimEvents: this.db.prepare(`
+				DELETE FROM game_events WHERE game_id = ? AND id <= (
+					SELECT id FROM game_events WHERE game_id = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+				)
+			`),
+      loadEvents: this.db.prepare("SELECT event FROM game_events WHERE game_id = ? ORDER BY id"),
+      deleteEvents: this.db.prepare("DELETE FROM game_events WHERE game_id = ?"),
+      // Orphaned events only; the cutoff spares games appended to but not yet persisted
+      cleanupEvents: this.db.prepare(
+        "DELETE FROM game_events WHERE created_at < ? AND game_id NOT IN (SELECT id FROM sessions)"
+      ),
+      saveTournament: this.db.prepare(`
+				INSERT OR REPLACE INTO tournaments (id, state, updated_at) VALUES (?, ?, ?)
+			`),
+      loadTournament: this.db.prepare("SELECT state FROM tournaments WHERE id = ?"),
+      saveCampaignPreset: this.db.prepare(`
+				INSERT OR REPLACE INTO campaign_presets (id, preset, created_at) VALUES (?, ?, ?)
+			`),
+      loadCampaignPreset: this.db.prepare("SELECT preset FROM campaign_presets WHERE id = ?"),
+      loadAllCampaignPresets: this.db.prepare(
+        "SELECT preset FROM campaign_presets ORDER BY created_at"
+      ),
+      saveProfile: this.db.prepare(`
+				INSERT OR REPLACE INTO player_profiles (id, profile, updated_at) VALUES (?, ?, ?)
+			`),
+      loadProfile: this.db.prepare("SELECT profile FROM player_profiles WHERE id = ?"),
+      loadAllProfiles: this.db.prepare("SELECT profile FROM player_profiles"),
     };
 
     return this;
@@ -177,6 +251,7 @@ class SessionStorage {
   delete(id) {
     if (!this.db) return;
     this.statements.delete.run(id);
+    this.statements.deleteEvents.run(id);
   }
 
   /**
@@ -189,6 +264,7 @@ class SessionStorage {
 
     const cutoff = Date.now() - maxAge;
     const result = this.statements.cleanup.run(cutoff);
+    this.statements.cleanupEvents.run(cutoff);
     return result.changes;
   }
 
@@ -225,6 +301,7 @@ class SessionStorage {
 
     const cutoff = Date.now() - maxAge;
     const result = this.statements.cleanupClosed.run(cutoff);
+    this.statements.cleanupEvents.run(cutoff);
     return result.changes;
   }
 
@@ -314,6 +391,108 @@ class SessionStorage {
     this.statements.deleteFeedback.run(id);
   }
 
+  /**
+   * Append an event to a game's event log, keeping the newest MAX_GAME_EVENTS
+   * @param {string} gameId - Game session ID
+   * @param {object} event - Event object with type and timestamp
+   */
+  appendEvent(gameId, event) {
+    if (!this.db) return;
+    this.statements.appendEvent.run(gameId, event.type, JSON.stringify(event), event.timestamp);
+    this.statements.trimEvents.run(gameId, gameId, CONSTANTS.MAX_GAME_EVENTS);
+  }
+
+  /**
+   * Load a game's event log in append order
+   * @param {string} gameId - Game session ID
+   * @returns {Array} Array of event objects
+   */
+  loadEvents(gameId) {
+    if (!this.db) return [];
+    return this.statements.loadEvents.all(gameId).map(row => JSON.parse(row.event));
+  }
+
+  /**
+   * Save a tournament to the database
+   * @param {string} id - Tournament ID
+   * @param {object} tournamentState - Tournament state (from SwissTournament.toJSON())
+   */
+  saveTournament(id, tournamentState) {
+    if (!this.db) return;
+    this.statements.saveTournament.run(id, JSON.stringify(tournamentState), Date.now());
+  }
+
+  /**
+   * Load a tournament from the database
+   * @param {string} id - Tournament ID
+   * @returns {object|null} Tournament state or null if not found
+   */
+  loadTournament(id) {
+    if (!this.db) return null;
+    const row = this.statements.loadTournament.get(id);
+    return row ? JSON.parse(row.state) : null;
+  }
+
+  /**
+   * Save a custom campaign preset to the database
+   * @param {string} id - Preset ID
+   * @param {object} record - Preset record ({ id, preset, createdBy, createdAt })
+   */
+  saveCampaignPreset(id, record) {
+    if (!this.db) return;
+    this.statements.saveCampaignPreset.run(id, JSON.stringify(record), record.createdAt);
+  }
+
+  /**
+   * Load a custom campaign preset from the database
+   * @param {string} id - Preset ID
+   * @returns {object|null} Preset record or null if not found
+   */
+  loadCampaignPreset(id) {
+    if (!this.db) return null;
+    const row = this.statements.loadCampaignPreset.get(id);
+    return row ? JSON.parse(row.preset) : null;
+  }
+
+  /**
+   * Load every custom campaign preset, oldest first
+   * @returns {object[]} Preset records
+   */
+  loadAllCampaignPresets() {
+    if (!this.db) return [];
+    return this.statements.loadAllCampaignPresets.all().map(row => JSON.parse(row.preset));
+  }
+
+  /**
+   * Save a player profile to the database
+   * @param {string} id - Profile ID
+   * @param {object} profile - Profile record
+   */
+  saveProfile(id, profile) {
+    if (!this.db) return;
+    this.statements.saveProfile.run(id, JSON.stringify(profile), Date.now());
+  }
+
+  /**
+   * Load a player profile from the database
+   * @param {string} id - Profile ID
+   * @returns {object|null} Profile record or null if not found
+   */
+  loadProfile(id) {
+    if (!this.db) return null;
+    const row = this.statements.loadProfile.get(id);
+    return row ? JSON.parse(row.profile) : null;
+  }
+
+  /**
+   * Load every player profile
+   * @returns {object[]} Profile records
+   */
+  loadAllProfiles() {
+    if (!this.db) return [];
+    return this.statements.loadAllProfiles.all().map(row => JSON.parse(row.profile));
+  }
+
   /**
    * Close the database connection
    */
@@ -373,6 +552,7 @@ class MemoryStorage {
 
   delete(id) {
     this.sessions.delete(id);
+    if (this.events) this.events.delete(id);
   }
 
   cleanup(maxAge) {
@@ -494,6 +674,114 @@ class MemoryStorage {
     this.feedbacks = this.feedbacks || new Map();
     this.feedbacks.delete(id);
   }
+
+  /**
+   * Append an event to a game's event log in memory, keeping the newest MAX_GAME_EVENTS
+   * @param {string} gameId - Game session ID
+   * @param {object} event - Event object
+   */
+  appendEvent(gameId, event) {
+    this.events = this.events || new Map();
+    if (!this.events.has(gameId)) {
+      this.events.set(gameId, []);
+    }
+    const events = this.events.get(gameId);
+    events.push(JSON.parse(JSON.stringify(event)));
+    if (events.length > CONSTANTS.MAX_GAME_EVENTS) {
+      events.shift();
+    }
+  }
+
+  /**
+   * Load a game's event log from memory
+   * @param {string} gameId - Game session ID
+   * @returns {Array} Array of event objects
+   */
+  loadEvents(gameId) {
+    this.events = this.events || new Map();
+    return [...(this.events.get(gameId) || [])];
+  }
+
+  /**
+   * Save a tournament in memory
+   * @param {string} id - Tournament ID
+   * @param {object} tournamentState - Tournament state
+   */
+  saveTournament(id, tournamentState) {
+    this.tournaments = this.tournaments || new Map();
+    this.tournaments.set(id, JSON.parse(JSON.stringify(tournamentState)));
+  }
+
+  /**
+   * Load a tournament from memory
+   * @param {string} id - Tournament ID
+   * @returns {object|null} Tournament state or null if not found
+   */
+  loadTournament(id) {
+    this.tournaments = this.tournaments || new Map();
+    const state = this.tournaments.get(id);
+    return state ? JSON.parse(JSON.stringify(state)) : null;
+  }
+
+  /**
+   * Save a custom campaign preset in memory
+   * @param {string} id - Preset ID
+   * @param {object} record - Preset record
+   */
+  saveCampaignPreset(id, record) {
+    this.campaignPresets = this.campaignPresets || new Map();
+    this.campaignPresets.set(id, JSON.parse(JSON.stringify(record)));
+  }
+
+  /**
+   * Load a custom campaign preset from memory
+   * @param {string} id - Preset ID
+   * @returns {object|null} Preset record or null if not found
+   */
+  loadCampaignPreset(id) {
+    this.campaignPresets = this.campaignPresets || new Map();
+    const record = this.campaignPresets.get(id);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /**
+   * Load every custom campaign preset, oldest first
+   * @returns {object[]} Preset records
+   */
+  loadAllCampaignPresets() {
+    this.campaignPresets = this.campaignPresets || new Map();
+    return [...this.campaignPresets.values()].map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  /**
+   * Save a player profile in memory
+   * @param {string} id - Profile ID
+   * @param {object} profile - Profile record
+   */
+  saveProfile(id, profile) {
+    this.profiles = this.profiles || new Map();
+    this.profiles.set(id, JSON.parse(JSON.stringify(profile)));
+  }
+
+  /**
+   * Load a player profile from memory
+   * @param {string} id - Profile ID
+   * @returns {object|null} Profile record or null if not found
+   */
+  loadProfile(id) {
+    this.profiles = this.profiles || new Map();
+    const profile = this.profiles.get(id);
+    return profile ? JSON.parse(JSON.stringify(profile)) : null;
+  }
+
+  /**
+   * Load every player profile
+   * @returns {object[]} Profile records
+   */
+  loadAllProfiles() {
+    this.profiles = this.profiles || new Map();
+    return [...this.profiles.values()].map(profile => JSON.parse(JSON.stringify(profile)));
+  }
 }
 
 /**
@@ -0,0 +1,555 @@
+/**
+ * Swiss Tournaments
+ *
+ * Tracks participants, pairings and results for a Swiss-style event.
+ * Each round players are seated in pods of similar standing without
+ * rematches, and the odd player out gets a bye. Standings rank by match
+ * points, then opponents' match-win percentage (OMW%), then game-win
+ * percentage (GW%).
+ *
+ * This class only holds tournament logic. The server creates a game session
+ * per table and reports results back (see lib/server/tournaments.js).
+ */
+
+const { CONSTANTS } = require("./shared/constants");
+
+// Max pods tried before pairing falls back to allowing rematches
+const PAIRING_SEARCH_LIMIT = 10000;
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} The same array
+ */
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Split players into as few pods as possible, as evenly as possible.
+ * Larger pods come first, so a lone player (a bye) is always last.
+ * @param {number} count - Number of players
+ * @param {number} podSize - Target players per pod
+ * @returns {number[]} Pod sizes
+ */
+function getPodSizes(count, podSize) {
+  if (count <= 0) return [];
+  const tables = Math.ceil(count / podSize);
+  const base = Math.floor(count / tables);
+  const extra = count % tables;
+  return Array.from({ length: tables }, (_, i) => base + (i < extra ? 1 : 0));
+}
+
+/**
+ * Seat players into pods of the given sizes, keeping each pod as close to
+ * the front of the ordering as possible.
+ * @param {number[]} playerIds - Players in pairing order (best first)
+ * @param {number[]} sizes - Pod sizes
+ * @param {function} hasPlayed - (a, b) => true if a and b may not share a pod
+ * @returns {number[][]|null} Pods, or null if no seating was found
+ */
+function buildPods(playerIds, sizes, hasPlayed) {
+  let budget = PAIRING_SEARCH_LIMIT;
+
+  const search = (remaining, sizeIndex) => {
+    if (sizeIndex === sizes.length) return [];
+    const [anchor, ...others] = remaining;
+    const size = sizes[sizeIndex];
+
+    const choose = (pod, start) => {
+      if (--budget < 0) return null;
+      if (pod.length === size) {
+        const rest = remaining.filter(id => !pod.includes(id));
+        const pods = search(rest, sizeIndex + 1);
+        return pods ? [pod, ...pods] : null;
+      }
+      for (let i = start; i < others.length; i++) {
+        const candidate = others[i];
+        if (pod.some(id => hasPlayed(id, candidate))) continue;
+        const result = choose([...pod, candidate], i + 1);
+        if (result) return result;
+      }
+      return null;
+    };
+
+    return choose([anchor], 0);
+  };
+
+  return search(playerIds, 0);
+}
+
+class SwissTournament {
+  /**
+   * @param {string} id - Unique tournament ID
+   * @param {object} settings - Tournament settings
+   */
+  constructor(id, settings = {}) {
+    this.id = id;
+    this.name = settings.name || "Tournament";
+    this.ownerId = null;
+    this.status = "registration"; // registration, running, finished
+    this.participants = []; // { id, name, clientId, dropped }
+    this.rounds = []; // { number, tables: [...], byes: [participantId] }
+    this.createdAt = Date.now();
+
+    this.settings = {
+      rounds: settings.rounds ?? null, // null = enough rounds for a clear winner, set on start
+      podSize: settings.podSize ?? CONSTANTS.DEFAULT_POD_SIZE,
+      bestOf: settings.bestOf ?? 1,
+      gameSettings: settings.gameSettings ?? {},
+    };
+  }
+
+  // ============================================================================
+  // OWNERSHIP AND REGISTRATION
+  // ============================================================================
+
+  /**
+   * Set the tournament owner
+   * @param {string} clientId - Client ID to set as owner
+   */
+  setOwner(clientId) {
+    if (!this.ownerId) {
+      this.ownerId = clientId;
+    }
+  }
+
+  /**
+   * Check if a client is the tournament owner
+   * @param {string} clientId - Client ID to check
+   * @returns {boolean}
+   */
+  isOwner(clientId) {
+    return this.ownerId === clientId;
+  }
+
+  /**
+   * Register a participant
+   * @param {string} name - Display name (already validated)
+   * @param {string} clientId - Registering client
+   * @returns {{success: boolean, participant?: object, reason?: string}}
+   */
+  register(name, clientId) {
+    if (this.status !== "registration") {
+      return { success: false, reason: "Registration is closed" };
+    }
+    if (this.participants.length >= CONSTANTS.MAX_TOURNAMENT_PARTICIPANTS) {
+      return { success: false, reason: "Tournament is full" };
+    }
+    if (clientId && this.findParticipantByClient(clientId)) {
+      return { success: false, reason: "Already registered" };
+    }
+
+    const id = this.participants.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    const participant = { id, name, clientId: clientId || null, dropped: false };
+    this.participants.push(participant);
+    return { success: true, participant };
+  }
+
+  /**
+   * Find a participant by ID
+   * @param {number} participantId - Participant ID
+   * @returns {object|undefined}
+   */
+  getParticipant(participantId) {
+    return this.participants.find(p => p.id === participantId);
+  }
+
+  /**
+   * Find the participant registered by a client
+   * @param {string} clientId - Client ID
+   * @returns {object|undefined}
+   */
+  findParticipantByClient(clientId) {
+    return this.participants.find(p => p.clientId === clientId);
+  }
+
+  /**
+   * Drop a participant. During registration they are removed outright;
+   * once running they keep their record but are no longer paired.
+   * @param {number} participantId - Participant ID
+   * @returns {boolean} True if the participant was dropped
+   */
+  drop(participantId) {
+    const participant = this.getParticipant(participantId);
+    if (!participant || participant.dropped || this.status === "finished") return false;
+
+    if (this.status === "registration") {
+      this.participants = this.participants.filter(p => p !== participant);
+      return true;
+    }
+
+    participant.dropped = true;
+    if (this.isRoundComplete() && this.getActiveParticipants().length < CONSTANTS.MIN_PLAYERS) {
+      this.status = "finished";
+    }
+    return true;
+  }
+
+  /**
+   * Participants still being paired
+   * @returns {object[]}
+   */
+  getActiveParticipants() {
+    return this.participants.filter(p => !p.dropped);
+  }
+
+  // ============================================================================
+  // ROUNDS AND PAIRING
+  // ============================================================================
+
+  /**
+   * The round in progress or most recently played
+   * @returns {object|null}
+   */
+  getCurrentRound() {
+    return this.rounds.length > 0 ? this.rounds[this.rounds.length - 1] : null;
+  }
+
+  /**
+   * Check whether every table in a round has a result
+   * @param {object} [round] - Round to check (defaults to the current round)
+   * @returns {boolean} True if the round is complete, or no round has started
+   */
+  isRoundComplete(round = this.getCurrentRound()) {
+    return !round || round.tables.every(t => t.result !== null);
+  }
+
+  /**
+   * Check whether the next round can be paired
+   * @returns {boolean}
+   */
+  canStartRound() {
+    if (this.status === "finished" || !this.isRoundComplete()) return false;
+    if (this.settings.rounds !== null && this.rounds.length >= this.settings.rounds) return false;
+    return this.getActiveParticipants().length >= CONSTANTS.MIN_PLAYERS;
+  }
+
+  /**
+   * Pair and open the next round
+   * @returns {object|null} The new round, or null if a round can't start
+   */
+  startRound() {
+    if (!this.canStartRound()) return null;
+
+    if (this.status === "registration") {
+      this.status = "running";
+      if (this.settings.rounds === null) {
+        const needed = Math.ceil(Math.log2(this.participants.length));
+        this.settings.rounds = Math.min(CONSTANTS.MAX_TOURNAMENT_ROUNDS, Math.max(1, needed));
+      }
+    }
+
+    const { pods, byes } = this.pairRound();
+    const round = {
+      number: this.rounds.length + 1,
+      tables: pods.map((participantIds, index) => ({
+        table: index + 1,
+        gameId: null,
+        participantIds,
+        games: [], // Winner participant ID per game, null for a draw
+        result: null, // { winnerId } once the match is decided, winnerId null for a draw
+      })),
+      byes,
+    };
+    this.rounds.push(round);
+    return round;
+  }
+
+  /**
+   * Seat active participants for the next round.
+   * Round 1 is random; later rounds pair by standings, avoiding rematches
+   * whenever a rematch-free seating exists.
+   * @returns {{pods: number[][], byes: number[]}}
+   */
+  pairRound() {
+    const activeIds = new Set(this.getActiveParticipants().map(p => p.id));
+    const ordered =
+      this.rounds.length === 0
+        ? shuffle([...activeIds])
+        : this.getStandings()
+            .map(s => s.participantId)
+            .filter(id => activeIds.has(id));
+
+    const sizes = getPodSizes(ordered.length, this.settings.podSize);
+    const byes = [];
+    if (sizes[sizes.length - 1] === 1) {
+      sizes.pop();
+      // Lowest-ranked player who hasn't had a bye yet
+      const previousByes = new Set(this.rounds.flatMap(r => r.byes));
+      const byeId =
+        [...ordered].reverse().find(id => !previousByes.has(id)) ?? ordered[ordered.length - 1];
+      byes.push(byeId);
+      ordered.splice(ordered.indexOf(byeId), 1);
+    }
+
+    const opponents = this.getOpponentMap();
+    const pods =
+      buildPods(ordered, sizes, (a, b) => opponents.get(a).has(b)) ||
+      buildPods(ordered, sizes, () => false);
+
+    return { pods, byes };
+  }
+
+  /**
+   * Everyone each participant has shared a table with
+   * @returns {Map<number, Set<number>>}
+   */
+  getOpponentMap() {
+    const opponents = new Map(this.participants.map(p => [p.id, new Set()]));
+    for (const round of this.rounds) {
+      for (const table of round.tables) {
+        for (const id of table.participantIds) {
+          table.participantIds
+            .filter(other => other !== id)
+            .forEach(other => {
+              opponents.get(id).add(other);
+            });
+        }
+      }
+    }
+    return opponents;
+  }
+
+  /**
+   * Find a table in a round
+   * @param {number} roundNumber - Round number
+   * @param {number} tableNumber - Table number
+   * @returns {object|undefined}
+   */
+  getTable(roundNumber, tableNumber) {
+    const round = this.rounds.find(r => r.number === roundNumber);
+    return round?.tables.find(t => t.table === tableNumber);
+  }
+
+  /**
+   * Link a table to the game session playing it
+   * @param {number} roundNumber - Round number
+   * @param {number} tableNumber - Table number
+   * @param {string} gameId - Game session ID
+   */
+  setTableGame(roundNumber, tableNumber, gameId) {
+    const table = this.getTable(roundNumber, tableNumber);
+    if (table) {
+      table.gameId = gameId;
+    }
+  }
+
+  /**
+   * Record one game of a table's match
+   * @param {number} roundNumber - Round number
+   * @param {number} tableNumber - Table number
+   * @param {number|null} winnerId - Winning participant ID, null for a draw
+   * @returns {{success: boolean, decided?: boolean, reason?: string}}
+   */
+  recordGame(roundNumber, tableNumber, winnerId) {
+    const table = this.getTable(roundNumber, tableNumber);
+    if (!table) return { success: false, reason: "Table not found" };
+    if (table.result) return { success: false, reason: "Match already decided" };
+    if (winnerId !== null && !table.participantIds.includes(winnerId)) {
+      return { success: false, reason: "Winner is not at this table" };
+    }
+
+    table.games.push(winnerId);
+
+    const winsNeeded = Math.ceil(this.settings.bestOf / 2);
+    const wins = table.participantIds.map(id => table.games.filter(g => g === id).length);
+    const mostWins = Math.max(...wins);
+    const decided = mostWins >= winsNeeded || table.games.length >= this.settings.bestOf;
+
+    if (decided) {
+      const leaders = table.participantIds.filter((_, i) => wins[i] === mostWins);
+      table.result = { winnerId: mostWins > 0 && leaders.length === 1 ? leaders[0] : null };
+
+      const round = this.rounds.find(r => r.number === roundNumber);
+      if (round === this.getCurrentRound() && this.isRoundComplete(round)) {
+        const lastRound =
+          this.settings.rounds !== null && this.rounds.length >= this.settings.rounds;
+        if (lastRound || this.getActiveParticipants().length < CONSTANTS.MIN_PLAYERS) {
+          this.status = "finished";
+        }
+      }
+    }
+
+    return { success: true, decided };
+  }
+
+  // ============================================================================
+  // STANDINGS
+  // ============================================================================
+
+  /**
+   * Rank participants by points, then OMW%, then GW%
+   * @returns {object[]} Standings rows, best first
+   */
+  getStandings() {
+    const { WIN, DRAW, LOSS } = CONSTANTS.TOURNAMENT_POINTS;
+    const floor = CONSTANTS.TOURNAMENT_MIN_PERCENTAGE;
+    const records = new Map(
+      this.participants.map(p => [
+        p.id,
+        {
+          participantId: p.id,
+          name: p.name,
+          dropped: p.dropped,
+          points: 0,
+          wins: 0,
+          losses: 0,
+          draws: 0,
+          byes: 0,
+          matches: 0,
+          gamePoints: 0,
+          games: 0,
+          opponents: [],
+        },
+      ])
+    );
+
+    for (const round of this.rounds) {
+      for (const id of round.byes) {
+        const record = records.get(id);
+        if (!record) continue;
+        record.points += WIN;
+        record.wins++;
+        record.byes++;
+        record.matches++;
+        // A bye counts as a match won without dropping a game
+        const games = Math.ceil(this.settings.bestOf / 2);
+        record.gamePoints += games * WIN;
+        record.games += games;
+      }
+
+      for (const table of round.tables) {
+        if (!table.result) continue;
+        for (const id of table.participantIds) {
+          const record = records.get(id);
+          if (!record) continue;
+          record.matches++;
+          if (table.result.winnerId === id) {
+            record.points += WIN;
+            record.wins++;
+          } else if (table.result.winnerId === null) {
+            record.points += DRAW;
+            record.draws++;
+          } else {
+            record.points += LOSS;
+            record.losses++;
+          }
+          for (const game of table.games) {
+            record.games++;
+            if (game === id) record.gamePoints += WIN;
+            else if (game === null) record.gamePoints += DRAW;
+          }
+          record.opponents.push(...table.participantIds.filter(other => other !== id));
+        }
+      }
+    }
+
+    const matchWinPercentage = record =>
+      record.matches > 0 ? Math.max(floor, record.points / (WIN * record.matches)) : floor;
+
+    const rows = [...records.values()].map(record => {
+      const opponentPercentages = record.opponents
+        .filter(id => records.has(id))
+        .map(id => matchWinPercentage(records.get(id)));
+      return {
+        participantId: record.participantId,
+        name: record.name,
+        dropped: record.dropped,
+        points: record.points,
+        wins: record.wins,
+        losses: record.losses,
+        draws: record.draws,
+        byes: record.byes,
+        matchWinPercentage: matchWinPercentage(record),
+        opponentMatchWinPercentage:
+          opponentPercentages.length > 0
+            ? opponentPercentages.reduce((sum, pct) => sum + pct, 0) / opponentPercentages.length
+            : 0,
+        gameWinPercentage:
+          record.games > 0 ? Math.max(floor, record.gamePoints / (WIN * record.games)) : 0,
+      };
+    });
+
+    rows.sort(
+      (a, b) =>
+        b.points - a.points ||
+        b.opponentMatchWinPercentage - a.opponentMatchWinPercentage ||
+        b.gameWinPercentage - a.gameWinPercentage ||
+        a.participantId - b.participantId
+    );
+    return rows.map((row, index) => ({ rank: index + 1, ...row }));
+  }
+
+  // ============================================================================
+  // SERIALIZATION
+  // ============================================================================
+
+  /**
+   * Get the state sent to clients
+   * @returns {object}
+   */
+  getState() {
+    return {
+      ...this.toJSON(),
+      currentRound: this.getCurrentRound()?.number ?? 0,
+      canStartRound: this.canStartRound(),
+      standings: this.getStandings(),
+    };
+  }
+
+  /**
+   * Serialize for persistence
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      ownerId: this.ownerId,
+      status: this.status,
+      settings: { ...this.settings, gameSettings: { ...this.settings.gameSettings } },
+      participants: this.participants.map(p => ({ ...p })),
+      rounds: this.rounds.map(round => ({
+        number: round.number,
+        byes: [...round.byes],
+        tables: round.tables.map(table => ({
+          ...table,
+          participantIds: [...table.participantIds],
+          games: [...table.games],
+          result: table.result ? { ...table.result } : null,
+        })),
+      })),
+      createdAt: this.createdAt,
+    };
+  }
+
+  /**
+   * Restore a tournament from persisted state
+   * @param {object} state - State from toJSON()
+   * @returns {SwissTournament}
+   */
+  static fromState(state) {
+    if (!state || !state.id) {
+      throw new Error("Invalid state: missing required fields");
+    }
+
+    const restored = JSON.parse(JSON.stringify(state));
+    const tournament = new SwissTournament(restored.id, {
+      ...restored.settings,
+      name: restored.name,
+    });
+    tournament.ownerId = restored.ownerId || null;
+    tournament.status = restored.status || "registration";
+    tournament.participants = Array.isArray(restored.participants) ? restored.participants : [];
+    tournament.rounds = Array.isArray(restored.rounds) ? restored.rounds : [];
+    tournament.createdAt = restored.createdAt || Date.now();
+    return tournament;
+  }
+}
+
+module.exports = { SwissTournament, getPodSizes, buildPods };
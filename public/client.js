@@ -10,6 +10,9 @@ let myClientId = null;
 let pendingReconnect = null; // Track pending reconnection attempt for token cleanup on failure
 let wakeLock = null; // Screen wake lock to prevent screen timeout during gameplay
 let isConnected = false; // Track WebSocket connection state
+let spectating = false; // Joined read-only; the server refuses game actions (see sendJoinGame)
+let startCountdownEndsAt = null; // Local end of the lobby start countdown (see updateStartCountdown)
+let startCountdownInterval = null;
 
 // Connection status UI element
 const connectionStatus = {
@@ -190,6 +193,31 @@ function cleanupExpiredTokens(tokens) {
   }
 }
 
+/**
+ * Get this device's player profile
+ * @returns {{ id: string, name: string, token: string }|null}
+ */
+function loadStoredProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(CONSTANTS.PROFILE_STORAGE_KEY) || "null");
+  } catch (e) {
+    console.error("Failed to load profile:", e);
+    return null;
+  }
+}
+
+/**
+ * Keep a newly created profile. The token is the only way back into it.
+ * @param {{ id: string, name: string, token: string }} profile - Profile to store
+ */
+function saveStoredProfile(profile) {
+  try {
+    localStorage.setItem(CONSTANTS.PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    console.error("Failed to save profile:", e);
+  }
+}
+
 // Player defaults persistence
 function loadDefaults() {
   try {
@@ -241,9 +269,14 @@ const screens = {
   casualSetup: document.getElementById("casual-setup-screen"),
   joinScreen: document.getElementById("join-screen"),
   campaignScreen: document.getElementById("campaign-screen"),
+  campaignPreset: document.getElementById("campaign-preset-screen"),
   loadScreen: document.getElementById("load-screen"),
   menuSettings: document.getElementById("menu-settings-screen"),
   feedback: document.getElementById("feedback-screen"),
+  replay: document.getElementById("replay-screen"),
+  tournament: document.getElementById("tournament-screen"),
+  leaderboard: document.getElementById("leaderboard-screen"),
+  ratings: document.getElementById("ratings-screen"),
   game: document.getElementById("game-screen"),
 };
 
@@ -253,13 +286,33 @@ const gameUI = {
   exitBtn: document.querySelector(".game-exit-btn"),
   settingsBtn: document.querySelector(".game-settings-btn"),
   pauseBtn: document.querySelector(".game-pause-btn"),
+  undoBtn: document.querySelector(".game-undo-btn"),
+  redoBtn: document.querySelector(".game-redo-btn"),
   diceBtn: document.querySelector(".game-dice-btn"),
   playOrderBtn: document.querySelector(".game-play-order-btn"),
   timeDisplay: document.querySelector(".game-time-display"),
   timeValue: document.querySelector(".game-time-value"),
+  turnLimit: document.querySelector(".game-turn-limit"),
+  roundClock: document.querySelector(".game-round-clock"),
+  phaseStrip: document.querySelector(".game-phase-strip"),
+  teams: document.querySelector(".game-teams"),
+  archenemy: document.querySelector(".game-archenemy"),
+  planechase: document.querySelector(".game-planechase"),
+  planeInput: document.querySelector(".game-plane-input"),
+  planarDieBtn: document.querySelector(".game-planar-die-btn"),
+  designations: document.querySelector(".game-designations"),
+  stack: document.querySelector(".game-stack"),
+  stackPriority: document.querySelector(".game-stack-priority"),
+  stackList: document.querySelector(".game-stack-list"),
+  stackLabelInput: document.querySelector(".game-stack-label-input"),
+  stackResolveBtn: document.querySelector(".game-stack-resolve-btn"),
   turnIndicator: document.querySelector(".game-turn-indicator"),
   deadBanner: document.querySelector(".game-dead-banner"),
+  spectatorCount: document.querySelector(".game-spectator-count"),
+  startCountdown: document.querySelector(".game-start-countdown"),
   interactionArea: document.querySelector(".game-interaction-area"),
+  readyBtn: document.querySelector(".game-ready-btn"),
+  mulliganBtn: document.querySelector(".game-mulligan-btn"),
   interactionBtn: document.querySelector(".game-interaction-btn"),
   cancelTargetingBtn: document.querySelector(".game-cancel-targeting-btn"),
   otherPlayers: document.querySelector(".game-other-players"),
@@ -269,8 +322,7 @@ const gameUI = {
   campaignStats: document.querySelector(".game-campaign-stats"),
   statsRow: document.querySelector(".game-stats-row"),
   lifeStat: document.querySelector(".game-stats-row .game-stat-life"),
-  poisonStat: document.querySelector(".game-stats-row .game-stat-poison"),
-  genericStat: document.querySelector(".game-stats-row .game-stat-generic"),
+  counterStats: document.querySelector(".game-stats-row .game-stat-counters"),
 };
 
 // Check if device supports touch (for haptic feedback and long press behaviors)
@@ -285,6 +337,10 @@ const menuButtons = {
   join: document.getElementById("menu-join-btn"),
   settings: document.getElementById("menu-settings-btn"),
   feedback: document.getElementById("menu-feedback-btn"),
+  replay: document.getElementById("menu-replay-btn"),
+  tournament: document.getElementById("menu-tournament-btn"),
+  leaderboard: document.getElementById("menu-leaderboard-btn"),
+  ratings: document.getElementById("menu-ratings-btn"),
 };
 
 // Back buttons
@@ -310,6 +366,87 @@ const menuSettingsForm = {
   timeoutBonusTimeInput: document.getElementById("menu-timeout-bonus-time"),
 };
 
+// Replay viewer
+const replayUI = {
+  codeInput: document.getElementById("replay-game-code"),
+  loadBtn: document.getElementById("replay-load-btn"),
+  backBtn: document.getElementById("replay-back-btn"),
+  status: document.getElementById("replay-status"),
+  viewer: document.getElementById("replay-viewer"),
+  eventInfo: document.getElementById("replay-event-info"),
+  scrubber: document.getElementById("replay-scrubber"),
+  prevBtn: document.getElementById("replay-prev-btn"),
+  playBtn: document.getElementById("replay-play-btn"),
+  nextBtn: document.getElementById("replay-next-btn"),
+  playerCards: document.getElementById("replay-player-cards"),
+};
+
+const replayState = {
+  events: [],
+  index: 0,
+  counterDefinitions: null,
+  playInterval: null,
+};
+
+// Swiss tournament screen
+const tournamentUI = {
+  setup: document.getElementById("tournament-setup"),
+  nameInput: document.getElementById("tournament-name"),
+  roundsInput: document.getElementById("tournament-rounds"),
+  podSizeInput: document.getElementById("tournament-pod-size"),
+  bestOfSelect: document.getElementById("tournament-best-of"),
+  roundClockCheckbox: document.getElementById("tournament-round-clock"),
+  createBtn: document.getElementById("tournament-create-btn"),
+  codeInput: document.getElementById("tournament-code"),
+  openBtn: document.getElementById("tournament-open-btn"),
+  view: document.getElementById("tournament-view"),
+  info: document.getElementById("tournament-info"),
+  register: document.getElementById("tournament-register"),
+  playerNameInput: document.getElementById("tournament-player-name"),
+  registerBtn: document.getElementById("tournament-register-btn"),
+  participants: document.getElementById("tournament-participants"),
+  roundTitle: document.getElementById("tournament-round-title"),
+  pairings: document.getElementById("tournament-pairings"),
+  standings: document.getElementById("tournament-standings"),
+  startRoundBtn: document.getElementById("tournament-start-round-btn"),
+  dropBtn: document.getElementById("tournament-drop-btn"),
+  backBtn: document.getElementById("tournament-back-btn"),
+};
+
+let tournamentState = null;
+
+// Leaderboard screen
+const leaderboardUI = {
+  profileStatus: document.getElementById("profile-status"),
+  profileForm: document.getElementById("profile-form"),
+  profileNameInput: document.getElementById("profile-name"),
+  profileCreateBtn: document.getElementById("profile-create-btn"),
+  status: document.getElementById("leaderboard-status"),
+  rows: document.getElementById("leaderboard-rows"),
+  history: document.getElementById("leaderboard-history"),
+  historyTitle: document.getElementById("leaderboard-history-title"),
+  historyRows: document.getElementById("leaderboard-history-rows"),
+  backBtn: document.getElementById("leaderboard-back-btn"),
+};
+
+// Ranked profiles from /api/leaderboard, and the one whose history is shown
+let leaderboardPlayers = [];
+let selectedLeaderboardProfileId = null;
+
+// Ratings screen
+const ratingsUI = {
+  status: document.getElementById("ratings-status"),
+  rows: document.getElementById("ratings-rows"),
+  history: document.getElementById("ratings-history"),
+  historyTitle: document.getElementById("ratings-history-title"),
+  historyRows: document.getElementById("ratings-history-rows"),
+  backBtn: document.getElementById("ratings-back-btn"),
+};
+
+// Rated profiles from /api/ratings, and the one whose games are shown
+let ratingsPlayers = [];
+let selectedRatingsProfileId = null;
+
 const feedbackForm = {
   textarea: document.getElementById("feedback-text"),
   charCount: document.getElementById("feedback-char-count"),
@@ -328,9 +465,18 @@ const setupForm = {
   gameName: document.getElementById("game-name"),
   playerCount: document.getElementById("player-count"),
   initialTime: document.getElementById("initial-time"),
+  format: document.getElementById("game-format"),
+  teamOptions: document.getElementById("team-options"),
+  sharedClock: document.getElementById("team-shared-clock"),
+  roundOptions: document.getElementById("round-options"),
+  roundTime: document.getElementById("round-time"),
+  extraTurns: document.getElementById("extra-turns"),
+  archenemyOptions: document.getElementById("archenemy-options"),
+  villainLife: document.getElementById("villain-life"),
   joinGame: document.getElementById("join-game"),
   createGame: document.getElementById("create-game"),
   joinBtn: document.getElementById("join-btn"),
+  joinAsSpectator: document.getElementById("join-as-spectator"),
   gameList: document.getElementById("game-list"),
 };
 
@@ -339,8 +485,41 @@ const campaignForm = {
   playerCount: document.getElementById("campaign-player-count"),
   gameName: document.getElementById("campaign-game-name"),
   createBtn: document.getElementById("create-campaign"),
+  buildPresetBtn: document.getElementById("campaign-build-preset-btn"),
+  exportPresetBtn: document.getElementById("campaign-export-preset-btn"),
+};
+
+// Campaign preset builder screen
+const campaignPresetUI = {
+  name: document.getElementById("preset-name"),
+  description: document.getElementById("preset-description"),
+  flavorText: document.getElementById("preset-flavor-text"),
+  rounds: document.getElementById("preset-rounds"),
+  time: document.getElementById("preset-time"),
+  timeDecrease: document.getElementById("preset-time-decrease"),
+  minTime: document.getElementById("preset-min-time"),
+  bonusTime: document.getElementById("preset-bonus-time"),
+  startingLife: document.getElementById("preset-starting-life"),
+  handSize: document.getElementById("preset-hand-size"),
+  handIncrement: document.getElementById("preset-hand-increment"),
+  winCondition: document.getElementById("preset-win-condition"),
+  winTargetRow: document.getElementById("preset-win-target-row"),
+  winTarget: document.getElementById("preset-win-target"),
+  battleMultipliers: document.getElementById("preset-battle-multipliers"),
+  playerMultipliers: document.getElementById("preset-player-multipliers"),
+  levelThresholds: document.getElementById("preset-level-thresholds"),
+  scoringRules: document.getElementById("preset-scoring-rules"),
+  placementBonuses: document.getElementById("preset-placement-bonuses"),
+  saveBtn: document.getElementById("preset-save-btn"),
+  importBtn: document.getElementById("preset-import-btn"),
+  importFile: document.getElementById("preset-import-file"),
+  exportBtn: document.getElementById("preset-export-btn"),
+  backBtn: document.getElementById("preset-back-btn"),
 };
 
+// Custom campaign presets from the server: [{ id, preset }]
+let customCampaignPresets = [];
+
 // Controls are now handled via gameUI and settingsModal
 
 const settingsModal = {
@@ -354,9 +533,28 @@ const settingsModal = {
   thresholdsContainer: document.getElementById("settings-thresholds-container"),
   addThresholdBtn: document.getElementById("settings-add-threshold-btn"),
   bonusTimeInput: document.getElementById("settings-bonus-time"),
+  clockModeSelect: document.getElementById("settings-clock-mode"),
+  turnTimeLimitInput: document.getElementById("settings-turn-time-limit"),
+  turnLimitPolicySelect: document.getElementById("settings-turn-limit-policy"),
+  targetingPrioritySelect: document.getElementById("settings-targeting-priority"),
+  phaseTrackingCheckbox: document.getElementById("settings-phase-tracking"),
+  planechaseCheckbox: document.getElementById("settings-planechase"),
+  hideFromSpectatorsCheckbox: document.getElementById("settings-hide-from-spectators"),
+  requireReadyCheckbox: document.getElementById("settings-require-ready"),
+  startCountdownInput: document.getElementById("settings-start-countdown"),
+  pregameCheckbox: document.getElementById("settings-pregame"),
+  pregameTimeLimitInput: document.getElementById("settings-pregame-time-limit"),
+  displayTapToPassCheckbox: document.getElementById("settings-display-tap-to-pass"),
+  displayLink: document.getElementById("settings-display-link"),
+  counterTypesContainer: document.getElementById("settings-counter-types"),
+  customCountersContainer: document.getElementById("settings-custom-counters"),
+  addCounterBtn: document.getElementById("settings-add-counter-btn"),
   gameCodeDisplay: document.getElementById("settings-game-code"),
   gameNameInput: document.getElementById("settings-game-name-input"),
   renamePlayersContainer: document.getElementById("settings-rename-players"),
+  seatMapContainer: document.getElementById("settings-seat-map"),
+  seatingHint: document.getElementById("settings-seating-hint"),
+  turnDirectionSelect: document.getElementById("settings-turn-direction"),
   closeLobbyBtn: document.getElementById("settings-close-lobby-btn"),
   saveBtn: document.getElementById("settings-save-btn"),
   cancelBtn: document.getElementById("settings-cancel-btn"),
@@ -433,21 +631,57 @@ const CAMPAIGN_DESCRIPTIONS = {
   },
 };
 
-// Available player colors
-const PLAYER_COLORS = [
-  { id: "red", name: "Red", primary: "#dc3c3c", secondary: "#b42828" },
-  { id: "blue", name: "Blue", primary: "#3c78dc", secondary: "#2864c8" },
-  { id: "green", name: "Green", primary: "#32a032", secondary: "#1e821e" },
-  { id: "yellow", name: "Yellow", primary: "#e6d23c", secondary: "#c8b428" },
-  { id: "purple", name: "Purple", primary: "#8c3cc8", secondary: "#6e28aa" },
-  { id: "cyan", name: "Cyan", primary: "#3cbebe", secondary: "#28a0a0" },
-  { id: "orange", name: "Orange", primary: "#ff8228", secondary: "#dc6414" },
-  { id: "pink", name: "Pink", primary: "#e650a0", secondary: "#c83c82" },
-  { id: "lime", name: "Lime", primary: "#96dc32", secondary: "#78be14" },
-  { id: "teal", name: "Teal", primary: "#32a096", secondary: "#1e8278" },
-  { id: "indigo", name: "Indigo", primary: "#5050dc", secondary: "#3c3cc8" },
-  { id: "amber", name: "Amber", primary: "#ffc814", secondary: "#e6aa00" },
-];
+// Human-readable names for journaled actions and logged events (undo toasts, replay)
+const ACTION_LABELS = {
+  create: "game created",
+  start: "start",
+  pregame: "pregame",
+  pause: "pause",
+  resume: "resume",
+  reset: "reset",
+  switch: "switch player",
+  switchPlayer: "switch player",
+  passTurn: "pass turn",
+  setPhase: "phase change",
+  advancePhase: "phase change",
+  renameGame: "rename",
+  randomStartPlayer: "random start player",
+  rollPlayOrder: "play order roll",
+  setReady: "ready check",
+  mulligan: "mulligan",
+  keepHand: "keep hand",
+  interrupt: "interrupt",
+  passPriority: "pass priority",
+  resolveStack: "resolve stack",
+  adminRevive: "revive",
+  adminKick: "kick",
+  adminAddTime: "add time",
+  timeoutChoice: "timeout choice",
+  updatePlayer: "player update",
+  updateCommanderDamage: "commander damage",
+  addPenalty: "penalty",
+  eliminate: "elimination",
+  assignTeam: "team change",
+  setVillain: "archenemy change",
+  setPlane: "plane change",
+  transferDesignation: "designation change",
+  venture: "venture",
+  setDayNight: "day/night change",
+  setSpellsCast: "spell count",
+  updateSettings: "settings change",
+  claim: "claim",
+  reconnect: "reconnect",
+  unclaim: "unclaim",
+  toggleTarget: "target",
+  confirmTargets: "confirm targets",
+  passTargetPriority: "pass target priority",
+  cancelTargeting: "cancel targeting",
+  undo: "undo",
+  redo: "redo",
+};
+
+// Available player colors (shared with the table display)
+const PLAYER_COLORS = CONSTANTS.PLAYER_COLORS;
 
 const timeoutModal = {
   modal: document.getElementById("timeout-modal"),
@@ -458,6 +692,7 @@ const timeoutModal = {
 const timeoutChoiceModal = {
   modal: document.getElementById("timeout-choice-modal"),
   timer: document.getElementById("timeout-choice-timer"),
+  desc: document.querySelector("#timeout-choice-modal .timeout-choice-desc"),
   livesAmount: document.getElementById("timeout-lives-amount"),
   drunkAmount: document.getElementById("timeout-drunk-amount"),
   livesBtn: document.getElementById("timeout-choice-lives"),
@@ -717,8 +952,15 @@ function handleMessage(message) {
   switch (message.type) {
     case "clientId":
       myClientId = message.data.clientId;
-      // Try to reconnect to any stored games
-      attemptStoredReconnection();
+      if (spectating && gameState) {
+        // Keep watching on the new connection rather than taking a seat back
+        sendJoinGame(gameState.id, true);
+      } else {
+        // Try to reconnect to any stored games
+        attemptStoredReconnection();
+      }
+      // Keep following the open tournament on the new connection
+      if (tournamentState) sendJoinTournament(tournamentState.id);
       break;
     case "error":
       // If this error is from a failed reconnection attempt, clear the invalid token
@@ -730,13 +972,16 @@ function handleMessage(message) {
         pendingReconnect = null;
       }
       console.error("Server error:", message.data.message);
+      if (screens.tournament.style.display === "block") {
+        showToast(message.data.message, "error");
+      }
       break;
     case "state": {
       const prevActive = gameState?.activePlayer;
       gameState = message.data;
       updateMyPlayer();
       // Show bonus time indicator on turn change for the new active player's client
-      if (prevActive && prevActive !== gameState.activePlayer && gameState.status === "running" && gameState.settings?.bonusTime > 0 && myPlayer && myPlayer.id === gameState.activePlayer) {
+      if (prevActive && prevActive !== gameState.activePlayer && gameState.status === "running" && gameState.settings?.bonusTime > 0 && (gameState.settings.clockMode ?? "fischer") === "fischer" && myPlayer && myPlayer.id === gameState.activePlayer) {
         showBonusTimeIndicator(gameState.settings.bonusTime);
       }
       // Check if timeout choice should be hidden (player's timeout resolved)
@@ -753,6 +998,12 @@ function handleMessage(message) {
             player.timeRemaining = message.data.times[player.id];
           }
         });
+        if (message.data.turnTimeRemaining !== undefined) {
+          gameState.turnTimeRemaining = message.data.turnTimeRemaining;
+        }
+        if (message.data.roundTimeRemaining !== undefined) {
+          gameState.roundTimeRemaining = message.data.roundTimeRemaining;
+        }
         updateTimes();
       }
       break;
@@ -770,9 +1021,26 @@ function handleMessage(message) {
         const player = gameState.players.find(p => p.id === message.data.playerId);
         if (player && player.id === gameState.activePlayer) {
           playWarning(message.data.threshold);
+          if (message.data.scope === "turn" && myPlayer && myPlayer.id === player.id) {
+            showToast(`${formatTime(message.data.threshold)} left this turn`, "info", 3000);
+          }
+        } else if (message.data.scope === "round") {
+          playWarning(message.data.threshold);
+          showToast(`${formatTime(message.data.threshold)} left in the round`, "info", 3000);
         }
       }
       break;
+    case "timeCalled":
+      if (gameState) {
+        const extra = message.data.extraTurns;
+        showToast(
+          `Time! Finish this turn, then ${extra} extra turn${extra === 1 ? "" : "s"}`,
+          "info",
+          5000
+        );
+        playTimeout();
+      }
+      break;
     case "claimed":
       // Store the reconnection token for this player
       saveReconnectToken(message.data.gameId, message.data.playerId, message.data.token);
@@ -811,6 +1079,13 @@ function handleMessage(message) {
         gameState.name = message.data.name;
       }
       break;
+    case "displayToken": {
+      if (gameState && settingsModal.displayLink && message.data.token) {
+        const token = encodeURIComponent(message.data.token);
+        settingsModal.displayLink.href = `/display/${gameState.id}?token=${token}`;
+      }
+      break;
+    }
     case "randomPlayerSelected":
       handleRandomPlayerSelected(message.data);
       break;
@@ -820,6 +1095,12 @@ function handleMessage(message) {
     case "diceRolled":
       handleDiceRolled(message.data);
       break;
+    case "stackResolved":
+      handleStackResolved(message.data);
+      break;
+    case "planarDieRolled":
+      handlePlanarDieRolled(message.data);
+      break;
     case "targetingUpdated":
       handleTargetingUpdated(message.data);
       break;
@@ -838,31 +1119,154 @@ function handleMessage(message) {
     case "timeoutChoice":
       handleTimeoutChoice(message.data);
       break;
+    case "actionUndone":
+    case "actionRedone":
+      handleActionReverted(message.type, message.data);
+      break;
+    case "tournamentState":
+      tournamentState = message.data;
+      renderTournament();
+      break;
+    case "campaignPresets":
+      customCampaignPresets = message.data.presets || [];
+      renderCampaignPresetOptions();
+      break;
+    case "campaignPresetCreated":
+      handleCampaignPresetCreated(message.data);
+      break;
+    case "profileCreated":
+      handleProfileCreated(message.data);
+      break;
+    case "ratingsUpdated":
+      handleRatingsUpdated(message.data);
+      break;
   }
 }
 
+/**
+ * Describe an undone/redone action in a toast
+ * @param {string} type - "actionUndone" or "actionRedone"
+ * @param {object} data - Contains action summary and byPlayerId
+ */
+function handleActionReverted(type, data) {
+  const action = data?.action;
+  if (!action) return;
+
+  const by = gameState?.players?.find(p => p.id === data.byPlayerId);
+  const label = ACTION_LABELS[action.type] || action.type;
+  const verb = type === "actionUndone" ? "undid" : "redid";
+  showToast(`${by ? by.name : "Owner"} ${verb} ${label}`, "info", 3000);
+}
+
 /**
  * Handle game completion - when only one player remains
  * @param {object} data - Contains winnerId and winnerName
  */
 function handleGameComplete(data) {
-  const { winnerId, winnerName } = data;
+  const { winnerId, winnerName, turnStats } = data;
 
   if (winnerId !== null && winnerName) {
     // Show winner notification
-    showWinnerModal(winnerId, winnerName);
+    showWinnerModal(winnerId, winnerName, turnStats);
+  } else if (data.draw) {
+    showToast("Time - the game is a draw", "info", 5000);
   } else {
     // Draw - no winner
     showToast("Game Over - No winner!", "info", 5000);
   }
 }
 
+/**
+ * Build the post-game turn summary shown in the winner modal
+ * @param {object} [turnStats] - Per-player turn summary from the server
+ * @returns {string} HTML
+ */
+function renderTurnSummary(turnStats) {
+  if (!turnStats || turnStats.totalTurns === 0) return "";
+
+  // Mulligans only get a column when somebody took one
+  const showMulligans = turnStats.players.some(stats => stats.mulligans > 0);
+  const rows = turnStats.players
+    .filter(stats => stats.turns > 0)
+    .map(stats => {
+      const player = gameState?.players?.find(p => p.id === stats.playerId);
+      const name = escapeHtml(player ? player.name : `Player ${stats.playerId}`);
+      return `
+        <tr>
+          <td>${name}</td>
+          <td>${stats.turns}</td>
+          <td>${formatTime(stats.averageTime)}</td>
+          <td>${formatTime(stats.longestTime)}</td>
+          ${showMulligans ? `<td>${stats.mulligans || 0}</td>` : ""}
+        </tr>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="winner-turn-summary">
+      <p class="winner-turn-totals">
+        ${turnStats.totalRounds} round${turnStats.totalRounds === 1 ? "" : "s"} ·
+        ${turnStats.totalTurns} turn${turnStats.totalTurns === 1 ? "" : "s"}
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Player</th><th>Turns</th><th>Avg</th><th>Longest</th>
+            ${showMulligans ? "<th>Mulligans</th>" : ""}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${renderPhaseSummary(turnStats)}
+    </div>
+  `;
+}
+
+/**
+ * Build the time-per-phase table for the post-game summary
+ * @param {object} turnStats - Per-player turn summary from the server
+ * @returns {string} HTML, empty when phases weren't tracked
+ */
+function renderPhaseSummary(turnStats) {
+  const players = turnStats.players.filter(stats => stats.turns > 0);
+  const phases = CONSTANTS.TURN_PHASES.filter(phase =>
+    players.some(stats => stats.phaseTimes?.[phase.id] > 0)
+  );
+  if (phases.length === 0) return "";
+
+  const header = players
+    .map(stats => {
+      const player = gameState?.players?.find(p => p.id === stats.playerId);
+      return `<th>${escapeHtml(player ? player.name : `Player ${stats.playerId}`)}</th>`;
+    })
+    .join("");
+  const rows = phases
+    .map(phase => {
+      const cells = players
+        .map(stats => `<td>${formatTime(stats.phaseTimes?.[phase.id] || 0)}</td>`)
+        .join("");
+      return `<tr><td>${phase.name}</td>${cells}</tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="winner-phase-summary">
+      <thead>
+        <tr><th>Phase</th>${header}</tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
 /**
  * Show a modal announcing the winner
  * @param {number} winnerId - Winner's player ID
  * @param {string} winnerName - Winner's name
+ * @param {object} [turnStats] - Per-player turn summary from the server
  */
-function showWinnerModal(winnerId, winnerName) {
+function showWinnerModal(winnerId, winnerName, turnStats) {
   // Get the winner's color for styling
   const winner = gameState?.players?.find(p => p.id === winnerId);
   const colorClass = winner?.color ? `player-color-${winner.color}` : `player-${winnerId}`;
@@ -876,6 +1280,9 @@ function showWinnerModal(winnerId, winnerName) {
       <h2 class="winner-title">Victory!</h2>
       <div class="winner-name ${colorClass}">${winnerName}</div>
       <p class="winner-subtitle">is the winner!</p>
+      ${renderTurnSummary(turnStats)}
+      <div class="winner-ratings" style="display: none"></div>
+      <button class="winner-replay-btn">View Replay</button>
       <button class="winner-close-btn">Close</button>
     </div>
   `;
@@ -888,6 +1295,15 @@ function showWinnerModal(winnerId, winnerName) {
     closeBtn.addEventListener("click", () => modalOverlay.remove());
   }
 
+  const replayBtn = modalOverlay.querySelector(".winner-replay-btn");
+  if (replayBtn && gameState) {
+    const gameId = gameState.id;
+    replayBtn.addEventListener("click", () => {
+      modalOverlay.remove();
+      openReplay(gameId);
+    });
+  }
+
   // Also close when clicking overlay background
   modalOverlay.addEventListener("click", (e) => {
     if (e.target === modalOverlay) {
@@ -908,7 +1324,7 @@ function showWinnerModal(winnerId, winnerName) {
  * @param {object} data - Contains playerId, options (livesLoss, drunkGain), deadline
  */
 function handleTimeoutChoice(data) {
-  const { playerId, options, deadline } = data;
+  const { playerId, options, deadline, reason } = data;
 
   // Check if this is for the current player
 
@@ -916,6 +1332,13 @@ function handleTimeoutChoice(data) {
     return; // Not for this player
   }
 
+  if (timeoutChoiceModal.desc) {
+    timeoutChoiceModal.desc.textContent =
+      reason === "turnLimit"
+        ? "Your turn time limit has run out. Choose your penalty:"
+        : "Your timer has run out. Choose your penalty:";
+  }
+
   // Show the timeout choice modal
   showTimeoutChoiceModal(options.livesLoss, options.drunkGain, deadline);
 }
@@ -1140,6 +1563,426 @@ function updateHeaderPauseButton() {
   }
 }
 
+/**
+ * Check if this client may undo/redo a journaled action (owner or the acting player)
+ * @param {object|null} action - Action summary from game state
+ * @returns {boolean}
+ */
+function canRevertAction(action) {
+  if (!action || !gameState || gameState.status === "finished") return false;
+  if (gameState.ownerId === myClientId) return true;
+  return !!myPlayer && action.actorPlayerId === myPlayer.id;
+}
+
+/**
+ * Show/hide the header undo and redo buttons
+ */
+function updateUndoRedoButtons() {
+  if (!gameState) return;
+
+  if (gameUI.undoBtn) {
+    gameUI.undoBtn.style.display = canRevertAction(gameState.lastAction) ? "" : "none";
+  }
+  if (gameUI.redoBtn) {
+    gameUI.redoBtn.style.display = canRevertAction(gameState.lastUndoneAction) ? "" : "none";
+  }
+}
+
+/**
+ * Check if this client may move the current turn between phases
+ * (owner, or whoever claimed the player whose turn it is)
+ * @returns {boolean}
+ */
+function canChangePhase() {
+  if (!gameState) return false;
+  if (gameState.ownerId === myClientId) return true;
+  const turnPlayerId = gameState.currentTurn?.playerId ?? gameState.activePlayer;
+  return !!myPlayer && myPlayer.id === turnPlayerId;
+}
+
+/**
+ * Render the phase strip for the current turn when phase tracking is on
+ */
+function updatePhaseStrip() {
+  if (!gameUI.phaseStrip || !gameState) return;
+
+  if (!gameState.currentPhase) {
+    gameUI.phaseStrip.style.display = "none";
+    return;
+  }
+
+  const editable = canChangePhase() && gameState.status !== "finished";
+  const currentIndex = CONSTANTS.TURN_PHASES.findIndex(p => p.id === gameState.currentPhase);
+  const buttons = CONSTANTS.TURN_PHASES.map((phase, index) => {
+    const classes = ["game-phase"];
+    if (index === currentIndex) classes.push("current");
+    if (index < currentIndex) classes.push("done");
+    return `<button class="${classes.join(" ")}" data-phase="${phase.id}" ${editable ? "" : "disabled"}>${phase.name}</button>`;
+  }).join("");
+  const isLast = currentIndex === CONSTANTS.TURN_PHASES.length - 1;
+  const nextBtn = `<button class="game-phase-next" aria-label="Next phase" ${editable && !isLast ? "" : "disabled"}>&rsaquo;</button>`;
+
+  gameUI.phaseStrip.innerHTML = buttons + nextBtn;
+  gameUI.phaseStrip.style.display = "";
+}
+
+/**
+ * Render team life totals and members in teams mode.
+ * While waiting, players the viewer may edit get a picker to change team.
+ */
+function updateTeamsPanel() {
+  if (!gameUI.teams || !gameState) return;
+
+  if (gameState.mode !== "teams" || !gameState.teams) {
+    gameUI.teams.style.display = "none";
+    return;
+  }
+
+  const isWaiting = gameState.status === "waiting";
+  const isOwner = gameState.ownerId === myClientId;
+  gameUI.teams.innerHTML = "";
+
+  gameState.teams.forEach(team => {
+    const members = gameState.players.filter(p => team.playerIds.includes(p.id));
+    const block = document.createElement("div");
+    block.className = "game-team";
+    if (gameState.winningTeam === team.id) block.classList.add("winner");
+    if (members.length > 0 && members.every(p => p.isEliminated)) {
+      block.classList.add("eliminated");
+    }
+
+    const header = document.createElement("div");
+    header.className = "game-team-header";
+    header.textContent = `${team.name} \u2022 ${team.life} life`;
+    block.appendChild(header);
+
+    members.forEach(member => {
+      const row = document.createElement("div");
+      row.className = "game-team-member";
+      const name = document.createElement("span");
+      name.textContent = member.name;
+      row.appendChild(name);
+
+      const editable = isOwner || !member.claimedBy || member.claimedBy === myClientId;
+      if (isWaiting && editable) {
+        const select = document.createElement("select");
+        select.className = "game-team-select";
+        select.dataset.playerId = member.id;
+        select.setAttribute("aria-label", `Team for ${member.name}`);
+        gameState.teams.forEach(option => {
+          const opt = document.createElement("option");
+          opt.value = option.id;
+          opt.textContent = option.name;
+          opt.selected = option.id === team.id;
+          select.appendChild(opt);
+        });
+        row.appendChild(select);
+      }
+      block.appendChild(row);
+    });
+
+    gameUI.teams.appendChild(block);
+  });
+  gameUI.teams.style.display = "";
+}
+
+/**
+ * Render the archenemy and heroes in archenemy mode.
+ * While waiting, the owner can pick the archenemy or draw one at random.
+ */
+function updateArchenemyPanel() {
+  if (!gameUI.archenemy || !gameState) return;
+
+  if (gameState.mode !== "archenemy") {
+    gameUI.archenemy.style.display = "none";
+    return;
+  }
+
+  const villain = gameState.players.find(p => p.id === gameState.villainId);
+  const heroes = gameState.players.filter(p => p.id !== gameState.villainId);
+  gameUI.archenemy.innerHTML = "";
+
+  const header = document.createElement("div");
+  header.className = "game-archenemy-villain";
+  header.textContent = `Archenemy: ${villain ? villain.name : "?"}`;
+  if (gameState.winningSide === "villain") header.classList.add("winner");
+  gameUI.archenemy.appendChild(header);
+
+  const heroLine = document.createElement("div");
+  heroLine.className = "game-archenemy-heroes";
+  heroLine.textContent = `Heroes: ${heroes.map(h => h.name).join(", ")}`;
+  if (gameState.winningSide === "heroes") heroLine.classList.add("winner");
+  gameUI.archenemy.appendChild(heroLine);
+
+  if (gameState.status === "waiting" && gameState.ownerId === myClientId) {
+    const controls = document.createElement("div");
+    controls.className = "game-archenemy-controls";
+
+    const select = document.createElement("select");
+    select.className = "game-archenemy-select";
+    select.setAttribute("aria-label", "Choose the archenemy");
+    gameState.players.forEach(player => {
+      const opt = document.createElement("option");
+      opt.value = player.id;
+      opt.textContent = player.name;
+      opt.selected = player.id === gameState.villainId;
+      select.appendChild(opt);
+    });
+    controls.appendChild(select);
+
+    const randomBtn = document.createElement("button");
+    randomBtn.className = "btn btn-secondary game-archenemy-random";
+    randomBtn.textContent = "Random";
+    randomBtn.setAttribute("aria-label", "Pick a random archenemy");
+    controls.appendChild(randomBtn);
+
+    gameUI.archenemy.appendChild(controls);
+  }
+  gameUI.archenemy.style.display = "";
+}
+
+/**
+ * Render the current plane and the planar die when Planechase is on.
+ * The die button shows what the next roll this turn costs.
+ */
+function updatePlanechasePanel() {
+  if (!gameUI.planechase || !gameState) return;
+
+  if (!gameState.settings?.planechase) {
+    gameUI.planechase.style.display = "none";
+    return;
+  }
+
+  const isOwner = gameState.ownerId === myClientId;
+  const myPlayer = gameState.players.find(p => p.claimedBy === myClientId);
+  if (gameUI.planeInput) {
+    gameUI.planeInput.disabled = !isOwner && !myPlayer;
+    // Don't clobber a name the player is still typing
+    if (document.activeElement !== gameUI.planeInput) {
+      gameUI.planeInput.value = gameState.currentPlane || "";
+    }
+  }
+
+  if (gameUI.planarDieBtn) {
+    const cost = gameState.planarRollsThisTurn || 0;
+    gameUI.planarDieBtn.textContent =
+      cost === 0 ? "Roll planar die (free)" : `Roll planar die (${cost} mana)`;
+    gameUI.planarDieBtn.disabled =
+      gameState.status !== "running" || !myPlayer || myPlayer.isEliminated || !holdsTurn(myPlayer);
+  }
+  gameUI.planechase.style.display = "";
+}
+
+/**
+ * Describe a stack entry: "Name: label -> targets"
+ * @param {object} entry - Stack entry from gameState.stack
+ * @returns {string}
+ */
+function describeStackEntry(entry) {
+  let text = getPlayerNameById(entry.playerId);
+  if (entry.label) text += `: ${entry.label}`;
+  if (entry.targets && entry.targets.length > 0) {
+    text += ` \u2192 ${entry.targets.map(getPlayerNameById).join(", ")}`; // →
+  }
+  return text;
+}
+
+/**
+ * Render the interrupt stack, top first, with who holds priority
+ */
+function updateStackPanel() {
+  if (!gameUI.stack || !gameState) return;
+
+  if (gameState.status !== "running" && gameState.status !== "paused") {
+    gameUI.stack.style.display = "none";
+    return;
+  }
+
+  const stack = gameState.stack || [];
+  const top = stack[stack.length - 1];
+  const priorityId = top ? top.playerId : gameState.activePlayer;
+  if (gameUI.stackPriority) {
+    gameUI.stackPriority.textContent = `Priority: ${getPlayerNameById(priorityId)}`;
+  }
+
+  if (gameUI.stackList) {
+    gameUI.stackList.innerHTML = "";
+    [...stack].reverse().forEach((entry, i) => {
+      const item = document.createElement("li");
+      item.className = "game-stack-entry";
+      if (i === 0) item.classList.add("top");
+      item.textContent = describeStackEntry(entry);
+      gameUI.stackList.appendChild(item);
+    });
+  }
+
+  if (gameUI.stackLabelInput) {
+    gameUI.stackLabelInput.style.display = myPlayer ? "" : "none";
+  }
+
+  if (gameUI.stackResolveBtn) {
+    const turnPlayerId = gameState.originalActivePlayer ?? gameState.activePlayer;
+    const canResolve =
+      !!top &&
+      (gameState.ownerId === myClientId ||
+        (!!myPlayer && (myPlayer.id === top.playerId || myPlayer.id === turnPlayerId)));
+    gameUI.stackResolveBtn.style.display = canResolve ? "" : "none";
+  }
+  gameUI.stack.style.display = "";
+}
+
+/**
+ * Render the table-wide designations once the game has started: day/night,
+ * the active player's spell count, the monarch and the initiative with its Undercity room.
+ */
+function updateDesignationsPanel() {
+  if (!gameUI.designations || !gameState) return;
+
+  if (gameState.status === "waiting") {
+    gameUI.designations.style.display = "none";
+    return;
+  }
+
+  const isOwner = gameState.ownerId === myClientId;
+  const canEdit = isOwner || !!myPlayer;
+  const canCount = isOwner || (!!myPlayer && holdsTurn(myPlayer));
+  gameUI.designations.innerHTML = "";
+
+  // Day/night - tapping cycles off -> day -> night -> off
+  const dayNightBtn = document.createElement("button");
+  dayNightBtn.className = "btn btn-secondary game-day-night-btn";
+  dayNightBtn.disabled = !canEdit;
+  if (gameState.dayNight === "day") {
+    dayNightBtn.textContent = "\u2600 Day"; // ☀
+  } else if (gameState.dayNight === "night") {
+    dayNightBtn.textContent = "\u263E Night"; // ☾
+  } else {
+    dayNightBtn.textContent = "Day/Night off";
+  }
+  dayNightBtn.setAttribute("aria-label", "Change day or night");
+  gameUI.designations.appendChild(dayNightBtn);
+
+  // Spells cast this turn, which decides the day/night flip
+  const spells = document.createElement("div");
+  spells.className = "game-spells-cast";
+  const makeSpellsButton = delta => {
+    const btn = document.createElement("button");
+    btn.className = "btn btn-secondary game-spells-btn";
+    btn.dataset.delta = delta;
+    btn.textContent = delta < 0 ? "\u2212" : "+";
+    btn.disabled = !canCount || (delta < 0 && !gameState.spellsCastThisTurn);
+    btn.setAttribute("aria-label", delta < 0 ? "One spell fewer" : "One more spell");
+    return btn;
+  };
+  const spellsLabel = document.createElement("span");
+  spellsLabel.textContent = `Spells: ${gameState.spellsCastThisTurn || 0}`;
+  spells.appendChild(makeSpellsButton(-1));
+  spells.appendChild(spellsLabel);
+  spells.appendChild(makeSpellsButton(1));
+  gameUI.designations.appendChild(spells);
+
+  // Monarch and initiative holders
+  const alivePlayers = gameState.players.filter(p => !p.isEliminated);
+  [
+    { id: "monarch", label: "Monarch" },
+    { id: "initiative", label: "Initiative" },
+  ].forEach(({ id, label }) => {
+    const select = document.createElement("select");
+    select.className = "game-designation-select";
+    select.dataset.designation = id;
+    select.disabled = !canEdit;
+    select.setAttribute("aria-label", label);
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = `${label}: none`;
+    select.appendChild(none);
+    alivePlayers.forEach(player => {
+      const opt = document.createElement("option");
+      opt.value = player.id;
+      opt.textContent = `${label}: ${player.name}`;
+      opt.selected = player.id === gameState[id];
+      select.appendChild(opt);
+    });
+    gameUI.designations.appendChild(select);
+  });
+
+  if (gameState.initiative !== null && gameState.initiative !== undefined) {
+    const room = gameState.dungeonRooms?.[gameState.initiative] || 0;
+    const roomLabel = document.createElement("span");
+    roomLabel.className = "game-undercity-room";
+    roomLabel.textContent = room > 0 ? `Room ${room}: ${CONSTANTS.UNDERCITY_ROOMS[room - 1]}` : "";
+    gameUI.designations.appendChild(roomLabel);
+
+    const holder = gameState.players.find(p => p.id === gameState.initiative);
+    const ventureBtn = document.createElement("button");
+    ventureBtn.className = "btn btn-secondary game-venture-btn";
+    ventureBtn.textContent = "Venture";
+    ventureBtn.disabled = !isOwner && holder?.claimedBy !== myClientId;
+    ventureBtn.setAttribute("aria-label", "Venture into the Undercity");
+    gameUI.designations.appendChild(ventureBtn);
+  }
+  gameUI.designations.style.display = "";
+}
+
+/**
+ * Badges for the designations a player holds, for their player card
+ * @param {object} player - Player object
+ * @returns {string}
+ */
+function getDesignationBadges(player) {
+  const badges = [];
+  if (gameState.monarch === player.id) badges.push("\u265B"); // ♛
+  if (gameState.initiative === player.id) {
+    badges.push(`\u2691${gameState.dungeonRooms?.[player.id] || ""}`); // ⚑ and Undercity room
+  }
+  return badges.join(" ");
+}
+
+/**
+ * Check whether a player holds the current turn.
+ * In archenemy mode every hero shares the heroes' turn, and in teams mode
+ * every member still in the game shares their team's turn.
+ * @param {object} player - Player object
+ * @returns {boolean}
+ */
+function holdsTurn(player) {
+  if (!player || !gameState) return false;
+  if (player.id === gameState.activePlayer) return true;
+  if (gameState.mode === "teams") {
+    const team = (gameState.teams || []).find(t => t.playerIds.includes(gameState.activePlayer));
+    return !!team && team.playerIds.includes(player.id) && !player.isEliminated;
+  }
+  return (
+    gameState.mode === "archenemy" &&
+    gameState.activePlayer !== null &&
+    gameState.activePlayer !== gameState.villainId &&
+    player.id !== gameState.villainId
+  );
+}
+
+/**
+ * Get the players who may respond while targets resolve.
+ * In APNAP mode only the first player in the queue responds.
+ * @returns {number[]} Player IDs
+ */
+function getTargetPriorityHolders() {
+  const awaiting = (gameState && gameState.awaitingPriority) || [];
+  const mode = gameState && gameState.settings && gameState.settings.targetingPriorityMode;
+  return mode === CONSTANTS.TARGETING.PRIORITY_MODES.APNAP ? awaiting.slice(0, 1) : awaiting;
+}
+
+/**
+ * Label for whoever holds the turn
+ * @param {object} activePlayer - Active player
+ * @returns {string}
+ */
+function getTurnLabel(activePlayer) {
+  if (gameState.mode === "archenemy" && activePlayer.id !== gameState.villainId) {
+    return "Heroes' Turn";
+  }
+  return `${activePlayer.name}'s Turn`;
+}
+
 /**
  * Show/hide the in-game campaign info button based on mode and flavorText
  */
@@ -1203,6 +2046,30 @@ function handleDiceRolled(data) {
   playDiceSound();
 }
 
+/**
+ * Handle stack resolved message - tell everyone what just resolved
+ * @param {object} data - Resolved entry with playerId, label, targets
+ */
+function handleStackResolved(data) {
+  showToast(`Resolved: ${describeStackEntry(data)}`, "info", 3000);
+}
+
+/**
+ * Handle planar die rolled message from server
+ * @param {object} data - Contains playerName, face, cost, nextCost
+ */
+function handlePlanarDieRolled(data) {
+  const { playerName, face, cost } = data;
+  const paid = cost === 0 ? "free roll" : `paid ${cost} mana`;
+  const labels = { chaos: "CHAOS", planeswalk: "PLANESWALK", blank: "blank" };
+  showToast(
+    `${playerName} rolled ${labels[face] || face} (${paid})`,
+    face === "blank" ? "info" : "success",
+    4000
+  );
+  playDiceSound();
+}
+
 // ============================================================================
 // TARGETING SYSTEM HANDLERS
 // ============================================================================
@@ -1382,8 +2249,8 @@ function updateCardTargetingClasses(card, playerId) {
       card.classList.add("awaiting-priority");
       card.setAttribute("data-queue-position", queuePosition);
 
-      // First in queue is currently responding
-      if (queuePosition === 1) {
+      // Everyone holding priority is currently responding (only the first in APNAP mode)
+      if (getTargetPriorityHolders().includes(playerId)) {
         card.classList.add("currently-responding");
       }
     }
@@ -1412,10 +2279,27 @@ function sendToggleTarget(playerId) {
 }
 
 /**
- * Send confirm targets message
+ * Send confirm targets message. Targets chosen for my own interrupt on top of
+ * the stack are recorded on that entry.
  */
 function sendConfirmTargets() {
-  safeSend({ type: "confirmTargets", data: {} });
+  const stack = gameState?.stack || [];
+  const top = stack[stack.length - 1];
+  const attachToStack = Boolean(top && myPlayer && top.playerId === myPlayer.id);
+  safeSend({ type: "confirmTargets", data: { attachToStack } });
+}
+
+/**
+ * Send interrupt message with the label typed for it, if any
+ */
+function sendInterrupt() {
+  const label = gameUI.stackLabelInput ? gameUI.stackLabelInput.value.trim() : "";
+  if (gameUI.stackLabelInput) gameUI.stackLabelInput.value = "";
+  safeSend({ type: "interrupt", data: label ? { label } : {} });
+}
+
+function sendResolveStack() {
+  safeSend({ type: "resolveStack" });
 }
 
 /**
@@ -1744,7 +2628,7 @@ function formatTimeWithDeciseconds(milliseconds) {
  * @returns {boolean} Whether a claim/unclaim action was taken
  */
 function handleClaimClick(playerId) {
-  if (!gameState) return false;
+  if (!gameState || spectating) return false;
   const currentPlayer = gameState.players.find(p => p.id === playerId);
   const currentIsClaimed = currentPlayer && currentPlayer.claimedBy !== null;
   const currentIsMyPlayer = currentPlayer && currentPlayer.claimedBy === myClientId;
@@ -2181,14 +3065,59 @@ function sendCreateGame(settings) {
   safeSend({ type: "create", data: { settings } });
 }
 
-function sendJoinGame(gameId) {
-  safeSend({ type: "join", data: { gameId } });
+function sendJoinGame(gameId, asSpectator = false) {
+  spectating = asSpectator;
+  safeSend({ type: "join", data: { gameId, asSpectator } });
+}
+
+function sendListCampaignPresets() {
+  safeSend({ type: "listCampaignPresets" });
+}
+
+function sendCreateCampaignPreset(preset) {
+  safeSend({ type: "createCampaignPreset", data: { preset } });
+}
+
+function sendCreateTournament(settings) {
+  safeSend({ type: "createTournament", data: { settings } });
+}
+
+function sendJoinTournament(tournamentId, name) {
+  safeSend({ type: "joinTournament", data: { tournamentId, name } });
+}
+
+function sendDropTournament(participantId) {
+  safeSend({ type: "dropTournament", data: { participantId } });
+}
+
+function sendStartTournamentRound() {
+  safeSend({ type: "startTournamentRound" });
+}
+
+function sendReportTournamentResult(round, table, winnerId) {
+  safeSend({ type: "reportTournamentResult", data: { round, table, winnerId } });
 }
 
 function sendStart() {
   safeSend({ type: "start" });
 }
 
+function sendCancelStart() {
+  safeSend({ type: "cancelStart" });
+}
+
+function sendSetReady(ready) {
+  safeSend({ type: "setReady", data: { ready } });
+}
+
+function sendMulligan(playerId) {
+  safeSend({ type: "mulligan", data: { playerId } });
+}
+
+function sendKeepHand(playerId, bottomed) {
+  safeSend({ type: "keepHand", data: { playerId, bottomed } });
+}
+
 function sendPause() {
   safeSend({ type: "pause" });
 }
@@ -2216,40 +3145,96 @@ function sendUpdatePlayer(playerId, updates) {
   safeSend({ type: "updatePlayer", data: { playerId, ...updates } });
 }
 
-function sendUpdateSettings(settings) {
-  safeSend({ type: "updateSettings", data: settings });
+function sendUpdateCommanderDamage(playerId, sourceId, slot, damage) {
+  safeSend({ type: "updateCommanderDamage", data: { playerId, sourceId, slot, damage } });
 }
 
-function sendRenameGame(newName) {
-  safeSend({ type: "renameGame", data: { name: newName } });
+function sendAssignTeam(playerId, teamId) {
+  safeSend({ type: "assignTeam", data: { playerId, teamId } });
 }
 
-// Admin controls
-function sendAdminRevive(playerId) {
-  safeSend({ type: "adminRevive", data: { playerId } });
+function sendSetVillain(playerId) {
+  safeSend({ type: "setVillain", data: { playerId } });
 }
 
-function sendAdminKick(playerId) {
-  safeSend({ type: "adminKick", data: { playerId } });
+function sendRandomStartPlayer() {
+  safeSend({ type: "randomStartPlayer", data: {} });
 }
 
-function sendAdminAddTime(playerId, minutes) {
-  safeSend({ type: "adminAddTime", data: { playerId, minutes } });
+function sendRollPlanarDie() {
+  safeSend({ type: "rollPlanarDie" });
 }
 
-function sendFeedback(feedbackText) {
-  safeSend({ type: "feedback", data: { text: feedbackText } });
+function sendSetPlane(name) {
+  safeSend({ type: "setPlane", data: { name } });
 }
 
-function sendLoadFeedbacks() {
-  safeSend({ type: "loadFeedbacks", data: {} });
+function sendTransferDesignation(designation, playerId) {
+  safeSend({ type: "transferDesignation", data: { designation, playerId } });
 }
 
-function sendUpdateFeedback(feedbackId, text) {
-  safeSend({ type: "updateFeedback", data: { id: feedbackId, text } });
+function sendVenture() {
+  safeSend({ type: "venture" });
 }
 
-function sendDeleteFeedback(feedbackId) {
+function sendSetDayNight(state) {
+  safeSend({ type: "setDayNight", data: { state } });
+}
+
+function sendSetSpellsCast(count) {
+  safeSend({ type: "setSpellsCast", data: { count } });
+}
+
+function sendSetPhase(phase) {
+  safeSend({ type: "setPhase", data: { phase } });
+}
+
+function sendAdvancePhase() {
+  safeSend({ type: "advancePhase" });
+}
+
+function sendUndo() {
+  safeSend({ type: "undo" });
+}
+
+function sendRedo() {
+  safeSend({ type: "redo" });
+}
+
+function sendUpdateSettings(settings) {
+  safeSend({ type: "updateSettings", data: settings });
+}
+
+function sendRenameGame(newName) {
+  safeSend({ type: "renameGame", data: { name: newName } });
+}
+
+// Admin controls
+function sendAdminRevive(playerId) {
+  safeSend({ type: "adminRevive", data: { playerId } });
+}
+
+function sendAdminKick(playerId) {
+  safeSend({ type: "adminKick", data: { playerId } });
+}
+
+function sendAdminAddTime(playerId, minutes) {
+  safeSend({ type: "adminAddTime", data: { playerId, minutes } });
+}
+
+function sendFeedback(feedbackText) {
+  safeSend({ type: "feedback", data: { text: feedbackText } });
+}
+
+function sendLoadFeedbacks() {
+  safeSend({ type: "loadFeedbacks", data: {} });
+}
+
+function sendUpdateFeedback(feedbackId, text) {
+  safeSend({ type: "updateFeedback", data: { id: feedbackId, text } });
+}
+
+function sendDeleteFeedback(feedbackId) {
   safeSend({ type: "deleteFeedback", data: { id: feedbackId } });
 }
 
@@ -2258,7 +3243,12 @@ function sendEndGame() {
 }
 
 function sendClaim(playerId) {
-  safeSend({ type: "claim", data: { playerId } });
+  // Ratings and campaign results are recorded to this device's profile, if it has one
+  const profile = loadStoredProfile();
+  safeSend({
+    type: "claim",
+    data: profile ? { playerId, profileToken: profile.token } : { playerId },
+  });
   const defaults = loadDefaults();
   const updates = {};
   if (defaults.name) updates.name = defaults.name;
@@ -2330,6 +3320,69 @@ function showSettingsModal() {
     settingsModal.bonusTimeInput.value = bonusSeconds;
   }
 
+  // Populate clock mode
+  if (settingsModal.clockModeSelect && gameState) {
+    settingsModal.clockModeSelect.value = gameState.settings?.clockMode || "fischer";
+  }
+
+  // Populate turn time limit
+  if (settingsModal.turnTimeLimitInput && gameState) {
+    settingsModal.turnTimeLimitInput.value = (gameState.settings?.turnTimeLimit ?? 0) / 1000;
+  }
+  if (settingsModal.turnLimitPolicySelect && gameState) {
+    settingsModal.turnLimitPolicySelect.value = gameState.settings?.turnLimitPolicy || "passTurn";
+  }
+
+  // Populate targeting priority mode
+  if (settingsModal.targetingPrioritySelect && gameState) {
+    settingsModal.targetingPrioritySelect.value =
+      gameState.settings?.targetingPriorityMode || CONSTANTS.TARGETING.PRIORITY_MODES.SIMULTANEOUS;
+  }
+
+  // Populate phase tracking
+  if (settingsModal.phaseTrackingCheckbox && gameState) {
+    settingsModal.phaseTrackingCheckbox.checked = !!gameState.settings?.phaseTracking;
+  }
+
+  // Populate planechase
+  if (settingsModal.planechaseCheckbox && gameState) {
+    settingsModal.planechaseCheckbox.checked = !!gameState.settings?.planechase;
+  }
+
+  // Populate spectator privacy
+  if (settingsModal.hideFromSpectatorsCheckbox && gameState) {
+    settingsModal.hideFromSpectatorsCheckbox.checked = !!gameState.settings?.hideFromSpectators;
+  }
+
+  // Populate ready check and start countdown
+  if (settingsModal.requireReadyCheckbox && gameState) {
+    settingsModal.requireReadyCheckbox.checked = !!gameState.settings?.requireReady;
+  }
+  if (settingsModal.startCountdownInput && gameState) {
+    settingsModal.startCountdownInput.value = (gameState.settings?.startCountdown ?? 3000) / 1000;
+  }
+
+  // Populate pregame
+  if (settingsModal.pregameCheckbox && gameState) {
+    settingsModal.pregameCheckbox.checked = !!gameState.settings?.pregame;
+  }
+  if (settingsModal.pregameTimeLimitInput && gameState) {
+    settingsModal.pregameTimeLimitInput.value = (gameState.settings?.pregameTimeLimit || 0) / 60000;
+  }
+
+  // Populate table display
+  if (settingsModal.displayTapToPassCheckbox && gameState) {
+    settingsModal.displayTapToPassCheckbox.checked = !!gameState.settings?.displayTapToPass;
+    settingsModal.displayLink.href = `/display/${gameState.id}`;
+    // Only the owner's link carries the token that lets the display pass turns
+    if (gameState.ownerId === myClientId) {
+      safeSend({ type: "getDisplayToken" });
+    }
+  }
+
+  // Populate counter settings
+  populateCounterSettings();
+
   // Populate timeout penalty settings
   if (settingsModal.timeoutLivesInput && gameState) {
     settingsModal.timeoutLivesInput.value = gameState.settings?.timeoutPenaltyLives ?? 2;
@@ -2348,6 +3401,9 @@ function showSettingsModal() {
   // Populate rename players list
   populateRenamePlayers();
 
+  // Populate seating
+  populateSeating();
+
   // Show admin tab for all players
   if (settingsModal.adminTab) {
     settingsModal.adminTab.style.display = "";
@@ -2466,6 +3522,92 @@ function getThresholdsFromUI() {
   return getThresholdsFromContainer(settingsModal.thresholdsContainer);
 }
 
+/**
+ * Populate the lobby counter settings (built-in toggles and custom counters)
+ */
+function populateCounterSettings() {
+  if (!gameState) return;
+
+  const enabled = gameState.settings?.counters || CONSTANTS.DEFAULT_COUNTERS;
+  const typesContainer = settingsModal.counterTypesContainer;
+  if (typesContainer) {
+    typesContainer.innerHTML = "";
+    Object.values(CONSTANTS.COUNTER_TYPES).forEach(def => {
+      const label = document.createElement("label");
+      label.className = "settings-counter-type";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = def.id;
+      checkbox.checked = enabled.includes(def.id);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${def.icon} ${def.name}`));
+      typesContainer.appendChild(label);
+    });
+  }
+
+  if (settingsModal.customCountersContainer) {
+    settingsModal.customCountersContainer.innerHTML = "";
+    (gameState.settings?.customCounters || []).forEach(counter => addCustomCounterRow(counter));
+  }
+}
+
+/**
+ * Add an editable custom counter row to the lobby settings
+ * @param {object} counter - { name, icon, min, max }
+ */
+function addCustomCounterRow(counter = { name: "", icon: "", min: 0, max: 99 }) {
+  const container = settingsModal.customCountersContainer;
+  if (!container || container.children.length >= CONSTANTS.MAX_CUSTOM_COUNTERS) return;
+
+  const row = document.createElement("div");
+  row.className = "settings-custom-counter";
+  row.innerHTML = `
+    <input type="text" class="settings-input settings-custom-counter-icon" maxlength="8" placeholder="#" aria-label="Icon" />
+    <input type="text" class="settings-input settings-custom-counter-name" maxlength="20" placeholder="Name" aria-label="Name" />
+    <input type="number" class="settings-input settings-custom-counter-min" aria-label="Minimum" />
+    <input type="number" class="settings-input settings-custom-counter-max" aria-label="Maximum" />
+    <button type="button" class="settings-threshold-remove" aria-label="Remove">&times;</button>
+  `;
+  row.querySelector(".settings-custom-counter-icon").value = counter.icon || "";
+  row.querySelector(".settings-custom-counter-name").value = counter.name || "";
+  row.querySelector(".settings-custom-counter-min").value = counter.min ?? 0;
+  row.querySelector(".settings-custom-counter-max").value = counter.max ?? 99;
+  row.querySelector(".settings-threshold-remove").addEventListener("click", () => row.remove());
+
+  container.appendChild(row);
+}
+
+/**
+ * Read counter settings from the lobby settings UI
+ * @returns {{ counters: string[], customCounters: object[] }}
+ */
+function getCounterSettingsFromUI() {
+  const counters = [];
+  settingsModal.counterTypesContainer?.querySelectorAll("input[type=checkbox]").forEach(cb => {
+    if (cb.checked) counters.push(cb.value);
+  });
+
+  const customCounters = [];
+  const seen = new Set();
+  settingsModal.customCountersContainer?.querySelectorAll(".settings-custom-counter").forEach(row => {
+    const name = row.querySelector(".settings-custom-counter-name").value.trim();
+    if (!name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+
+    const min = parseInt(row.querySelector(".settings-custom-counter-min").value, 10) || 0;
+    const max = parseInt(row.querySelector(".settings-custom-counter-max").value, 10) || 0;
+    const icon = row.querySelector(".settings-custom-counter-icon").value.trim();
+    customCounters.push({
+      name,
+      icon: icon || undefined,
+      min: Math.min(min, max),
+      max: Math.max(min, max),
+    });
+  });
+
+  return { counters, customCounters };
+}
+
 /**
  * Populate the menu settings color picker
  */
@@ -2605,6 +3747,76 @@ function populateRenamePlayers() {
   });
 }
 
+/**
+ * Populate the seat map, one player picker per seat. Picking a player who
+ * already has a seat swaps the two, so every player always has one seat.
+ */
+function populateSeating() {
+  const container = settingsModal.seatMapContainer;
+  if (!container || !gameState) return;
+
+  const canEdit = gameState.status === "waiting";
+  const seating = getSeating(gameState.players, gameState.settings?.seatMap);
+
+  container.innerHTML = "";
+  seating.forEach((seated, index) => {
+    const row = document.createElement("div");
+    row.className = "settings-seat-row";
+
+    const label = document.createElement("span");
+    label.className = "settings-seat-label";
+    label.textContent = `Seat ${index + 1}`;
+
+    const select = document.createElement("select");
+    select.className = "settings-input settings-seat-select";
+    select.setAttribute("aria-label", `Seat ${index + 1}`);
+    select.disabled = !canEdit;
+    gameState.players.forEach(player => {
+      const option = document.createElement("option");
+      option.value = player.id;
+      option.textContent = player.name;
+      select.appendChild(option);
+    });
+    select.value = seated.id;
+    select.dataset.previous = seated.id;
+
+    select.addEventListener("change", () => {
+      const other = Array.from(container.querySelectorAll(".settings-seat-select")).find(
+        s => s !== select && s.value === select.value
+      );
+      if (other) {
+        other.value = select.dataset.previous;
+        other.dataset.previous = other.value;
+      }
+      select.dataset.previous = select.value;
+    });
+
+    row.append(label, select);
+    container.appendChild(row);
+  });
+
+  if (settingsModal.turnDirectionSelect) {
+    settingsModal.turnDirectionSelect.value =
+      gameState.settings?.turnDirection || CONSTANTS.TURN_DIRECTIONS.CLOCKWISE;
+    settingsModal.turnDirectionSelect.disabled = !canEdit;
+  }
+  if (settingsModal.seatingHint) {
+    settingsModal.seatingHint.textContent = canEdit
+      ? "Who sits where, clockwise around the table"
+      : "Seating is fixed once the game starts";
+  }
+}
+
+/**
+ * Read the seat map from the seating pickers
+ * @returns {number[]} Player IDs clockwise from seat 1
+ */
+function getSeatMapFromUI() {
+  return Array.from(settingsModal.seatMapContainer.querySelectorAll(".settings-seat-select")).map(
+    select => parseInt(select.value, 10)
+  );
+}
+
 /**
  * Save settings
  */
@@ -2625,6 +3837,123 @@ function saveSettings() {
     settingsToUpdate.bonusTime = bonusTime;
   }
 
+  // Save clock mode
+  if (settingsModal.clockModeSelect && settingsModal.clockModeSelect.value !== gameState?.settings?.clockMode) {
+    settingsToUpdate.clockMode = settingsModal.clockModeSelect.value;
+  }
+
+  // Save turn time limit
+  if (settingsModal.turnTimeLimitInput) {
+    const limitSeconds = parseInt(settingsModal.turnTimeLimitInput.value, 10) || 0;
+    settingsToUpdate.turnTimeLimit = Math.max(0, Math.min(limitSeconds * 1000, 3600000)); // 0-1 hour in ms
+  }
+  if (settingsModal.turnLimitPolicySelect) {
+    settingsToUpdate.turnLimitPolicy = settingsModal.turnLimitPolicySelect.value;
+  }
+
+  // Save targeting priority mode
+  if (
+    settingsModal.targetingPrioritySelect &&
+    settingsModal.targetingPrioritySelect.value !== gameState?.settings?.targetingPriorityMode
+  ) {
+    settingsToUpdate.targetingPriorityMode = settingsModal.targetingPrioritySelect.value;
+  }
+
+  // Save phase tracking
+  if (
+    settingsModal.phaseTrackingCheckbox &&
+    settingsModal.phaseTrackingCheckbox.checked !== !!gameState?.settings?.phaseTracking
+  ) {
+    settingsToUpdate.phaseTracking = settingsModal.phaseTrackingCheckbox.checked;
+  }
+
+  // Save planechase
+  if (
+    settingsModal.planechaseCheckbox &&
+    settingsModal.planechaseCheckbox.checked !== !!gameState?.settings?.planechase
+  ) {
+    settingsToUpdate.planechase = settingsModal.planechaseCheckbox.checked;
+  }
+
+  // Save spectator privacy
+  if (
+    settingsModal.hideFromSpectatorsCheckbox &&
+    settingsModal.hideFromSpectatorsCheckbox.checked !== !!gameState?.settings?.hideFromSpectators
+  ) {
+    settingsToUpdate.hideFromSpectators = settingsModal.hideFromSpectatorsCheckbox.checked;
+  }
+
+  // Save ready check and start countdown
+  if (
+    settingsModal.requireReadyCheckbox &&
+    settingsModal.requireReadyCheckbox.checked !== !!gameState?.settings?.requireReady
+  ) {
+    settingsToUpdate.requireReady = settingsModal.requireReadyCheckbox.checked;
+  }
+  if (settingsModal.startCountdownInput) {
+    const countdownSeconds = parseInt(settingsModal.startCountdownInput.value, 10) || 0;
+    const startCountdown = Math.max(0, Math.min(countdownSeconds * 1000, 30000)); // 0-30 seconds
+    if (startCountdown !== gameState?.settings?.startCountdown) {
+      settingsToUpdate.startCountdown = startCountdown;
+    }
+  }
+
+  // Save pregame
+  if (
+    settingsModal.pregameCheckbox &&
+    settingsModal.pregameCheckbox.checked !== !!gameState?.settings?.pregame
+  ) {
+    settingsToUpdate.pregame = settingsModal.pregameCheckbox.checked;
+  }
+  if (settingsModal.pregameTimeLimitInput) {
+    const limitMinutes = parseInt(settingsModal.pregameTimeLimitInput.value, 10) || 0;
+    const pregameTimeLimit = Math.max(0, Math.min(limitMinutes * 60000, 600000)); // 0-10 minutes
+    if (pregameTimeLimit !== (gameState?.settings?.pregameTimeLimit || 0)) {
+      settingsToUpdate.pregameTimeLimit = pregameTimeLimit;
+    }
+  }
+
+  // Save table display
+  if (
+    settingsModal.displayTapToPassCheckbox &&
+    settingsModal.displayTapToPassCheckbox.checked !== !!gameState?.settings?.displayTapToPass
+  ) {
+    settingsToUpdate.displayTapToPass = settingsModal.displayTapToPassCheckbox.checked;
+  }
+
+  // Save seating (fixed once the game starts)
+  if (settingsModal.seatMapContainer && gameState?.status === "waiting") {
+    const seatMap = getSeatMapFromUI();
+    const current = getSeating(gameState.players, gameState.settings?.seatMap).map(p => p.id);
+    if (seatMap.join() !== current.join()) {
+      settingsToUpdate.seatMap = seatMap;
+    }
+    const turnDirection = settingsModal.turnDirectionSelect?.value;
+    if (
+      turnDirection &&
+      turnDirection !== (gameState.settings?.turnDirection || CONSTANTS.TURN_DIRECTIONS.CLOCKWISE)
+    ) {
+      settingsToUpdate.turnDirection = turnDirection;
+    }
+  }
+
+  // Save counter settings
+  if (settingsModal.counterTypesContainer) {
+    const { counters, customCounters } = getCounterSettingsFromUI();
+    const currentCustom = (gameState?.settings?.customCounters || []).map(c => ({
+      name: c.name,
+      icon: c.icon,
+      min: c.min,
+      max: c.max,
+    }));
+    if (JSON.stringify(counters) !== JSON.stringify(gameState?.settings?.counters)) {
+      settingsToUpdate.counters = counters;
+    }
+    if (JSON.stringify(customCounters) !== JSON.stringify(currentCustom)) {
+      settingsToUpdate.customCounters = customCounters;
+    }
+  }
+
   // Save timeout penalty settings
   if (settingsModal.timeoutLivesInput) {
     const lives = parseInt(settingsModal.timeoutLivesInput.value, 10) || 2;
@@ -2729,6 +4058,12 @@ function setupSettingsEventListeners() {
     playClick();
   });
 
+  // Add custom counter button
+  settingsModal.addCounterBtn?.addEventListener("click", () => {
+    addCustomCounterRow();
+    playClick();
+  });
+
   // Close lobby button
   settingsModal.closeLobbyBtn?.addEventListener("click", () => {
     if (confirm("Are you sure you want to delete this lobby? This will end the game for all players.")) {
@@ -2833,8 +4168,10 @@ function backToMenu() {
     clearGameTokens(gameState.id);
   }
   showScreen("mainMenu");
+  stopStartCountdown();
   gameState = null;
   myPlayer = null;
+  spectating = false;
   setupForm.joinGame.value = "";
   setupForm.gameName.value = "";
   playClick();
@@ -2915,7 +4252,7 @@ function renderGames(games) {
         gameCard.style.pointerEvents = "";
       }, 500);
       console.log("Joining game:", game.id);
-      sendJoinGame(game.id);
+      sendJoinGame(game.id, setupForm.joinAsSpectator.checked);
     };
 
     gameCard.addEventListener("click", handleJoinClick);
@@ -2932,16 +4269,1034 @@ function formatTimeAgo(timestamp) {
   const minutes = Math.floor(seconds / 60);
   const hours = Math.floor(minutes / 60);
 
-  if (seconds < 60) return "Just now";
-  if (minutes < 60) return `${minutes}m ago`;
-  if (hours < 24) return `${hours}h ago`;
-  return "1d+ ago";
-}
+  if (seconds < 60) return "Just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (hours < 24) return `${hours}h ago`;
+  return "1d+ ago";
+}
+
+function formatMinutes(milliseconds) {
+  const minutes = Math.round(milliseconds / 60000);
+  return `${minutes}min`;
+}
+
+// ============================================================================
+// REPLAY VIEWER
+// ============================================================================
+
+/**
+ * Show the replay screen, optionally loading a game's event log right away
+ * @param {string|null} gameId - Game to load, or null to let the user enter a code
+ */
+function openReplay(gameId) {
+  stopReplayPlayback();
+  replayUI.codeInput.value = gameId || "";
+  replayUI.viewer.style.display = "none";
+  replayUI.status.textContent = "";
+  showScreen("replay");
+  if (gameId) loadReplay(gameId);
+}
+
+/**
+ * Fetch a game's event log and show the first event
+ * @param {string} gameId - Game ID
+ */
+async function loadReplay(gameId) {
+  stopReplayPlayback();
+  replayUI.viewer.style.display = "none";
+  replayUI.status.textContent = "Loading replay...";
+
+  try {
+    const response = await fetch(`/api/games/${encodeURIComponent(gameId)}/events`);
+    if (response.status === 404) {
+      throw new Error("No recorded events for this game");
+    }
+    if (!response.ok) {
+      throw new Error("Failed to load replay");
+    }
+    const data = await response.json();
+    if (!data.events || data.events.length === 0) {
+      throw new Error("No recorded events for this game");
+    }
+
+    replayState.events = data.events;
+    replayState.counterDefinitions = data.counterDefinitions;
+    replayUI.scrubber.max = data.events.length - 1;
+    replayUI.status.textContent = data.name ? `${data.name} (${gameId})` : gameId;
+    replayUI.viewer.style.display = "block";
+    showReplayEvent(0);
+  } catch (error) {
+    console.error("Failed to load replay:", error);
+    replayUI.status.textContent = error.message;
+  }
+}
+
+/**
+ * Render the timeline at a given event
+ * @param {number} index - Event index
+ */
+function showReplayEvent(index) {
+  const events = replayState.events;
+  if (events.length === 0) return;
+
+  replayState.index = Math.max(0, Math.min(events.length - 1, index));
+  replayUI.scrubber.value = replayState.index;
+
+  const event = events[replayState.index];
+  const snapshot = event.snapshot;
+  const actor = snapshot.players.find(p => p.id === event.actorPlayerId);
+  const label = ACTION_LABELS[event.type] || event.type;
+  const elapsed = formatTime(event.timestamp - events[0].timestamp);
+
+  replayUI.eventInfo.textContent =
+    `${replayState.index + 1}/${events.length} · +${elapsed} · ${label}` +
+    (actor ? ` by ${actor.name}` : "");
+
+  renderReplayCards(snapshot);
+}
+
+/**
+ * Rebuild the replay player cards from an event snapshot
+ * @param {object} snapshot - Replay snapshot recorded with the event
+ */
+function renderReplayCards(snapshot) {
+  const definitions =
+    replayState.counterDefinitions ||
+    CONSTANTS.DEFAULT_COUNTERS.map(id => CONSTANTS.COUNTER_TYPES[id]);
+  const isFinished = snapshot.status === "finished";
+
+  replayUI.playerCards.innerHTML = "";
+  replayUI.playerCards.dataset.playerCount = snapshot.players.length;
+
+  snapshot.players.forEach(player => {
+    const card = document.createElement("div");
+    card.className = "game-player-card";
+    card.setAttribute("role", "listitem");
+    card.style.setProperty("--card-color", getPlayerColor(player).primary);
+
+    if (player.id === snapshot.activePlayer && snapshot.status === "running") {
+      card.classList.add("active");
+    }
+    if (player.isEliminated) card.classList.add("eliminated");
+    if (snapshot.targetedPlayers.includes(player.id)) card.classList.add("targeted");
+    if (isFinished && player.id === snapshot.winner) card.classList.add("replay-winner");
+
+    const nameSpan = document.createElement("span");
+    nameSpan.className = "game-player-card-name";
+    nameSpan.textContent = player.name;
+
+    const timeSpan = document.createElement("span");
+    timeSpan.className = "game-player-card-time";
+    timeSpan.textContent = formatTimeCompact(player.timeRemaining);
+
+    const lifeSpan = document.createElement("span");
+    lifeSpan.className = "game-player-card-life";
+    lifeSpan.textContent = player.life;
+
+    const countersSpan = document.createElement("span");
+    countersSpan.className = "replay-card-counters";
+    countersSpan.textContent = definitions
+      .map(def => ({ def, value: getPlayerCounterValue(player, def) }))
+      .filter(({ value }) => value !== 0)
+      .map(({ def, value }) => `${def.icon} ${value}`)
+      .join("  ");
+
+    card.append(nameSpan, timeSpan, lifeSpan, countersSpan);
+
+    if (player.isEliminated) {
+      const deadBanner = document.createElement("div");
+      deadBanner.className = "game-player-card-dead-banner";
+      deadBanner.textContent = "DEAD";
+      card.appendChild(deadBanner);
+    }
+
+    replayUI.playerCards.appendChild(card);
+  });
+}
+
+/**
+ * Step through events once per second until the end of the log
+ */
+function startReplayPlayback() {
+  if (replayState.index >= replayState.events.length - 1) {
+    showReplayEvent(0);
+  }
+  replayUI.playBtn.textContent = "Pause";
+  replayState.playInterval = setInterval(() => {
+    if (replayState.index >= replayState.events.length - 1) {
+      stopReplayPlayback();
+      return;
+    }
+    showReplayEvent(replayState.index + 1);
+  }, 1000);
+}
+
+function stopReplayPlayback() {
+  if (replayState.playInterval) {
+    clearInterval(replayState.playInterval);
+    replayState.playInterval = null;
+  }
+  replayUI.playBtn.textContent = "Play";
+}
+
+replayUI.loadBtn.addEventListener("click", () => {
+  const gameId = replayUI.codeInput.value.trim().toUpperCase();
+  if (!gameId) {
+    showToast("Enter a lobby code", "error");
+    return;
+  }
+  loadReplay(gameId);
+  playClick();
+});
+
+replayUI.scrubber.addEventListener("input", () => {
+  stopReplayPlayback();
+  showReplayEvent(parseInt(replayUI.scrubber.value, 10));
+});
+
+replayUI.prevBtn.addEventListener("click", () => {
+  stopReplayPlayback();
+  showReplayEvent(replayState.index - 1);
+});
+
+replayUI.nextBtn.addEventListener("click", () => {
+  stopReplayPlayback();
+  showReplayEvent(replayState.index + 1);
+});
+
+replayUI.playBtn.addEventListener("click", () => {
+  if (replayState.playInterval) {
+    stopReplayPlayback();
+  } else {
+    startReplayPlayback();
+  }
+  playClick();
+});
+
+replayUI.backBtn.addEventListener("click", () => {
+  stopReplayPlayback();
+  // Return to the game the replay was opened from, if still connected
+  if (gameState) {
+    renderGame();
+  } else {
+    showScreen("mainMenu");
+  }
+  playClick();
+});
+
+// ============================================================================
+// CAMPAIGN PRESETS
+// ============================================================================
+
+/**
+ * Show the campaign screen and fetch the custom presets for its picker
+ */
+function openCampaignScreen() {
+  showScreen("campaignScreen");
+  sendListCampaignPresets();
+}
+
+/**
+ * Look up a custom preset's definition by ID
+ * @param {string} id - Preset ID
+ * @returns {object|null}
+ */
+function getCustomCampaignPreset(id) {
+  return customCampaignPresets.find(p => p.id === id)?.preset || null;
+}
+
+/**
+ * Add the custom presets to the campaign picker after the built-in ones
+ */
+function renderCampaignPresetOptions() {
+  const select = campaignForm.preset;
+  const selected = select.value;
+  select.querySelector("optgroup.custom-presets")?.remove();
+
+  if (customCampaignPresets.length > 0) {
+    const group = document.createElement("optgroup");
+    group.className = "custom-presets";
+    group.label = "Custom";
+    customCampaignPresets.forEach(({ id, preset }) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = preset.name;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  }
+
+  if ([...select.options].some(o => o.value === selected)) {
+    select.value = selected;
+  }
+  updateCampaignExportButton();
+}
+
+/**
+ * Only custom presets can be exported from the campaign screen
+ */
+function updateCampaignExportButton() {
+  campaignForm.exportPresetBtn.disabled = !getCustomCampaignPreset(campaignForm.preset.value);
+}
+
+/**
+ * Select a newly saved preset and return to the campaign screen
+ * @param {object} data - Contains id and preset
+ */
+function handleCampaignPresetCreated(data) {
+  customCampaignPresets = [
+    ...customCampaignPresets.filter(p => p.id !== data.id),
+    { id: data.id, preset: data.preset },
+  ];
+  renderCampaignPresetOptions();
+  campaignForm.preset.value = data.id;
+  updateCampaignExportButton();
+  showScreen("campaignScreen");
+  showToast(`Saved preset "${data.preset.name}"`, "success");
+}
+
+/**
+ * Parse a comma-separated list of numbers
+ * @param {string} text - e.g. "1, 1.5, 2"
+ * @returns {number[]|null} Numbers, or null if any entry isn't a number
+ */
+function parseNumberList(text) {
+  const parts = text
+    .split(",")
+    .map(p => p.trim())
+    .filter(Boolean);
+  const numbers = parts.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Turn a list into a multiplier table keyed from startKey
+ * @param {number[]} list - Multipliers in order
+ * @param {number} startKey - Key of the first entry
+ * @returns {object|undefined} Table, or undefined for an empty list
+ */
+function listToMultiplierTable(list, startKey) {
+  if (list.length === 0) return undefined;
+  return Object.fromEntries(list.map((value, i) => [startKey + i, value]));
+}
+
+/**
+ * Turn a multiplier table back into a comma-separated list
+ * @param {object} table - Multipliers keyed by integer
+ * @param {number} startKey - Key of the first entry
+ * @param {number} missing - Value for keys the table skips
+ * @returns {string}
+ */
+function multiplierTableToText(table, startKey, missing = 1) {
+  if (!table) return "";
+  const highest = Math.max(...Object.keys(table).map(Number));
+  const list = [];
+  for (let key = startKey; key <= highest; key++) {
+    list.push(table[key] ?? missing);
+  }
+  return list.join(", ");
+}
+
+/**
+ * Read the builder form into a preset definition
+ * @returns {object|null} Preset, or null if a field is invalid (a toast explains which)
+ */
+function readCampaignPresetForm() {
+  const ui = campaignPresetUI;
+  const optionalInt = input => (input.value === "" ? undefined : parseInt(input.value, 10));
+  const lists = {
+    battleMultipliers: parseNumberList(ui.battleMultipliers.value),
+    playerMultipliers: parseNumberList(ui.playerMultipliers.value),
+    levelThresholds: parseNumberList(ui.levelThresholds.value),
+    placementBonuses: parseNumberList(ui.placementBonuses.value),
+  };
+  const invalidList = Object.keys(lists).find(key => lists[key] === null);
+  if (invalidList) {
+    showToast("Multipliers, levels and bonuses must be comma-separated numbers", "error");
+    return null;
+  }
+  const rules = ui.scoringRules.value
+    .split("\n")
+    .map(rule => rule.trim())
+    .filter(Boolean);
+
+  const winCondition = ui.winCondition.value;
+  const needsTarget = winCondition === "best_of" || winCondition === "first_to";
+  const bonusSeconds = optionalInt(ui.bonusTime);
+  const preset = {
+    name: ui.name.value.trim(),
+    description: ui.description.value.trim() || undefined,
+    flavorText: ui.flavorText.value.trim() || undefined,
+    rounds: parseInt(ui.rounds.value, 10),
+    timePerRound: Math.round(parseFloat(ui.time.value) * 60000),
+    timeDecreasePerRound: (parseInt(ui.timeDecrease.value, 10) || 0) * 1000,
+    minTime: Math.round(parseFloat(ui.minTime.value) * 60000),
+    bonusTime: bonusSeconds === undefined ? undefined : bonusSeconds * 1000,
+    startingLife: optionalInt(ui.startingLife),
+    startingHandSize: optionalInt(ui.handSize),
+    handSizeIncrement: optionalInt(ui.handIncrement),
+    winCondition,
+    winTarget: needsTarget ? parseInt(ui.winTarget.value, 10) : null,
+    battleMultipliers: listToMultiplierTable(lists.battleMultipliers, 1),
+    playerMultipliers: listToMultiplierTable(lists.playerMultipliers, 0),
+    levelThresholds: lists.levelThresholds.length > 0 ? lists.levelThresholds : undefined,
+    // Without rules the server scores damage with the multiplier tables
+    scoring:
+      rules.length > 0
+        ? { rules, placementBonuses: listToMultiplierTable(lists.placementBonuses, 1) }
+        : undefined,
+  };
+
+  if (!preset.name) {
+    showToast("Please name the preset", "error");
+    return null;
+  }
+  // Drop unset optional fields so exports stay tidy
+  return JSON.parse(JSON.stringify(preset));
+}
+
+/**
+ * Fill the builder form from a preset definition
+ * @param {object} preset - Preset definition
+ */
+function fillCampaignPresetForm(preset) {
+  const ui = campaignPresetUI;
+  const minutes = ms => (typeof ms === "number" ? ms / 60000 : "");
+  ui.name.value = preset.name || "";
+  ui.description.value = preset.description || "";
+  ui.flavorText.value = preset.flavorText || "";
+  ui.rounds.value = preset.rounds ?? 3;
+  ui.time.value = minutes(preset.timePerRound);
+  ui.timeDecrease.value = (preset.timeDecreasePerRound || 0) / 1000;
+  ui.minTime.value = minutes(preset.minTime ?? preset.timePerRound);
+  ui.bonusTime.value = preset.bonusTime === undefined ? "" : preset.bonusTime / 1000;
+  ui.startingLife.value = preset.startingLife ?? "";
+  ui.handSize.value = preset.startingHandSize ?? "";
+  ui.handIncrement.value = preset.handSizeIncrement ?? 0;
+  ui.winCondition.value = preset.winCondition || "best_of";
+  ui.winTarget.value = preset.winTarget ?? 2;
+  ui.battleMultipliers.value = multiplierTableToText(preset.battleMultipliers, 1);
+  ui.playerMultipliers.value = multiplierTableToText(preset.playerMultipliers, 0);
+  ui.levelThresholds.value = (preset.levelThresholds || []).join(", ");
+  ui.scoringRules.value = (preset.scoring?.rules || []).join("\n");
+  ui.placementBonuses.value = multiplierTableToText(preset.scoring?.placementBonuses, 1, 0);
+  updatePresetWinTarget();
+}
+
+/**
+ * Only best-of and first-to campaigns need a number of wins
+ */
+function updatePresetWinTarget() {
+  const condition = campaignPresetUI.winCondition.value;
+  campaignPresetUI.winTargetRow.style.display =
+    condition === "best_of" || condition === "first_to" ? "" : "none";
+}
+
+/**
+ * Download a preset definition as a JSON file
+ * @param {object} preset - Preset definition
+ */
+function downloadCampaignPreset(preset) {
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  const slug = preset.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  link.href = url;
+  link.download = `${slug || "campaign-preset"}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Load a shared preset JSON file into the builder form
+ * @param {File} file - Selected file
+ */
+function importCampaignPresetFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const preset = JSON.parse(reader.result);
+      if (!preset || typeof preset !== "object" || typeof preset.name !== "string") {
+        throw new Error("Not a campaign preset");
+      }
+      fillCampaignPresetForm(preset);
+      showToast(`Imported "${preset.name}" - review and save it`, "info");
+    } catch (error) {
+      showToast("That file isn't a campaign preset", "error");
+    }
+  };
+  reader.readAsText(file);
+}
+
+campaignForm.preset.addEventListener("change", updateCampaignExportButton);
+
+campaignForm.buildPresetBtn.addEventListener("click", () => {
+  // Start from the selected custom preset, if any, so it can be tweaked
+  const custom = getCustomCampaignPreset(campaignForm.preset.value);
+  if (custom) {
+    fillCampaignPresetForm(custom);
+  }
+  updatePresetWinTarget();
+  showScreen("campaignPreset");
+  playClick();
+});
+
+campaignForm.exportPresetBtn.addEventListener("click", () => {
+  const custom = getCustomCampaignPreset(campaignForm.preset.value);
+  if (custom) {
+    downloadCampaignPreset(custom);
+  }
+  playClick();
+});
+
+campaignPresetUI.winCondition.addEventListener("change", updatePresetWinTarget);
+
+campaignPresetUI.saveBtn.addEventListener("click", () => {
+  const preset = readCampaignPresetForm();
+  if (preset) {
+    sendCreateCampaignPreset(preset);
+  }
+  playClick();
+});
+
+campaignPresetUI.exportBtn.addEventListener("click", () => {
+  const preset = readCampaignPresetForm();
+  if (preset) {
+    downloadCampaignPreset(preset);
+  }
+  playClick();
+});
+
+campaignPresetUI.importBtn.addEventListener("click", () => {
+  campaignPresetUI.importFile.click();
+  playClick();
+});
+
+campaignPresetUI.importFile.addEventListener("change", () => {
+  const file = campaignPresetUI.importFile.files[0];
+  if (file) {
+    importCampaignPresetFile(file);
+  }
+  // Allow importing the same file again
+  campaignPresetUI.importFile.value = "";
+});
+
+campaignPresetUI.backBtn.addEventListener("click", () => {
+  showScreen("campaignScreen");
+  playClick();
+});
+
+// ============================================================================
+// LEADERBOARD
+// ============================================================================
+
+/**
+ * Show the leaderboard screen and fetch the current standings
+ */
+function openLeaderboard() {
+  selectedLeaderboardProfileId = loadStoredProfile()?.id || null;
+  renderProfileStatus();
+  showScreen("leaderboard");
+  loadLeaderboard();
+}
+
+/**
+ * Show this device's profile, or the form to create one
+ */
+function renderProfileStatus() {
+  const profile = loadStoredProfile();
+  leaderboardUI.profileForm.style.display = profile ? "none" : "";
+  leaderboardUI.profileStatus.textContent = profile
+    ? `Playing as ${profile.name}`
+    : "Create a profile to track your campaign results and rating across lobbies";
+}
+
+/**
+ * Send create profile request
+ */
+function sendCreateProfile() {
+  const name = leaderboardUI.profileNameInput.value.trim();
+  if (!name) {
+    showToast("Please enter a display name", "error");
+    return;
+  }
+  safeSend({ type: "createProfile", data: { name } });
+}
+
+/**
+ * Store the new profile on this device
+ * @param {object} data - Contains profile and token
+ */
+function handleProfileCreated(data) {
+  saveStoredProfile({ id: data.profile.id, name: data.profile.name, token: data.token });
+  selectedLeaderboardProfileId = data.profile.id;
+  leaderboardUI.profileNameInput.value = "";
+  renderProfileStatus();
+  showToast(`Profile "${data.profile.name}" created`, "success");
+}
+
+/**
+ * Fetch the ranked profiles
+ */
+async function loadLeaderboard() {
+  leaderboardUI.status.textContent = "Loading leaderboard...";
+
+  try {
+    const response = await fetch("/api/leaderboard");
+    if (!response.ok) {
+      throw new Error("Failed to load leaderboard");
+    }
+    const data = await response.json();
+    leaderboardPlayers = data.players || [];
+    leaderboardUI.status.textContent =
+      leaderboardPlayers.length === 0 ? "No campaigns have been completed yet" : "";
+    renderLeaderboard();
+  } catch (error) {
+    console.error("Failed to load leaderboard:", error);
+    leaderboardUI.status.textContent = error.message;
+  }
+}
+
+/**
+ * Render the standings and the selected profile's campaign history
+ */
+function renderLeaderboard() {
+  const myProfileId = loadStoredProfile()?.id;
+
+  leaderboardUI.rows.innerHTML = "";
+  leaderboardPlayers.forEach(player => {
+    const tr = document.createElement("tr");
+    tr.dataset.profileId = player.id;
+    if (player.id === myProfileId) tr.classList.add("mine");
+    if (player.id === selectedLeaderboardProfileId) tr.classList.add("selected");
+    [
+      player.rank,
+      player.name,
+      player.stats.campaigns,
+      player.stats.campaignWins,
+      player.stats.roundWins,
+      player.stats.points,
+      player.stats.bestLevel,
+    ].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    leaderboardUI.rows.appendChild(tr);
+  });
+
+  renderLeaderboardHistory();
+}
+
+/**
+ * Render the selected profile's campaigns, newest first
+ */
+function renderLeaderboardHistory() {
+  const player = leaderboardPlayers.find(p => p.id === selectedLeaderboardProfileId);
+  leaderboardUI.history.style.display = player ? "block" : "none";
+  if (!player) return;
+
+  leaderboardUI.historyTitle.textContent = `${player.name}'s Campaigns`;
+  leaderboardUI.historyRows.innerHTML = "";
+  player.history.forEach(entry => {
+    const tr = document.createElement("tr");
+    [
+      new Date(entry.finishedAt).toLocaleDateString(),
+      entry.name,
+      entry.won ? "Won" : "-",
+      `${entry.roundWins}/${entry.rounds}`,
+      entry.points,
+      entry.level,
+    ].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    leaderboardUI.historyRows.appendChild(tr);
+  });
+}
+
+leaderboardUI.rows.addEventListener("click", (e) => {
+  const row = e.target.closest("tr");
+  if (!row) return;
+  selectedLeaderboardProfileId = row.dataset.profileId;
+  renderLeaderboard();
+});
+
+leaderboardUI.profileCreateBtn.addEventListener("click", () => {
+  sendCreateProfile();
+  playClick();
+});
+
+leaderboardUI.profileNameInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") sendCreateProfile();
+});
+
+leaderboardUI.backBtn.addEventListener("click", () => {
+  showScreen("mainMenu");
+  playClick();
+});
+
+// ============================================================================
+// RATINGS
+// ============================================================================
+
+/**
+ * Show rating changes from a finished game in the winner modal, or as a
+ * toast for this player when there is no modal (a draw)
+ * @param {object} data - Contains changes ({ playerId, name, before, after, delta })
+ */
+function handleRatingsUpdated(data) {
+  const container = document.querySelector(".winner-modal-overlay .winner-ratings");
+  if (!container) {
+    const mine = myPlayer && data.changes.find(c => c.playerId === myPlayer.id);
+    if (mine) showToast(`Rating ${mine.after} (${formatRatingDelta(mine.delta)})`, "info", 5000);
+    return;
+  }
+
+  container.innerHTML = "";
+  const title = document.createElement("p");
+  title.className = "winner-turn-totals";
+  title.textContent = "Rating changes";
+  container.appendChild(title);
+
+  [...data.changes]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach(change => {
+      const row = document.createElement("div");
+      row.className = "winner-rating-row";
+      const name = document.createElement("span");
+      name.textContent = change.name;
+      const value = document.createElement("span");
+      value.className = change.delta >= 0 ? "rating-up" : "rating-down";
+      value.textContent = `${change.after} (${formatRatingDelta(change.delta)})`;
+      row.append(name, value);
+      container.appendChild(row);
+    });
+  container.style.display = "block";
+}
+
+/**
+ * Format a rating change with its sign
+ * @param {number} delta - Rating change
+ * @returns {string} e.g. "+12", "-8", "±0"
+ */
+function formatRatingDelta(delta) {
+  if (delta === 0) return "\u00B10";
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+/**
+ * Show the ratings screen and fetch the current ratings
+ */
+function openRatings() {
+  selectedRatingsProfileId = loadStoredProfile()?.id || null;
+  showScreen("ratings");
+  loadRatings();
+}
+
+/**
+ * Fetch the rated profiles
+ */
+async function loadRatings() {
+  ratingsUI.status.textContent = "Loading ratings...";
+
+  try {
+    const response = await fetch("/api/ratings");
+    if (!response.ok) {
+      throw new Error("Failed to load ratings");
+    }
+    const data = await response.json();
+    ratingsPlayers = data.players || [];
+    ratingsUI.status.textContent =
+      ratingsPlayers.length === 0 ? "No rated games have been played yet" : "";
+    renderRatings();
+  } catch (error) {
+    console.error("Failed to load ratings:", error);
+    ratingsUI.status.textContent = error.message;
+  }
+}
+
+/**
+ * Render the ratings table and the selected profile's rated games
+ */
+function renderRatings() {
+  const myProfileId = loadStoredProfile()?.id;
+
+  ratingsUI.rows.innerHTML = "";
+  ratingsPlayers.forEach(player => {
+    const tr = document.createElement("tr");
+    tr.dataset.profileId = player.id;
+    if (player.id === myProfileId) tr.classList.add("mine");
+    if (player.id === selectedRatingsProfileId) tr.classList.add("selected");
+    [player.rank, player.name, player.rating, player.stats.ratedGames].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    ratingsUI.rows.appendChild(tr);
+  });
+
+  renderRatingsHistory();
+}
+
+/**
+ * Render the selected profile's rated games, newest first
+ */
+function renderRatingsHistory() {
+  const player = ratingsPlayers.find(p => p.id === selectedRatingsProfileId);
+  ratingsUI.history.style.display = player ? "block" : "none";
+  if (!player) return;
+
+  ratingsUI.historyTitle.textContent = `${player.name}'s Rated Games`;
+  ratingsUI.historyRows.innerHTML = "";
+  player.ratingHistory.forEach(entry => {
+    const tr = document.createElement("tr");
+    const date = new Date(entry.finishedAt).toLocaleDateString();
+    [date, entry.name, entry.rank, entry.after].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    const delta = document.createElement("td");
+    delta.className = entry.delta >= 0 ? "rating-up" : "rating-down";
+    delta.textContent = formatRatingDelta(entry.delta);
+    tr.appendChild(delta);
+    ratingsUI.historyRows.appendChild(tr);
+  });
+}
+
+ratingsUI.rows.addEventListener("click", (e) => {
+  const row = e.target.closest("tr");
+  if (!row) return;
+  selectedRatingsProfileId = row.dataset.profileId;
+  renderRatings();
+});
+
+ratingsUI.backBtn.addEventListener("click", () => {
+  showScreen("mainMenu");
+  playClick();
+});
+
+// ============================================================================
+// SWISS TOURNAMENTS
+// ============================================================================
+
+/**
+ * Show the tournament screen on its create/open form
+ */
+function openTournamentScreen() {
+  tournamentState = null;
+  tournamentUI.setup.style.display = "block";
+  tournamentUI.view.style.display = "none";
+  tournamentUI.playerNameInput.value = loadDefaults().name || "";
+  showScreen("tournament");
+}
+
+/**
+ * Render participants, the current round's pairings and standings
+ */
+function renderTournament() {
+  const tournament = tournamentState;
+  if (!tournament) return;
+
+  const isOwner = tournament.ownerId === myClientId;
+  const me = tournament.participants.find(p => p.clientId === myClientId);
+  const nameOf = id => tournament.participants.find(p => p.id === id)?.name || "?";
+
+  tournamentUI.setup.style.display = "none";
+  tournamentUI.view.style.display = "block";
+
+  const statusText = {
+    registration: `Registration open \u2022 ${tournament.participants.length} registered`,
+    running: `Round ${tournament.currentRound} of ${tournament.settings.rounds}`,
+    finished: "Finished",
+  }[tournament.status];
+  tournamentUI.info.textContent = `${tournament.name} (${tournament.id}) \u2022 ${statusText}`;
+  tournamentUI.register.style.display =
+    tournament.status === "registration" && !me ? "flex" : "none";
+
+  tournamentUI.participants.innerHTML = "";
+  tournament.participants.forEach(participant => {
+    const item = document.createElement("li");
+    item.textContent = participant.name + (participant.id === me?.id ? " (you)" : "");
+    if (participant.dropped) item.classList.add("dropped");
+    tournamentUI.participants.appendChild(item);
+  });
+
+  const round = tournament.rounds[tournament.rounds.length - 1];
+  tournamentUI.roundTitle.textContent = round ? `Round ${round.number} Pairings` : "Pairings";
+  tournamentUI.pairings.innerHTML = "";
+  if (round) {
+    round.tables.forEach(table => {
+      tournamentUI.pairings.appendChild(renderTournamentTable(round, table, isOwner, me, nameOf));
+    });
+    round.byes.forEach(id => {
+      const bye = document.createElement("div");
+      bye.className = "tournament-table";
+      bye.textContent = `Bye: ${nameOf(id)}`;
+      tournamentUI.pairings.appendChild(bye);
+    });
+  }
+
+  tournamentUI.standings.innerHTML = "";
+  tournament.standings.forEach(row => {
+    const tr = document.createElement("tr");
+    if (row.dropped) tr.classList.add("dropped");
+    [
+      row.rank,
+      row.name,
+      row.points,
+      formatPercentage(row.opponentMatchWinPercentage),
+      formatPercentage(row.gameWinPercentage),
+    ].forEach(value => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tournamentUI.standings.appendChild(tr);
+  });
+
+  tournamentUI.startRoundBtn.style.display = isOwner && tournament.canStartRound ? "" : "none";
+  tournamentUI.dropBtn.style.display =
+    me && !me.dropped && tournament.status !== "finished" ? "" : "none";
+}
+
+/**
+ * Build one table of the pairings list
+ * @param {object} round - Round the table belongs to
+ * @param {object} table - Table with participantIds, games and result
+ * @param {boolean} isOwner - Whether the viewer runs the tournament
+ * @param {object|undefined} me - The viewer's participant entry
+ * @param {function} nameOf - Participant ID to name
+ * @returns {HTMLElement}
+ */
+function renderTournamentTable(round, table, isOwner, me, nameOf) {
+  const block = document.createElement("div");
+  block.className = "tournament-table";
+
+  const header = document.createElement("div");
+  header.className = "tournament-table-header";
+  header.textContent = `Table ${table.table}: ${table.participantIds.map(nameOf).join(" vs ")}`;
+  block.appendChild(header);
+
+  const status = document.createElement("div");
+  status.className = "tournament-table-status";
+  if (table.result) {
+    status.textContent =
+      table.result.winnerId === null ? "Draw" : `${nameOf(table.result.winnerId)} wins`;
+  } else {
+    status.textContent = `Game ${table.games.length + 1} of up to ${tournamentState.settings.bestOf}`;
+  }
+  block.appendChild(status);
+
+  if (table.result) return block;
+
+  const actions = document.createElement("div");
+  actions.className = "tournament-table-actions";
+
+  const seated = me && table.participantIds.includes(me.id);
+  if (table.gameId && (seated || isOwner)) {
+    const goBtn = document.createElement("button");
+    goBtn.className = "btn btn-secondary";
+    goBtn.textContent = "Go to Table";
+    goBtn.addEventListener("click", () => {
+      sendJoinGame(table.gameId);
+      playClick();
+    });
+    actions.appendChild(goBtn);
+  }
+
+  if (isOwner) {
+    const select = document.createElement("select");
+    select.setAttribute("aria-label", `Game winner at table ${table.table}`);
+    table.participantIds.forEach(id => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = nameOf(id);
+      select.appendChild(opt);
+    });
+    const drawOpt = document.createElement("option");
+    drawOpt.value = "";
+    drawOpt.textContent = "Draw";
+    select.appendChild(drawOpt);
+
+    const reportBtn = document.createElement("button");
+    reportBtn.className = "btn btn-secondary";
+    reportBtn.textContent = "Report Game";
+    reportBtn.addEventListener("click", () => {
+      const winnerId = select.value === "" ? null : parseInt(select.value, 10);
+      sendReportTournamentResult(round.number, table.table, winnerId);
+      playClick();
+    });
+    actions.appendChild(select);
+    actions.appendChild(reportBtn);
+  }
+
+  block.appendChild(actions);
+  return block;
+}
+
+/**
+ * Format a tiebreaker fraction as a percentage
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string}
+ */
+function formatPercentage(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+tournamentUI.createBtn.addEventListener("click", () => {
+  const rounds = parseInt(tournamentUI.roundsInput.value, 10);
+  sendCreateTournament({
+    name: tournamentUI.nameInput.value.trim() || undefined,
+    rounds: Number.isInteger(rounds) ? rounds : null,
+    podSize: parseInt(tournamentUI.podSizeInput.value, 10) || 2,
+    bestOf: parseInt(tournamentUI.bestOfSelect.value, 10),
+    gameSettings: tournamentUI.roundClockCheckbox.checked ? { mode: "round" } : undefined,
+  });
+  playClick();
+});
+
+tournamentUI.openBtn.addEventListener("click", () => {
+  const tournamentId = tournamentUI.codeInput.value.trim().toUpperCase();
+  if (!tournamentId) {
+    showToast("Please enter a tournament code");
+    return;
+  }
+  sendJoinTournament(tournamentId);
+  playClick();
+});
+
+tournamentUI.registerBtn.addEventListener("click", () => {
+  const name = tournamentUI.playerNameInput.value.trim();
+  if (!name || !tournamentState) {
+    showToast("Please enter your name");
+    return;
+  }
+  sendJoinTournament(tournamentState.id, name);
+  playClick();
+});
+
+tournamentUI.startRoundBtn.addEventListener("click", () => {
+  sendStartTournamentRound();
+  playClick();
+});
+
+tournamentUI.dropBtn.addEventListener("click", () => {
+  if (!confirm("Drop from this tournament? You won't be paired in later rounds.")) return;
+  sendDropTournament();
+  playClick();
+});
 
-function formatMinutes(milliseconds) {
-  const minutes = Math.round(milliseconds / 60000);
-  return `${minutes}min`;
-}
+tournamentUI.backBtn.addEventListener("click", () => {
+  tournamentState = null;
+  showScreen("mainMenu");
+  playClick();
+});
 
 // Main menu navigation
 menuButtons.casual.addEventListener("click", () => {
@@ -2950,7 +5305,7 @@ menuButtons.casual.addEventListener("click", () => {
 });
 
 menuButtons.campaign.addEventListener("click", () => {
-  showScreen("campaignScreen");
+  openCampaignScreen();
   playClick();
 });
 
@@ -2973,6 +5328,26 @@ menuButtons.settings.addEventListener("click", () => {
   playClick();
 });
 
+menuButtons.tournament.addEventListener("click", () => {
+  openTournamentScreen();
+  playClick();
+});
+
+menuButtons.replay.addEventListener("click", () => {
+  openReplay(null);
+  playClick();
+});
+
+menuButtons.leaderboard.addEventListener("click", () => {
+  openLeaderboard();
+  playClick();
+});
+
+menuButtons.ratings.addEventListener("click", () => {
+  openRatings();
+  playClick();
+});
+
 menuButtons.feedback.addEventListener("click", () => {
   feedbackForm.textarea.value = "";
   feedbackForm.editingId = null;
@@ -3063,10 +5438,33 @@ setupForm.createGame.addEventListener("click", () => {
     playerCount: parseInt(setupForm.playerCount.value),
     initialTime: parseInt(setupForm.initialTime.value) * 60 * 1000,
   };
+  if (setupForm.format.value === "teams") {
+    settings.mode = "teams";
+    settings.sharedClock = setupForm.sharedClock.checked;
+  } else if (setupForm.format.value === "archenemy") {
+    settings.mode = "archenemy";
+    settings.villainLife = parseInt(setupForm.villainLife.value);
+  } else if (setupForm.format.value === "round") {
+    settings.mode = "round";
+    settings.roundTime = parseInt(setupForm.roundTime.value) * 60 * 1000;
+    settings.extraTurns = parseInt(setupForm.extraTurns.value);
+  }
   console.log("Settings:", settings);
   sendCreateGame(settings);
 });
 
+setupForm.format.addEventListener("change", () => {
+  const isTeams = setupForm.format.value === "teams";
+  setupForm.teamOptions.style.display = isTeams ? "" : "none";
+  setupForm.roundOptions.style.display = setupForm.format.value === "round" ? "" : "none";
+  setupForm.archenemyOptions.style.display =
+    setupForm.format.value === "archenemy" ? "" : "none";
+  // Two-Headed Giant is played two to a team
+  if (isTeams && parseInt(setupForm.playerCount.value) < 4) {
+    setupForm.playerCount.value = 4;
+  }
+});
+
 campaignForm.createBtn.addEventListener("click", () => {
   const settings = {
     mode: "campaign",
@@ -3081,7 +5479,10 @@ campaignForm.createBtn.addEventListener("click", () => {
 if (campaignInfoModal.presetInfoBtn) {
   campaignInfoModal.presetInfoBtn.addEventListener("click", () => {
     const preset = campaignForm.preset.value;
-    const desc = CAMPAIGN_DESCRIPTIONS[preset];
+    const custom = getCustomCampaignPreset(preset);
+    const desc = custom
+      ? { title: custom.name, text: custom.flavorText || custom.description || "" }
+      : CAMPAIGN_DESCRIPTIONS[preset];
     if (desc) {
       showCampaignInfoModal(desc.title, desc.text);
     }
@@ -3107,7 +5508,7 @@ if (campaignInfoModal.modal) {
 setupForm.joinBtn.addEventListener("click", () => {
   const gameId = setupForm.joinGame.value.trim().toUpperCase();
   if (gameId) {
-    sendJoinGame(gameId);
+    sendJoinGame(gameId, setupForm.joinAsSpectator.checked);
   }
 });
 
@@ -3299,14 +5700,26 @@ function updateGameUI() {
   // Update game paused state class
   const isPaused = gameState.status === "paused";
   gameUI.screen.classList.toggle("game-paused", isPaused);
+  gameUI.screen.classList.toggle("spectator-view", spectating);
 
   updateTimeDisplay();
+  updateSpectatorCount();
+  updateStartCountdown();
   updateInteractionButton();
+  updateReadyButton();
+  updateMulliganButton();
   updateOtherPlayers();
   updatePlayerStats();
   updateCampaignStats();
   updatePlayOrderButtonVisibility();
   updateHeaderPauseButton();
+  updateUndoRedoButtons();
+  updatePhaseStrip();
+  updateTeamsPanel();
+  updateArchenemyPanel();
+  updatePlanechasePanel();
+  updateDesignationsPanel();
+  updateStackPanel();
   updateInfoButtonVisibility();
   updateTargetingUI();
 }
@@ -3348,6 +5761,9 @@ function updateTimeDisplay() {
     gameUI.deadBanner.style.display = isEliminated ? "" : "none";
   }
 
+  updateTurnLimitDisplay();
+  updateRoundClockDisplay();
+
   // Remove all state classes
   gameUI.timeDisplay.classList.remove("warning", "critical", "paused", "my-action");
   gameUI.turnIndicator.classList.remove("my-action");
@@ -3358,6 +5774,17 @@ function updateTimeDisplay() {
     gameUI.turnIndicator.classList.add("copyable");
     const claimedCount = gameState.players.filter(p => p.claimedBy !== null).length;
     gameUI.timeValue.textContent = `Waiting (${claimedCount}/${gameState.players.length})`;
+  } else if (gameState.status === "pregame") {
+    const kept = gameState.players.filter(p => p.keptHand).length;
+    gameUI.turnIndicator.textContent = `MULLIGANS · ${kept}/${gameState.players.length} kept`;
+    gameUI.turnIndicator.classList.remove("copyable");
+    if (myPlayer && !myPlayer.keptHand) {
+      const cards = getHandSize() - myPlayer.mulligans;
+      gameUI.timeValue.textContent = `${myPlayer.mulligans > 0 ? "Keep" : "Open"} ${cards}`;
+      gameUI.turnIndicator.classList.add("my-action");
+    } else {
+      gameUI.timeValue.textContent = myPlayer ? formatTime(myPlayer.timeRemaining) : "--:--";
+    }
   } else if (isPaused) {
     gameUI.turnIndicator.textContent = "GAME PAUSED";
     gameUI.turnIndicator.classList.remove("copyable");
@@ -3378,20 +5805,26 @@ function updateTimeDisplay() {
         gameUI.turnIndicator.textContent = "GAME OVER";
       }
     } else {
-      gameUI.turnIndicator.textContent = "GAME OVER";
+      gameUI.turnIndicator.textContent = gameState.isDraw ? "DRAW" : "GAME OVER";
+    }
+    if (gameState.mode === "round") {
+      gameUI.timeValue.textContent = formatTime(gameState.roundTimeRemaining);
+    } else {
+      gameUI.timeValue.textContent = myPlayer ? formatTime(myPlayer.timeRemaining) : "--:--";
     }
-    gameUI.timeValue.textContent = myPlayer ? formatTime(myPlayer.timeRemaining) : "--:--";
   } else if (myPlayer) {
     gameUI.turnIndicator.classList.remove("copyable");
     // Show time and turn indicator
-    const isMyTurn = myPlayer.id === gameState.activePlayer;
-    const timeRemaining = myPlayer.timeRemaining;
+    const isMyTurn = holdsTurn(myPlayer);
+    // Round mode has one clock for the table instead of player banks
+    const timeRemaining =
+      gameState.mode === "round" ? gameState.roundTimeRemaining : myPlayer.timeRemaining;
 
     // Check targeting state for turn indicator
     const targetingState = gameState.targetingState || CONSTANTS.TARGETING.STATES.NONE;
     const isResolving = targetingState === CONSTANTS.TARGETING.STATES.RESOLVING;
     const isSelecting = targetingState === CONSTANTS.TARGETING.STATES.SELECTING;
-    const myAwaitingPriority = myPlayer && (gameState.awaitingPriority || []).includes(myPlayer.id);
+    const myAwaitingPriority = myPlayer && getTargetPriorityHolders().includes(myPlayer.id);
     const isOriginalPlayer = myPlayer && gameState.originalActivePlayer === myPlayer.id;
 
     // Check interrupt state
@@ -3440,7 +5873,7 @@ function updateTimeDisplay() {
       gameUI.turnIndicator.textContent = "YOUR TURN";
       isMyAction = true;
     } else if (activePlayer) {
-      gameUI.turnIndicator.textContent = `${activePlayer.name}'s Turn`;
+      gameUI.turnIndicator.textContent = getTurnLabel(activePlayer);
     }
 
     // Add/remove highlight class based on whether it's my action
@@ -3461,11 +5894,11 @@ function updateTimeDisplay() {
     // No claimed player - spectator mode
     gameUI.turnIndicator.classList.remove("copyable");
     const availablePlayer = gameState.players.find(p => !p.claimedBy && !p.isEliminated);
-    if (availablePlayer) {
+    if (availablePlayer && !spectating) {
       gameUI.turnIndicator.textContent = "JOIN GAME";
       gameUI.timeValue.textContent = "--:--";
     } else if (activePlayer) {
-      gameUI.turnIndicator.textContent = `${activePlayer.name}'s Turn`;
+      gameUI.turnIndicator.textContent = getTurnLabel(activePlayer);
       gameUI.timeValue.textContent = "SPECTATING";
     } else {
       gameUI.turnIndicator.textContent = "SPECTATING";
@@ -3474,6 +5907,145 @@ function updateTimeDisplay() {
   }
 }
 
+/**
+ * Show how many spectators are watching
+ */
+function updateSpectatorCount() {
+  if (!gameUI.spectatorCount) return;
+
+  const count = gameState.spectatorCount || 0;
+  gameUI.spectatorCount.style.display = count > 0 ? "" : "none";
+  gameUI.spectatorCount.textContent = `${count} watching`;
+}
+
+/**
+ * Show the lobby start countdown. Each state carries the time left on the
+ * server, and the client counts down from there between updates.
+ */
+function updateStartCountdown() {
+  const remaining = gameState.status === "waiting" ? gameState.startCountdownRemaining : null;
+  if (remaining === null || remaining === undefined) {
+    stopStartCountdown();
+    return;
+  }
+
+  startCountdownEndsAt = Date.now() + remaining;
+  if (!startCountdownInterval) {
+    startCountdownInterval = setInterval(renderStartCountdown, 100);
+  }
+  renderStartCountdown();
+}
+
+function stopStartCountdown() {
+  if (startCountdownInterval) {
+    clearInterval(startCountdownInterval);
+    startCountdownInterval = null;
+  }
+  startCountdownEndsAt = null;
+  if (gameUI.startCountdown) gameUI.startCountdown.style.display = "none";
+}
+
+/**
+ * Whole seconds left in the lobby start countdown
+ * @returns {number}
+ */
+function getStartCountdownSeconds() {
+  return Math.max(0, Math.ceil((startCountdownEndsAt - Date.now()) / 1000));
+}
+
+function renderStartCountdown() {
+  if (!gameUI.startCountdown || startCountdownEndsAt === null) return;
+
+  const seconds = getStartCountdownSeconds();
+  const text = seconds > 0 ? String(seconds) : "GO";
+  if (gameUI.startCountdown.textContent !== text) {
+    gameUI.startCountdown.textContent = text;
+    updateInteractionButton();
+  }
+  gameUI.startCountdown.style.display = "";
+}
+
+/**
+ * Show the ready toggle for the player's own seat in the lobby
+ */
+function updateReadyButton() {
+  if (!gameUI.readyBtn) return;
+
+  const show = gameState.status === "waiting" && !!myPlayer && !spectating;
+  gameUI.readyBtn.style.display = show ? "" : "none";
+  if (!show) return;
+
+  const ready = !!myPlayer.ready;
+  gameUI.readyBtn.textContent = ready ? "\u2713 Ready" : "Ready up";
+  gameUI.readyBtn.classList.toggle("ready", ready);
+  gameUI.readyBtn.setAttribute("aria-pressed", ready.toString());
+}
+
+/**
+ * Show the mulligan button for the player's own seat until they keep
+ */
+function updateMulliganButton() {
+  if (!gameUI.mulliganBtn) return;
+
+  const show = gameState.status === "pregame" && !!myPlayer && !myPlayer.keptHand && !spectating;
+  gameUI.mulliganBtn.style.display = show ? "" : "none";
+  if (!show) return;
+
+  gameUI.mulliganBtn.textContent = `Mulligan to ${getHandSize() - myPlayer.mulligans - 1}`;
+  gameUI.mulliganBtn.disabled = myPlayer.mulligans >= getHandSize();
+}
+
+/**
+ * Cards in an opening hand before mulligans
+ * @returns {number}
+ */
+function getHandSize() {
+  return gameState.handSize ?? CONSTANTS.DEFAULT_HAND_SIZE;
+}
+
+/**
+ * Show the time left in the current turn when a turn time limit is set
+ */
+function updateTurnLimitDisplay() {
+  if (!gameUI.turnLimit) return;
+
+  const remaining = gameState.turnTimeRemaining;
+  const isActive = gameState.status === "running" || gameState.status === "paused";
+  if (!isActive || remaining === null || remaining === undefined) {
+    gameUI.turnLimit.style.display = "none";
+    return;
+  }
+
+  gameUI.turnLimit.style.display = "";
+  gameUI.turnLimit.textContent = `Turn limit ${formatTime(remaining)}`;
+  gameUI.turnLimit.classList.toggle("critical", remaining <= 10000);
+}
+
+/**
+ * Show the extra turn count once time has been called in round mode
+ */
+function updateRoundClockDisplay() {
+  if (!gameUI.roundClock) return;
+
+  const remaining = gameState.extraTurnsRemaining;
+  if (gameState.mode !== "round" || remaining === null || remaining === undefined) {
+    gameUI.roundClock.style.display = "none";
+    return;
+  }
+
+  const extraTurns = gameState.settings.extraTurns;
+  const turn = extraTurns + 1 - remaining;
+  gameUI.roundClock.style.display = "";
+  if (gameState.status === "finished") {
+    gameUI.roundClock.textContent = "Time - extra turns over";
+  } else if (turn === 0) {
+    const plural = extraTurns === 1 ? "" : "s";
+    gameUI.roundClock.textContent = `Time - turn 0, then ${extraTurns} extra turn${plural}`;
+  } else {
+    gameUI.roundClock.textContent = `Extra turn ${turn} of ${extraTurns}`;
+  }
+}
+
 /**
  * Update the interaction button based on game state
  */
@@ -3482,9 +6054,10 @@ function updateInteractionButton() {
 
 
   const activePlayer = gameState.players.find(p => p.id === gameState.activePlayer);
-  const isMyTurn = myPlayer && myPlayer.id === gameState.activePlayer;
+  const isMyTurn = holdsTurn(myPlayer);
   const isWaiting = gameState.status === "waiting";
   const isPaused = gameState.status === "paused";
+  const isPregame = gameState.status === "pregame";
   const allPlayersClaimed = gameState.players.every(p => p.claimedBy !== null);
 
   // If game is finished and player is the winner, show winner button
@@ -3532,7 +6105,7 @@ function updateInteractionButton() {
   const isSelecting = targetingState === CONSTANTS.TARGETING.STATES.SELECTING;
   const isResolving = targetingState === CONSTANTS.TARGETING.STATES.RESOLVING;
   const targetCount = (gameState.targetedPlayers || []).length;
-  const myAwaitingPriority = myPlayer && (gameState.awaitingPriority || []).includes(myPlayer.id);
+  const myAwaitingPriority = myPlayer && getTargetPriorityHolders().includes(myPlayer.id);
   const isOriginalPlayer = myPlayer && gameState.originalActivePlayer === myPlayer.id;
 
   // Determine who has priority (for interrupt system)
@@ -3568,12 +6141,41 @@ function updateInteractionButton() {
     }
   }
 
-  if (isWaiting) {
+  if (isWaiting && startCountdownEndsAt !== null) {
+    // Counting down - pressing again cancels the start
+    gameUI.interactionBtn.textContent = `STARTING IN ${getStartCountdownSeconds()}`;
+    gameUI.interactionBtn.classList.add("game-interaction-btn-start");
+    gameUI.interactionBtn.disabled = !myPlayer && gameState.ownerId !== myClientId;
+    gameUI.interactionBtn.setAttribute("aria-label", "Cancel the start");
+  } else if (isWaiting) {
     // Start Game button
+    const waitingForReady =
+      gameState.settings?.requireReady && !gameState.players.every(p => p.ready);
     gameUI.interactionBtn.textContent = "START GAME";
     gameUI.interactionBtn.classList.add("game-interaction-btn-start");
-    gameUI.interactionBtn.disabled = !allPlayersClaimed;
-    gameUI.interactionBtn.setAttribute("aria-label", allPlayersClaimed ? "Start the game" : "Waiting for all players to join");
+    gameUI.interactionBtn.disabled = !allPlayersClaimed || waitingForReady;
+    gameUI.interactionBtn.setAttribute(
+      "aria-label",
+      !allPlayersClaimed
+        ? "Waiting for all players to join"
+        : waitingForReady
+          ? "Waiting for every player to ready up"
+          : "Start the game"
+    );
+  } else if (isPregame) {
+    // Keep button - London mulligan, one card to the bottom per mulligan
+    const canKeep = !!myPlayer && !myPlayer.keptHand;
+    gameUI.interactionBtn.classList.add("game-interaction-btn-start");
+    gameUI.interactionBtn.disabled = !canKeep;
+    if (canKeep) {
+      const bottom = Math.min(myPlayer.mulligans, getHandSize());
+      gameUI.interactionBtn.textContent =
+        bottom > 0 ? `KEEP · BOTTOM ${bottom}` : `KEEP ${getHandSize()}`;
+      gameUI.interactionBtn.setAttribute("aria-label", "Keep this hand");
+    } else {
+      gameUI.interactionBtn.textContent = "WAITING FOR HANDS";
+      gameUI.interactionBtn.setAttribute("aria-label", "Waiting for every player to keep");
+    }
   } else if (isPaused) {
     // Resume button
     gameUI.interactionBtn.textContent = "RESUME";
@@ -3681,12 +6283,17 @@ function updateOtherPlayers() {
 
   const isWaiting = gameState.status === "waiting";
   const isPaused = gameState.status === "paused";
+  const isRoundMode = gameState.mode === "round";
 
   // Without a claimed player, show all players so spectators can claim one
-  // Otherwise, show only other players
-  const playersToShow = (!myPlayer)
-    ? gameState.players
-    : gameState.players.filter(p => p.claimedBy !== myClientId);
+  // Otherwise, show only other players, in seat order from the viewer's seat
+  const seated = getPlayersFromSeat(
+    gameState.players,
+    gameState.settings?.seatMap,
+    gameState.settings?.turnDirection,
+    myPlayer?.id
+  );
+  const playersToShow = !myPlayer ? seated : seated.filter(p => p.claimedBy !== myClientId);
 
   // Set player count for CSS-based sizing
   gameUI.playerCards.dataset.playerCount = playersToShow.length;
@@ -3716,7 +6323,7 @@ function updateOtherPlayers() {
       // Update time
       const timeSpan = card.querySelector(".game-player-card-time");
       if (timeSpan) {
-        timeSpan.textContent = formatTimeCompact(player.timeRemaining);
+        timeSpan.textContent = isRoundMode ? "" : formatTimeCompact(player.timeRemaining);
       }
 
       // Update name (in case it changed)
@@ -3726,6 +6333,10 @@ function updateOtherPlayers() {
         nameSpan.title = player.name;
       }
 
+      // Update designation badges
+      const badgesSpan = card.querySelector(".game-player-card-badges");
+      if (badgesSpan) badgesSpan.textContent = getDesignationBadges(player);
+
       // Update state classes (including selectable/claimed-other)
       const isFinished = gameState.status === "finished";
       card.classList.remove("active", "eliminated", "paused", "critical", "warning", "targeted", "awaiting-priority", "original-player", "selectable-target", "selectable", "claimed-other");
@@ -3746,9 +6357,9 @@ function updateOtherPlayers() {
 
         if (isPaused) {
           card.classList.add("paused");
-        } else if (player.timeRemaining < CONSTANTS.CRITICAL_THRESHOLD) {
+        } else if (!isRoundMode && player.timeRemaining < CONSTANTS.CRITICAL_THRESHOLD) {
           card.classList.add("critical");
-        } else if (player.timeRemaining < CONSTANTS.WARNING_THRESHOLD_1MIN) {
+        } else if (!isRoundMode && player.timeRemaining < CONSTANTS.WARNING_THRESHOLD_1MIN) {
           card.classList.add("warning");
         }
       }
@@ -3851,6 +6462,11 @@ function updateOtherPlayers() {
     lifeSpan.className = "game-player-card-life";
     lifeSpan.textContent = player.life;
 
+    // Monarch / initiative badges
+    const badgesSpan = document.createElement("span");
+    badgesSpan.className = "game-player-card-badges";
+    badgesSpan.textContent = getDesignationBadges(player);
+
     // Status indicator - show most important status
     const statusSpan = document.createElement("span");
     statusSpan.className = "game-player-card-status";
@@ -3864,6 +6480,7 @@ function updateOtherPlayers() {
     card.appendChild(nameSpan);
     card.appendChild(timeSpan);
     card.appendChild(lifeSpan);
+    card.appendChild(badgesSpan);
     card.appendChild(statusSpan);
 
     // Click handler - check current game state, not stale closure variables
@@ -3884,6 +6501,43 @@ function updateOtherPlayers() {
   });
 }
 
+/**
+ * Get the players clockwise from seat 1. Follows the seat map when it seats
+ * exactly these players, otherwise keeps their order (mirrors lib/client-utils.js).
+ * @param {Array} players - Array of player objects
+ * @param {number[]|null} seatMap - Player IDs clockwise from seat 1
+ * @returns {Array} Player objects in seat order
+ */
+function getSeating(players, seatMap) {
+  if (!Array.isArray(seatMap) || seatMap.length !== players.length) return [...players];
+
+  const seated = seatMap.map(id => players.find(p => p.id === id));
+  return seated.includes(undefined) || new Set(seatMap).size !== seatMap.length
+    ? [...players]
+    : seated;
+}
+
+/**
+ * Order the other players' cards by seat, starting with whoever takes the
+ * turn after the viewer. Without a viewer, starts from seat 1.
+ * @param {Array} players - Array of player objects
+ * @param {number[]|null} seatMap - Player IDs clockwise from seat 1
+ * @param {string} turnDirection - "clockwise" or "counterclockwise"
+ * @param {number|undefined} viewerId - The viewer's player ID
+ * @returns {Array} Player objects, without the viewer
+ */
+function getPlayersFromSeat(players, seatMap, turnDirection, viewerId) {
+  const seating = getSeating(players, seatMap);
+  const order =
+    turnDirection === CONSTANTS.TURN_DIRECTIONS.COUNTERCLOCKWISE && seating.length > 1
+      ? [seating[0], ...seating.slice(1).reverse()]
+      : seating;
+
+  const start = order.findIndex(p => p.id === viewerId);
+  if (start === -1) return order;
+  return [...order.slice(start + 1), ...order.slice(0, start)];
+}
+
 /**
  * Format time in compact format (M:SS or S.s)
  */
@@ -3905,10 +6559,16 @@ function formatTimeCompact(ms) {
  * Get the status icon and class for a player
  */
 function getPlayerStatusIcon(player, isActive, isPaused, isFinished = false) {
-  // Priority order: eliminated > paused > critical > warning > active > none
+  // Priority order: eliminated > ready > paused > critical > warning > active > none
   if (player.isEliminated) {
     return { icon: "\u2620", class: "status-eliminated" }; // ☠
   }
+  if (player.ready && gameState?.status === "waiting") {
+    return { icon: "\u2713", class: "status-ready" }; // ✓
+  }
+  if (player.keptHand && gameState?.status === "pregame") {
+    return { icon: "\u2713", class: "status-ready" }; // ✓
+  }
   if (isPaused) {
     return { icon: "\u23F8", class: "status-paused" }; // ⏸
   }
@@ -3935,14 +6595,30 @@ function showPlayerDetailsPopup(player, cardElement) {
   const nameEl = popup.querySelector(".game-player-popup-name");
   const timeEl = popup.querySelector(".game-player-popup-time");
   const lifeEl = popup.querySelector(".game-player-popup-life");
-  const drunkEl = popup.querySelector(".game-player-popup-drunk");
-  const genericEl = popup.querySelector(".game-player-popup-generic");
 
   if (nameEl) nameEl.textContent = player.name;
   if (timeEl) timeEl.textContent = formatTime(player.timeRemaining);
   if (lifeEl) lifeEl.textContent = player.life;
-  if (drunkEl) drunkEl.textContent = player.drunkCounter;
-  if (genericEl) genericEl.textContent = player.genericCounter;
+
+  const countersEl = popup.querySelector(".game-player-popup-counters");
+  if (countersEl) {
+    countersEl.innerHTML = "";
+    getCounterDefinitions().forEach(def => {
+      const row = document.createElement("div");
+      row.className = "game-player-popup-stat";
+      const label = document.createElement("span");
+      label.className = "game-player-popup-label";
+      label.textContent = `${def.icon} ${def.name}`;
+      const value = document.createElement("span");
+      value.className = `game-player-popup-value game-player-popup-counter-${counterClassSuffix(def)}`;
+      value.textContent = getPlayerCounterValue(player, def);
+      row.appendChild(label);
+      row.appendChild(value);
+      countersEl.appendChild(row);
+    });
+  }
+
+  renderCommanderDamageGrid(popup.querySelector(".game-player-popup-cmdr"), player);
 
   // Position popup near the card
   const cardRect = cardElement.getBoundingClientRect();
@@ -3994,6 +6670,102 @@ function showPlayerDetailsPopup(player, cardElement) {
   playClick();
 }
 
+/**
+ * Render the commander damage grid for a player in the details popup.
+ * Rows list damage the player took from each opponent's commander and partner,
+ * plus what the viewer took from this player.
+ */
+function renderCommanderDamageGrid(container, player) {
+  if (!container || !gameState) return;
+  container.innerHTML = "";
+
+  const isOwner = gameState.ownerId === myClientId;
+  const rows = gameState.players
+    .filter(source => source.id !== player.id)
+    .map(source => ({
+      label: source.name,
+      defender: player,
+      sourceId: source.id,
+      editable: isOwner || player.claimedBy === myClientId,
+    }));
+
+  // Damage this player's commanders dealt to the viewer
+  if (myPlayer && myPlayer.id !== player.id) {
+    rows.push({ label: "You took", defender: myPlayer, sourceId: player.id, editable: true, isMine: true });
+  }
+
+  const title = document.createElement("div");
+  title.className = "game-player-popup-label";
+  title.textContent = "Commander Damage";
+  container.appendChild(title);
+
+  const grid = document.createElement("div");
+  grid.className = "cmdr-damage-grid";
+  grid.innerHTML = `<span></span><span class="cmdr-damage-head">Cmdr</span><span class="cmdr-damage-head">Partner</span>`;
+
+  rows.forEach(row => {
+    const label = document.createElement("span");
+    label.className = "cmdr-damage-source" + (row.isMine ? " cmdr-damage-mine" : "");
+    label.textContent = row.label;
+    grid.appendChild(label);
+
+    const slots = row.defender.commanderDamage?.[row.sourceId] || [0, 0];
+    [0, 1].forEach(slot => {
+      grid.appendChild(createCommanderDamageCell(row, slot, slots[slot] || 0));
+    });
+  });
+
+  container.appendChild(grid);
+}
+
+/**
+ * Create a single commander damage cell with +/- controls when editable
+ */
+function createCommanderDamageCell(row, slot, damage) {
+  const cell = document.createElement("span");
+  cell.className = "cmdr-damage-cell";
+
+  const value = document.createElement("span");
+  value.className = "cmdr-damage-value";
+  value.textContent = damage;
+  if (damage >= CONSTANTS.COMMANDER_DAMAGE_LETHAL) {
+    value.classList.add("cmdr-damage-lethal");
+  }
+
+  if (!row.editable || gameState.status === "finished") {
+    cell.appendChild(value);
+    return cell;
+  }
+
+  const adjust = delta => e => {
+    e.stopPropagation();
+    const current = parseInt(value.textContent, 10) || 0;
+    const next = Math.max(0, current + delta);
+    if (next === current) return;
+    value.textContent = next;
+    value.classList.toggle("cmdr-damage-lethal", next >= CONSTANTS.COMMANDER_DAMAGE_LETHAL);
+    sendUpdateCommanderDamage(row.defender.id, row.sourceId, slot, next);
+    playClick();
+  };
+
+  const minus = document.createElement("button");
+  minus.className = "cmdr-damage-btn";
+  minus.textContent = "\u2212";
+  minus.setAttribute("aria-label", "Decrease commander damage");
+  minus.addEventListener("click", adjust(-1));
+
+  const plus = document.createElement("button");
+  plus.className = "cmdr-damage-btn";
+  plus.textContent = "+";
+  plus.setAttribute("aria-label", "Increase commander damage");
+  plus.addEventListener("click", adjust(1));
+
+  cell.appendChild(minus);
+  cell.appendChild(value);
+  cell.appendChild(plus);
+  return cell;
+}
+
 /**
  * Hide the player details popup
  */
@@ -4019,7 +6791,86 @@ function handlePopupOutsideClick(e) {
 }
 
 // Track previous stat values for change animation
-const prevStatValues = { life: null, drunk: null, generic: null };
+const prevStatValues = { life: null, counters: {} };
+
+/**
+ * Get the counter definitions enabled for the current lobby
+ * @returns {object[]}
+ */
+function getCounterDefinitions() {
+  if (gameState?.counterDefinitions) return gameState.counterDefinitions;
+  return CONSTANTS.DEFAULT_COUNTERS.map(id => CONSTANTS.COUNTER_TYPES[id]);
+}
+
+/**
+ * Get a player's value for a counter definition
+ */
+function getPlayerCounterValue(player, def) {
+  if (def.field) return player[def.field] ?? 0;
+  return player.counters?.[def.id] ?? 0;
+}
+
+/**
+ * CSS-safe class suffix for a counter (custom counters share one style)
+ */
+function counterClassSuffix(def) {
+  return def.custom ? "custom" : def.id;
+}
+
+// Signature of the currently rendered counter groups, to avoid rebuilding every update
+let renderedCounterSignature = null;
+
+/**
+ * Build a stat group for each enabled counter in the player stats bar
+ */
+function renderCounterStats() {
+  const container = gameUI.counterStats;
+  if (!container) return;
+
+  const defs = getCounterDefinitions();
+  const signature = defs.map(d => `${d.id}|${d.icon}`).join(",");
+  if (signature === renderedCounterSignature) return;
+  renderedCounterSignature = signature;
+
+  container.innerHTML = "";
+  prevStatValues.counters = {};
+  defs.forEach(def => {
+    const group = document.createElement("div");
+    group.className = `game-stat-group game-stat-counter game-stat-counter-${counterClassSuffix(def)}`;
+    group.dataset.counterId = def.id;
+    group.setAttribute("role", "group");
+    group.setAttribute("aria-label", def.name);
+    group.title = def.name;
+
+    const header = document.createElement("div");
+    header.className = "game-stat-header";
+    const icon = document.createElement("span");
+    icon.className = "game-stat-icon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = def.icon;
+    const value = document.createElement("span");
+    value.className = "game-stat-value";
+    value.setAttribute("aria-live", "polite");
+    value.textContent = "0";
+    header.appendChild(icon);
+    header.appendChild(value);
+
+    const controls = document.createElement("div");
+    controls.className = "game-stat-controls";
+    [-1, 1].forEach(delta => {
+      const btn = document.createElement("button");
+      btn.className = "game-stat-btn";
+      btn.dataset.delta = delta;
+      btn.textContent = delta < 0 ? "-" : "+";
+      btn.setAttribute("aria-label", `${delta < 0 ? "Decrease" : "Increase"} ${def.name}`);
+      controls.appendChild(btn);
+    });
+
+    group.appendChild(header);
+    group.appendChild(controls);
+    container.appendChild(group);
+  });
+}
 
 /**
  * Update the player stats bar with current player's life and counters
@@ -4061,15 +6912,14 @@ function updatePlayerStats() {
       lifeValue.textContent = String(defaultLife);
       lifeValue.classList.remove("negative");
     }
-    const poisonValue = gameUI.poisonStat?.querySelector(".game-stat-value");
-    if (poisonValue) poisonValue.textContent = "0";
-    const genericValue = gameUI.genericStat?.querySelector(".game-stat-value");
-    if (genericValue) genericValue.textContent = "0";
+    renderCounterStats();
+    gameUI.counterStats?.querySelectorAll(".game-stat-value").forEach(el => {
+      el.textContent = "0";
+    });
 
     // Reset cached values
     prevStatValues.life = null;
-    prevStatValues.drunk = null;
-    prevStatValues.generic = null;
+    prevStatValues.counters = {};
     return;
   }
 
@@ -4087,19 +6937,16 @@ function updatePlayerStats() {
     lifeValue.classList.toggle("negative", myPlayer.life < 0);
   }
 
-  // Update poison/drunk counter display with animation
-  const poisonValue = gameUI.poisonStat?.querySelector(".game-stat-value");
-  if (poisonValue) {
-    updateStatValue(poisonValue, myPlayer.drunkCounter, prevStatValues.drunk);
-    prevStatValues.drunk = myPlayer.drunkCounter;
-  }
-
-  // Update generic counter display with animation
-  const genericValue = gameUI.genericStat?.querySelector(".game-stat-value");
-  if (genericValue) {
-    updateStatValue(genericValue, myPlayer.genericCounter, prevStatValues.generic);
-    prevStatValues.generic = myPlayer.genericCounter;
-  }
+  // Update enabled counters with animation
+  renderCounterStats();
+  getCounterDefinitions().forEach(def => {
+    const group = gameUI.counterStats?.querySelector(`[data-counter-id="${CSS.escape(def.id)}"]`);
+    const valueEl = group?.querySelector(".game-stat-value");
+    if (!valueEl) return;
+    const value = getPlayerCounterValue(myPlayer, def);
+    updateStatValue(valueEl, value, prevStatValues.counters[def.id] ?? null);
+    prevStatValues.counters[def.id] = value;
+  });
 }
 
 /**
@@ -4203,14 +7050,14 @@ function handleInteractionClick() {
 
   const isWaiting = gameState.status === "waiting";
   const isPaused = gameState.status === "paused";
-  const isMyTurn = myPlayer && myPlayer.id === gameState.activePlayer;
+  const isMyTurn = holdsTurn(myPlayer);
 
   // Targeting state checks
   const targetingState = gameState.targetingState || CONSTANTS.TARGETING.STATES.NONE;
   const isSelecting = targetingState === CONSTANTS.TARGETING.STATES.SELECTING;
   const isResolving = targetingState === CONSTANTS.TARGETING.STATES.RESOLVING;
   const targetCount = (gameState.targetedPlayers || []).length;
-  const myAwaitingPriority = myPlayer && (gameState.awaitingPriority || []).includes(myPlayer.id);
+  const myAwaitingPriority = myPlayer && getTargetPriorityHolders().includes(myPlayer.id);
 
   // Determine who has priority (for interrupt system)
   let priorityPlayerId = null;
@@ -4240,8 +7087,12 @@ function handleInteractionClick() {
     }
   }
 
-  if (isWaiting) {
+  if (isWaiting && startCountdownEndsAt !== null) {
+    sendCancelStart();
+  } else if (isWaiting) {
     sendStart();
+  } else if (gameState.status === "pregame") {
+    if (myPlayer && !myPlayer.keptHand) sendKeepHand(myPlayer.id, myPlayer.mulligans);
   } else if (isPaused) {
     sendPause(); // Toggle pause to resume
     playPauseResume();
@@ -4258,15 +7109,15 @@ function handleInteractionClick() {
       sendPassTargetPriority();
     } else if (myPlayer && !myHasPriority) {
       // Interrupt during targeting resolution
-      safeSend({ type: "interrupt", data: {} });
+      sendInterrupt();
     }
   } else if (myHasPriority && myInInterruptQueue) {
     safeSend({ type: "passPriority", data: {} });
-  } else if (myPlayer && myPlayer.id === gameState.activePlayer && !hasInterrupts) {
-    // Only pass turn if active player AND no one has interrupted
+  } else if (isMyTurn && !hasInterrupts) {
+    // Only pass turn if it's my turn AND no one has interrupted
     sendPassTurn();
   } else if (myPlayer && !myHasPriority) {
-    safeSend({ type: "interrupt", data: {} });
+    sendInterrupt();
   }
 
   playClick();
@@ -4308,6 +7159,106 @@ function setupGameEventListeners() {
     });
   }
 
+  // Undo/redo buttons (header)
+  if (gameUI.undoBtn) {
+    gameUI.undoBtn.addEventListener("click", () => {
+      sendUndo();
+      playClick();
+    });
+  }
+  if (gameUI.redoBtn) {
+    gameUI.redoBtn.addEventListener("click", () => {
+      sendRedo();
+      playClick();
+    });
+  }
+
+  // Phase strip - jump to a phase or step to the next one
+  if (gameUI.phaseStrip) {
+    gameUI.phaseStrip.addEventListener("click", (e) => {
+      const button = e.target.closest("button");
+      if (!button || button.disabled) return;
+      if (button.classList.contains("game-phase-next")) {
+        sendAdvancePhase();
+      } else if (button.dataset.phase && button.dataset.phase !== gameState?.currentPhase) {
+        sendSetPhase(button.dataset.phase);
+      }
+      playClick();
+    });
+  }
+
+  // Team picker - move a player to another team before the game starts
+  if (gameUI.teams) {
+    gameUI.teams.addEventListener("change", (e) => {
+      const select = e.target.closest(".game-team-select");
+      if (!select) return;
+      sendAssignTeam(parseInt(select.dataset.playerId), parseInt(select.value));
+      playClick();
+    });
+  }
+
+  // Archenemy picker - owner chooses the villain before the game starts
+  if (gameUI.archenemy) {
+    gameUI.archenemy.addEventListener("change", (e) => {
+      if (!e.target.closest(".game-archenemy-select")) return;
+      sendSetVillain(parseInt(e.target.value));
+      playClick();
+    });
+    gameUI.archenemy.addEventListener("click", (e) => {
+      if (!e.target.closest(".game-archenemy-random")) return;
+      sendRandomStartPlayer();
+      playClick();
+    });
+  }
+
+  // Planechase - record the current plane and roll the planar die
+  if (gameUI.planeInput) {
+    gameUI.planeInput.addEventListener("change", () => {
+      const name = gameUI.planeInput.value.trim();
+      if (name === (gameState?.currentPlane || "")) return;
+      sendSetPlane(name);
+    });
+  }
+  if (gameUI.planarDieBtn) {
+    gameUI.planarDieBtn.addEventListener("click", () => {
+      sendRollPlanarDie();
+      playClick();
+    });
+  }
+
+  // Stack - resolve the top entry
+  if (gameUI.stackResolveBtn) {
+    gameUI.stackResolveBtn.addEventListener("click", () => {
+      sendResolveStack();
+      playClick();
+    });
+  }
+
+  // Designations - monarch, initiative, day/night and the spell count
+  if (gameUI.designations) {
+    gameUI.designations.addEventListener("change", (e) => {
+      const select = e.target.closest(".game-designation-select");
+      if (!select) return;
+      const playerId = select.value ? parseInt(select.value) : null;
+      sendTransferDesignation(select.dataset.designation, playerId);
+      playClick();
+    });
+    gameUI.designations.addEventListener("click", (e) => {
+      const button = e.target.closest("button");
+      if (!button || button.disabled || !gameState) return;
+      if (button.classList.contains("game-day-night-btn")) {
+        const next = { day: "night", night: null }[gameState.dayNight];
+        sendSetDayNight(next === undefined ? "day" : next);
+      } else if (button.classList.contains("game-spells-btn")) {
+        const count = (gameState.spellsCastThisTurn || 0) + parseInt(button.dataset.delta);
+        sendSetSpellsCast(Math.max(0, count));
+      } else if (button.classList.contains("game-venture-btn")) {
+        sendVenture();
+      }
+      playClick();
+    });
+  }
+
   // In-game info button
   if (gameUI.infoBtn) {
     gameUI.infoBtn.addEventListener("click", () => {
@@ -4337,6 +7288,26 @@ function setupGameEventListeners() {
     });
   }
 
+  // Ready toggle
+  if (gameUI.readyBtn) {
+    gameUI.readyBtn.addEventListener("click", () => {
+      if (!myPlayer) return;
+      sendSetReady(!myPlayer.ready);
+      playClick();
+      hapticFeedback("light");
+    });
+  }
+
+  // Mulligan
+  if (gameUI.mulliganBtn) {
+    gameUI.mulliganBtn.addEventListener("click", () => {
+      if (!myPlayer) return;
+      sendMulligan(myPlayer.id);
+      playClick();
+      hapticFeedback("light");
+    });
+  }
+
   // Cancel targeting button
   if (gameUI.cancelTargetingBtn) {
     gameUI.cancelTargetingBtn.addEventListener("click", () => {
@@ -4430,47 +7401,20 @@ function setupStatButtons() {
     });
   }
 
-  // Poison/Drunk controls
-  const poisonControls = gameUI.poisonStat?.querySelectorAll(".game-stat-btn");
-  if (poisonControls && poisonControls.length === 2) {
-    poisonControls[0].addEventListener("click", () => {
-    
-      if (myPlayer) {
-        sendUpdatePlayer(myPlayer.id, { drunkCounter: Math.max(0, myPlayer.drunkCounter - 1) });
-        playClick();
-        hapticFeedback("light");
-      }
-    });
-    poisonControls[1].addEventListener("click", () => {
-    
-      if (myPlayer) {
-        sendUpdatePlayer(myPlayer.id, { drunkCounter: myPlayer.drunkCounter + 1 });
-        playClick();
-        hapticFeedback("light");
-      }
-    });
-  }
+  // Counter controls (groups are rebuilt when the lobby's counters change, so delegate)
+  gameUI.counterStats?.addEventListener("click", e => {
+    const btn = e.target.closest(".game-stat-btn");
+    const group = btn?.closest(".game-stat-counter");
+    if (!btn || !group || !myPlayer) return;
 
-  // Generic counter controls
-  const genericControls = gameUI.genericStat?.querySelectorAll(".game-stat-btn");
-  if (genericControls && genericControls.length === 2) {
-    genericControls[0].addEventListener("click", () => {
-    
-      if (myPlayer) {
-        sendUpdatePlayer(myPlayer.id, { genericCounter: Math.max(0, myPlayer.genericCounter - 1) });
-        playClick();
-        hapticFeedback("light");
-      }
-    });
-    genericControls[1].addEventListener("click", () => {
-    
-      if (myPlayer) {
-        sendUpdatePlayer(myPlayer.id, { genericCounter: myPlayer.genericCounter + 1 });
-        playClick();
-        hapticFeedback("light");
-      }
-    });
-  }
+    const def = getCounterDefinitions().find(d => d.id === group.dataset.counterId);
+    if (!def) return;
+    const delta = parseInt(btn.dataset.delta, 10);
+    const value = getPlayerCounterValue(myPlayer, def) + delta;
+    sendUpdatePlayer(myPlayer.id, { counters: { [def.id]: value } });
+    playClick();
+    hapticFeedback("light");
+  });
 }
 
 // Initialize game event listeners
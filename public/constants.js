@@ -13,9 +13,70 @@ window.CONSTANTS = {
   CRITICAL_THRESHOLD: 60000,
   MINUTE_MS: 60000,
 
+  // Built-in counter types (mirrors lib/shared/constants.js COUNTER_TYPES)
+  COUNTER_TYPES: {
+    drunk: { id: "drunk", name: "Drunk", icon: "\u{1F37A}", field: "drunkCounter" },
+    generic: { id: "generic", name: "Counter", icon: "\u2B50", field: "genericCounter" },
+    poison: { id: "poison", name: "Poison", icon: "\u2620" },
+    energy: { id: "energy", name: "Energy", icon: "\u26A1" },
+    experience: { id: "experience", name: "Experience", icon: "\u2728" },
+    rad: { id: "rad", name: "Rad", icon: "\u2622" },
+  },
+  DEFAULT_COUNTERS: ["drunk", "generic"],
+  MAX_CUSTOM_COUNTERS: 6,
+
+  // Commander damage
+  COMMANDER_DAMAGE_LETHAL: 21,
+
+  // Turn phases (mirrors lib/shared/constants.js TURN_PHASES)
+  TURN_PHASES: [
+    { id: "untap", name: "Untap" },
+    { id: "upkeep", name: "Upkeep" },
+    { id: "draw", name: "Draw" },
+    { id: "main1", name: "Main 1" },
+    { id: "combat", name: "Combat" },
+    { id: "main2", name: "Main 2" },
+    { id: "end", name: "End" },
+  ],
+
+  // Undercity levels (mirrors lib/shared/constants.js UNDERCITY_ROOMS)
+  UNDERCITY_ROOMS: [
+    "Secret Entrance",
+    "Forge / Lost Well",
+    "Trap! / Arena / Stash",
+    "Archives / Catacombs",
+    "Throne of the Dead Three",
+  ],
+
+  // Turn directions (mirrors lib/shared/constants.js TURN_DIRECTIONS)
+  TURN_DIRECTIONS: {
+    CLOCKWISE: "clockwise",
+    COUNTERCLOCKWISE: "counterclockwise",
+  },
+
+  // Opening hand before mulligans (mirrors lib/shared/constants.js)
+  DEFAULT_HAND_SIZE: 7,
+
+  // Player colors, picked by ID in player settings
+  PLAYER_COLORS: [
+    { id: "red", name: "Red", primary: "#dc3c3c", secondary: "#b42828" },
+    { id: "blue", name: "Blue", primary: "#3c78dc", secondary: "#2864c8" },
+    { id: "green", name: "Green", primary: "#32a032", secondary: "#1e821e" },
+    { id: "yellow", name: "Yellow", primary: "#e6d23c", secondary: "#c8b428" },
+    { id: "purple", name: "Purple", primary: "#8c3cc8", secondary: "#6e28aa" },
+    { id: "cyan", name: "Cyan", primary: "#3cbebe", secondary: "#28a0a0" },
+    { id: "orange", name: "Orange", primary: "#ff8228", secondary: "#dc6414" },
+    { id: "pink", name: "Pink", primary: "#e650a0", secondary: "#c83c82" },
+    { id: "lime", name: "Lime", primary: "#96dc32", secondary: "#78be14" },
+    { id: "teal", name: "Teal", primary: "#32a096", secondary: "#1e8278" },
+    { id: "indigo", name: "Indigo", primary: "#5050dc", secondary: "#3c3cc8" },
+    { id: "amber", name: "Amber", primary: "#ffc814", secondary: "#e6aa00" },
+  ],
+
   // Client storage
   TOKEN_STORAGE_KEY: "tapOrTarpReconnectTokens",
   TOKEN_MAX_AGE: 60 * 60 * 1000,
+  PROFILE_STORAGE_KEY: "tapOrTarpProfile",
 
   // Targeting system
   TARGETING: {
@@ -24,5 +85,10 @@ window.CONSTANTS = {
       SELECTING: "selecting",
       RESOLVING: "resolving",
     },
+    PRIORITY_MODES: {
+      SIMULTANEOUS: "simultaneous",
+      APNAP: "apnap",
+      ALL_OPPONENTS: "all_opponents",
+    },
   },
 };
@@ -0,0 +1,298 @@
+/**
+ * Table Display
+ *
+ * Big-screen view for a TV or tablet in the middle of the table. It joins the
+ * game in its URL (/display/:gameId) as a spectator and shows every clock
+ * around the screen, each turned to face its seat. When the owner turns on
+ * tap to pass and opened the display from their link, tapping the active
+ * clock passes the turn.
+ */
+
+let ws;
+let gameState = null;
+let reconnectAttempts = 0;
+let hintTimeout = null;
+
+const gameId = decodeURIComponent(window.location.pathname.split("/").pop() || "").toUpperCase();
+// Only the owner's display link carries this, and it's what lets taps pass the turn
+const displayToken = new URLSearchParams(window.location.search).get("token");
+
+// Distance of each seat from the centre of the table, in percent (mirrors lib/client-utils.js)
+const SEAT_RADIUS = 36;
+
+const displayUI = {
+  table: document.getElementById("display"),
+  seats: document.querySelector(".display-seats"),
+  gameName: document.querySelector(".display-game-name"),
+  status: document.querySelector(".display-status"),
+  hint: document.querySelector(".display-hint"),
+};
+
+// ============================================================================
+// CONNECTION
+// ============================================================================
+
+function connect() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  ws = new WebSocket(`${protocol}//${window.location.host}`);
+
+  ws.onopen = () => {
+    reconnectAttempts = 0;
+  };
+
+  ws.onmessage = event => {
+    try {
+      handleMessage(JSON.parse(event.data));
+    } catch (e) {
+      console.error("Invalid JSON received:", e.message);
+    }
+  };
+
+  ws.onclose = () => {
+    const delay = Math.min(
+      CONSTANTS.RECONNECT_INITIAL_DELAY * Math.pow(2, reconnectAttempts),
+      CONSTANTS.RECONNECT_MAX_DELAY
+    );
+    reconnectAttempts++;
+    displayUI.status.textContent = "Reconnecting...";
+    setTimeout(connect, delay);
+  };
+}
+
+function safeSend(message) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function handleMessage(message) {
+  switch (message.type) {
+    case "clientId":
+      safeSend({ type: "join", data: { gameId, asSpectator: true } });
+      break;
+    case "state":
+      gameState = message.data;
+      renderTable();
+      break;
+    case "tick":
+      if (gameState) {
+        gameState.players.forEach(player => {
+          if (message.data.times[player.id] !== undefined) {
+            player.timeRemaining = message.data.times[player.id];
+          }
+        });
+        updateClocks();
+      }
+      break;
+    case "error":
+      if (gameState) {
+        showHint(message.data.message);
+      } else {
+        displayUI.status.textContent = message.data.message;
+      }
+      break;
+  }
+}
+
+// ============================================================================
+// TABLE
+// ============================================================================
+
+/**
+ * Place seats around the table, seat 1 at the bottom and the rest clockwise
+ * @param {number} count - Number of seats
+ * @returns {{ x: number, y: number, rotation: number }[]}
+ */
+function getRadialSeatPositions(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const angle = 90 + (i * 360) / count;
+    const radians = (angle * Math.PI) / 180;
+    return {
+      x: Math.round((50 + SEAT_RADIUS * Math.cos(radians)) * 100) / 100,
+      y: Math.round((50 + SEAT_RADIUS * Math.sin(radians)) * 100) / 100,
+      rotation: angle - 90,
+    };
+  });
+}
+
+/**
+ * Get the players clockwise from seat 1, following the owner's seat map
+ * (mirrors lib/client-utils.js)
+ * @returns {object[]}
+ */
+function getSeating() {
+  const players = gameState.players;
+  const seatMap = gameState.settings?.seatMap;
+  if (!Array.isArray(seatMap) || seatMap.length !== players.length) return [...players];
+
+  const seated = seatMap.map(id => players.find(p => p.id === id));
+  return seated.includes(undefined) || new Set(seatMap).size !== seatMap.length
+    ? [...players]
+    : seated;
+}
+
+function getPlayerColor(player) {
+  const colors = CONSTANTS.PLAYER_COLORS;
+  const customColor = player.color && colors.find(c => c.id === player.color);
+  if (customColor) return customColor;
+
+  // Same defaults as the game screen
+  const defaultColors = ["red", "blue", "green", "yellow", "purple", "cyan", "orange", "pink"];
+  const colorId = defaultColors[(player.id - 1) % defaultColors.length];
+  return colors.find(c => c.id === colorId) || colors[0];
+}
+
+function formatTime(milliseconds) {
+  if (milliseconds <= 0) return "0:00";
+
+  const totalSeconds = Math.ceil(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+}
+
+/**
+ * Check whether tapping the active clock passes the turn right now
+ * (mirrors canDisplayPassTurn on the server)
+ * @returns {boolean}
+ */
+function canTapToPass() {
+  return (
+    displayToken !== null &&
+    gameState.settings?.displayTapToPass === true &&
+    gameState.status === "running" &&
+    gameState.interruptingPlayers.length === 0 &&
+    gameState.targetingState === CONSTANTS.TARGETING.STATES.NONE
+  );
+}
+
+function getStatusText() {
+  const turnPlayerId = gameState.originalActivePlayer ?? gameState.activePlayer;
+  const turnPlayer = gameState.players.find(p => p.id === turnPlayerId);
+
+  switch (gameState.status) {
+    case "waiting":
+      return `Waiting for players · Code ${gameState.id}`;
+    case "pregame": {
+      const kept = gameState.players.filter(p => p.keptHand).length;
+      return `Mulligans · ${kept}/${gameState.players.length} kept`;
+    }
+    case "paused":
+      return "Paused";
+    case "finished": {
+      const winner = gameState.players.find(p => p.id === gameState.winner);
+      return winner ? `${winner.name} wins` : "Draw";
+    }
+    default:
+      if (!turnPlayer) return "";
+      return gameState.turnNumber > 0
+        ? `${turnPlayer.name}'s turn · Turn ${gameState.turnNumber}`
+        : `${turnPlayer.name}'s turn`;
+  }
+}
+
+function showHint(text) {
+  displayUI.hint.textContent = text;
+  if (hintTimeout) clearTimeout(hintTimeout);
+  hintTimeout = setTimeout(() => {
+    hintTimeout = null;
+    updateHint();
+  }, 3000);
+}
+
+function updateHint() {
+  if (hintTimeout) return;
+  displayUI.hint.textContent = canTapToPass() ? "Tap the active clock to pass the turn" : "";
+}
+
+function createSeat(player, position) {
+  const seat = document.createElement("button");
+  seat.className = "display-seat";
+  seat.setAttribute("role", "listitem");
+  seat.dataset.playerId = player.id;
+  seat.style.left = `${position.x}%`;
+  seat.style.top = `${position.y}%`;
+  seat.style.transform = `translate(-50%, -50%) rotate(${position.rotation}deg)`;
+
+  const name = document.createElement("div");
+  name.className = "display-seat-name";
+  const time = document.createElement("div");
+  time.className = "display-seat-time";
+  const life = document.createElement("div");
+  life.className = "display-seat-life";
+  seat.append(name, time, life);
+
+  seat.addEventListener("click", () => handleSeatTap(player.id));
+  return seat;
+}
+
+function updateSeat(seat, player) {
+  const isActive = player.id === gameState.activePlayer;
+  const color = getPlayerColor(player);
+
+  seat.classList.toggle("active", isActive);
+  seat.classList.toggle("interrupting", gameState.interruptingPlayers.includes(player.id));
+  seat.classList.toggle("targeted", gameState.targetedPlayers.includes(player.id));
+  seat.classList.toggle("eliminated", player.isEliminated);
+  seat.classList.toggle("tappable", isActive && canTapToPass());
+  seat.style.setProperty("--seat-color", color.primary);
+
+  seat.querySelector(".display-seat-name").textContent = player.name;
+  seat.querySelector(".display-seat-life").textContent = `${player.life} life`;
+  updateSeatClock(seat, player);
+}
+
+function updateSeatClock(seat, player) {
+  const time = seat.querySelector(".display-seat-time");
+  time.textContent = formatTime(player.timeRemaining);
+  time.classList.toggle("critical", player.timeRemaining < CONSTANTS.CRITICAL_THRESHOLD);
+  time.classList.toggle(
+    "warning",
+    player.timeRemaining >= CONSTANTS.CRITICAL_THRESHOLD &&
+      player.timeRemaining < CONSTANTS.WARNING_THRESHOLD_5MIN
+  );
+}
+
+function updateClocks() {
+  getSeating().forEach((player, i) => {
+    const seat = displayUI.seats.children[i];
+    if (seat) updateSeatClock(seat, player);
+  });
+}
+
+function renderTable() {
+  document.title = `${gameState.name} - Table Display`;
+  displayUI.gameName.textContent = gameState.name;
+  displayUI.status.textContent = getStatusText();
+  displayUI.table.classList.toggle("paused", gameState.status === "paused");
+
+  // Seats only move when the players or the seat map change
+  const seating = getSeating();
+  const seatIds = Array.from(displayUI.seats.children).map(s => parseInt(s.dataset.playerId));
+  const playerIds = seating.map(p => p.id);
+  if (seatIds.join() !== playerIds.join()) {
+    const positions = getRadialSeatPositions(seating.length);
+    displayUI.seats.replaceChildren(
+      ...seating.map((player, i) => createSeat(player, positions[i]))
+    );
+  }
+
+  seating.forEach((player, i) => updateSeat(displayUI.seats.children[i], player));
+  updateHint();
+}
+
+function handleSeatTap(playerId) {
+  if (!gameState || playerId !== gameState.activePlayer || !canTapToPass()) return;
+  safeSend({ type: "displayPassTurn", data: { token: displayToken } });
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+if (gameId) {
+  connect();
+} else {
+  displayUI.status.textContent = "No game code in the link";
+}